@@ -0,0 +1,335 @@
+/**
+ * MEISTERCO - ANALYTICS
+ * One entry point for tracking. Events are checked against the catalogue
+ * below, held back until the visitor agrees to the analytics purpose in the
+ * consent manager, and then handed to every sink (gtag, the HTTP collector,
+ * the console when debugging):
+ *
+ *   window.analytics.track('model_detail_view', { model_name: 'myvi' });
+ *   window.analytics.addSink({ send(event) { ... } });
+ *
+ * Configurator steps, the start of a booking and its completion are linked
+ * into one test drive funnel, so a booking can be traced back to the build
+ * that led to it.
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const ANALYTICS_DEFAULTS = {
+  sinks: null,                  // replaces the default sinks when set
+  endpoint: '/api/events',      // HTTP collector; null turns it off
+  batchDelay: 2000,             // ms to gather events before posting them
+  debug: false,                 // log every event to the console
+  queueKey: 'meisterco-analytics-queue',
+  funnelKey: 'meisterco-funnel',
+  maxQueue: 50
+};
+
+/**
+ * Every event the site may send, with its category and parameter types.
+ * Parameters not listed here, or of the wrong type, are dropped.
+ */
+const ANALYTICS_EVENTS = {
+  page_view: { category: 'navigation', params: { page_path: 'string', page_title: 'string' } },
+  model_detail_view: { category: 'engagement', params: { model_name: 'string' } },
+  configurator_step: { category: 'engagement', params: { model_name: 'string', step: 'number', step_name: 'string' }, funnel: 'configure' },
+  test_drive_booking_start: { category: 'conversion', params: { model_name: 'string', source: 'string' }, funnel: 'booking_start' },
+  test_drive_booking_complete: { category: 'conversion', params: { model_name: 'string', source: 'string', queued: 'boolean' }, funnel: 'booking_complete' },
+  test_drive_rescheduled: { category: 'conversion', params: { model_name: 'string' } },
+  test_drive_cancelled: { category: 'conversion', params: { model_name: 'string', reason: 'string' } },
+  test_drive_calendar_added: { category: 'engagement', params: { model_name: 'string', source: 'string' } },
+  test_drive_reminder_set: { category: 'engagement', params: { model_name: 'string', source: 'string' } },
+  phone_call: { category: 'contact', params: {} },
+  directions_clicked: { category: 'location', params: {} },
+  chat_open: { category: 'engagement', params: {} },
+  chat_handoff: { category: 'engagement', params: { handoff: 'string' } },
+  brochure_download: { category: 'engagement', params: { model: 'string', variant: 'string' } },
+  model_compare: { category: 'engagement', params: { models: 'string' } },
+  build_saved: { category: 'engagement', params: { model: 'string', value: 'number' } },
+  language_change: { category: 'engagement', params: { language: 'string' } },
+  preference_change: { category: 'engagement', params: { preference: 'string', value: 'string' } },
+  exception: { category: 'error', params: { description: 'string', fatal: 'boolean' } }
+};
+
+// Added by the funnel to its own events
+const FUNNEL_PARAMS = {
+  funnel_id: 'string',
+  funnel_step: 'string',
+  funnel_path: 'string',
+  configured: 'boolean'
+};
+
+// ========================================================================
+// SINKS
+// ========================================================================
+
+class GtagSink {
+  send(event) {
+    if (!window.gtag) return;
+    gtag('event', event.name, { ...event.params, 'event_category': event.category });
+  }
+}
+
+/**
+ * Posts events to a collector in small batches. Whatever is waiting when
+ * the page is hidden goes out with sendBeacon.
+ */
+class HttpSink {
+  constructor(endpoint, options = {}) {
+    this.endpoint = endpoint;
+    this.batchDelay = options.batchDelay || 0;
+    this.buffer = [];
+    this.timer = null;
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush(true);
+    });
+  }
+
+  send(event) {
+    this.buffer.push(event);
+    if (!this.timer) this.timer = setTimeout(() => this.flush(), this.batchDelay);
+  }
+
+  flush(leaving = false) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.buffer.length) return;
+
+    const body = JSON.stringify({ events: this.buffer.splice(0, this.buffer.length) });
+    if (leaving && navigator.sendBeacon && navigator.sendBeacon(this.endpoint, body)) return;
+
+    fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true
+    }).catch(() => {});
+  }
+}
+
+class ConsoleSink {
+  send(event) {
+    console.info(`[analytics] ${event.name}`, event.params);
+  }
+}
+
+// ========================================================================
+// ANALYTICS
+// ========================================================================
+
+class Analytics {
+  constructor(options = {}) {
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.analytics) || {};
+    this.config = { ...ANALYTICS_DEFAULTS, ...globalConfig, ...options };
+
+    this.sinks = this.config.sinks || this.createDefaultSinks();
+    this.consent = window.consentManager.status('analytics');
+
+    this.init();
+  }
+
+  init() {
+    window.consentManager.addEventListener('change', () => {
+      this.applyConsent(window.consentManager.status('analytics'));
+    });
+    if (this.consent === true) this.flushQueue();
+  }
+
+  createDefaultSinks() {
+    const sinks = [new GtagSink()];
+    if (this.config.endpoint) sinks.push(new HttpSink(this.config.endpoint, { batchDelay: this.config.batchDelay }));
+    if (this.config.debug) sinks.push(new ConsoleSink());
+    return sinks;
+  }
+
+  // ========================================================================
+  // PUBLIC API
+  // ========================================================================
+
+  /**
+   * Record an event from the catalogue. Sent straight away once consent is
+   * given, otherwise kept (for this tab) until it is.
+   */
+  track(name, params = {}) {
+    const definition = ANALYTICS_EVENTS[name];
+    if (!definition) {
+      console.warn(`Unknown analytics event: ${name}`);
+      return null;
+    }
+
+    const event = {
+      name,
+      category: definition.category,
+      params: this.cleanParams(name, { ...params, ...this.advanceFunnel(definition.funnel, params) }),
+      page: location.pathname,
+      timestamp: new Date().toISOString()
+    };
+
+    if (this.consent === true) {
+      this.dispatch(event);
+    } else if (this.consent === null) {
+      this.enqueue(event);
+    }
+    // Declined: nothing is kept or sent
+    return event;
+  }
+
+  addSink(sink) {
+    this.sinks.push(sink);
+  }
+
+  removeSink(sink) {
+    this.sinks = this.sinks.filter(item => item !== sink);
+  }
+
+  hasConsent() {
+    return this.consent === true;
+  }
+
+  setConsent(granted, source = 'api') {
+    window.consentManager.set('analytics', granted, source);
+  }
+
+  /**
+   * Follow the consent manager. Granting sends everything held back so far;
+   * declining throws it away.
+   */
+  applyConsent(consent) {
+    if (consent === this.consent) return;
+    this.consent = consent;
+
+    if (consent === true) {
+      this.flushQueue();
+    } else if (consent === false) {
+      this.writeQueue([]);
+    }
+  }
+
+  getFunnel() {
+    return this.readSession(this.config.funnelKey);
+  }
+
+  // ========================================================================
+  // FUNNEL
+  // ========================================================================
+
+  /**
+   * Move the test drive funnel on and return the parameters that tie this
+   * event to it. Configuring a different model starts a new funnel; a
+   * completed booking closes it.
+   */
+  advanceFunnel(step, params) {
+    if (!step) return {};
+
+    const model = params.model_name || '';
+    let funnel = this.getFunnel();
+
+    const stale = funnel && step === 'configure' && funnel.model && model && funnel.model !== model;
+    if (!funnel || stale || (step === 'configure' && funnel.steps.includes('booking_start'))) {
+      funnel = { id: this.generateId(), model, steps: [], startedAt: new Date().toISOString() };
+    }
+
+    if (funnel.steps[funnel.steps.length - 1] !== step) funnel.steps.push(step);
+    funnel.model = funnel.model || model;
+
+    if (step === 'booking_complete') {
+      this.writeSession(this.config.funnelKey, null);
+    } else {
+      this.writeSession(this.config.funnelKey, funnel);
+    }
+
+    return {
+      funnel_id: funnel.id,
+      funnel_step: step,
+      funnel_path: funnel.steps.join('>'),
+      configured: funnel.steps.includes('configure')
+    };
+  }
+
+  // ========================================================================
+  // QUEUE & DISPATCH
+  // ========================================================================
+
+  dispatch(event) {
+    this.sinks.forEach(sink => {
+      try {
+        sink.send(event);
+      } catch (e) {
+        console.warn('Analytics sink failed:', e);
+      }
+    });
+  }
+
+  enqueue(event) {
+    const queue = this.readQueue();
+    queue.push(event);
+    this.writeQueue(queue.slice(-this.config.maxQueue));
+  }
+
+  flushQueue() {
+    const queue = this.readQueue();
+    if (!queue.length) return;
+
+    this.writeQueue([]);
+    queue.forEach(event => this.dispatch(event));
+  }
+
+  cleanParams(name, params) {
+    const types = { ...ANALYTICS_EVENTS[name].params, ...FUNNEL_PARAMS };
+    const clean = {};
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      if (types[key] === typeof value) {
+        clean[key] = value;
+      } else {
+        console.warn(`Dropped analytics param ${name}.${key}: expected ${types[key] || 'no such param'}, got ${typeof value}`);
+      }
+    });
+    return clean;
+  }
+
+  // Utility functions
+  readQueue() {
+    return this.readSession(this.config.queueKey) || [];
+  }
+
+  writeQueue(queue) {
+    this.writeSession(this.config.queueKey, queue.length ? queue : null);
+  }
+
+  readSession(key) {
+    try {
+      return JSON.parse(sessionStorage.getItem(key));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  writeSession(key, value) {
+    try {
+      if (value === null) {
+        sessionStorage.removeItem(key);
+      } else {
+        sessionStorage.setItem(key, JSON.stringify(value));
+      }
+    } catch (e) {
+      // Storage unavailable; events and funnel state last for this page only
+    }
+  }
+
+  generateId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.analytics = new Analytics();
@@ -0,0 +1,395 @@
+/**
+ * MEISTERCO - SLOT AVAILABILITY ENGINE
+ * Builds the selectable test drive slots for a date from the showroom opening
+ * hours, public holidays, per-model demo car capacity and existing bookings.
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+// Mirrors the AutoDealer JSON-LD in index.html; used on pages without it
+const DEFAULT_OPENING_HOURS = 'Mo-Fr 09:00-22:00; Sa 09:00-20:00; Su 10:00-18:00';
+
+const AVAILABILITY_DEFAULTS = {
+  endpoint: '/api/availability',
+  holidaysUrl: 'assets/data/public-holidays.json',
+  openingHours: null,
+  timeZone: 'Asia/Kuala_Lumpur',
+  slotMinutes: 60,
+  leadMinutes: 60,
+  maxAdvanceDays: 60,
+  demoCars: {
+    default: 1,
+    myvi: 2,
+    axia: 2,
+    bezza: 1,
+    alza: 1,
+    ativa: 1,
+    aruz: 1
+  }
+};
+
+const DAY_CODES = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+// ========================================================================
+// SLOT AVAILABILITY
+// ========================================================================
+
+class SlotAvailability {
+  constructor(options = {}) {
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.availability) || {};
+    this.config = { ...AVAILABILITY_DEFAULTS, ...globalConfig, ...options };
+
+    this.cachedWeeklyHours = null;
+    this.holidays = new Map();
+    this.bindings = new WeakMap();
+    this.ready = this.loadHolidays();
+  }
+
+  // Resolved lazily: the JSON-LD block sits after the scripts in index.html
+  get weeklyHours() {
+    if (!this.cachedWeeklyHours) {
+      this.cachedWeeklyHours = this.parseOpeningHours(
+        this.config.openingHours || this.readStructuredHours() || DEFAULT_OPENING_HOURS
+      );
+    }
+    return this.cachedWeeklyHours;
+  }
+
+  readStructuredHours() {
+    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+
+    for (const script of scripts) {
+      try {
+        const data = JSON.parse(script.textContent);
+        if (data.openingHours) {
+          return Array.isArray(data.openingHours) ? data.openingHours.join('; ') : data.openingHours;
+        }
+      } catch (e) {
+        console.warn('Could not parse structured data:', e);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse schema.org openingHours entries separated by ';' ("Mo-Fr 09:00-22:00;
+   * Sa,Su 10:00-18:00") into a map of day index (0 = Sunday) to { open, close }
+   * minutes past midnight. A day list may itself hold commas, so they can't
+   * separate entries.
+   */
+  parseOpeningHours(spec) {
+    const hours = {};
+
+    spec.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+      const [days, range] = part.split(/\s+/);
+      const span = this.parseTimeRange(range);
+      if (!span) return;
+
+      days.split(',').forEach(dayPart => {
+        const [from, to] = dayPart.split('-');
+        const start = DAY_CODES.indexOf(from);
+        const end = to ? DAY_CODES.indexOf(to) : start;
+        if (start === -1 || end === -1) return;
+
+        for (let i = start; ; i = (i + 1) % 7) {
+          hours[i] = span;
+          if (i === end) break;
+        }
+      });
+    });
+
+    return hours;
+  }
+
+  parseTimeRange(range) {
+    const match = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(range || '');
+    if (!match) return null;
+    return {
+      open: Number(match[1]) * 60 + Number(match[2]),
+      close: Number(match[3]) * 60 + Number(match[4])
+    };
+  }
+
+  async loadHolidays() {
+    try {
+      const response = await fetch(this.config.holidaysUrl);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      (data.holidays || []).forEach(holiday => this.holidays.set(holiday.date, holiday));
+    } catch (e) {
+      console.warn('Could not load public holidays:', e);
+    }
+  }
+
+  getHoliday(dateStr) {
+    return this.holidays.get(dateStr) || null;
+  }
+
+  getOpeningHours(dateStr) {
+    const holiday = this.getHoliday(dateStr);
+    if (holiday) {
+      return holiday.hours ? this.parseTimeRange(holiday.hours) : null;
+    }
+
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    return this.weeklyHours[weekday] || null;
+  }
+
+  getCapacity(model) {
+    const { demoCars } = this.config;
+    return (model && demoCars[model]) || demoCars.default;
+  }
+
+  buildSlots(dateStr) {
+    const hours = this.getOpeningHours(dateStr);
+    if (!hours) return [];
+
+    const slots = [];
+    for (let start = hours.open; start + this.config.slotMinutes <= hours.close; start += this.config.slotMinutes) {
+      slots.push({
+        time: this.formatTime(start),
+        start,
+        end: start + this.config.slotMinutes
+      });
+    }
+    return slots;
+  }
+
+  /**
+   * Resolve the slots for a date and model with remaining demo car capacity.
+   * Returns { date, closed, reason, estimated, slots: [{ time, label, remaining, available, ... }] }.
+   */
+  async getAvailability(dateStr, model = '') {
+    await this.ready;
+
+    const holiday = this.getHoliday(dateStr);
+    const slots = this.buildSlots(dateStr);
+
+    if (!slots.length) {
+      return {
+        date: dateStr,
+        closed: true,
+        reason: holiday ? window.i18n.t('slots.closedHoliday', { holiday: holiday.name }) : window.i18n.t('slots.closedDay'),
+        slots: []
+      };
+    }
+
+    const capacity = this.getCapacity(model);
+    const { booked, estimated } = await this.fetchBookedCounts(dateStr, model);
+    const now = this.nowInShowroom();
+
+    return {
+      date: dateStr,
+      closed: false,
+      reason: holiday ? window.i18n.t('slots.shortenedHours', { holiday: holiday.name }) : '',
+      estimated,
+      slots: slots.map(slot => {
+        const taken = booked[slot.time] || 0;
+        const remaining = Math.max(capacity - taken, 0);
+        const past = dateStr < now.date || (dateStr === now.date && slot.start < now.minutes + this.config.leadMinutes);
+
+        return {
+          ...slot,
+          capacity,
+          booked: taken,
+          remaining,
+          past,
+          available: remaining > 0 && !past
+        };
+      })
+    };
+  }
+
+  async fetchBookedCounts(dateStr, model) {
+    const booked = {};
+    let estimated = false;
+
+    if (model) {
+      try {
+        const params = new URLSearchParams({ date: dateStr, model });
+        const response = await fetch(`${this.config.endpoint}?${params.toString()}`, {
+          headers: { 'Accept': 'application/json' }
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        Object.assign(booked, data.booked || {});
+      } catch (e) {
+        // Offline or no backend: fall back to opening hours alone
+        estimated = true;
+      }
+    }
+
+    // Bookings still waiting in the offline outbox hold their slot too
+    if (window.bookingClient) {
+      try {
+        const pending = await window.bookingClient.queue.all('booking');
+        pending
+          .map(entry => entry.payload)
+          .filter(booking => booking.preferredDate === dateStr && (!model || booking.model === model))
+          .forEach(booking => {
+            booked[booking.preferredTime] = (booked[booking.preferredTime] || 0) + 1;
+          });
+      } catch (e) {
+        // No outbox available
+      }
+    }
+
+    return { booked, estimated };
+  }
+
+  /**
+   * Keep a time <select> in sync with a date input (and optional model select).
+   * Full and past slots are disabled and every open slot shows how many are left.
+   */
+  bindSelect({ dateInput, timeSelect, modelSelect = null, hint = null, rangeLabels = false }) {
+    if (!dateInput || !timeSelect) return null;
+
+    const today = this.nowInShowroom().date;
+    dateInput.min = today;
+    dateInput.max = this.addDays(today, this.config.maxAdvanceDays);
+
+    let renderId = 0;
+    this.bindings.set(timeSelect, { dateInput, modelSelect });
+
+    const t = (key, params) => window.i18n.t(key, params);
+
+    const render = async () => {
+      const id = ++renderId;
+      const date = dateInput.value;
+      const model = modelSelect ? modelSelect.value : '';
+      const previous = timeSelect.value;
+
+      if (!date) {
+        this.renderOptions(timeSelect, [], t('slots.selectDateFirst'));
+        this.setHint(hint, '');
+        return;
+      }
+
+      timeSelect.disabled = true;
+      const availability = await this.getAvailability(date, model);
+      if (id !== renderId) return;
+      timeSelect.disabled = false;
+
+      if (availability.closed) {
+        this.renderOptions(timeSelect, [], availability.reason);
+        this.setHint(hint, t('slots.chooseAnotherDate', { reason: availability.reason }), true);
+      } else {
+        this.renderOptions(timeSelect, availability.slots, t('slots.selectTime'), rangeLabels);
+        const open = availability.slots.filter(slot => slot.available).length;
+        const notes = [availability.reason];
+        if (!model) notes.push(t('slots.selectModel'));
+        else if (availability.estimated) notes.push(t('slots.estimated'));
+        if (!open) notes.push(t('slots.noneLeft'));
+        this.setHint(hint, notes.filter(Boolean).join('. '), !open);
+      }
+
+      const stillAvailable = Array.from(timeSelect.options).some(option => option.value === previous && !option.disabled);
+      timeSelect.value = stillAvailable ? previous : '';
+      timeSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    dateInput.addEventListener('change', render);
+    if (modelSelect) modelSelect.addEventListener('change', render);
+    // Slot labels and hints are script-built, so rebuild them in the new language
+    window.i18n.addEventListener('change', render);
+    render();
+
+    return { refresh: render };
+  }
+
+  /**
+   * Validator for bound time selects (data-validate="slot"): the slot may have
+   * filled up since the options were drawn. Estimated availability passes and
+   * is confirmed by the showroom instead.
+   */
+  async checkSlot(time, timeSelect) {
+    const binding = timeSelect && this.bindings.get(timeSelect);
+    if (!binding || !binding.dateInput.value) return true;
+
+    const model = binding.modelSelect ? binding.modelSelect.value : '';
+    const availability = await this.getAvailability(binding.dateInput.value, model);
+    if (availability.estimated) return true;
+
+    const slot = availability.slots.find(item => item.time === time);
+    return Boolean(slot && slot.available) || 'validation.slotTaken';
+  }
+
+  renderOptions(select, slots, placeholder, rangeLabels = false) {
+    select.innerHTML = '';
+    select.appendChild(new Option(placeholder, ''));
+
+    slots.forEach(slot => {
+      let label = rangeLabels
+        ? `${this.formatLabel(slot.start)} - ${this.formatLabel(slot.end)}`
+        : this.formatLabel(slot.start);
+
+      if (slot.past) {
+        label += ` ${window.i18n.t('slots.unavailable')}`;
+      } else if (!slot.remaining) {
+        label += ` ${window.i18n.t('slots.full')}`;
+      } else {
+        label += ` ${window.i18n.t('slots.remaining', { count: slot.remaining })}`;
+      }
+
+      const option = new Option(label, slot.time);
+      option.disabled = !slot.available;
+      option.dataset.remaining = slot.remaining;
+      select.appendChild(option);
+    });
+  }
+
+  setHint(hint, text, isWarning = false) {
+    if (!hint) return;
+    hint.textContent = text;
+    hint.classList.toggle('warning', isWarning);
+  }
+
+  // Utility functions
+  nowInShowroom() {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.config.timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date()).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+  }
+
+  addDays(dateStr, days) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+  }
+
+  formatTime(minutes) {
+    const h = String(Math.floor(minutes / 60)).padStart(2, '0');
+    const m = String(minutes % 60).padStart(2, '0');
+    return `${h}:${m}`;
+  }
+
+  formatLabel(minutes) {
+    return window.i18n.formatTime(minutes);
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.slotAvailability = new SlotAvailability();
+
+if (window.formValidation) {
+  window.formValidation.register('slot', (value, field) => window.slotAvailability.checkSlot(value, field));
+}
@@ -0,0 +1,479 @@
+/**
+ * MEISTERCO - BOOKING CLIENT
+ * Shared persistence layer for test drive bookings.
+ * Posts bookings to a configurable endpoint, queues them in IndexedDB while
+ * offline and retries with exponential backoff until the server accepts them.
+ * Sent bookings are looked up, rescheduled and cancelled by reference plus
+ * the phone number they were made with; those calls need a connection.
+ *
+ * Contact form messages share the outbox. Where the browser supports
+ * background sync, the service worker (sw.js) also delivers the outbox after
+ * the page is closed and reports back to any page still open.
+ *
+ * Configure before this script loads:
+ *   window.MeisterCoConfig = { booking: { endpoint: 'https://api.example.com/bookings' } };
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION & ERRORS
+// ========================================================================
+
+const BOOKING_DEFAULTS = {
+  endpoint: '/api/bookings',
+  contactEndpoint: '/api/contact',
+  timeout: 10000,
+  maxRetries: 3,
+  retryDelay: 1000,
+  maxRetryDelay: 60000,
+  scheduleRetries: true,        // the service worker leaves retries to background sync
+  syncTag: 'meisterco-outbox'
+};
+
+// What can wait in the outbox, where it is posted and the events reported for
+// it. Contact messages have their own events so booking listeners never see them.
+const OUTBOX_TYPES = {
+  booking: { endpoint: 'endpoint', detail: 'booking', submitted: 'submitted', queued: 'queued', failed: 'failed' },
+  contact: { endpoint: 'contactEndpoint', detail: 'message', submitted: 'messageSent', queued: 'messageQueued', failed: 'messageFailed' }
+};
+
+class BookingError extends Error {
+  constructor(message, { status = 0, code = 'network', details = null } = {}) {
+    super(message);
+    this.name = 'BookingError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  // Network failures, timeouts, throttling and server errors are worth retrying;
+  // validation errors (4xx) will fail the same way every time.
+  get retryable() {
+    return this.code === 'network' || this.code === 'timeout' ||
+      this.status === 429 || this.status >= 500;
+  }
+}
+
+// ========================================================================
+// OFFLINE QUEUE (IndexedDB OUTBOX)
+// ========================================================================
+
+class OfflineQueue {
+  constructor(dbName = 'meisterco', storeName = 'outbox') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in self)) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, 1);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return this.dbPromise;
+  }
+
+  async transaction(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  add(entry) {
+    return this.transaction('readwrite', store => store.put(entry));
+  }
+
+  update(entry) {
+    return this.transaction('readwrite', store => store.put(entry));
+  }
+
+  remove(id) {
+    return this.transaction('readwrite', store => store.delete(id));
+  }
+
+  async all(type) {
+    const entries = await this.transaction('readonly', store => store.getAll());
+    const filtered = type ? entries.filter(entry => entry.type === type) : entries;
+    return filtered.sort((a, b) => a.createdAt - b.createdAt);
+  }
+}
+
+// ========================================================================
+// BOOKING CLIENT
+// ========================================================================
+
+class BookingClient extends EventTarget {
+  constructor(options = {}) {
+    super();
+
+    const globalConfig = (self.MeisterCoConfig && self.MeisterCoConfig.booking) || {};
+    this.config = { ...BOOKING_DEFAULTS, ...globalConfig, ...options };
+    this.queue = options.queue || new OfflineQueue();
+
+    this.flushTimer = null;
+    this.flushAttempt = 0;
+    this.flushPromise = null;
+    this.reported = new Set();
+
+    this.init();
+  }
+
+  init() {
+    if (typeof window === 'undefined') return;
+
+    window.addEventListener('online', () => this.flush());
+
+    // Deliveries the service worker made while this page was open
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (e) => this.onWorkerMessage(e.data));
+    }
+
+    // Send anything left over from a previous offline visit
+    if (navigator.onLine !== false) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Submit a booking. Resolves with `{ queued: false, reference, status }` once the
+   * server has accepted it, or `{ queued: true, clientId }` when it had to be stored
+   * for later delivery. Rejects with a BookingError the server will never accept.
+   */
+  submit(booking) {
+    return this.deliver('booking', booking);
+  }
+
+  /**
+   * Send a contact form message. Resolves with `{ queued: false, message }` once
+   * delivered or `{ queued: true, clientId, message }` when kept for later;
+   * reported through messageSent, messageQueued and messageFailed events.
+   */
+  sendMessage(message) {
+    return this.deliver('contact', message);
+  }
+
+  async deliver(type, entry) {
+    const { detail } = OUTBOX_TYPES[type];
+    const payload = {
+      ...entry,
+      clientId: entry.clientId || this.generateClientId(),
+      submittedAt: new Date().toISOString()
+    };
+
+    if (navigator.onLine === false) {
+      return this.enqueue(type, payload);
+    }
+
+    try {
+      const result = await this.sendWithRetry(type, payload);
+      this.report(type, 'submitted', { [detail]: payload, fromQueue: false, ...result });
+      return { queued: false, [detail]: payload, ...result };
+    } catch (error) {
+      if (error instanceof BookingError && !error.retryable) {
+        this.report(type, 'failed', { [detail]: payload, fromQueue: false, error });
+        throw error;
+      }
+      return this.enqueue(type, payload);
+    }
+  }
+
+  async enqueue(type, payload) {
+    const { detail } = OUTBOX_TYPES[type];
+
+    try {
+      await this.queue.add({
+        id: payload.clientId,
+        type,
+        // The service worker may send it, so keep the endpoint this page was configured with
+        endpoint: this.endpointFor(type),
+        payload,
+        attempts: 0,
+        createdAt: Date.now()
+      });
+    } catch (error) {
+      // Without IndexedDB there is nowhere safe to keep it, so surface it
+      throw new BookingError('We could not reach MeisterCo. right now. Please try again or call us.', {
+        code: 'network',
+        details: error
+      });
+    }
+
+    this.report(type, 'queued', { [detail]: payload });
+    this.scheduleFlush();
+    this.requestBackgroundSync();
+
+    return { queued: true, clientId: payload.clientId, [detail]: payload };
+  }
+
+  async sendWithRetry(type, payload) {
+    let attempt = 0;
+
+    while (true) {
+      try {
+        return await this.send(type, payload);
+      } catch (error) {
+        attempt++;
+        if (!(error instanceof BookingError) || !error.retryable || attempt > this.config.maxRetries) {
+          throw error;
+        }
+        await this.wait(this.backoffDelay(attempt));
+      }
+    }
+  }
+
+  async send(type, payload, endpoint = this.endpointFor(type)) {
+    return this.request('POST', endpoint, payload, {
+      'Idempotency-Key': payload.clientId
+    });
+  }
+
+  async request(method, url, body, headers = {}) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), this.config.timeout) : null;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          'Accept': 'application/json',
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+          ...headers
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller ? controller.signal : undefined
+      });
+    } catch (error) {
+      const timedOut = error && error.name === 'AbortError';
+      throw new BookingError(timedOut ? 'The booking service took too long to respond.' : 'Network request failed.', {
+        code: timedOut ? 'timeout' : 'network',
+        details: error
+      });
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (e) {
+      data = null;
+    }
+
+    if (!response.ok) {
+      throw new BookingError((data && data.message) || `Booking request failed (${response.status}).`, {
+        status: response.status,
+        code: (data && data.code) || (response.status >= 500 ? 'server' : 'rejected'),
+        details: data
+      });
+    }
+
+    return data || {};
+  }
+
+  /**
+   * Deliver the outbox. Entries the server rejects outright are dropped and
+   * reported through a `failed` event; transient failures back off and try again.
+   * Resolves with the number of entries still waiting (null when offline).
+   */
+  flush() {
+    if (navigator.onLine === false) return Promise.resolve(null);
+
+    if (!this.flushPromise) {
+      this.flushPromise = this.flushQueue().finally(() => {
+        this.flushPromise = null;
+      });
+    }
+    return this.flushPromise;
+  }
+
+  async flushQueue() {
+    let pending;
+    try {
+      pending = (await this.queue.all()).filter(entry => OUTBOX_TYPES[entry.type]);
+    } catch (e) {
+      return 0;
+    }
+
+    let remaining = 0;
+    let handled = 0;
+
+    try {
+      for (const entry of pending) {
+        const { detail } = OUTBOX_TYPES[entry.type];
+        try {
+          const result = await this.send(entry.type, entry.payload, entry.endpoint);
+          await this.queue.remove(entry.id);
+          this.report(entry.type, 'submitted', { [detail]: entry.payload, fromQueue: true, ...result });
+        } catch (error) {
+          if (error instanceof BookingError && !error.retryable) {
+            await this.queue.remove(entry.id);
+            this.report(entry.type, 'failed', { [detail]: entry.payload, fromQueue: true, error });
+          } else {
+            remaining++;
+            await this.queue.update({ ...entry, attempts: entry.attempts + 1, lastError: error.message });
+          }
+        }
+        handled++;
+      }
+    } catch (e) {
+      // The outbox itself failed part way; what is left is tried again later
+      console.warn('Could not update the outbox:', e);
+      remaining += pending.length - handled;
+    } finally {
+      if (remaining) {
+        if (this.config.scheduleRetries) this.scheduleFlush();
+      } else {
+        this.flushAttempt = 0;
+        if (pending.length) this.dispatch('flushed', { count: pending.length });
+      }
+    }
+
+    return remaining;
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushAttempt++;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.backoffDelay(this.flushAttempt));
+  }
+
+  pendingCount() {
+    return this.queue.all('booking').then(entries => entries.length).catch(() => 0);
+  }
+
+  /**
+   * Fetch a sent booking. Resolves with `{ reference, status, model, name,
+   * preferredDate, preferredTime, ... }`; an unknown reference or a phone number
+   * that does not match rejects with code 'not_found'.
+   */
+  lookup(reference, phone) {
+    const params = new URLSearchParams({ phone });
+    return this.request('GET', `${this.bookingUrl(reference)}?${params.toString()}`);
+  }
+
+  /**
+   * Move a booking to another slot. The new time has to be confirmed again, so
+   * the booking goes back to pending. Rejects with code 'slot_full' when the
+   * slot has just gone and 'not_changeable' once the booking is cancelled or completed.
+   */
+  async reschedule(reference, phone, { preferredDate, preferredTime }) {
+    const booking = await this.request('PATCH', this.bookingUrl(reference), { phone, preferredDate, preferredTime });
+    this.dispatch('rescheduled', { booking });
+    return booking;
+  }
+
+  async cancel(reference, phone, { reason, details = '' }) {
+    const booking = await this.request('POST', `${this.bookingUrl(reference)}/cancel`, { phone, reason, details });
+    this.dispatch('cancelled', { booking });
+    return booking;
+  }
+
+  // Background sync lets the service worker deliver the outbox after the page closes
+  async requestBackgroundSync() {
+    if (typeof window === 'undefined' || !('serviceWorker' in navigator)) return;
+
+    try {
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (registration && registration.sync) {
+        await registration.sync.register(this.config.syncTag);
+      }
+    } catch (e) {
+      // Not available; the page keeps retrying while it is open
+    }
+  }
+
+  onWorkerMessage(data) {
+    if (!data || data.type !== 'outbox:event' || !OUTBOX_TYPES[data.outboxType]) return;
+
+    const detail = { ...data.detail };
+    if (detail.error) {
+      detail.error = new BookingError(detail.error.message, detail.error);
+    }
+    this.report(data.outboxType, data.event, detail);
+  }
+
+  /**
+   * Dispatch the event for an outbox type. A delivery is reported once even when
+   * this page and the service worker both flushed it.
+   */
+  report(type, event, detail) {
+    const payload = detail[OUTBOX_TYPES[type].detail];
+    const key = `${event}:${payload.clientId}`;
+
+    if (event !== 'queued') {
+      if (this.reported.has(key)) return;
+      this.reported.add(key);
+    }
+
+    this.dispatch(OUTBOX_TYPES[type][event], { type, ...detail });
+  }
+
+  // Utility functions
+  endpointFor(type) {
+    return new URL(this.config[OUTBOX_TYPES[type].endpoint], self.location.href).href;
+  }
+
+  bookingUrl(reference) {
+    return `${this.config.endpoint}/${encodeURIComponent(String(reference).trim().toUpperCase())}`;
+  }
+
+  backoffDelay(attempt) {
+    const base = this.config.retryDelay * Math.pow(2, attempt - 1);
+    const jitter = Math.random() * this.config.retryDelay;
+    return Math.min(base + jitter, this.config.maxRetryDelay);
+  }
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  generateClientId() {
+    if (self.crypto && typeof self.crypto.randomUUID === 'function') {
+      return self.crypto.randomUUID();
+    }
+    return `bk-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  dispatch(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+if (typeof window !== 'undefined') {
+  window.BookingError = BookingError;
+  window.bookingClient = new BookingClient();
+}
@@ -0,0 +1,543 @@
+/**
+ * MEISTERCO - BROCHURE PDF
+ * Builds a personalised brochure for a model page entirely in the browser: the
+ * chosen configuration with an itemised price, the spec tables and gallery
+ * images. The PDF is written by hand (standard Helvetica fonts, JPEG images
+ * re-encoded through a canvas), so it works offline with no PDF service or
+ * library. Images that can't be read — remote ones while offline, or hosts
+ * without CORS — are left out rather than failing the whole brochure. Those
+ * fonts only cover Latin scripts, so the brochure is in the page's language
+ * when they can write it and in English otherwise.
+ *
+ *   window.brochureBuilder.download({ modelId: 'myvi', build: configurator.getSummary(window.brochureBuilder.locale) });
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const BROCHURE_DEFAULTS = {
+  locales: ['en', 'ms'],
+  maxGalleryImages: 6,
+  imageMaxWidth: 1200,
+  imageQuality: 0.82,
+  imageTimeout: 5000,
+  showroom: {
+    name: 'MeisterCo.',
+    address: '123 Jalan Automotive, Taman Industri Perdana, 47100 Puchong, Selangor',
+    phone: '+60 3-8000 1234',
+    email: 'info@meisterco.com.my'
+  },
+  specCategories: ['engine', 'dimensions', 'safety', 'comfort']
+};
+
+const BROCHURE_COLORS = {
+  ink: [20, 20, 20],
+  muted: [110, 110, 110],
+  rule: [220, 220, 220],
+  band: [10, 10, 10],
+  stripe: [245, 247, 248],
+  accent: [0, 160, 128],
+  white: [255, 255, 255]
+};
+
+// Glyph widths (1/1000 em) of the standard Helvetica fonts for ASCII 32-126
+const HELVETICA_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Characters outside Latin-1 that WinAnsiEncoding still has a slot for
+const WIN_ANSI_EXTRAS = {
+  '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '…': 0x85, '€': 0x80
+};
+
+// ========================================================================
+// PDF WRITER
+// ========================================================================
+
+/**
+ * Just enough of PDF 1.4 for a brochure: text in Helvetica, filled
+ * rectangles, rules and JPEG images. Coordinates are in points from the top
+ * left of the page; text y is the baseline.
+ */
+class PdfWriter {
+  constructor({ width = 595.28, height = 841.89, title = '' } = {}) {
+    this.width = width;
+    this.height = height;
+    this.title = title;
+    this.pages = [];
+    this.images = [];
+    this.current = null;
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this.pages.length - 1;
+  }
+
+  setPage(index) {
+    this.current = this.pages[index];
+  }
+
+  text(value, x, y, { size = 10, bold = false, color = BROCHURE_COLORS.ink, align = 'left' } = {}) {
+    const width = this.textWidth(value, size, bold);
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    this.current.push(`BT /${bold ? 'F2' : 'F1'} ${this.num(size)} Tf ${this.fill(color)} ${this.num(left)} ${this.num(this.height - y)} Td (${this.encodeText(value)}) Tj ET`);
+    return width;
+  }
+
+  rect(x, y, width, height, color) {
+    this.current.push(`${this.fill(color)} ${this.num(x)} ${this.num(this.height - y - height)} ${this.num(width)} ${this.num(height)} re f`);
+  }
+
+  line(x1, y1, x2, y2, { color = BROCHURE_COLORS.rule, width = 0.75 } = {}) {
+    const [r, g, b] = color.map(value => this.num(value / 255));
+    this.current.push(`${r} ${g} ${b} RG ${this.num(width)} w ${this.num(x1)} ${this.num(this.height - y1)} m ${this.num(x2)} ${this.num(this.height - y2)} l S`);
+  }
+
+  /**
+   * Register a JPEG ({ bytes, width, height }) and return its handle for image().
+   */
+  addImage(jpeg) {
+    this.images.push(jpeg);
+    return { name: `Im${this.images.length}`, width: jpeg.width, height: jpeg.height };
+  }
+
+  image(handle, x, y, width, height) {
+    this.current.push(`q ${this.num(width)} 0 0 ${this.num(height)} ${this.num(x)} ${this.num(this.height - y - height)} cm /${handle.name} Do Q`);
+  }
+
+  textWidth(value, size = 10, bold = false) {
+    const widths = bold ? HELVETICA_WIDTHS.bold : HELVETICA_WIDTHS.regular;
+    const units = this.toWinAnsi(value).reduce((sum, code) => {
+      return sum + (code >= 32 && code <= 126 ? widths[code - 32] : 556);
+    }, 0);
+    return units * size / 1000;
+  }
+
+  /**
+   * Break text into lines no wider than maxWidth.
+   */
+  wrap(value, maxWidth, size = 10, bold = false) {
+    const lines = [];
+    let line = '';
+
+    String(value).split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && this.textWidth(candidate, size, bold) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  toBlob() {
+    const objects = [];
+    // Object numbers are 1-based positions in this list
+    const add = object => objects.push(object);
+
+    add(null); // 1: catalog, filled in below
+    add(null); // 2: page tree
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const xobjects = this.images.map((image, index) => {
+      const id = add({
+        dict: `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`,
+        stream: image.bytes
+      });
+      return `/Im${index + 1} ${id} 0 R`;
+    });
+    const resources = `<< /Font << /F1 3 0 R /F2 4 0 R >>${xobjects.length ? ` /XObject << ${xobjects.join(' ')} >>` : ''} >>`;
+
+    const pageIds = this.pages.map(operations => {
+      const contents = add({ dict: '', stream: operations.join('\n') });
+      return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.num(this.width)} ${this.num(this.height)}] /Resources ${resources} /Contents ${contents} 0 R >>`);
+    });
+
+    objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = add(`<< /Title (${this.encodeText(this.title)}) /Producer (MeisterCo) /CreationDate (D:${this.pdfDate(new Date())}) >>`);
+
+    const chunks = [];
+    const offsets = [];
+    let offset = 0;
+    const push = part => {
+      const bytes = typeof part === 'string' ? this.ascii(part) : part;
+      chunks.push(bytes);
+      offset += bytes.length;
+    };
+
+    // The binary comment tells transfer tools the file is not plain text
+    push('%PDF-1.4\n');
+    push(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+    objects.forEach((object, index) => {
+      offsets.push(offset);
+      push(`${index + 1} 0 obj\n`);
+      if (typeof object === 'string') {
+        push(object);
+      } else {
+        const stream = typeof object.stream === 'string' ? this.ascii(object.stream) : object.stream;
+        push(`<< ${object.dict} /Length ${stream.length} >>\nstream\n`);
+        push(stream);
+        push('\nendstream');
+      }
+      push('\nendobj\n');
+    });
+
+    const xref = offset;
+    push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(position => push(`${String(position).padStart(10, '0')} 00000 n \n`));
+    push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+  }
+
+  // Utility functions
+  toWinAnsi(value) {
+    return Array.from(String(value), char => {
+      const code = char.codePointAt(0);
+      if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char];
+      return code < 256 && (code < 0x80 || code >= 0xa0) ? code : 0x3f;
+    });
+  }
+
+  // A PDF string body that stays 7-bit so content streams can be measured as ASCII
+  encodeText(value) {
+    return this.toWinAnsi(value).map(code => {
+      if (code === 0x28 || code === 0x29 || code === 0x5c) return `\\${String.fromCharCode(code)}`;
+      if (code < 32 || code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+      return String.fromCharCode(code);
+    }).join('');
+  }
+
+  ascii(value) {
+    const bytes = new Uint8Array(value.length);
+    for (let i = 0; i < value.length; i++) bytes[i] = value.charCodeAt(i) & 0xff;
+    return bytes;
+  }
+
+  fill(color) {
+    return `${color.map(value => this.num(value / 255)).join(' ')} rg`;
+  }
+
+  num(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  pdfDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  }
+}
+
+// ========================================================================
+// BROCHURE BUILDER
+// ========================================================================
+
+class BrochureBuilder {
+  constructor(options = {}) {
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.brochure) || {};
+    this.config = { ...BROCHURE_DEFAULTS, ...globalConfig, ...options };
+
+    this.catalogue = options.catalogue || window.vehicleCatalogue;
+    this.pending = null;
+  }
+
+  // The page's language when the PDF fonts can write it
+  get locale() {
+    const { i18n } = window;
+    return this.config.locales.includes(i18n.locale) ? i18n.locale : i18n.config.defaultLocale;
+  }
+
+  /**
+   * Build the brochure for a model page's current build, the configurator
+   * engine's getSummary(brochureBuilder.locale), and save it.
+   * Repeated clicks while one is being built share the same download.
+   */
+  download({ modelId, build }) {
+    if (this.pending) return this.pending;
+
+    this.pending = (async () => {
+      try {
+        const model = await this.catalogue.getModel(modelId);
+        if (!model) throw new Error(`Unknown model "${modelId}"`);
+
+        const blob = await this.build(model, build);
+        this.save(blob, `MeisterCo-${model.name.replace(/\s+/g, '-')}-Brochure.pdf`);
+
+        // Track analytics
+        window.analytics.track('brochure_download', {
+          model: model.id,
+          variant: build && build.items.length ? build.items[0].options.map(option => option.id).join(' ') : ''
+        });
+        return blob;
+      } catch (error) {
+        console.error('Could not create brochure:', error);
+        alert(window.i18n.t('brochure.failed'));
+        return null;
+      } finally {
+        this.pending = null;
+      }
+    })();
+
+    return this.pending;
+  }
+
+  async build(model, build = null) {
+    const { i18n } = window;
+    const { locale } = this;
+    const t = (key, params) => i18n.t(key, params, locale);
+
+    const margin = 48;
+    const pdf = new PdfWriter({ title: t('brochure.title', { model: model.name }) });
+    const contentWidth = pdf.width - margin * 2;
+    const bottom = pdf.height - 70;
+    const configured = Boolean(build && build.configured);
+
+    const [hero, ...gallery] = await Promise.all([
+      this.loadImage(model.image && model.image.src),
+      ...model.gallery.slice(0, this.config.maxGalleryImages).map(image => this.loadImage(image.src))
+    ]);
+
+    let y = 0;
+    const newPage = () => {
+      pdf.addPage();
+      y = margin;
+    };
+    const ensureSpace = height => {
+      if (y + height > bottom) newPage();
+    };
+    const heading = title => {
+      ensureSpace(48);
+      y += 28;
+      pdf.text(title.toUpperCase(), margin, y, { size: 13, bold: true, color: BROCHURE_COLORS.accent });
+      y += 8;
+      pdf.line(margin, y, margin + contentWidth, y, { color: BROCHURE_COLORS.accent, width: 1 });
+      y += 18;
+    };
+    const row = (label, value, { bold = false, striped = false } = {}) => {
+      const valueLines = pdf.wrap(value, contentWidth * 0.55 - 8, 10, bold);
+      const height = Math.max(1, valueLines.length) * 13 + 6;
+      ensureSpace(height);
+      if (striped) pdf.rect(margin, y - 12, contentWidth, height, BROCHURE_COLORS.stripe);
+      pdf.text(label, margin + 6, y, { size: 10, bold, color: bold ? BROCHURE_COLORS.ink : BROCHURE_COLORS.muted });
+      valueLines.forEach((line, index) => {
+        pdf.text(line, margin + contentWidth - 6, y + index * 13, { size: 10, bold, align: 'right' });
+      });
+      y += height;
+    };
+
+    // Cover
+    newPage();
+    pdf.rect(0, 0, pdf.width, 120, BROCHURE_COLORS.band);
+    pdf.text(this.config.showroom.name.toUpperCase(), margin, 44, { size: 11, bold: true, color: BROCHURE_COLORS.accent });
+    pdf.text(model.name, margin, 86, { size: 28, bold: true, color: BROCHURE_COLORS.white });
+    pdf.text(t(configured ? 'brochure.personalised' : 'brochure.model'), pdf.width - margin, 44, { size: 9, color: BROCHURE_COLORS.white, align: 'right' });
+    pdf.text(new Date().toLocaleDateString(i18n.config.locales[locale].intl, { day: 'numeric', month: 'long', year: 'numeric' }), pdf.width - margin, 58, { size: 9, color: BROCHURE_COLORS.white, align: 'right' });
+    y = 140;
+
+    if (hero) {
+      const box = this.fit(hero, contentWidth, 250);
+      pdf.image(pdf.addImage(hero), margin + (contentWidth - box.width) / 2, y, box.width, box.height);
+      y += box.height + 24;
+    }
+
+    if (model.description) {
+      pdf.wrap(model.description, contentWidth, 11).forEach(line => {
+        ensureSpace(16);
+        pdf.text(line, margin, y, { size: 11 });
+        y += 16;
+      });
+    }
+
+    if (configured) {
+      heading(t('brochure.configuration'));
+      build.items.forEach((item, index) => row(item.label, item.value, { striped: index % 2 === 0 }));
+
+      // The first line is the base price, the rest add to it or, for a price rule, may take off
+      heading(t('brochure.prices'));
+      [...build.lines, ...build.adjustments].forEach((line, index) => {
+        const price = index === 0 ? this.formatPrice(line.amount)
+          : line.amount > 0 ? `+${this.formatPrice(line.amount)}`
+            : line.amount < 0 ? `-${this.formatPrice(-line.amount)}`
+              : t('brochure.included');
+        row(line.label, price, { striped: index % 2 === 0 });
+      });
+      ensureSpace(24);
+      pdf.line(margin, y - 6, margin + contentWidth, y - 6, { color: BROCHURE_COLORS.ink, width: 1 });
+      y += 6;
+      row(t('brochure.total'), this.formatPrice(build.total), { bold: true });
+
+      const finance = window.financeCalculator;
+      const plan = finance && finance.price === build.total ? finance.getPlan() : null;
+      if (plan) row(t('brochure.financing'), finance.describe(plan, locale));
+    } else {
+      heading(t('brochure.variants'));
+      model.variants.forEach((variant, index) => row(variant.name, this.formatPrice(variant.price), { striped: index % 2 === 0 }));
+    }
+
+    if (model.features && model.features.length) {
+      heading(t('brochure.highlights'));
+      model.features.forEach(feature => {
+        ensureSpace(16);
+        pdf.text(`•  ${feature}`, margin + 6, y, { size: 10 });
+        y += 16;
+      });
+    }
+
+    // Specifications follow on, starting a page only when the title would be stranded
+    ensureSpace(140);
+    y += y === margin ? 12 : 44;
+    pdf.text(t('brochure.specifications'), margin, y, { size: 22, bold: true });
+    this.config.specCategories.forEach(category => {
+      const items = model.specs[category] || [];
+      if (!items.length) return;
+      heading(t(`compare.categories.${category}`));
+      items.forEach((item, index) => row(item.label, item.value, { striped: index % 2 === 0 }));
+    });
+
+    // Gallery
+    const images = model.gallery
+      .slice(0, this.config.maxGalleryImages)
+      .map((image, index) => ({ ...image, jpeg: gallery[index] }))
+      .filter(image => image.jpeg);
+
+    if (images.length) {
+      newPage();
+      pdf.text(t('brochure.gallery'), margin, y + 12, { size: 22, bold: true });
+      y += 40;
+
+      const gap = 19;
+      const cellWidth = (contentWidth - gap) / 2;
+      const cellHeight = 150;
+
+      images.forEach((image, index) => {
+        const column = index % 2;
+        if (column === 0) ensureSpace(cellHeight + 50);
+
+        const x = margin + column * (cellWidth + gap);
+        const box = this.fit(image.jpeg, cellWidth, cellHeight);
+        pdf.rect(x, y, cellWidth, cellHeight, BROCHURE_COLORS.stripe);
+        pdf.image(pdf.addImage(image.jpeg), x + (cellWidth - box.width) / 2, y + (cellHeight - box.height) / 2, box.width, box.height);
+        pdf.text(image.title, x, y + cellHeight + 16, { size: 10, bold: true });
+        const caption = pdf.wrap(image.description || '', cellWidth, 8)[0];
+        if (caption) pdf.text(caption, x, y + cellHeight + 29, { size: 8, color: BROCHURE_COLORS.muted });
+
+        if (column === 1 || index === images.length - 1) y += cellHeight + 50;
+      });
+    }
+
+    // Footer on every page, now that the page count is known
+    const { showroom } = this.config;
+    pdf.pages.forEach((_, index) => {
+      pdf.setPage(index);
+      pdf.line(margin, pdf.height - 52, pdf.width - margin, pdf.height - 52);
+      pdf.text(`${showroom.name}  ${showroom.address}`, margin, pdf.height - 38, { size: 8, color: BROCHURE_COLORS.muted });
+      pdf.text(`${showroom.phone}  •  ${showroom.email}`, margin, pdf.height - 27, { size: 8, color: BROCHURE_COLORS.muted });
+      pdf.text(t('brochure.page', { page: index + 1, pages: pdf.pages.length }), pdf.width - margin, pdf.height - 38, { size: 8, color: BROCHURE_COLORS.muted, align: 'right' });
+      pdf.text(t('brochure.disclaimer'), pdf.width - margin, pdf.height - 27, { size: 8, color: BROCHURE_COLORS.muted, align: 'right' });
+    });
+
+    return pdf.toBlob();
+  }
+
+  /**
+   * Load an image and re-encode it as a JPEG the PDF can embed directly.
+   * Resolves null when the image can't be read.
+   */
+  loadImage(src) {
+    if (!src) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+      const image = new Image();
+      const timer = setTimeout(() => resolve(null), this.config.imageTimeout);
+
+      image.crossOrigin = 'anonymous';
+      image.onload = () => {
+        clearTimeout(timer);
+        resolve(this.toJpeg(image));
+      };
+      image.onerror = () => {
+        clearTimeout(timer);
+        resolve(null);
+      };
+      image.src = src;
+    });
+  }
+
+  toJpeg(image) {
+    try {
+      const scale = Math.min(1, this.config.imageMaxWidth / image.naturalWidth);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.naturalWidth * scale);
+      canvas.height = Math.round(image.naturalHeight * scale);
+
+      const context = canvas.getContext('2d');
+      // JPEG has no alpha; flatten transparent PNGs onto white
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      const binary = atob(canvas.toDataURL('image/jpeg', this.config.imageQuality).split(',')[1]);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+
+      return { bytes, width: canvas.width, height: canvas.height };
+    } catch (e) {
+      // A cross-origin image without CORS taints the canvas
+      return null;
+    }
+  }
+
+  fit(image, maxWidth, maxHeight) {
+    const scale = Math.min(maxWidth / image.width, maxHeight / image.height);
+    return { width: image.width * scale, height: image.height * scale };
+  }
+
+  save(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+
+  formatPrice(amount) {
+    return this.catalogue.formatPrice(amount);
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.brochureBuilder = new BrochureBuilder();
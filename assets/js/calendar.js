@@ -0,0 +1,225 @@
+/**
+ * MEISTERCO - CALENDAR INVITES
+ * Builds an RFC 5545 .ics file for a booked test drive: the slot in showroom
+ * time (Asia/Kuala_Lumpur), the showroom address and phone, a link back to
+ * My Bookings and a reminder alarm.
+ *
+ *   window.calendarInvite.download(booking);        // saves MeisterCo-test-drive-<ref>.ics
+ *   const url = await window.calendarInvite.createUrl(booking);   // for <a download>
+ *
+ * A booking needs reference, model, preferredDate (YYYY-MM-DD) and
+ * preferredTime (HH:MM); status and updatedAt are used when present.
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const CALENDAR_DEFAULTS = {
+  timeZone: 'Asia/Kuala_Lumpur',
+  durationMinutes: 60,        // one availability slot
+  alarmMinutes: 120,          // VALARM before the test drive
+  uidDomain: 'meisterco.com.my',
+  manageUrl: 'bookings.html',
+
+  // Mirrors SHOWROOM in script.js (used by getDirections) and the JSON-LD in index.html
+  showroom: {
+    name: 'MeisterCo.',
+    address: '123 Jalan Automotive, Taman Industri Perdana, 47100 Puchong, Selangor',
+    phone: '+60 3-8000 1234',
+    email: 'future@meisterco.com.my'
+  }
+};
+
+// Malaysia has been on UTC+8 since 1982 and keeps no daylight saving time
+const KUALA_LUMPUR_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  'TZID:Asia/Kuala_Lumpur',
+  'BEGIN:STANDARD',
+  'DTSTART:19820101T000000',
+  'TZOFFSETFROM:+0730',
+  'TZOFFSETTO:+0800',
+  'TZNAME:+08',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const ICS_STATUSES = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+// ========================================================================
+// CALENDAR INVITE
+// ========================================================================
+
+class CalendarInvite {
+  constructor(options = {}) {
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.calendar) || {};
+    this.config = { ...CALENDAR_DEFAULTS, ...globalConfig, ...options };
+  }
+
+  /**
+   * The .ics text for a booking, with CRLF line endings and folded lines.
+   */
+  async build(booking) {
+    const { showroom, alarmMinutes } = this.config;
+    const t = (key, params) => window.i18n.t(key, params);
+
+    const modelName = await this.modelName(booking);
+    const manageUrl = this.manageLink(booking.reference);
+    const start = this.localDateTime(booking.preferredDate, booking.preferredTime, 0);
+    const end = this.localDateTime(booking.preferredDate, booking.preferredTime, this.config.durationMinutes);
+
+    const description = [
+      t('calendar.reference', { reference: booking.reference }),
+      t('calendar.bring'),
+      t('calendar.phone', { phone: showroom.phone }),
+      t('calendar.manage', { url: manageUrl })
+    ].join('\n');
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//MeisterCo.//Test Drive Booking//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      ...KUALA_LUMPUR_VTIMEZONE,
+      'BEGIN:VEVENT',
+      `UID:${booking.reference}@${this.config.uidDomain}`,
+      `DTSTAMP:${this.utcDateTime(new Date())}`,
+      `DTSTART;TZID=${this.config.timeZone}:${start}`,
+      `DTEND;TZID=${this.config.timeZone}:${end}`,
+      // Later versions of the same booking (reschedules) replace earlier ones
+      `SEQUENCE:${this.sequence(booking)}`,
+      `SUMMARY:${this.escapeText(t('calendar.summary', { model: modelName, showroom: showroom.name }))}`,
+      `LOCATION:${this.escapeText(`${showroom.name}, ${showroom.address}`)}`,
+      `DESCRIPTION:${this.escapeText(description)}`,
+      `URL:${manageUrl}`,
+      `STATUS:${ICS_STATUSES[booking.status] || ICS_STATUSES.pending}`,
+      `ORGANIZER;CN=${this.escapeParam(showroom.name)}:mailto:${showroom.email}`,
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${this.escapeText(t('calendar.alarm', { model: modelName, time: this.formatTime(booking.preferredTime) }))}`,
+      `TRIGGER:-PT${alarmMinutes}M`,
+      'END:VALARM',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  async createBlob(booking) {
+    return new Blob([await this.build(booking)], { type: 'text/calendar;charset=utf-8' });
+  }
+
+  /**
+   * An object URL for a download link. It is revoked after a minute, which
+   * outlives the notifications it is shown in.
+   */
+  async createUrl(booking) {
+    const url = URL.createObjectURL(await this.createBlob(booking));
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    return url;
+  }
+
+  async download(booking) {
+    const url = URL.createObjectURL(await this.createBlob(booking));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = this.filename(booking);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return link.download;
+  }
+
+  filename(booking) {
+    return `MeisterCo-test-drive-${booking.reference}.ics`;
+  }
+
+  // Utility functions
+  async modelName(booking) {
+    if (booking.modelName) return booking.modelName;
+    const model = window.vehicleCatalogue ? await window.vehicleCatalogue.getModel(booking.model) : null;
+    return model ? model.name : String(booking.model || '').toUpperCase();
+  }
+
+  manageLink(reference) {
+    return new URL(`${this.config.manageUrl}?reference=${encodeURIComponent(reference)}`, window.location.href).href;
+  }
+
+  // YYYYMMDDTHHMMSS in showroom time, offset by whole minutes
+  localDateTime(dateStr, timeStr, addMinutes) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hours, minutes] = timeStr.split(':').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day, hours, minutes + addMinutes));
+    return date.toISOString().replace(/[-:]/g, '').slice(0, 15);
+  }
+
+  utcDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  sequence(booking) {
+    if (!booking.updatedAt || booking.updatedAt === booking.createdAt) return 0;
+    return Math.floor(Date.parse(booking.updatedAt) / 1000) || 0;
+  }
+
+  formatTime(timeStr) {
+    const [hours, minutes] = timeStr.split(':').map(Number);
+    return window.i18n.formatTime(hours * 60 + minutes);
+  }
+
+  // RFC 5545 3.3.11: backslash, semicolon, comma and newline are escaped in TEXT
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  escapeParam(value) {
+    return /[:;,]/.test(value) ? `"${String(value).replace(/"/g, '')}"` : value;
+  }
+
+  // RFC 5545 3.1: lines longer than 75 octets continue on lines starting with a space
+  foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const size = this.utf8Length(char.codePointAt(0));
+      const limit = parts.length ? 74 : 75;
+      if (octets + size > limit) {
+        parts.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  utf8Length(codePoint) {
+    if (codePoint < 0x80) return 1;
+    if (codePoint < 0x800) return 2;
+    return codePoint < 0x10000 ? 3 : 4;
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.calendarInvite = new CalendarInvite();
@@ -0,0 +1,255 @@
+/**
+ * MEISTERCO - VEHICLE CATALOGUE
+ * Loads the shared model catalogue (assets/data/models.json) and renders the
+ * markup every page used to copy by hand: model dropdowns, spec tabs,
+ * configurator options and gallery tiles. A price change happens in the JSON
+ * only; "From" prices are derived from each model's cheapest variant.
+ *
+ *   const myvi = await window.vehicleCatalogue.getModel('myvi');
+ *   const suvs = await window.vehicleCatalogue.listModels({ category: 'suv' });
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const CATALOGUE_DEFAULTS = {
+  url: 'assets/data/models.json',
+  // Used by every model without a "configurator" of its own in the JSON. A
+  // step without a label or summary takes them from configurator.steps.<id>
+  // in the locale files.
+  configurator: {
+    steps: [
+      { id: 'variant', options: 'variants', required: true },
+      { id: 'color', options: 'colors', display: 'swatch', required: true },
+      { id: 'interior', options: 'interiors', required: true },
+      { id: 'accessories', options: 'accessories', multiple: true }
+    ],
+    rules: []
+  }
+};
+
+// ========================================================================
+// VEHICLE CATALOGUE
+// ========================================================================
+
+class VehicleCatalogue {
+  constructor(options = {}) {
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.catalogue) || {};
+    this.config = { ...CATALOGUE_DEFAULTS, ...globalConfig, ...options };
+
+    this.models = new Map();
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      // Pictures rendered from the catalogue need the responsive image manifest (images.js)
+      const [response] = await Promise.all([
+        fetch(this.config.url),
+        window.responsiveImages && window.responsiveImages.ready
+      ]);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      (data.models || []).forEach(model => this.models.set(model.id, this.normalizeModel(model)));
+    } catch (e) {
+      console.warn('Could not load vehicle catalogue:', e);
+    }
+    return this;
+  }
+
+  normalizeModel(model) {
+    const variants = model.variants || [];
+    const prices = variants.map(variant => variant.price);
+
+    return {
+      colors: [],
+      interiors: [],
+      accessories: [],
+      hotspots: [],
+      specs: {},
+      gallery: [],
+      ...model,
+      variants,
+      priceFrom: prices.length ? Math.min(...prices) : null,
+      configurator: this.normalizeConfigurator(model)
+    };
+  }
+
+  /**
+   * Resolve a model's configurator definition (see
+   * assets/js/components/configurator-engine.js) against its option lists: a
+   * step names the list it offers, "options": "colors", and each option is
+   * given an id, its code or else its name, for dependencies and price rules
+   * to refer to. Models without a definition of their own use the default
+   * steps.
+   */
+  normalizeConfigurator(model) {
+    const definition = { ...this.config.configurator, ...model.configurator };
+    const steps = (definition.steps || []).map(step => {
+      const options = Array.isArray(step.options) ? step.options : model[step.options] || [];
+      return { ...step, options: options.map(option => ({ id: option.code || option.name, ...option })) };
+    });
+
+    return { steps, rules: definition.rules || [] };
+  }
+
+  /**
+   * Resolve a single model by id, or null when it is not in the catalogue.
+   */
+  async getModel(id) {
+    await this.ready;
+    return this.models.get(id) || null;
+  }
+
+  /**
+   * List models in catalogue order, optionally limited to one category
+   * ('suv', 'sedan', 'hatchback'; 'all' returns everything).
+   */
+  async listModels({ category = null } = {}) {
+    await this.ready;
+    const models = Array.from(this.models.values());
+    return category && category !== 'all'
+      ? models.filter(model => model.category === category)
+      : models;
+  }
+
+  getSpec(model, label) {
+    for (const items of Object.values(model.specs)) {
+      const match = items.find(item => item.label === label);
+      if (match) return match.value;
+    }
+    return '';
+  }
+
+  formatPrice(amount) {
+    return window.i18n.formatCurrency(amount);
+  }
+
+  // ========================================================================
+  // RENDERING
+  // ========================================================================
+
+  /**
+   * Fill a <select> with one option per model. Keeps the current (or given)
+   * selection when it is still in the list.
+   */
+  async renderModelOptions(select, { selected = select ? select.value : '', placeholder = 'Select a car model', label = model => model.name, category = null } = {}) {
+    if (!select) return;
+
+    const models = await this.listModels({ category });
+    select.innerHTML = '';
+    select.appendChild(new Option(placeholder, ''));
+    models.forEach(model => select.appendChild(new Option(label(model), model.id)));
+
+    if (models.some(model => model.id === selected)) {
+      select.value = selected;
+    }
+  }
+
+  renderSpecs(container, model, category = 'engine') {
+    if (!container) return;
+
+    const items = (model.specs[category] || []).map(item => `
+      <div class="spec-item"><span class="spec-label">${this.escapeHTML(item.label)}</span><span class="spec-value">${this.escapeHTML(item.value)}</span></div>
+    `).join('');
+
+    container.innerHTML = `<div class="specs-grid">${items}</div>`;
+  }
+
+  /**
+   * Render a model page's configurator from its definition: the step dots,
+   * one group of options per step and a summary row per step. Each option
+   * carries its step and id in data-option and data-value for the
+   * configurator component (assets/js/components/configurator.js).
+   */
+  renderConfigurator(root, model) {
+    if (!root) return;
+
+    const { steps } = model.configurator;
+    const t = (key, params) => this.escapeHTML(window.i18n.t(`configurator.${key}`, params));
+    const text = (step, field) => step[field] || window.i18n.t(`configurator.steps.${step.id}.${field}`);
+    const fill = (selector, html) => {
+      const container = root.querySelector(selector);
+      if (container) container.innerHTML = html;
+    };
+
+    fill('.step-indicator', steps.map((step, index) => `
+      <div class="step-dot" data-configurator-action="go-to-step" data-step="${index}" title="${this.escapeHTML(text(step, 'label'))}"></div>
+    `).join(''));
+
+    fill('.configurator-steps', steps.map((step, index) => {
+      const swatches = step.display === 'swatch';
+      const options = step.options.map(option => (swatches ? `
+        <div class="color-option color-${this.escapeHTML(option.code || option.id)}" data-option="${this.escapeHTML(step.id)}" data-value="${this.escapeHTML(option.id)}" title="${this.escapeHTML(option.name)}"></div>
+      ` : `
+        <div class="custom-option" data-option="${this.escapeHTML(step.id)}" data-value="${this.escapeHTML(option.id)}">
+          <div>${this.escapeHTML(option.name)}</div>
+          ${this.renderOptionPrice(option, index)}
+        </div>
+      `)).join('');
+
+      // Choosing one option completes a required single choice step; the others are confirmed
+      const last = index === steps.length - 1;
+      const button = step.multiple || !step.required ? `
+        <button type="button" class="control-button step-continue" data-configurator-action="complete-step" data-step="${index}">${t(last ? 'continueToSummary' : 'continue')}</button>
+      ` : '';
+
+      return `
+        <div class="custom-group" id="step-${index}">
+          <label class="custom-label">${t(step.required ? 'step' : 'stepOptional', { number: index + 1, label: text(step, 'label') })}</label>
+          <div class="${swatches ? 'color-options' : 'custom-options'}">${options}</div>
+          ${button}
+        </div>
+      `;
+    }).join(''));
+
+    fill('.config-items', steps.map(step => `
+      <div class="config-item">
+        <span>${this.escapeHTML(text(step, 'summary'))}:</span>
+        <span data-summary="${this.escapeHTML(step.id)}">${t(step.multiple ? 'none' : 'notSelected')}</span>
+      </div>
+    `).join(''));
+  }
+
+  // The first step sets the base price; later ones add to it
+  renderOptionPrice(option, stepIndex) {
+    if (typeof option.price !== 'number') return '';
+    if (stepIndex === 0) return `<small>${this.formatPrice(option.price)}</small>`;
+    return `<small>${option.price ? `+${this.formatPrice(option.price)}` : this.escapeHTML(window.i18n.t('configurator.included'))}</small>`;
+  }
+
+  renderGallery(grid, model) {
+    if (!grid) return;
+
+    grid.innerHTML = model.gallery.map((image, index) => `
+      <div class="gallery-item fade-in" data-title="${this.escapeHTML(image.title)}" data-gallery-index="${index}">
+        ${this.renderPicture(image.src, { alt: image.title, sizes: '(max-width: 768px) 100vw, 33vw', cover: true })}
+      </div>
+    `).join('');
+  }
+
+  // A <picture> through images.js where the page loads it, a lazy <img> otherwise
+  renderPicture(src, options) {
+    if (window.responsiveImages) return window.responsiveImages.picture(src, options);
+    return `<img src="${this.escapeHTML(src)}" alt="${this.escapeHTML(options.alt)}" loading="lazy">`;
+  }
+
+  // Utility functions
+  escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.vehicleCatalogue = new VehicleCatalogue();
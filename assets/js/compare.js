@@ -0,0 +1,355 @@
+/**
+ * MEISTERCO - MODEL COMPARISON
+ * Compare drawer for the model cards in #modelsGrid. Holds up to three models,
+ * lays their specs side by side from the vehicle catalogue and highlights the
+ * rows that differ. The selection is kept in the URL (?compare=axia,bezza) so
+ * a comparison can be shared.
+ *
+ * Needs catalogue.js and i18n.js.
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const COMPARE_DEFAULTS = {
+  maxModels: 3,
+  param: 'compare',
+  // Headings come from compare.categories.<id> unless a label is given
+  categories: [
+    { id: 'engine' },
+    { id: 'dimensions' },
+    { id: 'safety' },
+    { id: 'comfort' }
+  ]
+};
+
+// ========================================================================
+// MODEL COMPARE DRAWER
+// ========================================================================
+
+class ModelCompare {
+  constructor(options = {}) {
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.compare) || {};
+    this.config = { ...COMPARE_DEFAULTS, ...globalConfig, ...options };
+
+    this.catalogue = options.catalogue || window.vehicleCatalogue;
+    this.selection = [];
+    this.isOpen = false;
+    this.elements = {};
+
+    this.init();
+  }
+
+  init() {
+    this.createDrawer();
+    this.bindEvents();
+    this.restoreFromUrl();
+  }
+
+  createDrawer() {
+    const drawer = document.createElement('aside');
+    drawer.className = 'compare-drawer';
+    drawer.id = 'compareDrawer';
+    drawer.dataset.i18nAttr = 'aria-label:compare.drawer';
+    drawer.hidden = true;
+    drawer.innerHTML = `
+      <div class="compare-bar">
+        <ul class="compare-chips" data-i18n-attr="aria-label:compare.selected"></ul>
+        <p class="compare-status" aria-live="polite"></p>
+        <div class="compare-bar-actions">
+          <button type="button" class="compare-clear" data-i18n="compare.clear">Clear</button>
+          <button type="button" class="compare-open btn-primary" aria-expanded="false" aria-controls="comparePanel">Compare</button>
+        </div>
+      </div>
+      <div class="compare-panel" id="comparePanel" hidden>
+        <div class="compare-panel-header">
+          <h2 class="compare-title" tabindex="-1" data-i18n="compare.title">Compare Models</h2>
+          <label class="compare-diff-toggle">
+            <input type="checkbox" class="compare-diff-only">
+            <span data-i18n="compare.differencesOnly">Show differences only</span>
+          </label>
+          <button type="button" class="compare-share" data-i18n="compare.copyLink">Copy link</button>
+          <button type="button" class="compare-close" data-i18n-attr="aria-label:compare.close">×</button>
+        </div>
+        <p class="compare-legend" data-i18n="compare.legend">Highlighted rows differ between the selected models.</p>
+        <div class="compare-table-wrapper"></div>
+      </div>
+    `;
+
+    document.body.appendChild(drawer);
+    window.i18n.apply(drawer);
+
+    this.elements = {
+      drawer,
+      chips: drawer.querySelector('.compare-chips'),
+      status: drawer.querySelector('.compare-status'),
+      openButton: drawer.querySelector('.compare-open'),
+      clearButton: drawer.querySelector('.compare-clear'),
+      panel: drawer.querySelector('.compare-panel'),
+      title: drawer.querySelector('.compare-title'),
+      diffOnly: drawer.querySelector('.compare-diff-only'),
+      shareButton: drawer.querySelector('.compare-share'),
+      closeButton: drawer.querySelector('.compare-close'),
+      tableWrapper: drawer.querySelector('.compare-table-wrapper')
+    };
+  }
+
+  bindEvents() {
+    // Card buttons are re-rendered with the catalogue, so delegate from the document
+    document.addEventListener('click', (e) => {
+      const toggle = e.target.closest('[data-compare]');
+      if (toggle) {
+        e.preventDefault();
+        this.toggle(toggle.dataset.compare);
+        return;
+      }
+
+      const remove = e.target.closest('[data-compare-remove]');
+      if (remove) {
+        this.remove(remove.dataset.compareRemove);
+      }
+    });
+
+    this.elements.openButton.addEventListener('click', () => {
+      this.isOpen ? this.close() : this.open();
+    });
+    this.elements.clearButton.addEventListener('click', () => this.clear());
+    this.elements.closeButton.addEventListener('click', () => this.close());
+    this.elements.shareButton.addEventListener('click', () => this.copyLink());
+    this.elements.diffOnly.addEventListener('change', (e) => {
+      this.elements.tableWrapper.classList.toggle('differences-only', e.target.checked);
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) {
+        this.close();
+        this.elements.openButton.focus();
+      }
+    });
+
+    // Chips, the table and the card buttons are script-built, so rebuild them in the new language
+    window.i18n.addEventListener('change', () => this.render());
+  }
+
+  async restoreFromUrl() {
+    const value = new URLSearchParams(window.location.search).get(this.config.param);
+    if (!value) return;
+
+    const models = await this.catalogue.listModels();
+    const known = new Set(models.map(model => model.id));
+
+    this.selection = Array.from(new Set(value.split(',')))
+      .filter(id => known.has(id))
+      .slice(0, this.config.maxModels);
+
+    // Drop unknown ids from the address bar
+    this.updateUrl();
+    await this.render();
+    if (this.selection.length) this.open();
+  }
+
+  has(modelId) {
+    return this.selection.includes(modelId);
+  }
+
+  async add(modelId) {
+    if (this.has(modelId)) return true;
+
+    if (this.selection.length >= this.config.maxModels) {
+      this.setStatus('compare.limit', { max: this.config.maxModels });
+      return false;
+    }
+
+    const model = await this.catalogue.getModel(modelId);
+    if (!model) return false;
+
+    this.selection.push(modelId);
+    this.setStatus('compare.added', { name: model.name });
+    await this.update();
+    return true;
+  }
+
+  async remove(modelId) {
+    this.selection = this.selection.filter(id => id !== modelId);
+    this.setStatus(null);
+    if (!this.selection.length) this.close();
+    await this.update();
+  }
+
+  toggle(modelId) {
+    return this.has(modelId) ? this.remove(modelId) : this.add(modelId);
+  }
+
+  async clear() {
+    this.selection = [];
+    this.setStatus(null);
+    this.close();
+    await this.update();
+  }
+
+  async update() {
+    this.updateUrl();
+    await this.render();
+  }
+
+  updateUrl() {
+    const url = new URL(window.location.href);
+    if (this.selection.length) {
+      url.searchParams.set(this.config.param, this.selection.join(','));
+    } else {
+      url.searchParams.delete(this.config.param);
+    }
+    // Keep the commas readable in shared links
+    url.search = url.searchParams.toString().replace(/%2C/g, ',');
+    history.replaceState(history.state, '', url.toString());
+  }
+
+  async render() {
+    const models = (await Promise.all(this.selection.map(id => this.catalogue.getModel(id)))).filter(Boolean);
+    const { drawer, chips, openButton, tableWrapper } = this.elements;
+
+    drawer.hidden = models.length === 0;
+    this.syncButtons();
+
+    chips.innerHTML = models.map(model => `
+      <li class="compare-chip">
+        ${this.escape(model.name)}
+        <button type="button" data-compare-remove="${this.escape(model.id)}" aria-label="${this.escape(window.i18n.t('compare.remove', { name: model.name }))}">×</button>
+      </li>
+    `).join('');
+
+    openButton.textContent = this.isOpen ? window.i18n.t('compare.hide') : window.i18n.t('compare.openCount', { count: models.length });
+    tableWrapper.innerHTML = models.length ? this.buildTable(models) : '';
+  }
+
+  buildTable(models) {
+    const catalogue = this.catalogue;
+    const columns = models.length;
+    const t = (key, params) => this.escape(window.i18n.t(key, params));
+
+    const header = models.map(model => `
+      <th scope="col">
+        <img src="${this.escape(model.image.src)}" alt="" loading="lazy">
+        <a href="${this.escape(model.page)}">${this.escape(model.name)}</a>
+        <small>${t('compare.from', { price: catalogue.formatPrice(model.priceFrom) })}</small>
+      </th>
+    `).join('');
+
+    const sections = this.config.categories.map(category => {
+      // Union of labels in first-seen order so a spec only one model lists still shows
+      const labels = [];
+      models.forEach(model => {
+        (model.specs[category.id] || []).forEach(item => {
+          if (!labels.includes(item.label)) labels.push(item.label);
+        });
+      });
+      if (!labels.length) return '';
+
+      const rows = labels.map(label => {
+        const values = models.map(model => {
+          const item = (model.specs[category.id] || []).find(spec => spec.label === label);
+          return item ? item.value : '';
+        });
+        const isDifferent = columns > 1 && new Set(values.map(value => value.trim().toLowerCase())).size > 1;
+
+        return `
+          <tr class="${isDifferent ? 'is-different' : ''}">
+            <th scope="row">${this.escape(label)}</th>
+            ${values.map(value => `<td>${value ? this.escape(value) : '—'}</td>`).join('')}
+          </tr>
+        `;
+      }).join('');
+
+      return `
+        <tbody>
+          <tr class="compare-category"><th scope="colgroup" colspan="${columns + 1}">${category.label ? this.escape(category.label) : t(`compare.categories.${category.id}`)}</th></tr>
+          ${rows}
+        </tbody>
+      `;
+    }).join('');
+
+    return `
+      <table class="compare-table">
+        <thead>
+          <tr><th scope="col"><span class="sr-only">${t('compare.specification')}</span></th>${header}</tr>
+        </thead>
+        ${sections}
+      </table>
+    `;
+  }
+
+  syncButtons() {
+    document.querySelectorAll('[data-compare]').forEach(button => {
+      const active = this.has(button.dataset.compare);
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+      button.textContent = window.i18n.t(active ? 'compare.comparing' : 'compare.add');
+    });
+  }
+
+  open() {
+    if (!this.selection.length) return;
+
+    this.isOpen = true;
+    this.elements.panel.hidden = false;
+    this.elements.drawer.classList.add('open');
+    this.elements.openButton.setAttribute('aria-expanded', 'true');
+    this.elements.openButton.textContent = window.i18n.t('compare.hide');
+    this.elements.title.focus();
+
+    // Track analytics
+    window.analytics.track('model_compare', { models: this.selection.join(',') });
+  }
+
+  close() {
+    this.isOpen = false;
+    this.elements.panel.hidden = true;
+    this.elements.drawer.classList.remove('open');
+    this.elements.openButton.setAttribute('aria-expanded', 'false');
+    this.elements.openButton.textContent = window.i18n.t('compare.openCount', { count: this.selection.length });
+  }
+
+  // Pages without model cards (the router calls this on leaving home); render() shows it again
+  hide() {
+    this.close();
+    this.elements.drawer.hidden = true;
+  }
+
+  async copyLink() {
+    const link = window.location.href;
+    try {
+      await navigator.clipboard.writeText(link);
+      this.setStatus('compare.linkCopied');
+    } catch (e) {
+      // Clipboard access can be blocked; show the link so it can be copied by hand
+      window.prompt(window.i18n.t('compare.copyPrompt'), link);
+    }
+  }
+
+  // Messages are kept as keys so they follow a language switch; null clears
+  setStatus(key, params = null) {
+    const { status } = this.elements;
+    if (key) {
+      window.i18n.translate(status, key, params);
+    } else {
+      delete status.dataset.i18n;
+      delete status.dataset.i18nParams;
+      status.textContent = '';
+    }
+  }
+
+  escape(value) {
+    return this.catalogue.escapeHTML(value);
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  window.modelCompare = new ModelCompare();
+});
@@ -0,0 +1,340 @@
+/**
+ * MEISTERCO - BOOKING FORM
+ * The test drive form on book.html. A link from a model page's configurator
+ * (book.html?model=myvi&variant=...&color=...&price=... plus any hire
+ * purchase plan) pre-selects the model and shows the build above the form;
+ * otherwise the model chosen in Preferences is pre-selected. Times come from
+ * the slot availability, the rules from the fields (see validation.js), and
+ * the booking goes out through the booking client, which keeps it in the
+ * outbox while offline. A confirmed booking can be added to a calendar or
+ * given reminders.
+ *
+ *   <section class="main-content" data-component="booking-form">
+ *     <div id="successMessage">...</div> <div id="failureMessage">...</div>
+ *     <div id="configSummary"><div id="configDetails"></div></div>
+ *     <form id="bookingForm">...</form>
+ *   </section>
+ */
+
+export default class BookingForm {
+  constructor(element) {
+    this.element = element;
+    this.params = new URLSearchParams(window.location.search);
+    // Hire purchase estimate from the model page calculator, if one was set
+    this.financePlan = window.financeCalculator.fromParams(this.params);
+    // The booking the calendar and reminder buttons act on
+    this.confirmedBooking = null;
+
+    const $ = id => element.querySelector(`#${id}`);
+    this.elements = {
+      form: $('bookingForm'),
+      carModel: $('carModel'),
+      date: $('preferredDate'),
+      submit: $('submitBtn'),
+      submitText: element.querySelector('.btn-text'),
+      success: $('successMessage'),
+      successTitle: $('successTitle'),
+      successText: $('successText'),
+      reference: $('bookingReference'),
+      manage: $('manageBooking'),
+      followUp: $('bookingFollowUp'),
+      addToCalendar: $('addToCalendar'),
+      remindMe: $('remindMe'),
+      reminderStatus: $('reminderStatus'),
+      failure: $('failureMessage'),
+      failureText: $('failureText'),
+      configSummary: $('configSummary'),
+      configDetails: $('configDetails')
+    };
+
+    // Option labels are built here, so rebuild them when the language changes
+    this.onLocaleChange = () => this.renderCarModels();
+    window.i18n.addEventListener('change', this.onLocaleChange);
+    this.modelOptionsReady = this.renderCarModels();
+
+    // Build time slots from opening hours, holidays and live bookings
+    window.slotAvailability.bindSelect({
+      dateInput: this.elements.date,
+      timeSelect: $('preferredTime'),
+      modelSelect: this.elements.carModel,
+      hint: $('preferredTimeHint'),
+      rangeLabels: true
+    });
+
+    // Opening the form is the booking step of the test drive funnel
+    window.analytics.track('test_drive_booking_start', {
+      model_name: this.params.get('model') || 'unknown',
+      source: this.params.get('source') || 'book-page'
+    });
+
+    if (this.params.get('model')) {
+      this.prefill();
+    } else if (window.userPreferences.get('preferredModel')) {
+      this.selectModel(window.userPreferences.get('preferredModel'), { keepChoice: true });
+    }
+
+    // Rules are declared on the fields (data-validate); see assets/js/validation.js
+    this.validator = window.formValidation.attach(this.elements.form, {
+      submitButton: this.elements.submit,
+      onSubmit: () => this.submit()
+    });
+
+    this.elements.addToCalendar.addEventListener('click', () => this.addToCalendar());
+    this.elements.remindMe.addEventListener('click', () => this.scheduleReminders());
+
+    // Bookings saved while offline are delivered in the background
+    this.onSubmitted = (e) => {
+      if (e.detail.fromQueue) {
+        this.showStatus('book.sentTitle', 'book.sentText', { ...e.detail.booking, reference: e.detail.reference, status: e.detail.status });
+      }
+    };
+    this.onFailed = (e) => {
+      if (e.detail.fromQueue) {
+        window.i18n.translate(this.elements.failureText, 'book.failedFromQueue', { message: e.detail.error.message });
+        this.elements.failure.classList.add('show');
+      }
+    };
+    window.bookingClient.addEventListener('submitted', this.onSubmitted);
+    window.bookingClient.addEventListener('failed', this.onFailed);
+  }
+
+  // ========================================================================
+  // PRE-FILLING
+  // ========================================================================
+
+  // Model names and "From" prices come from the shared catalogue
+  renderCarModels() {
+    const t = (key, params) => window.i18n.t(key, params);
+
+    return window.vehicleCatalogue.renderModelOptions(this.elements.carModel, {
+      placeholder: t('book.carModelPlaceholder'),
+      label: model => t('book.modelOption', {
+        name: model.name.toUpperCase(),
+        price: window.vehicleCatalogue.formatPrice(model.priceFrom)
+      })
+    });
+  }
+
+  // Once the catalogue has filled the dropdown; resolves to the option, or null
+  selectModel(model, { keepChoice = false } = {}) {
+    const select = this.elements.carModel;
+
+    return this.modelOptionsReady.then(() => {
+      const option = Array.from(select.options).find(opt => opt.value && opt.value === model);
+      if (!option || (keepChoice && select.value)) return null;
+
+      select.value = model;
+      select.dispatchEvent(new Event('change'));
+      return option;
+    });
+  }
+
+  prefill() {
+    const { variant, color, price } = this.getConfiguration();
+
+    this.selectModel(this.params.get('model')).then(option => {
+      // The link's variant and price replace the catalogue's label when it has them
+      if (!option || (!variant && !price)) return;
+
+      const [name, fromPrice] = option.textContent.split(' - ');
+      option.textContent = `${variant || name} - ${price || fromPrice}`;
+    });
+
+    // Update hero subtitle with configuration info
+    const heroSubtitle = document.querySelector('.hero-subtitle');
+    if (heroSubtitle && variant && color) {
+      window.i18n.translate(heroSubtitle, 'book.heroVariantColor', { variant, color });
+    } else if (heroSubtitle && variant) {
+      window.i18n.translate(heroSubtitle, 'book.heroVariant', { variant });
+    }
+
+    this.renderConfiguration();
+  }
+
+  // What the model page's configurator passed on; blanks and "RM 0" count as not given
+  getConfiguration() {
+    const value = name => (this.params.get(name) || '').trim();
+    const price = value('price');
+
+    return {
+      variant: value('variant'),
+      color: value('color'),
+      price: price === 'RM 0' ? '' : price
+    };
+  }
+
+  // The build above the form; the values come from the link, so they are escaped
+  renderConfiguration() {
+    const { variant, color, price } = this.getConfiguration();
+    const escape = value => window.vehicleCatalogue.escapeHTML(value);
+    const item = (key, value) => `<div class="config-item"><strong data-i18n="book.summary.${key}">${escape(window.i18n.t(`book.summary.${key}`))}</strong>${escape(value)}</div>`;
+
+    const items = [
+      variant && item('model', variant),
+      color && item('color', color),
+      price && item('price', price),
+      this.financePlan && item('financing', window.financeCalculator.describe(this.financePlan))
+    ].filter(Boolean);
+
+    if (!items.length) return;
+    this.elements.configDetails.innerHTML = items.join('');
+    this.elements.configSummary.classList.add('show');
+  }
+
+  // ========================================================================
+  // SUBMISSION
+  // ========================================================================
+
+  async submit() {
+    const { form, submit, submitText, success, failure, date } = this.elements;
+    const formData = Object.fromEntries(new FormData(form).entries());
+
+    // Show loading state
+    submit.classList.add('loading');
+    window.i18n.translate(submitText, 'book.processing');
+    submit.disabled = true;
+    success.classList.remove('show', 'queued');
+    failure.classList.remove('show');
+
+    const booking = {
+      model: formData.carModel,
+      name: formData.fullName,
+      idNumber: formData.idNumber,
+      email: formData.email,
+      phone: formData.phoneNumber,
+      preferredDate: formData.preferredDate,
+      preferredTime: formData.preferredTime,
+      configuration: {
+        variant: this.params.get('variant') || '',
+        color: this.params.get('color') || '',
+        price: this.params.get('price') || ''
+      },
+      finance: this.financePlan,
+      contactMethod: window.userPreferences.get('contactMethod'),
+      source: this.params.get('source') || 'book-page',
+      consent: window.consentManager.snapshot()
+    };
+
+    try {
+      const result = await window.bookingClient.submit(booking);
+
+      if (result.queued) {
+        this.showStatus('book.savedTitle', 'book.savedText', null, true);
+      } else {
+        this.showStatus('book.confirmedTitle', 'book.confirmedText', { ...booking, reference: result.reference, status: result.status });
+      }
+
+      window.analytics.track('test_drive_booking_complete', {
+        model_name: booking.model,
+        source: booking.source,
+        queued: Boolean(result.queued)
+      });
+
+      // Reset form
+      form.reset();
+      date.dispatchEvent(new Event('change'));
+    } catch (error) {
+      console.error('Booking submission failed:', error);
+      this.showFailure(error.message);
+
+      // Someone else took the slot; refresh what is still available
+      if (error.code === 'slot_full') {
+        date.dispatchEvent(new Event('change'));
+      }
+    } finally {
+      // Hide loading state
+      submit.classList.remove('loading');
+      window.i18n.translate(submitText, 'book.submit');
+      this.validator.updateSubmitButton();
+
+      // Scroll to top
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+  }
+
+  showStatus(titleKey, textKey, booking, queued = false) {
+    const { successTitle, successText, reference, manage, success } = this.elements;
+    const bookingReference = booking ? booking.reference : '';
+
+    window.i18n.translate(successTitle, titleKey);
+    window.i18n.translate(successText, textKey);
+    if (bookingReference) {
+      window.i18n.translate(reference, 'book.reference', { reference: bookingReference });
+      manage.href = `bookings.html?reference=${encodeURIComponent(bookingReference)}`;
+    } else {
+      this.clearText(reference);
+    }
+    manage.hidden = !bookingReference;
+    this.showFollowUp(bookingReference ? booking : null);
+    success.classList.toggle('queued', queued);
+    success.classList.add('show');
+  }
+
+  // Server messages are shown as sent; only our own fallback is translated
+  showFailure(message) {
+    const { failureText, failure } = this.elements;
+    if (message) {
+      delete failureText.dataset.i18n;
+      failureText.textContent = message;
+    } else {
+      window.i18n.translate(failureText, 'book.failureText');
+    }
+    failure.classList.add('show');
+  }
+
+  // ========================================================================
+  // CALENDAR AND REMINDERS
+  // ========================================================================
+
+  showFollowUp(booking) {
+    const { followUp, remindMe, reminderStatus } = this.elements;
+
+    this.confirmedBooking = booking;
+    followUp.hidden = !booking;
+    remindMe.hidden = !window.bookingReminders.isSupported();
+    remindMe.disabled = false;
+    this.clearText(reminderStatus);
+  }
+
+  addToCalendar() {
+    const booking = this.confirmedBooking;
+    if (!booking) return;
+
+    window.calendarInvite.download(booking);
+    window.analytics.track('test_drive_calendar_added', { model_name: booking.model, source: 'book-page' });
+  }
+
+  async scheduleReminders() {
+    const booking = this.confirmedBooking;
+    if (!booking) return;
+
+    const { remindMe, reminderStatus } = this.elements;
+    remindMe.disabled = true;
+
+    try {
+      const result = await window.bookingReminders.schedule(booking);
+      window.i18n.translate(reminderStatus, `reminders.${result.status}`);
+      if (result.status === 'scheduled') {
+        window.analytics.track('test_drive_reminder_set', { model_name: booking.model, source: 'book-page' });
+      } else {
+        remindMe.disabled = false;
+      }
+    } catch (error) {
+      console.error('Reminder scheduling failed:', error);
+      window.i18n.translate(reminderStatus, 'reminders.failed');
+      remindMe.disabled = false;
+    }
+  }
+
+  // Utility functions
+  clearText(element) {
+    delete element.dataset.i18n;
+    element.textContent = '';
+  }
+
+  destroy() {
+    window.i18n.removeEventListener('change', this.onLocaleChange);
+    window.bookingClient.removeEventListener('submitted', this.onSubmitted);
+    window.bookingClient.removeEventListener('failed', this.onFailed);
+  }
+}
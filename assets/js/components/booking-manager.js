@@ -0,0 +1,323 @@
+/**
+ * MEISTERCO - BOOKING MANAGER
+ * Looks up a test drive booking on bookings.html by its reference and the
+ * phone number it was made with, shows its status, and lets a pending or
+ * confirmed booking be moved to another time (with the same opening hours,
+ * holidays and capacity as booking) or cancelled. Reminders set for the old
+ * time follow the booking to its new one. A link from a booking confirmation
+ * (bookings.html?reference=MC-261018-AB12) fills in the reference.
+ *
+ *   <section class="bookings-section" data-component="booking-manager">
+ *     <form id="lookupForm">...</form>
+ *     <div id="bookingDetails" hidden>...</div>
+ *     <form id="rescheduleForm" hidden>...</form> <form id="cancelForm" hidden>...</form>
+ *     <div id="actionStatus"></div>
+ *   </section>
+ */
+
+// Booking references as issued by the booking service, e.g. MC-261018-AB12
+const REFERENCE_PATTERN = /^MC-\d{6}-[A-Z0-9]{4}$/i;
+
+// Only these can still be moved or cancelled
+const CHANGEABLE_STATUSES = ['pending', 'confirmed'];
+
+// Server messages are in English, so known failures get our own wording
+const ERROR_KEYS = {
+  not_found: 'manage.notFound',
+  slot_full: 'validation.slotTaken',
+  not_changeable: 'manage.notChangeable',
+  network: 'manage.offline',
+  timeout: 'manage.offline'
+};
+
+export default class BookingManager {
+  constructor(element) {
+    this.element = element;
+    // The booking on show and the phone number it was found with
+    this.current = null;
+
+    const $ = id => element.querySelector(`#${id}`);
+    this.elements = {
+      lookupForm: $('lookupForm'),
+      reference: $('reference'),
+      lookupPhone: $('lookupPhone'),
+      findButton: $('findButton'),
+      lookupStatus: $('lookupStatus'),
+      details: $('bookingDetails'),
+      status: $('bookingStatus'),
+      statusText: $('statusText'),
+      summaryReference: $('summaryReference'),
+      summaryModel: $('summaryModel'),
+      summaryDate: $('summaryDate'),
+      summaryTime: $('summaryTime'),
+      summaryName: $('summaryName'),
+      actions: $('bookingActions'),
+      remindMe: $('remindMe'),
+      rescheduleForm: $('rescheduleForm'),
+      rescheduleModel: $('rescheduleModel'),
+      rescheduleButton: $('rescheduleButton'),
+      newDate: $('newDate'),
+      cancelForm: $('cancelForm'),
+      cancelButton: $('cancelButton'),
+      actionStatus: $('actionStatus')
+    };
+
+    const { lookupForm, rescheduleForm, cancelForm } = this.elements;
+
+    window.formValidation.attach(lookupForm, {
+      submitButton: this.elements.findButton,
+      schema: { reference: [value => REFERENCE_PATTERN.test(value) || 'manage.referenceFormat'] },
+      onSubmit: () => this.find()
+    });
+
+    window.formValidation.attach(rescheduleForm, {
+      submitButton: this.elements.rescheduleButton,
+      onSubmit: () => this.reschedule()
+    });
+
+    window.formValidation.attach(cancelForm, {
+      submitButton: this.elements.cancelButton,
+      onSubmit: () => this.cancel()
+    });
+
+    // New times follow the same opening hours, holidays and capacity as booking
+    window.slotAvailability.bindSelect({
+      dateInput: this.elements.newDate,
+      timeSelect: $('newTime'),
+      modelSelect: this.elements.rescheduleModel,
+      hint: $('newTimeHint')
+    });
+
+    this.bindEvents();
+
+    // Dates and times are formatted for the current language
+    this.onLocaleChange = () => {
+      if (this.current) this.render();
+    };
+    window.i18n.addEventListener('change', this.onLocaleChange);
+
+    // Links from a booking confirmation carry the reference
+    const referenceParam = new URLSearchParams(window.location.search).get('reference');
+    if (referenceParam) {
+      this.elements.reference.value = referenceParam.toUpperCase();
+    }
+  }
+
+  bindEvents() {
+    const { element } = this;
+    const { rescheduleForm, cancelForm, rescheduleModel } = this.elements;
+
+    element.querySelector('#showReschedule').addEventListener('click', () => {
+      this.openPanel(rescheduleForm);
+      // Set after the reset so the slots are counted for this booking's model
+      rescheduleModel.value = this.current.booking.model;
+      rescheduleModel.dispatchEvent(new Event('change'));
+    });
+
+    element.querySelector('#showCancel').addEventListener('click', () => this.openPanel(cancelForm));
+
+    element.querySelectorAll('[data-close-panel]').forEach(button => {
+      button.addEventListener('click', () => this.closePanels());
+    });
+
+    element.querySelector('#addToCalendar').addEventListener('click', () => {
+      window.calendarInvite.download(this.current.booking);
+      window.analytics.track('test_drive_calendar_added', { model_name: this.current.booking.model, source: 'bookings-page' });
+    });
+
+    this.elements.remindMe.addEventListener('click', () => this.scheduleReminders());
+  }
+
+  // ========================================================================
+  // ACTIONS
+  // ========================================================================
+
+  async find() {
+    const { reference, lookupPhone, lookupStatus, findButton, actionStatus, details } = this.elements;
+    const bookingReference = reference.value.trim().toUpperCase();
+    const phone = lookupPhone.value;
+    this.clearStatus(lookupStatus);
+
+    await this.withBusyButton(findButton, 'manage.finding', 'manage.find', async () => {
+      try {
+        const booking = await window.bookingClient.lookup(bookingReference, phone);
+        this.current = { booking, phone };
+        this.clearStatus(actionStatus);
+        this.closePanels();
+        this.render();
+        details.focus();
+      } catch (error) {
+        this.current = null;
+        details.hidden = true;
+        this.showError(lookupStatus, error);
+      }
+    });
+  }
+
+  async reschedule() {
+    const { rescheduleForm, rescheduleButton, actionStatus, newDate } = this.elements;
+    const formData = Object.fromEntries(new FormData(rescheduleForm).entries());
+    const { current } = this;
+
+    await this.withBusyButton(rescheduleButton, 'manage.saving', 'manage.confirmReschedule', async () => {
+      try {
+        current.booking = await window.bookingClient.reschedule(current.booking.reference, current.phone, {
+          preferredDate: formData.preferredDate,
+          preferredTime: formData.preferredTime
+        });
+        window.analytics.track('test_drive_rescheduled', { model_name: current.booking.model });
+        this.closePanels();
+        this.render();
+        this.showStatus('manage.rescheduled');
+        this.moveReminders(current.booking);
+      } catch (error) {
+        this.showError(actionStatus, error);
+
+        // Someone else took the slot; refresh what is still available
+        if (error.code === 'slot_full') {
+          newDate.dispatchEvent(new Event('change'));
+        }
+      }
+    });
+  }
+
+  async cancel() {
+    const { cancelForm, cancelButton, actionStatus } = this.elements;
+    const formData = Object.fromEntries(new FormData(cancelForm).entries());
+    const { current } = this;
+
+    await this.withBusyButton(cancelButton, 'manage.saving', 'manage.confirmCancel', async () => {
+      try {
+        current.booking = await window.bookingClient.cancel(current.booking.reference, current.phone, {
+          reason: formData.reason,
+          details: formData.details
+        });
+        window.analytics.track('test_drive_cancelled', { model_name: current.booking.model, reason: formData.reason });
+        this.closePanels();
+        this.render();
+        this.showStatus('manage.cancelled');
+        window.bookingReminders.cancel(current.booking.reference).catch(() => {});
+      } catch (error) {
+        this.showError(actionStatus, error);
+      }
+    });
+  }
+
+  async scheduleReminders() {
+    const { remindMe, actionStatus } = this.elements;
+    const { booking } = this.current;
+    remindMe.disabled = true;
+    this.clearStatus(actionStatus);
+
+    try {
+      const result = await window.bookingReminders.schedule(booking);
+      if (result.status === 'scheduled') {
+        this.showStatus('reminders.scheduled');
+        window.analytics.track('test_drive_reminder_set', { model_name: booking.model, source: 'bookings-page' });
+      } else {
+        window.i18n.translate(actionStatus, `reminders.${result.status}`);
+        actionStatus.classList.add('error');
+      }
+    } catch (error) {
+      console.error('Reminder scheduling failed:', error);
+      window.i18n.translate(actionStatus, 'reminders.failed');
+      actionStatus.classList.add('error');
+    } finally {
+      remindMe.disabled = false;
+    }
+  }
+
+  // Reminders set for the old time follow the booking to its new one
+  async moveReminders(booking) {
+    try {
+      if (await window.bookingReminders.has(booking.reference)) {
+        await window.bookingReminders.schedule(booking);
+      }
+    } catch (error) {
+      console.error('Reminder update failed:', error);
+    }
+  }
+
+  // ========================================================================
+  // RENDERING
+  // ========================================================================
+
+  async render() {
+    if (!this.current) return;
+    const { booking } = this.current;
+    const { details, status, statusText } = this.elements;
+
+    details.hidden = false;
+
+    status.className = `status-badge ${booking.status}`;
+    window.i18n.translate(status, `manage.status.${booking.status}`);
+    window.i18n.translate(statusText, `manage.statusText.${booking.status}`);
+
+    const [hours, minutes] = booking.preferredTime.split(':').map(Number);
+    this.elements.summaryReference.textContent = booking.reference;
+    this.elements.summaryDate.textContent = window.i18n.formatDate(booking.preferredDate, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    this.elements.summaryTime.textContent = window.i18n.formatTime(hours * 60 + minutes);
+    this.elements.summaryName.textContent = booking.name;
+
+    const model = await window.vehicleCatalogue.getModel(booking.model);
+    this.elements.summaryModel.textContent = model ? model.name : booking.model;
+
+    this.elements.actions.hidden = !CHANGEABLE_STATUSES.includes(booking.status);
+    this.elements.remindMe.hidden = !window.bookingReminders.isSupported();
+  }
+
+  openPanel(form) {
+    this.closePanels();
+    form.hidden = false;
+    form.querySelector('.form-control').focus();
+  }
+
+  closePanels() {
+    [this.elements.rescheduleForm, this.elements.cancelForm].forEach(form => {
+      form.hidden = true;
+      form.reset();
+    });
+  }
+
+  showStatus(key) {
+    const { actionStatus } = this.elements;
+    actionStatus.classList.remove('error');
+    window.i18n.translate(actionStatus, key);
+  }
+
+  clearStatus(element) {
+    delete element.dataset.i18n;
+    element.textContent = '';
+  }
+
+  showError(element, error) {
+    window.i18n.translate(element, ERROR_KEYS[error.code] || 'manage.failed');
+    element.classList.add('error');
+
+    // Cancelled or completed in the meantime: show it as it is now
+    if (error.code === 'not_changeable') {
+      const { current } = this;
+      window.bookingClient.lookup(current.booking.reference, current.phone).then(booking => {
+        current.booking = booking;
+        this.closePanels();
+        this.render();
+      }).catch(() => {});
+    }
+  }
+
+  async withBusyButton(button, busyKey, idleKey, task) {
+    button.disabled = true;
+    window.i18n.translate(button, busyKey);
+    try {
+      await task();
+    } finally {
+      window.i18n.translate(button, idleKey);
+      const validator = window.formValidation.get(button.form);
+      if (validator) validator.updateSubmitButton();
+    }
+  }
+
+  destroy() {
+    window.i18n.removeEventListener('change', this.onLocaleChange);
+  }
+}
@@ -0,0 +1,261 @@
+/**
+ * MEISTERCO - COLOUR PREVIEW
+ * Shows the configurator's build on the model's own render in the chosen
+ * colour (each colour's "render" in assets/data/models.json). A new colour
+ * crossfades in over the last one once its render has loaded, and the
+ * colours either side of it in the swatch row are loaded ahead so stepping
+ * through them doesn't wait. A colour without a render, or whose render
+ * fails to load, is shown as a gradient swatch instead.
+ *
+ *   <section id="customize" data-component="configurator">
+ *     ... <div class="preview-car" id="carPreview" data-component="color-preview"></div> ...
+ *   </section>
+ *
+ * It follows the configurator it sits in; data-preview-step names the step
+ * that picks the colour when it isn't "color". spin-view.js builds on it,
+ * with a sequence of photos for each colour in place of the one render.
+ */
+
+export const COLOR_GRADIENTS = {
+  red: ['#ff3b30', '#ff6b6b'],
+  blue: ['#007aff', '#5856d6'],
+  silver: ['#c0c0c0', '#e0e0e0'],
+  black: ['#000000', '#2a2a2a'],
+  white: ['#ffffff', '#f0f0f0'],
+  teal: ['#20b2aa', '#48d1cc'],
+  gold: ['#d4af37', '#ffd700'],
+  crimson: ['#dc143c', '#800020'],
+  orange: ['#ff9500', '#ff6b35'],
+  green: ['#34c759', '#30d158']
+};
+
+const PREVIEW_DEFAULTS = {
+  step: 'color',
+  crossfadeDuration: 400,
+  preloadNeighbours: 1
+};
+
+export default class ColorPreview {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.modelId = options.model;
+    this.config = { ...PREVIEW_DEFAULTS, ...options };
+    if (element.dataset.previewStep) this.config.step = element.dataset.previewStep;
+
+    this.configurator = null;
+    this.renders = new Map();  // colour -> { layer, loaded }, kept so a colour can come back instantly
+    this.current = null;
+    this.visibleLayer = null;
+    this.timers = new Set();
+    this.destroyed = false;
+
+    this.injectStyles();
+    element.classList.add('color-preview');
+    element.innerHTML = `
+      <div class="color-preview-stage"></div>
+      <div class="color-preview-caption">
+        <strong></strong>
+        <span></span>
+      </div>
+    `;
+    this.elements = {
+      stage: element.querySelector('.color-preview-stage'),
+      title: element.querySelector('.color-preview-caption strong'),
+      subtitle: element.querySelector('.color-preview-caption span')
+    };
+    this.updateCaption();
+
+    this.onChange = () => this.update();
+    this.onLocaleChange = () => this.updateText();
+    window.i18n.addEventListener('change', this.onLocaleChange);
+
+    const section = element.closest('[data-component~="configurator"]');
+    window.componentRegistry.get(section, 'configurator')
+      .then(view => view && view.ready)
+      .then(configurator => {
+        if (!configurator || this.destroyed) return;
+
+        this.configurator = configurator;
+        configurator.addEventListener('change', this.onChange);
+        this.update();
+      });
+  }
+
+  // ========================================================================
+  // PREVIEW
+  // ========================================================================
+
+  update() {
+    const step = this.configurator.getStep(this.config.step);
+    if (!step || !step.options.length) return;
+
+    // Until a colour is picked, the model in its first one
+    const [selected] = this.configurator.getSelection(step.id);
+    const color = selected || step.options[0];
+
+    this.updateCaption();
+    if (color !== this.current) this.show(color);
+    this.preloadAround(step.options, step.options.indexOf(color));
+  }
+
+  async show(color) {
+    this.current = color;
+
+    const render = this.getLayer(color);
+    let layer = render && (await render.loaded) ? render.layer : null;
+    if (render && !layer) this.renders.delete(color);
+    // Picked another colour while this one was loading
+    if (this.current !== color) return;
+
+    if (!layer) layer = this.createSwatch(color);
+
+    const previous = Array.from(this.elements.stage.children)
+      .filter(child => child !== layer && child.classList.contains('color-preview-layer'));
+    this.elements.stage.appendChild(layer);
+    this.visibleLayer = layer;
+
+    // Let the layer be laid out hidden so the fade runs
+    void layer.offsetWidth;
+    layer.classList.add('visible');
+
+    // Unless one of them has been picked again in the meantime
+    const remove = () => previous.filter(child => child !== this.visibleLayer).forEach(child => {
+      child.classList.remove('visible');
+      child.remove();
+    });
+    if (window.userPreferences.reducedMotion) {
+      remove();
+    } else {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        remove();
+      }, this.config.crossfadeDuration);
+      this.timers.add(timer);
+    }
+  }
+
+  preloadAround(options, index) {
+    const { preloadNeighbours } = this.config;
+    for (let offset = -preloadNeighbours; offset <= preloadNeighbours; offset++) {
+      const neighbour = options[(index + offset + options.length) % options.length];
+      if (neighbour) this.getLayer(neighbour);
+    }
+  }
+
+  // Built off the page, so its picture starts loading straight away; null for a colour without a render
+  getLayer(color) {
+    if (!color.render) return null;
+
+    if (!this.renders.has(color)) {
+      const layer = document.createElement('div');
+      layer.className = 'color-preview-layer';
+      layer.innerHTML = this.renderPicture(color.render, color.name);
+      this.renders.set(color, { layer, loaded: this.whenLoaded(layer.querySelector('img')) });
+    }
+    return this.renders.get(color);
+  }
+
+  createSwatch(color) {
+    const [from, to] = COLOR_GRADIENTS[color.code] || COLOR_GRADIENTS.silver;
+    const layer = document.createElement('div');
+    layer.className = 'color-preview-layer color-preview-swatch';
+    layer.style.background = `linear-gradient(45deg, ${from}, ${to})`;
+    return layer;
+  }
+
+  whenLoaded(image) {
+    if (image.complete) return Promise.resolve(image.naturalWidth > 0);
+
+    return new Promise(resolve => {
+      image.addEventListener('load', () => resolve(true), { once: true });
+      image.addEventListener('error', () => resolve(false), { once: true });
+    });
+  }
+
+  // Script-set text, redone when the language changes
+  updateText() {
+    this.updateCaption();
+  }
+
+  updateCaption() {
+    const [variant] = this.configurator ? this.configurator.getSelection('variant') : [];
+    const [color] = this.configurator ? this.configurator.getSelection(this.config.step) : [];
+    this.elements.title.textContent = variant ? `${this.modelId.toUpperCase()} ${variant.id}` : window.i18n.t('preview.selectVariant');
+    this.elements.subtitle.textContent = color ? color.name : window.i18n.t('preview.chooseColor');
+  }
+
+  destroy() {
+    this.destroyed = true;
+    if (this.configurator) this.configurator.removeEventListener('change', this.onChange);
+    window.i18n.removeEventListener('change', this.onLocaleChange);
+    this.timers.forEach(timer => clearTimeout(timer));
+  }
+
+  // Utility functions
+  renderPicture(src, alt) {
+    const options = { alt, sizes: '(max-width: 1024px) 100vw, 50vw', priority: true, cover: true };
+    if (window.responsiveImages) return window.responsiveImages.picture(src, options);
+    return `<img src="${window.vehicleCatalogue.escapeHTML(src)}" alt="${window.vehicleCatalogue.escapeHTML(alt)}">`;
+  }
+
+  injectStyles() {
+    if (document.getElementById('color-preview-component-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'color-preview-component-styles';
+    style.textContent = `
+      .color-preview-stage,
+      .color-preview-layer {
+        position: absolute;
+        inset: 0;
+      }
+
+      .color-preview-layer {
+        opacity: 0;
+        transition: opacity ${PREVIEW_DEFAULTS.crossfadeDuration}ms ease;
+        background: #ffffff;
+      }
+
+      .color-preview-layer.visible {
+        opacity: 1;
+      }
+
+      .color-preview-layer picture,
+      .color-preview-layer img {
+        width: 100%;
+        height: 100%;
+        object-fit: cover;
+      }
+
+      html[data-motion="reduced"] .color-preview-layer {
+        transition: none;
+      }
+
+      .color-preview-caption {
+        position: absolute;
+        left: 50%;
+        bottom: 1rem;
+        transform: translateX(-50%);
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        padding: 0.5rem 1.25rem;
+        border-radius: 12px;
+        background: rgba(10, 10, 10, 0.7);
+        color: rgba(255, 255, 255, 0.9);
+        text-align: center;
+        white-space: nowrap;
+      }
+
+      .color-preview-caption strong {
+        font-size: 1.1rem;
+      }
+
+      .color-preview-caption span {
+        font-size: 0.85rem;
+        opacity: 0.8;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
@@ -0,0 +1,307 @@
+/**
+ * MEISTERCO - CONFIGURATOR ENGINE
+ * The state behind a model's build-your-own section, with no markup of its
+ * own. It is driven by the model's definition in assets/data/models.json
+ * (or the catalogue's default steps), resolved by the catalogue into
+ *
+ *   {
+ *     steps: [
+ *       { id: 'variant', label: 'Select Variant', summary: 'Variant', required: true, options: [...] },
+ *       { id: 'accessories', label: 'Accessories', summary: 'Accessories', multiple: true, max: 3, options: [...] }
+ *     ],
+ *     rules: [
+ *       { label: 'Tinted windows included with the AV', when: { variant: ['AV'], accessories: ['Tinted Windows'] }, amount: -400 }
+ *     ]
+ *   }
+ *
+ * Options are { id, name, price } and may declare what they need from other
+ * steps, e.g. requires: { variant: ['AV'] }. A condition lists option ids per
+ * step; it holds when each listed step has one of them selected. An option
+ * whose requirement stops holding is dropped from the build, and a price rule
+ * adds its amount (negative for a discount) to the total while it holds.
+ *
+ *   const configurator = new Configurator(model.configurator);
+ *   configurator.addEventListener('change', () => configurator.getPrice().total);
+ *   configurator.select('variant', 'AV');
+ *
+ * 'change' fires when the selections change, 'step' when a step is completed
+ * or another one is shown.
+ */
+
+export class Configurator extends EventTarget {
+  constructor({ steps = [], rules = [] } = {}) {
+    super();
+
+    this.steps = steps.map(step => ({
+      required: false,
+      multiple: false,
+      min: 0,
+      max: Infinity,
+      ...step,
+      options: step.options || []
+    }));
+    this.rules = rules;
+
+    this.selections = new Map(this.steps.map(step => [step.id, []]));
+    this.completed = this.steps.map(() => false);
+    this.currentStep = 0;
+  }
+
+  // ========================================================================
+  // LOOKUP
+  // ========================================================================
+
+  getStep(stepId) {
+    return this.steps.find(step => step.id === stepId) || null;
+  }
+
+  // What the summary and messages call a step; the catalogue's default steps are named per language
+  getStepSummary(step, locale) {
+    return step.summary || window.i18n.t(`configurator.steps.${step.id}.summary`, {}, locale);
+  }
+
+  getOption(stepId, optionId) {
+    const step = this.getStep(stepId);
+    return (step && step.options.find(option => option.id === optionId)) || null;
+  }
+
+  /**
+   * The options selected in a step, in the order the definition lists them.
+   */
+  getSelection(stepId) {
+    const step = this.getStep(stepId);
+    const ids = this.selections.get(stepId) || [];
+    return step ? step.options.filter(option => ids.includes(option.id)) : [];
+  }
+
+  isSelected(stepId, optionId) {
+    return (this.selections.get(stepId) || []).includes(optionId);
+  }
+
+  hasSelection() {
+    return Array.from(this.selections.values()).some(ids => ids.length > 0);
+  }
+
+  isAvailable(stepId, optionId) {
+    const option = this.getOption(stepId, optionId);
+    return Boolean(option) && (!option.requires || this.matches(option.requires));
+  }
+
+  matches(conditions) {
+    return Object.entries(conditions).every(([stepId, ids]) => {
+      return [].concat(ids).some(id => this.isSelected(stepId, id));
+    });
+  }
+
+  // ========================================================================
+  // SELECTION
+  // ========================================================================
+
+  /**
+   * Choose an option. In a multiple choice step this toggles it instead; a
+   * single choice step is completed by its choice. Returns false when the
+   * option isn't available with the rest of the build, or the step is full.
+   */
+  select(stepId, optionId) {
+    const step = this.getStep(stepId);
+    if (!step || !this.isAvailable(stepId, optionId)) return false;
+
+    const ids = this.selections.get(stepId);
+    let selected = true;
+
+    if (!step.multiple) {
+      this.selections.set(stepId, [optionId]);
+    } else if (ids.includes(optionId)) {
+      this.selections.set(stepId, ids.filter(id => id !== optionId));
+      selected = false;
+    } else if (ids.length >= step.max) {
+      return false;
+    } else {
+      this.selections.set(stepId, [...ids, optionId]);
+    }
+
+    const removed = this.prune();
+    this.emit('change', { reason: 'select', step: stepId, option: optionId, selected, removed });
+
+    if (!step.multiple) this.completeStep(this.steps.indexOf(step));
+    return true;
+  }
+
+  // Drop whatever a change has made unavailable, until nothing else depends on it
+  prune() {
+    const removed = [];
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+      this.steps.forEach((step, index) => {
+        const ids = this.selections.get(step.id);
+        const kept = ids.filter(id => this.isAvailable(step.id, id));
+        if (kept.length === ids.length) return;
+
+        ids.filter(id => !kept.includes(id)).forEach(id => removed.push({ step: step.id, option: this.getOption(step.id, id) }));
+        this.selections.set(step.id, kept);
+        if (this.validateStep(step).length) this.completed[index] = false;
+        changed = true;
+      });
+    }
+
+    return removed;
+  }
+
+  // ========================================================================
+  // STEPS
+  // ========================================================================
+
+  /**
+   * Mark a step done if it validates. Returns its errors otherwise.
+   */
+  completeStep(index) {
+    const step = this.steps[index];
+    if (!step) return [];
+
+    const errors = this.validateStep(step);
+    if (errors.length) {
+      this.emit('step', { reason: 'invalid', index, errors });
+      return errors;
+    }
+
+    const first = !this.completed[index];
+    this.completed[index] = true;
+    this.emit('step', { reason: 'complete', index, first });
+    return [];
+  }
+
+  /**
+   * Show a step: any earlier one, or the next once the current one is done.
+   */
+  goToStep(index) {
+    const allowed = index < this.currentStep ||
+      (index === this.currentStep + 1 && this.completed[this.currentStep]);
+    if (!allowed || index >= this.steps.length) return false;
+
+    this.currentStep = index;
+    this.emit('step', { reason: 'show', index });
+    return true;
+  }
+
+  isComplete() {
+    return this.completed.every(Boolean) && this.validate().length === 0;
+  }
+
+  // ========================================================================
+  // VALIDATION
+  // ========================================================================
+
+  /**
+   * Everything standing between the build and a quote, as { step, message }.
+   */
+  validate() {
+    return this.steps.flatMap(step => this.validateStep(step));
+  }
+
+  validateStep(step) {
+    const count = this.selections.get(step.id).length;
+    const message = (key, params) => window.i18n.t(`configurator.errors.${key}`, { step: this.getStepSummary(step), ...params });
+    const errors = [];
+
+    if (step.required && count === 0) {
+      errors.push({ step: step.id, message: message('required') });
+    }
+    if (step.multiple && count > 0 && count < step.min) {
+      errors.push({ step: step.id, message: message('min', { min: step.min }) });
+    }
+    if (step.multiple && count > step.max) {
+      errors.push({ step: step.id, message: message('max', { max: step.max }) });
+    }
+
+    return errors;
+  }
+
+  // ========================================================================
+  // PRICE
+  // ========================================================================
+
+  /**
+   * The total with a line per priced option and per price rule that applies.
+   * Labels are in the page's language unless a locale is given.
+   */
+  getPrice(locale) {
+    const lines = this.steps.flatMap((step, index) => {
+      return this.getSelection(step.id)
+        .filter(option => typeof option.price === 'number')
+        .map(option => ({
+          label: index === 0 || step.multiple ? option.name : `${this.getStepSummary(step, locale)}: ${option.name}`,
+          amount: option.price,
+          step: step.id
+        }));
+    });
+
+    const adjustments = this.rules
+      .filter(rule => this.matches(rule.when || {}))
+      .map(rule => ({ label: rule.label, amount: rule.amount }));
+
+    const total = [...lines, ...adjustments].reduce((sum, line) => sum + line.amount, 0);
+    return { lines, adjustments, total };
+  }
+
+  /**
+   * The build as the quote, the brochure and the garage list show it.
+   */
+  getSummary(locale) {
+    const items = this.steps.map(step => {
+      const options = this.getSelection(step.id);
+      const fallback = window.i18n.t(step.multiple ? 'configurator.none' : 'configurator.notSelected', {}, locale);
+      return {
+        step: step.id,
+        label: this.getStepSummary(step, locale),
+        options,
+        value: options.length ? options.map(option => option.name).join(', ') : fallback
+      };
+    });
+
+    return { items, ...this.getPrice(locale), configured: this.hasSelection(), complete: this.isComplete() };
+  }
+
+  // ========================================================================
+  // STATE
+  // ========================================================================
+
+  getState() {
+    return {
+      selections: Object.fromEntries(Array.from(this.selections, ([stepId, ids]) => [stepId, [...ids]])),
+      completed: [...this.completed]
+    };
+  }
+
+  /**
+   * Replace the build with a saved one. Options that no longer exist, or
+   * aren't available with the rest of it, are left out; the step shown is the
+   * first one still to do.
+   */
+  restore({ selections = {}, completed = [] }) {
+    this.steps.forEach(step => {
+      const ids = [].concat(selections[step.id] || []).filter(id => this.getOption(step.id, id));
+      this.selections.set(step.id, step.multiple ? ids.slice(0, step.max) : ids.slice(0, 1));
+    });
+    const removed = this.prune();
+
+    // A single choice completes its step, as it does when picked
+    this.completed = this.steps.map((step, index) => {
+      const chosen = !step.multiple && this.selections.get(step.id).length > 0;
+      return (Boolean(completed[index]) || chosen) && this.validateStep(step).length === 0;
+    });
+    const next = this.completed.indexOf(false);
+    this.currentStep = next > -1 ? next : this.steps.length - 1;
+
+    this.emit('change', { reason: 'restore', removed });
+    this.emit('step', { reason: 'show', index: this.currentStep });
+  }
+
+  // Utility functions
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail: { ...detail, configurator: this } }));
+  }
+}
+
+export default Configurator;
@@ -0,0 +1,464 @@
+/**
+ * MEISTERCO - CONFIGURATOR
+ * The build-your-own section of a model page. The steps, their options, what
+ * depends on what and the price rules come from the model's definition in
+ * the catalogue and run in the configurator engine
+ * (configurator-engine.js); this renders them and keeps the page in step with
+ * the engine's change events: the options, the summary, the total (and the
+ * hire purchase calculator with it) and the booking hand-off; the preview
+ * (spin-view.js) follows them itself.
+ * Picking an option in a single choice step completes it and moves on; steps
+ * already done, and the next one, can be revisited from the step dots.
+ *
+ *   <section id="customize" data-component="configurator">
+ *     <div class="step-indicator"></div>
+ *     <div class="configurator-steps"></div>
+ *     <div class="config-summary"><div class="config-items"></div></div>
+ *     ...
+ *   </section>
+ *
+ * Buttons anywhere on the page can act on the build through
+ * data-configurator-action: request-quote (the build's quote in a dialog,
+ * shown only; nothing is sent), book-test-drive or download-brochure.
+ */
+
+import Configurator from './configurator-engine.js';
+
+// Wait before moving on so the selection can be seen
+const STEP_ADVANCE_DELAY = 500;
+
+export default class ConfiguratorView {
+  constructor(element, { model: modelId }) {
+    this.element = element;
+    this.modelId = modelId;
+    this.configurator = null;
+    this.quoteDialog = null;
+    this.timers = new Set();
+
+    this.elements = {
+      summary: element.querySelector('.config-items'),
+      notice: element.querySelector('.config-notice'),
+      totalPrice: element.querySelector('#totalPrice'),
+      finalButtons: element.querySelector('#finalButtons')
+    };
+
+    element.addEventListener('click', (e) => {
+      const option = e.target.closest('[data-option]');
+      const control = e.target.closest('[data-configurator-action]');
+      if (option) this.selectOption(option);
+      if (control) this.handleAction(control.dataset.configuratorAction, control);
+    });
+
+    this.onActionClick = (e) => {
+      const control = e.target.closest('[data-configurator-action]');
+      if (control && !element.contains(control)) this.handleAction(control.dataset.configuratorAction, control);
+    };
+    document.addEventListener('click', this.onActionClick);
+
+    this.injectStyles();
+    this.mountFinance();
+
+    // The engine, once the model's definition is in; null for a model the catalogue doesn't know
+    this.ready = window.vehicleCatalogue.getModel(modelId).then(model => {
+      if (!model) return null;
+
+      window.vehicleCatalogue.renderConfigurator(element, model);
+
+      this.configurator = new Configurator(model.configurator);
+      this.configurator.addEventListener('change', (e) => this.handleChange(e.detail));
+      this.configurator.addEventListener('step', (e) => this.handleStep(e.detail));
+      this.handleChange({ removed: [] });
+      this.updateStepDisplay();
+
+      // The steps and the summary are script-built, so redraw them in the new language
+      this.onLocaleChange = () => {
+        window.vehicleCatalogue.renderConfigurator(element, model);
+        this.handleChange({ removed: [] });
+      };
+      window.i18n.addEventListener('change', this.onLocaleChange);
+
+      // Restore a shared build and keep the garage in sync with the configurator
+      window.buildGarage.mount(element.querySelector('#myGarage'), {
+        model,
+        configurator: this.configurator
+      });
+
+      return this.configurator;
+    });
+  }
+
+  handleAction(action, control) {
+    if (!this.configurator) return;
+
+    switch (action) {
+      case 'go-to-step': this.goToStep(Number(control.dataset.step)); break;
+      case 'complete-step': this.configurator.completeStep(Number(control.dataset.step)); break;
+      case 'request-quote': this.requestQuote(); break;
+      case 'book-test-drive': this.bookTestDrive(); break;
+      case 'download-brochure': this.downloadBrochure(); break;
+    }
+  }
+
+  selectOption(option) {
+    if (!this.configurator) return;
+    this.configurator.select(option.dataset.option, option.dataset.value);
+  }
+
+  // ========================================================================
+  // EVENTS
+  // ========================================================================
+
+  handleChange({ removed }) {
+    this.updateOptions();
+    this.updateSummary();
+    this.updatePrice();
+    this.updateBooking();
+    this.updateStepDisplay();
+
+    // Say what a change of mind took out of the build
+    if (removed.length) {
+      const names = removed.map(({ option }) => option.name).join(', ');
+      this.setText(this.elements.notice, window.i18n.t('configurator.removed', { names, count: removed.length }));
+    } else {
+      this.setText(this.elements.notice, '');
+    }
+  }
+
+  handleStep({ reason, index, first, errors }) {
+    if (reason === 'invalid') {
+      this.setText(this.elements.notice, errors.map(error => error.message).join(' '));
+      return;
+    }
+
+    // The first time each step is done, move the test drive funnel on
+    if (reason === 'complete' && first) {
+      window.analytics.track('configurator_step', {
+        model_name: this.modelId,
+        step: index + 1,
+        step_name: this.configurator.steps[index].id
+      });
+    }
+
+    if (reason === 'complete' && index < this.configurator.steps.length - 1) {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        this.goToStep(index + 1);
+      }, STEP_ADVANCE_DELAY);
+      this.timers.add(timer);
+    }
+
+    this.updateStepDisplay();
+  }
+
+  // ========================================================================
+  // STEPS
+  // ========================================================================
+
+  goToStep(stepIndex) {
+    if (this.configurator.goToStep(stepIndex)) this.scrollToStep(stepIndex);
+  }
+
+  updateStepDisplay() {
+    if (!this.configurator) return;
+    const { currentStep, completed } = this.configurator;
+
+    this.element.querySelectorAll('.step-dot').forEach((dot, index) => {
+      dot.classList.remove('active', 'completed');
+      if (index === currentStep) {
+        dot.classList.add('active');
+      } else if (completed[index]) {
+        dot.classList.add('completed');
+      }
+    });
+
+    this.element.querySelectorAll('.custom-group').forEach((group, index) => {
+      group.classList.remove('active', 'completed', 'next-preview');
+      if (index === currentStep) {
+        group.classList.add('active');
+      } else if (completed[index]) {
+        group.classList.add('completed');
+      } else if (index === currentStep + 1 && completed[currentStep]) {
+        group.classList.add('next-preview');
+      }
+    });
+
+    // The quote and booking buttons only once every step is done
+    if (this.elements.finalButtons) {
+      this.elements.finalButtons.classList.toggle('active', this.configurator.isComplete());
+    }
+  }
+
+  scrollToStep(stepIndex) {
+    const step = this.element.querySelector(`#step-${stepIndex}`);
+    if (step) {
+      step.scrollIntoView({
+        behavior: window.userPreferences.reducedMotion ? 'auto' : 'smooth',
+        block: 'center'
+      });
+    }
+  }
+
+  // ========================================================================
+  // OPTIONS AND SUMMARY
+  // ========================================================================
+
+  // Selected options are highlighted; ones the rest of the build rules out are marked, with what they need
+  updateOptions() {
+    this.element.querySelectorAll('[data-option]').forEach(element => {
+      const { option: stepId, value } = element.dataset;
+      const option = this.configurator.getOption(stepId, value);
+      if (!option) return;
+
+      const available = this.configurator.isAvailable(stepId, value);
+      element.classList.toggle('active', this.configurator.isSelected(stepId, value));
+      element.classList.toggle('unavailable', !available);
+      element.setAttribute('aria-disabled', String(!available));
+      element.title = available ? option.name : `${option.name} (${this.describeRequirement(option.requires)})`;
+    });
+  }
+
+  describeRequirement(requires) {
+    const names = Object.entries(requires).flatMap(([stepId, ids]) => {
+      return [].concat(ids).map(id => {
+        const option = this.configurator.getOption(stepId, id);
+        return option ? option.name : id;
+      });
+    });
+    return window.i18n.t('configurator.onlyWith', { options: names.join(` ${window.i18n.t('configurator.or')} `) });
+  }
+
+  updateSummary() {
+    const { summary } = this.elements;
+    if (!summary) return;
+
+    this.configurator.getSummary().items.forEach(item => {
+      this.setText(summary.querySelector(`[data-summary="${item.step}"]`), item.value);
+    });
+
+    // A row per price rule that applies
+    summary.querySelectorAll('.config-adjustment').forEach(row => row.remove());
+    this.configurator.getPrice().adjustments.forEach(adjustment => {
+      const row = document.createElement('div');
+      row.className = 'config-item config-adjustment';
+      row.innerHTML = '<span></span><span></span>';
+      row.children[0].textContent = adjustment.label;
+      row.children[1].textContent = this.formatAmount(adjustment.amount);
+      summary.appendChild(row);
+    });
+  }
+
+  updatePrice() {
+    const { total } = this.configurator.getPrice();
+    this.setText(this.elements.totalPrice, window.i18n.formatCurrency(total));
+    window.financeCalculator.setPrice(total);
+  }
+
+  // ========================================================================
+  // ACTIONS
+  // ========================================================================
+
+  // Hire purchase estimate follows the configured total
+  mountFinance() {
+    window.financeCalculator.mount(this.element.querySelector('#financeCalculator'), {
+      context: () => ({
+        model: this.modelId,
+        variant: this.getVariantLabel(),
+        color: this.getSelectionName('color')
+      })
+    });
+  }
+
+  // What book.html is handed, kept with the build
+  updateBooking() {
+    this.booking = new URLSearchParams({
+      model: this.modelId,
+      variant: this.getVariantLabel() || this.modelId.toUpperCase(),
+      color: this.getSelectionName('color'),
+      price: this.elements.totalPrice ? this.elements.totalPrice.textContent : '',
+      source: `${this.modelId}-page`
+    });
+  }
+
+  requestQuote() {
+    const errors = this.configurator.validate();
+    if (errors.length) {
+      this.setText(this.elements.notice, errors.map(error => error.message).join(' '));
+      return;
+    }
+    if (this.quoteDialog && this.quoteDialog.isOpen) return;
+
+    const t = key => window.i18n.t(`configurator.quote.${key}`);
+    const { items, adjustments } = this.configurator.getSummary();
+    const rows = [
+      ...items.map(item => [item.label, item.value]),
+      ...adjustments.map(adjustment => [adjustment.label, this.formatAmount(adjustment.amount)]),
+      [t('total'), this.elements.totalPrice ? this.elements.totalPrice.textContent : '']
+    ];
+
+    const modal = document.createElement('div');
+    modal.className = 'quote-modal';
+    modal.innerHTML = `
+      <div class="quote-overlay" data-dialog-overlay></div>
+      <div class="quote-dialog">
+        <h3 id="quoteTitle"></h3>
+        <dl class="quote-summary"></dl>
+        <p class="quote-message"></p>
+        <div class="quote-actions">
+          <button type="button" class="cta-button cta-secondary" data-dialog-close></button>
+          <button type="button" class="cta-button" data-configurator-action="book-test-drive"></button>
+        </div>
+      </div>
+    `;
+
+    // Option names and labels come from the catalogue, so they go in as text
+    const summary = modal.querySelector('.quote-summary');
+    rows.forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      const detail = document.createElement('dd');
+      term.textContent = label;
+      detail.textContent = value;
+      summary.append(term, detail);
+    });
+    modal.querySelector('#quoteTitle').textContent = t('title');
+    modal.querySelector('.quote-message').textContent = t('note');
+    modal.querySelector('[data-dialog-close]').textContent = t('close');
+    modal.querySelector('[data-configurator-action]').textContent = t('bookTestDrive');
+
+    document.body.appendChild(modal);
+    this.quoteDialog = new window.Dialog(modal, {
+      panel: '.quote-dialog',
+      labelledBy: 'quoteTitle',
+      removeOnClose: true
+    });
+    this.quoteDialog.open();
+  }
+
+  bookTestDrive() {
+    const params = new URLSearchParams(this.booking);
+
+    // Carry the hire purchase estimate, if any
+    window.financeCalculator.appendTo(params);
+
+    window.location.href = `book.html?${params.toString()}`;
+  }
+
+  downloadBrochure() {
+    // Built in the browser from the current configuration; no server round trip
+    const { brochureBuilder } = window;
+    brochureBuilder.download({ modelId: this.modelId, build: this.configurator.getSummary(brochureBuilder.locale) });
+  }
+
+  destroy() {
+    document.removeEventListener('click', this.onActionClick);
+    this.timers.forEach(timer => clearTimeout(timer));
+    if (this.quoteDialog) this.quoteDialog.close();
+    if (this.onLocaleChange) window.i18n.removeEventListener('change', this.onLocaleChange);
+  }
+
+  injectStyles() {
+    if (document.getElementById('configurator-component-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'configurator-component-styles';
+    style.textContent = `
+      .quote-modal {
+        position: fixed;
+        inset: 0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        padding: 1rem;
+      }
+
+      .quote-overlay {
+        position: absolute;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.7);
+        backdrop-filter: blur(6px);
+      }
+
+      .quote-dialog {
+        position: relative;
+        width: min(480px, 100%);
+        max-height: calc(100vh - 2rem);
+        overflow-y: auto;
+        background: #121214;
+        color: #ffffff;
+        border: 1px solid rgba(255, 255, 255, 0.15);
+        border-radius: 20px;
+        padding: 1.75rem;
+        box-shadow: 0 25px 60px rgba(0, 0, 0, 0.5);
+      }
+
+      .quote-dialog h3 {
+        font-size: 1.3rem;
+        margin: 0 0 1rem;
+      }
+
+      .quote-summary {
+        display: grid;
+        grid-template-columns: auto 1fr;
+        gap: 0.5rem 1rem;
+        margin: 0 0 1rem;
+      }
+
+      .quote-summary dt {
+        color: rgba(255, 255, 255, 0.6);
+      }
+
+      .quote-summary dd {
+        margin: 0;
+        text-align: right;
+      }
+
+      .quote-summary dt:last-of-type,
+      .quote-summary dd:last-of-type {
+        border-top: 1px solid rgba(255, 255, 255, 0.15);
+        padding-top: 0.5rem;
+        font-weight: 600;
+        color: #ffffff;
+      }
+
+      .quote-message {
+        font-size: 0.9rem;
+        line-height: 1.6;
+        color: rgba(255, 255, 255, 0.85);
+        margin: 0 0 1.25rem;
+      }
+
+      .quote-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 1rem;
+      }
+
+      .quote-actions .cta-button {
+        flex: 1;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // Utility functions
+  getSelection(stepId) {
+    return this.configurator ? this.configurator.getSelection(stepId) : [];
+  }
+
+  getSelectionName(stepId) {
+    return this.getSelection(stepId).map(option => option.name).join(', ');
+  }
+
+  getVariantLabel() {
+    const [variant] = this.getSelection('variant');
+    return variant ? `${this.modelId.toUpperCase()} ${variant.id}` : '';
+  }
+
+  formatAmount(amount) {
+    const formatted = window.i18n.formatCurrency(Math.abs(amount));
+    return amount < 0 ? `-${formatted}` : `+${formatted}`;
+  }
+
+  setText(element, text) {
+    if (element) element.textContent = text;
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * MEISTERCO - CONTACT FORM
+ * The message form and contact methods on contactus.html. The rules are
+ * declared on the fields (see validation.js); messages go out through the
+ * booking client, and ones written offline wait in its outbox until the
+ * connection returns. A link from a model page's hire purchase calculator
+ * (contactus.html?inquiry=finance&model=...) starts a finance inquiry about
+ * that build, and the contact method chosen in Preferences is highlighted.
+ *
+ *   <section class="contact-section" data-component="contact-form">
+ *     <div class="contact-method" data-contact-method="phone">...</div>
+ *     <div id="successMessage"><span id="successIcon"></span><span id="successText"></span></div>
+ *     <form id="contactForm">...</form>
+ *   </section>
+ */
+
+const CONTACT_STATUSES = {
+  sent: { icon: '✅', key: 'contact.success' },
+  queued: { icon: '📶', key: 'contact.queued' },
+  delivered: { icon: '✅', key: 'contact.sentFromQueue' },
+  failed: { icon: '⚠️', key: 'contact.failed' }
+};
+
+const CONTACT_FORM_DEFAULTS = {
+  statusDuration: 5000,
+  maxMessageHeight: 300
+};
+
+export default class ContactForm {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.config = { ...CONTACT_FORM_DEFAULTS, ...options };
+    this.statusTimer = null;
+
+    const $ = id => element.querySelector(`#${id}`);
+    this.elements = {
+      form: $('contactForm'),
+      container: element.querySelector('.contact-form-container'),
+      submit: $('submitBtn'),
+      submitText: element.querySelector('.btn-text'),
+      message: $('message'),
+      subject: $('subject'),
+      status: $('successMessage'),
+      statusIcon: $('successIcon'),
+      statusText: $('successText')
+    };
+
+    this.validator = window.formValidation.attach(this.elements.form, {
+      submitButton: this.elements.submit,
+      validClass: 'valid',
+      onSubmit: () => this.send()
+    });
+
+    this.bindEvents();
+    this.prefillFinanceInquiry();
+
+    // Messages saved offline report back when they are delivered
+    this.onMessageSent = (e) => {
+      if (e.detail.fromQueue) this.showStatus('delivered');
+    };
+    this.onMessageFailed = (e) => {
+      if (e.detail.fromQueue) this.showStatus('failed', e.detail.error.message);
+    };
+    window.bookingClient.addEventListener('messageSent', this.onMessageSent);
+    window.bookingClient.addEventListener('messageFailed', this.onMessageFailed);
+
+    // Highlight the contact method chosen in Preferences
+    this.onPreferencesChange = () => this.highlightPreferredMethod();
+    window.userPreferences.addEventListener('change', this.onPreferencesChange);
+    this.highlightPreferredMethod();
+  }
+
+  bindEvents() {
+    const { message } = this.elements;
+
+    // Auto-resize textarea
+    message.addEventListener('input', () => {
+      message.style.height = 'auto';
+      message.style.height = Math.min(message.scrollHeight, this.config.maxMessageHeight) + 'px';
+    });
+
+    // Contact method hover effects
+    this.element.querySelectorAll('.contact-method').forEach(method => {
+      method.addEventListener('mouseenter', () => {
+        method.style.transform = 'translateY(-10px) scale(1.02)';
+      });
+
+      method.addEventListener('mouseleave', () => {
+        method.style.transform = 'translateY(0) scale(1)';
+      });
+    });
+
+    // Form field focus effects
+    this.element.querySelectorAll('.form-control, input[name="inquiryType"]').forEach(input => {
+      input.addEventListener('focus', () => {
+        input.parentNode.style.transform = 'translateY(-2px)';
+      });
+
+      input.addEventListener('blur', () => {
+        input.parentNode.style.transform = 'translateY(0)';
+      });
+    });
+  }
+
+  // ========================================================================
+  // SENDING
+  // ========================================================================
+
+  async send() {
+    const { form, submit, submitText, container } = this.elements;
+    const value = id => form.querySelector(`#${id}`).value.trim();
+
+    // Show loading state
+    submit.classList.add('loading');
+    window.i18n.translate(submitText, 'contact.sending');
+    submit.disabled = true;
+
+    const message = {
+      name: `${value('firstName')} ${value('lastName')}`,
+      email: value('email'),
+      phone: value('phone'),
+      inquiryType: form.querySelector('input[name="inquiryType"]:checked').value,
+      subject: value('subject'),
+      message: value('message'),
+      language: window.i18n.locale
+    };
+
+    try {
+      const result = await window.bookingClient.sendMessage(message);
+      this.showStatus(result.queued ? 'queued' : 'sent');
+      form.reset();
+    } catch (error) {
+      console.error('Message could not be sent:', error);
+      this.showStatus('failed', error.message);
+    } finally {
+      // Hide loading state
+      submit.classList.remove('loading');
+      window.i18n.translate(submitText, 'contact.submit');
+      this.validator.updateSubmitButton();
+
+      // Scroll to top of form
+      container.scrollIntoView({
+        behavior: 'smooth',
+        block: 'start'
+      });
+    }
+  }
+
+  showStatus(status, errorMessage = '') {
+    const { status: statusElement, statusIcon, statusText } = this.elements;
+    const { icon, key } = CONTACT_STATUSES[status];
+
+    statusIcon.textContent = icon;
+    window.i18n.translate(statusText, key, { message: errorMessage });
+    statusElement.classList.toggle('queued', status === 'queued');
+    statusElement.classList.toggle('failed', status === 'failed');
+    statusElement.classList.add('show');
+
+    // Saved and failed messages stay up; confirmations fade after a while
+    clearTimeout(this.statusTimer);
+    if (status === 'sent' || status === 'delivered') {
+      this.statusTimer = setTimeout(() => statusElement.classList.remove('show'), this.config.statusDuration);
+    }
+  }
+
+  // ========================================================================
+  // PRE-FILLING
+  // ========================================================================
+
+  // A finance inquiry sent from a model page's hire purchase calculator
+  prefillFinanceInquiry() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('inquiry') !== 'finance') return;
+
+    const { form, subject, message } = this.elements;
+    const financePlan = window.financeCalculator.fromParams(params);
+    const vehicle = params.get('variant') || (params.get('model') || '').toUpperCase();
+    const details = [];
+
+    if (vehicle) details.push(`Vehicle: ${vehicle}`);
+    if (params.get('color')) details.push(`Color: ${params.get('color')}`);
+    if (params.get('price')) details.push(`Price: ${params.get('price')}`);
+    if (financePlan) details.push(`Estimate: ${window.financeCalculator.describe(financePlan)}`);
+
+    form.querySelector('#finance').checked = true;
+    subject.value = vehicle ? `Financing for ${vehicle}` : 'Financing inquiry';
+    message.value = [
+      'I would like to discuss hire purchase financing.',
+      ...(details.length ? ['', ...details] : [])
+    ].join('\n');
+
+    ['subject', 'message'].forEach(id => this.validator.validateField(id));
+    message.dispatchEvent(new Event('input'));
+    this.validator.updateSubmitButton();
+  }
+
+  highlightPreferredMethod() {
+    const preferred = window.userPreferences.get('contactMethod');
+    this.element.querySelectorAll('.contact-method[data-contact-method]').forEach(method => {
+      method.classList.toggle('preferred', method.dataset.contactMethod === preferred);
+    });
+  }
+
+  destroy() {
+    clearTimeout(this.statusTimer);
+    window.bookingClient.removeEventListener('messageSent', this.onMessageSent);
+    window.bookingClient.removeEventListener('messageFailed', this.onMessageFailed);
+    window.userPreferences.removeEventListener('change', this.onPreferencesChange);
+  }
+}
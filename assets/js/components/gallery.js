@@ -0,0 +1,165 @@
+/**
+ * MEISTERCO - GALLERY
+ * Renders the page model's photos from the catalogue and opens them in a
+ * zoomable lightbox: buttons, the mouse wheel, +/- and 0 zoom, dragging or
+ * a one finger swipe pans a zoomed photo, two fingers pinch, and the arrow
+ * keys or Prev/Next step through the photos. Closing by any route resets
+ * the zoom.
+ *
+ *   <section id="gallery" data-component="gallery" data-gallery-modal="imageModal">
+ *     <div class="gallery-grid"></div>
+ *   </section>
+ *   <div class="image-modal" id="imageModal">
+ *     ... <button data-gallery-action="zoom-in">Zoom In</button> ...
+ *   </div>
+ *
+ * The lightbox controls are marked data-gallery-action: zoom-in, zoom-out,
+ * reset, previous or next. Zooming and panning are zoom.js's.
+ */
+
+import Zoom from './zoom.js';
+
+const GALLERY_DEFAULTS = {
+  modal: 'imageModal',
+  zoomStep: 1.2,
+  minZoom: 0.5,
+  maxZoom: 5
+};
+
+export default class Gallery {
+  constructor(element, { model: modelId }) {
+    this.element = element;
+    this.config = { ...GALLERY_DEFAULTS, modal: element.dataset.galleryModal || GALLERY_DEFAULTS.modal };
+
+    this.images = [];
+    this.currentIndex = 0;
+    this.zoom = null;
+
+    const modal = document.getElementById(this.config.modal);
+    this.elements = {
+      grid: element.querySelector('.gallery-grid'),
+      modal,
+      container: modal && modal.querySelector('.modal-image-container'),
+      image: modal && modal.querySelector('.modal-image'),
+      info: modal && modal.querySelector('.image-info'),
+      zoomLevel: modal && modal.querySelector('.zoom-level')
+    };
+
+    this.bindGrid();
+    if (modal) this.bindModal();
+
+    window.vehicleCatalogue.getModel(modelId).then(model => {
+      if (!model) return;
+      this.images = model.gallery;
+      window.vehicleCatalogue.renderGallery(this.elements.grid, model);
+    });
+  }
+
+  bindGrid() {
+    this.onGridClick = (e) => {
+      const item = e.target.closest('[data-gallery-index]');
+      if (item) this.open(Number(item.dataset.galleryIndex));
+    };
+    this.element.addEventListener('click', this.onGridClick);
+  }
+
+  bindModal() {
+    const { modal, container } = this.elements;
+
+    this.dialog = new window.Dialog(modal, {
+      panel: '.modal-content',
+      labelledBy: this.elements.info ? this.elements.info.id : null
+    });
+    this.dialog.addEventListener('close', () => this.resetZoom());
+
+    modal.addEventListener('click', (e) => {
+      const control = e.target.closest('[data-gallery-action]');
+      if (!control) return;
+
+      switch (control.dataset.galleryAction) {
+        case 'zoom-in': this.zoomIn(); break;
+        case 'zoom-out': this.zoomOut(); break;
+        case 'reset': this.resetZoom(); break;
+        case 'previous': this.previous(); break;
+        case 'next': this.next(); break;
+      }
+    });
+
+    this.zoom = new Zoom(container, this.elements.image, {
+      step: this.config.zoomStep,
+      min: this.config.minZoom,
+      max: this.config.maxZoom,
+      wheel: true
+    });
+    this.zoom.addEventListener('change', () => {
+      if (this.elements.zoomLevel) {
+        this.elements.zoomLevel.textContent = `${Math.round(this.zoom.level * 100)}%`;
+      }
+    });
+
+    // The page behind the lightbox doesn't scroll
+    container.addEventListener('touchmove', (e) => e.preventDefault(), { passive: false });
+
+    this.onKeydown = (e) => {
+      if (!this.dialog.isOpen) return;
+
+      switch (e.key) {
+        case 'ArrowLeft': this.previous(); break;
+        case 'ArrowRight': this.next(); break;
+        case '+':
+        case '=': this.zoomIn(); break;
+        case '-': this.zoomOut(); break;
+        case '0': this.resetZoom(); break;
+      }
+    };
+
+    document.addEventListener('keydown', this.onKeydown);
+  }
+
+  open(index) {
+    if (!this.dialog || !this.images[index]) return;
+
+    this.show(index);
+    this.dialog.open();
+  }
+
+  show(index) {
+    const image = this.images[index];
+    this.currentIndex = index;
+
+    this.elements.image.src = image.src;
+    this.elements.info.textContent = `${image.title} - ${image.description}`;
+    this.resetZoom();
+  }
+
+  previous() {
+    if (!this.images.length) return;
+    this.show((this.currentIndex - 1 + this.images.length) % this.images.length);
+  }
+
+  next() {
+    if (!this.images.length) return;
+    this.show((this.currentIndex + 1) % this.images.length);
+  }
+
+  zoomIn() {
+    this.zoom.zoomIn();
+  }
+
+  zoomOut() {
+    this.zoom.zoomOut();
+  }
+
+  resetZoom() {
+    this.zoom.reset();
+  }
+
+  destroy() {
+    this.element.removeEventListener('click', this.onGridClick);
+    if (!this.dialog) return;
+
+    this.dialog.close();
+    this.zoom.destroy();
+    document.removeEventListener('keydown', this.onKeydown);
+  }
+}
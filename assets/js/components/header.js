@@ -0,0 +1,27 @@
+/**
+ * MEISTERCO - HEADER
+ * Marks the fixed header with .scrolled once the page has moved past its
+ * first 50px; each page's stylesheet decides what that looks like.
+ *
+ *   <header class="header" data-component="header">
+ */
+
+const HEADER_SCROLL_OFFSET = 50;
+
+export default class Header {
+  constructor(element) {
+    this.element = element;
+
+    this.onScroll = () => this.update();
+    window.addEventListener('scroll', this.onScroll, { passive: true });
+    this.update();
+  }
+
+  update() {
+    this.element.classList.toggle('scrolled', window.scrollY > HEADER_SCROLL_OFFSET);
+  }
+
+  destroy() {
+    window.removeEventListener('scroll', this.onScroll);
+  }
+}
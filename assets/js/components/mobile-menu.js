@@ -0,0 +1,70 @@
+/**
+ * MEISTERCO - MOBILE MENU
+ * Opens and closes the header's mobile navigation from its hamburger
+ * button. The menu closes on a link, a click outside it, Escape, or when
+ * the window grows past the tablet breakpoint, and the page behind it does
+ * not scroll while it is open.
+ *
+ *   <header class="header" data-component="mobile-menu">
+ *     <button class="mobile-menu-toggle" aria-expanded="false">...</button>
+ *     <nav class="mobile-nav">...</nav>
+ *   </header>
+ */
+
+const MOBILE_MENU_BREAKPOINT = 1024;
+
+export default class MobileMenu {
+  constructor(element) {
+    this.toggleButton = element.querySelector('.mobile-menu-toggle');
+    this.nav = element.querySelector('.mobile-nav');
+    this.isOpen = false;
+    if (!this.toggleButton || !this.nav) return;
+
+    this.onToggle = () => (this.isOpen ? this.close() : this.open());
+    this.onNavClick = (e) => {
+      if (e.target.closest('.mobile-nav-link')) this.close();
+    };
+    this.onDocumentClick = (e) => {
+      if (this.isOpen && !this.toggleButton.contains(e.target) && !this.nav.contains(e.target)) this.close();
+    };
+    this.onKeydown = (e) => {
+      if (e.key === 'Escape') this.close();
+    };
+    this.onResize = () => {
+      if (window.innerWidth > MOBILE_MENU_BREAKPOINT) this.close();
+    };
+
+    this.toggleButton.addEventListener('click', this.onToggle);
+    this.nav.addEventListener('click', this.onNavClick);
+    document.addEventListener('click', this.onDocumentClick);
+    document.addEventListener('keydown', this.onKeydown);
+    window.addEventListener('resize', this.onResize);
+  }
+
+  open() {
+    this.setOpen(true);
+  }
+
+  close() {
+    if (this.isOpen) this.setOpen(false);
+  }
+
+  setOpen(open) {
+    this.isOpen = open;
+    this.toggleButton.classList.toggle('active', open);
+    this.toggleButton.setAttribute('aria-expanded', String(open));
+    this.nav.classList.toggle('active', open);
+    document.body.style.overflow = open ? 'hidden' : '';
+  }
+
+  destroy() {
+    if (!this.toggleButton || !this.nav) return;
+
+    this.close();
+    this.toggleButton.removeEventListener('click', this.onToggle);
+    this.nav.removeEventListener('click', this.onNavClick);
+    document.removeEventListener('click', this.onDocumentClick);
+    document.removeEventListener('keydown', this.onKeydown);
+    window.removeEventListener('resize', this.onResize);
+  }
+}
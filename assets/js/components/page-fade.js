@@ -0,0 +1,22 @@
+/**
+ * MEISTERCO - PAGE FADE
+ * Fades the page in once it has loaded. Left out when motion is reduced.
+ *
+ *   <body data-component="page-fade">
+ */
+
+export default class PageFade {
+  constructor(element) {
+    if (window.userPreferences && window.userPreferences.reducedMotion) return;
+
+    element.style.opacity = '0';
+    element.style.transition = 'opacity 0.5s ease';
+    this.timer = setTimeout(() => {
+      element.style.opacity = '1';
+    }, 100);
+  }
+
+  destroy() {
+    clearTimeout(this.timer);
+  }
+}
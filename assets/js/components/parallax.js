@@ -0,0 +1,43 @@
+/**
+ * MEISTERCO - PARALLAX
+ * Moves an element down at a fraction of the scroll speed while it is in
+ * the first screenful, so it drifts behind the content scrolling over it.
+ * Off when motion is reduced.
+ *
+ *   <section class="hero" data-component="parallax" data-parallax-speed="0.3">
+ */
+
+const PARALLAX_DEFAULT_SPEED = 0.3;
+
+export default class Parallax {
+  constructor(element) {
+    this.element = element;
+
+    const speed = parseFloat(element.dataset.parallaxSpeed);
+    this.speed = Number.isNaN(speed) ? PARALLAX_DEFAULT_SPEED : speed;
+
+    this.onScroll = () => this.update();
+    this.onPreferencesChange = () => this.update();
+    window.addEventListener('scroll', this.onScroll, { passive: true });
+    window.userPreferences.addEventListener('change', this.onPreferencesChange);
+  }
+
+  update() {
+    if (window.userPreferences.reducedMotion) {
+      this.element.style.transform = '';
+      return;
+    }
+
+    // Nothing to see once it has scrolled out of view
+    const scrolled = window.pageYOffset;
+    if (scrolled < this.element.offsetTop + this.element.offsetHeight) {
+      this.element.style.transform = `translateY(${scrolled * this.speed}px)`;
+    }
+  }
+
+  destroy() {
+    window.removeEventListener('scroll', this.onScroll);
+    window.userPreferences.removeEventListener('change', this.onPreferencesChange);
+    this.element.style.transform = '';
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * MEISTERCO - FLOATING PARTICLES
+ * Scatters small drifting dots over a hero. They are left out when motion
+ * is reduced and come back when it is turned on again.
+ *
+ *   <section class="hero" data-component="particles" data-particles-count="15">
+ */
+
+const PARTICLES_DEFAULT_COUNT = 15;
+
+export default class Particles {
+  constructor(element) {
+    this.element = element;
+    this.count = parseInt(element.dataset.particlesCount, 10) || PARTICLES_DEFAULT_COUNT;
+
+    this.injectStyles();
+
+    this.onPreferencesChange = (e) => {
+      if ('motion' in e.detail.changes) this.render();
+    };
+    window.userPreferences.addEventListener('change', this.onPreferencesChange);
+    this.render();
+  }
+
+  render() {
+    this.clear();
+    if (window.userPreferences.reducedMotion) return;
+
+    for (let i = 0; i < this.count; i++) {
+      const particle = document.createElement('div');
+      particle.className = 'floating-particle';
+      particle.style.cssText = `
+        width: ${Math.random() * 4 + 2}px;
+        height: ${Math.random() * 4 + 2}px;
+        background: rgba(0, 122, 255, ${Math.random() * 0.3 + 0.1});
+        left: ${Math.random() * 100}%;
+        top: ${Math.random() * 100}%;
+        animation-duration: ${Math.random() * 3 + 3}s;
+        animation-delay: ${Math.random() * 2}s;
+      `;
+      this.element.appendChild(particle);
+    }
+  }
+
+  clear() {
+    this.element.querySelectorAll(':scope > .floating-particle').forEach(particle => particle.remove());
+  }
+
+  destroy() {
+    window.userPreferences.removeEventListener('change', this.onPreferencesChange);
+    this.clear();
+  }
+
+  injectStyles() {
+    if (document.getElementById('particles-component-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'particles-component-styles';
+    style.textContent = `
+      .floating-particle {
+        position: absolute;
+        border-radius: 50%;
+        pointer-events: none;
+        animation: particle-float 4s ease-in-out infinite;
+      }
+
+      @keyframes particle-float {
+        0%, 100% { transform: translateY(0); }
+        50% { transform: translateY(-20px); }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * MEISTERCO - PRIVACY DASHBOARD
+ * The cards on privacy.html: what has been agreed to for each purpose under
+ * the current PDPA notice, what each local store holds, and buttons to
+ * export or delete it through the consent manager. Both lists are redrawn
+ * when consent or stored data changes.
+ *
+ *   <section class="privacy-section" data-component="privacy-dashboard">
+ *     <ul id="consentChoices"></ul> <ul id="storedData"></ul>
+ *     <button id="exportData">...</button> <p id="exportStatus"></p>
+ *     <button id="deleteData">...</button> <p id="deleteStatus"></p>
+ *     <a id="dataRequest" href="mailto:privacy@meisterco.com.my">...</a>
+ *   </section>
+ */
+
+const PRIVACY_DASHBOARD_DEFAULTS = {
+  requestAddress: 'privacy@meisterco.com.my'
+};
+
+export default class PrivacyDashboard {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.config = { ...PRIVACY_DASHBOARD_DEFAULTS, ...options };
+
+    const $ = id => element.querySelector(`#${id}`);
+    this.elements = {
+      choices: $('consentChoices'),
+      storedData: $('storedData'),
+      exportData: $('exportData'),
+      exportStatus: $('exportStatus'),
+      deleteData: $('deleteData'),
+      deleteStatus: $('deleteStatus'),
+      dataRequest: $('dataRequest')
+    };
+
+    this.elements.exportData.addEventListener('click', () => this.exportData());
+    this.elements.deleteData.addEventListener('click', () => this.deleteData());
+
+    this.onConsentChange = () => this.render();
+    this.onLocaleChange = () => this.updateRequestLink();
+    window.consentManager.addEventListener('change', this.onConsentChange);
+    window.i18n.addEventListener('change', this.onLocaleChange);
+    this.render();
+  }
+
+  render() {
+    this.renderChoices();
+    this.renderStoredData();
+    this.updateRequestLink();
+  }
+
+  // Consent given for each purpose under the current notice
+  renderChoices() {
+    const list = this.elements.choices;
+    const purposes = window.consentManager.getPurposes();
+    list.innerHTML = '';
+
+    Object.entries(purposes).forEach(([purpose, granted]) => {
+      const state = granted === true ? 'granted' : granted === false ? 'declined' : 'undecided';
+      const badge = this.createItem(list, `consent.purposes.${purpose}.label`, `privacy-badge ${state}`);
+      window.i18n.translate(badge, `privacy.${state}`);
+    });
+  }
+
+  // What each local store currently holds
+  async renderStoredData() {
+    const list = this.elements.storedData;
+    const { data } = await window.consentManager.exportLocalData();
+    list.innerHTML = '';
+
+    Object.entries(data).forEach(([store, value]) => {
+      const badge = this.createItem(list, `privacy.stores.${store}`, 'privacy-badge');
+      if (value === null || (Array.isArray(value) && !value.length)) {
+        window.i18n.translate(badge, 'privacy.empty');
+      } else if (Array.isArray(value)) {
+        window.i18n.translate(badge, 'privacy.itemCount', { count: value.length });
+      } else {
+        window.i18n.translate(badge, 'privacy.stored');
+      }
+    });
+  }
+
+  // A labelled row in one of the lists; returns its badge
+  createItem(list, labelKey, badgeClass) {
+    const item = document.createElement('li');
+    item.className = 'privacy-item';
+
+    const label = document.createElement('span');
+    window.i18n.translate(label, labelKey);
+
+    const badge = document.createElement('span');
+    badge.className = badgeClass;
+
+    item.append(label, badge);
+    list.appendChild(item);
+    return badge;
+  }
+
+  updateRequestLink() {
+    const subject = encodeURIComponent(window.i18n.t('privacy.serverSubject'));
+    this.elements.dataRequest.href = `mailto:${this.config.requestAddress}?subject=${subject}`;
+  }
+
+  async exportData() {
+    await window.consentManager.downloadLocalData();
+    window.i18n.translate(this.elements.exportStatus, 'privacy.exported');
+  }
+
+  async deleteData() {
+    if (!confirm(window.i18n.t('privacy.deleteConfirm'))) return;
+
+    const removed = await window.consentManager.deleteLocalData();
+    window.i18n.translate(this.elements.deleteStatus, removed.length ? 'privacy.deleted' : 'privacy.nothingToDelete');
+  }
+
+  destroy() {
+    window.consentManager.removeEventListener('change', this.onConsentChange);
+    window.i18n.removeEventListener('change', this.onLocaleChange);
+  }
+}
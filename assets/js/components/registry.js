@@ -0,0 +1,171 @@
+/**
+ * MEISTERCO - COMPONENT REGISTRY
+ * Mounts the behaviour the pages share (the header, reveal on scroll, the
+ * gallery, the configurator...) on the elements that ask for it by name:
+ *
+ *   <header class="header" data-component="header mobile-menu scroll-spy">
+ *
+ * Each name maps to a module in this directory whose default export is a
+ * class constructed with (element, options) and, if it binds anything
+ * outside its element, a destroy() method. A module is only imported once a
+ * page uses it. The options are the page's inline config,
+ * window.MeisterCoConfig.page, which holds what differs between pages (the
+ * model id); anything specific to one element is read from its data
+ * attributes.
+ *
+ *   window.componentRegistry.mount(view);     // after inserting markup
+ *   window.componentRegistry.unmount(view);   // before taking it out
+ *   window.componentRegistry.get(element, 'configurator').then(configurator => ...);
+ *
+ * The document is mounted as soon as this module has run; the router mounts
+ * and unmounts each view it swaps. Mounting the same element twice is a no-op.
+ */
+
+// ========================================================================
+// COMPONENTS
+// ========================================================================
+
+const COMPONENTS = {
+  'booking-form': () => import('./booking-form.js'),
+  'booking-manager': () => import('./booking-manager.js'),
+  'color-preview': () => import('./color-preview.js'),
+  configurator: () => import('./configurator.js'),
+  'contact-form': () => import('./contact-form.js'),
+  gallery: () => import('./gallery.js'),
+  header: () => import('./header.js'),
+  'mobile-menu': () => import('./mobile-menu.js'),
+  'page-fade': () => import('./page-fade.js'),
+  parallax: () => import('./parallax.js'),
+  particles: () => import('./particles.js'),
+  'privacy-dashboard': () => import('./privacy-dashboard.js'),
+  reveal: () => import('./reveal.js'),
+  ripple: () => import('./ripple.js'),
+  'scroll-spy': () => import('./scroll-spy.js'),
+  'smooth-scroll': () => import('./smooth-scroll.js'),
+  'spec-tabs': () => import('./spec-tabs.js'),
+  'spin-view': () => import('./spin-view.js'),
+  turntable: () => import('./turntable.js'),
+  video: () => import('./video.js')
+};
+
+const COMPONENT_SELECTOR = '[data-component]';
+
+// ========================================================================
+// COMPONENT REGISTRY
+// ========================================================================
+
+export class ComponentRegistry extends EventTarget {
+  constructor(components = {}) {
+    super();
+
+    this.loaders = new Map(Object.entries(components));
+    this.modules = new Map();   // name -> Promise of the component class
+    this.mounted = new Map();   // element -> Map of name -> Promise of the instance
+  }
+
+  /**
+   * Add a component, or replace one, by name. loader() resolves to a module
+   * with the class as its default export, or to the class itself.
+   */
+  register(name, loader) {
+    this.loaders.set(name, loader);
+    this.modules.delete(name);
+    return this;
+  }
+
+  /**
+   * Mount every component declared in root, root itself included. Resolves
+   * once they have all been constructed.
+   */
+  mount(root = document) {
+    const elements = Array.from(root.querySelectorAll(COMPONENT_SELECTOR));
+    if (root.matches && root.matches(COMPONENT_SELECTOR)) elements.unshift(root);
+
+    return Promise.all(elements.flatMap(element => {
+      return this.getNames(element).map(name => this.mountComponent(element, name));
+    }));
+  }
+
+  /**
+   * Destroy the components mounted in root, root itself included.
+   */
+  unmount(root = document) {
+    this.mounted.forEach((instances, element) => {
+      if (element !== root && !root.contains(element)) return;
+
+      instances.forEach(pending => pending.then(instance => this.destroy(instance)));
+      this.mounted.delete(element);
+    });
+  }
+
+  /**
+   * The instance of a component on an element, once it has mounted; null if
+   * it isn't mounted there or failed to.
+   */
+  get(element, name) {
+    const instances = this.mounted.get(element);
+    return (instances && instances.get(name)) || Promise.resolve(null);
+  }
+
+  mountComponent(element, name) {
+    if (!this.mounted.has(element)) this.mounted.set(element, new Map());
+    const instances = this.mounted.get(element);
+    if (instances.has(name)) return instances.get(name);
+
+    const pending = this.load(name).then(Component => {
+      // Unmounted while the module was loading
+      if (instances.get(name) !== pending || this.mounted.get(element) !== instances) return null;
+
+      const instance = new Component(element, this.getOptions());
+      this.dispatchEvent(new CustomEvent('mount', { detail: { name, element, instance } }));
+      return instance;
+    }).catch(error => {
+      console.error(`Component "${name}" failed to mount:`, error);
+      return null;
+    });
+
+    instances.set(name, pending);
+    return pending;
+  }
+
+  load(name) {
+    if (!this.modules.has(name)) {
+      const loader = this.loaders.get(name);
+      const module = loader
+        ? Promise.resolve(loader()).then(exports => exports.default || exports)
+        : Promise.reject(new Error(`No component is registered as "${name}"`));
+      this.modules.set(name, module);
+    }
+    return this.modules.get(name);
+  }
+
+  destroy(instance) {
+    if (!instance || typeof instance.destroy !== 'function') return;
+
+    try {
+      instance.destroy();
+    } catch (error) {
+      console.error('Component failed to unmount:', error);
+    }
+  }
+
+  // Utility functions
+  getNames(element) {
+    return element.dataset.component.split(/\s+/).filter(Boolean);
+  }
+
+  getOptions() {
+    return { ...((window.MeisterCoConfig && window.MeisterCoConfig.page) || {}) };
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+export const componentRegistry = new ComponentRegistry(COMPONENTS);
+window.componentRegistry = componentRegistry;
+
+componentRegistry.mount(document);
+
+export default componentRegistry;
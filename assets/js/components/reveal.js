@@ -0,0 +1,52 @@
+/**
+ * MEISTERCO - REVEAL ON SCROLL
+ * Adds .visible to each .fade-in element inside the component once it
+ * scrolls into view, including ones rendered later (the gallery tiles come
+ * from the catalogue). The transition itself is in each page's stylesheet.
+ *
+ *   <body data-component="reveal">
+ */
+
+const REVEAL_DEFAULTS = {
+  selector: '.fade-in',
+  visibleClass: 'visible',
+  threshold: 0.1,
+  rootMargin: '0px 0px -50px 0px'
+};
+
+export default class Reveal {
+  constructor(element) {
+    this.element = element;
+    this.config = { ...REVEAL_DEFAULTS };
+
+    this.observer = new IntersectionObserver((entries) => {
+      entries.filter(entry => entry.isIntersecting).forEach(entry => {
+        entry.target.classList.add(this.config.visibleClass);
+        this.observer.unobserve(entry.target);
+      });
+    }, { threshold: this.config.threshold, rootMargin: this.config.rootMargin });
+
+    this.mutationObserver = new MutationObserver((records) => {
+      records.forEach(record => record.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) this.observe(node);
+      }));
+    });
+
+    this.observe(element);
+    this.mutationObserver.observe(element, { childList: true, subtree: true });
+  }
+
+  observe(root) {
+    const elements = Array.from(root.querySelectorAll(this.config.selector));
+    if (root.matches(this.config.selector)) elements.unshift(root);
+
+    elements
+      .filter(el => !el.classList.contains(this.config.visibleClass))
+      .forEach(el => this.observer.observe(el));
+  }
+
+  destroy() {
+    this.observer.disconnect();
+    this.mutationObserver.disconnect();
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * MEISTERCO - RIPPLE
+ * A ripple spreading from where a button was clicked.
+ *
+ *   <a href="tel:..." class="method-action" data-component="ripple">Call Now</a>
+ */
+
+const RIPPLE_DURATION = 600;
+
+export default class Ripple {
+  constructor(element) {
+    this.element = element;
+    this.timers = new Set();
+
+    this.injectStyles();
+
+    this.onClick = (e) => this.add(e);
+    element.addEventListener('click', this.onClick);
+  }
+
+  add(e) {
+    const ripple = document.createElement('span');
+    const rect = this.element.getBoundingClientRect();
+    const size = Math.max(rect.width, rect.height);
+
+    // Keyboard clicks have no position, so start from the middle
+    const x = e.detail ? e.clientX - rect.left : rect.width / 2;
+    const y = e.detail ? e.clientY - rect.top : rect.height / 2;
+
+    ripple.className = 'click-ripple';
+    ripple.style.cssText = `
+      width: ${size}px;
+      height: ${size}px;
+      left: ${x - size / 2}px;
+      top: ${y - size / 2}px;
+    `;
+
+    this.element.classList.add('has-ripple');
+    this.element.appendChild(ripple);
+
+    const timer = setTimeout(() => {
+      ripple.remove();
+      this.timers.delete(timer);
+    }, RIPPLE_DURATION);
+    this.timers.add(timer);
+  }
+
+  destroy() {
+    this.element.removeEventListener('click', this.onClick);
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.element.querySelectorAll('.click-ripple').forEach(ripple => ripple.remove());
+  }
+
+  injectStyles() {
+    if (document.getElementById('ripple-component-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'ripple-component-styles';
+    style.textContent = `
+      .has-ripple {
+        position: relative;
+        overflow: hidden;
+      }
+
+      .click-ripple {
+        position: absolute;
+        background: rgba(255, 255, 255, 0.5);
+        border-radius: 50%;
+        transform: scale(0);
+        animation: click-ripple ${RIPPLE_DURATION}ms linear;
+        pointer-events: none;
+      }
+
+      @keyframes click-ripple {
+        to {
+          transform: scale(2);
+          opacity: 0;
+        }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * MEISTERCO - SCROLL SPY
+ * Highlights the navigation links (desktop and mobile) that point at the
+ * section currently under the header.
+ *
+ *   <header class="header" data-component="scroll-spy">
+ *     <a href="#features" class="nav-link">Features</a>
+ */
+
+const SCROLL_SPY_OFFSET = 100;
+const SCROLL_SPY_LINKS = '.nav-link[href^="#"], .mobile-nav-link[href^="#"]';
+
+export default class ScrollSpy {
+  constructor(element) {
+    this.element = element;
+    this.current = null;
+
+    this.onScroll = () => this.update();
+    window.addEventListener('scroll', this.onScroll, { passive: true });
+  }
+
+  update() {
+    const scrollPos = window.pageYOffset + SCROLL_SPY_OFFSET;
+    const section = Array.from(document.querySelectorAll('section[id]')).find(candidate => {
+      return scrollPos >= candidate.offsetTop && scrollPos < candidate.offsetTop + candidate.offsetHeight;
+    });
+    if (!section || section.id === this.current) return;
+
+    this.current = section.id;
+    this.element.querySelectorAll(SCROLL_SPY_LINKS).forEach(link => {
+      link.classList.toggle('active', link.getAttribute('href') === `#${section.id}`);
+    });
+  }
+
+  destroy() {
+    window.removeEventListener('scroll', this.onScroll);
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * MEISTERCO - SMOOTH SCROLL
+ * Scrolls smoothly to the section an in-page link (href="#...") points at,
+ * or jumps straight there when motion is reduced.
+ *
+ *   <body data-component="smooth-scroll">
+ */
+
+export default class SmoothScroll {
+  constructor(element) {
+    this.element = element;
+
+    this.onClick = (e) => this.handleClick(e);
+    element.addEventListener('click', this.onClick);
+  }
+
+  handleClick(e) {
+    const link = e.target.closest('a[href^="#"]');
+    if (!link || e.defaultPrevented) return;
+
+    const id = decodeURIComponent(link.getAttribute('href').slice(1));
+    const target = id && document.getElementById(id);
+    if (!target) return;
+
+    e.preventDefault();
+    target.scrollIntoView({
+      behavior: window.userPreferences && window.userPreferences.reducedMotion ? 'auto' : 'smooth',
+      block: 'start'
+    });
+  }
+
+  destroy() {
+    this.element.removeEventListener('click', this.onClick);
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * MEISTERCO - SPECIFICATION TABS
+ * Renders the page model's specification table from the catalogue, one
+ * category at a time, switched by the tab buttons. Other components can open
+ * a category at one of its entries, e.g. the 360° view's hotspots:
+ *
+ *   window.componentRegistry.get(specs, 'spec-tabs').then(tabs => tabs.show('safety', 'Airbags'));
+ *
+ *   <div class="specs-container" data-component="spec-tabs">
+ *     <button class="tab-button active" data-spec="engine">Engine</button>
+ *     <div class="specs-content"></div>
+ *   </div>
+ */
+
+export default class SpecTabs {
+  constructor(element, { model: modelId }) {
+    this.element = element;
+    this.content = element.querySelector('.specs-content');
+    this.model = null;
+
+    this.onClick = (e) => {
+      const tab = e.target.closest('.tab-button[data-spec]');
+      if (tab) this.show(tab.dataset.spec);
+    };
+    element.addEventListener('click', this.onClick);
+
+    window.vehicleCatalogue.getModel(modelId).then(model => {
+      this.model = model;
+      const active = element.querySelector('.tab-button.active[data-spec]');
+      this.show(active ? active.dataset.spec : 'engine');
+    });
+  }
+
+  show(category, highlight = null) {
+    this.element.querySelectorAll('.tab-button[data-spec]').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.spec === category);
+    });
+
+    if (!this.model) return;
+    window.vehicleCatalogue.renderSpecs(this.content, this.model, category);
+
+    // The entry asked for, marked by its label
+    this.content.querySelectorAll('.spec-item').forEach(item => {
+      const label = item.querySelector('.spec-label');
+      item.classList.toggle('highlighted', Boolean(highlight) && label.textContent === highlight);
+    });
+  }
+}
@@ -0,0 +1,563 @@
+/**
+ * MEISTERCO - 360° VIEW
+ * The configurator preview as a turntable. Each colour of the model is an
+ * ordered sequence of photos taken around the car (the colour's "frames" in
+ * assets/data/models.json, or else its one render), and dragging or swiping
+ * across it, or the arrow keys once it has focus, steps through them; a
+ * flick keeps it turning for a moment after letting go. A colour with a
+ * single photo can't be turned and is offered as a plain preview. The buttons, + / -
+ * and 0 zoom the photo as the gallery's lightbox does (zoom.js), and a zoomed
+ * photo is dragged around instead of turned.
+ *
+ * Only a colour's first photo loads up front; the rest are fetched once the
+ * view comes into sight, or is first turned, with their progress shown over
+ * it. The model's "hotspots" mark a feature on one of the frames and link to
+ * its entry in the specification tabs:
+ *
+ *   { "label": "1.0L turbocharged engine", "frame": 0, "x": 50, "y": 56, "spec": { "category": "engine", "label": "Engine Type" } }
+ *
+ * x and y are percentages across that frame's photo.
+ *
+ *   <section id="customize" data-component="configurator">
+ *     ... <div class="preview-car" id="carPreview" data-component="spin-view"></div> ...
+ *   </section>
+ *
+ * Following the configurator's colour, the crossfade between colours and the
+ * swatch for a colour without photos are color-preview.js's, which this
+ * extends. The Alza keeps its drawn car (turntable.js) until it has photos
+ * to turn.
+ */
+
+import ColorPreview from './color-preview.js';
+import Zoom from './zoom.js';
+
+const SPIN_DEFAULTS = {
+  degreesPerPixel: 0.5,
+  friction: 0.95,         // share of the speed kept every 16ms after letting go
+  minVelocity: 0.02,      // degrees per millisecond, below which it stops
+  releaseWindow: 100      // held still this long before letting go, it doesn't carry on
+};
+
+export default class SpinView extends ColorPreview {
+  constructor(element, options = {}) {
+    super(element, options);
+    this.config = { ...SPIN_DEFAULTS, ...this.config, ...options };
+
+    this.sequence = null;   // the shown colour's { layer, frames, color, shown }
+    this.hotspots = [];
+    this.angle = 0;
+    this.frame = 0;
+    this.isRotating = false;
+    this.velocity = 0;
+    this.inView = false;
+
+    element.classList.add('spin-view');
+    element.setAttribute('role', 'group');
+    if (!element.hasAttribute('tabindex')) element.tabIndex = 0;
+
+    element.insertAdjacentHTML('beforeend', `
+      <div class="spin-status" aria-live="polite" hidden>
+        <span class="spin-status-text"></span>
+        <span class="spin-progress" hidden><span></span></span>
+      </div>
+      <div class="spin-controls">
+        <button type="button" data-spin-action="zoom-in" data-i18n-attr="aria-label:preview.zoomIn">+</button>
+        <button type="button" data-spin-action="zoom-out" data-i18n-attr="aria-label:preview.zoomOut">&minus;</button>
+        <button type="button" data-spin-action="reset" data-i18n-attr="aria-label:preview.resetZoom">&#8634;</button>
+      </div>
+    `);
+    window.i18n.apply(element);
+    this.elements.stage.insertAdjacentHTML('beforeend', '<div class="spin-hotspots" hidden></div>');
+    Object.assign(this.elements, {
+      status: element.querySelector('.spin-status'),
+      statusText: element.querySelector('.spin-status-text'),
+      progress: element.querySelector('.spin-progress'),
+      progressBar: element.querySelector('.spin-progress span'),
+      hotspots: element.querySelector('.spin-hotspots')
+    });
+    this.updateStatus();
+
+    this.zoom = new Zoom(element, this.elements.stage);
+    this.zoom.addEventListener('change', () => element.classList.toggle('zoomed', this.zoom.zoomed));
+
+    this.bindEvents();
+    this.observe();
+
+    window.vehicleCatalogue.getModel(this.modelId).then(model => {
+      if (!model || this.destroyed) return;
+      this.hotspots = model.hotspots;
+      this.renderHotspots();
+    });
+  }
+
+  bindEvents() {
+    const { element } = this;
+
+    const start = (x, e) => {
+      if (!this.canRotate() || this.zoom.zoomed || e.target.closest('button, a')) return;
+      this.stopInertia();
+      this.loadSequence();
+
+      this.isRotating = true;
+      this.startX = x;
+      this.startAngle = this.angle;
+      this.lastMove = { x, time: Date.now() };
+      this.velocity = 0;
+      element.classList.add('rotating');
+      this.updateHotspots();
+      e.preventDefault();
+    };
+
+    const move = (x) => {
+      if (!this.isRotating) return false;
+
+      const now = Date.now();
+      const elapsed = now - this.lastMove.time;
+      if (elapsed > 0) this.velocity = (x - this.lastMove.x) * this.config.degreesPerPixel / elapsed;
+      this.lastMove = { x, time: now };
+
+      this.setAngle(this.startAngle + (x - this.startX) * this.config.degreesPerPixel);
+      return true;
+    };
+
+    this.onMouseMove = (e) => move(e.clientX);
+    this.onEnd = () => {
+      if (!this.isRotating) return;
+      this.isRotating = false;
+      element.classList.remove('rotating');
+      this.updateHotspots();
+
+      // A flick carries on turning, unless motion is reduced
+      const held = Date.now() - this.lastMove.time > this.config.releaseWindow;
+      if (!held && !window.userPreferences.reducedMotion && Math.abs(this.velocity) > this.config.minVelocity) {
+        this.startInertia();
+      }
+    };
+
+    element.addEventListener('mousedown', (e) => start(e.clientX, e));
+    element.addEventListener('touchstart', (e) => {
+      if (e.touches.length === 1) {
+        start(e.touches[0].clientX, e);
+      } else {
+        // A second finger pinches
+        this.onEnd();
+      }
+    }, { passive: false });
+    element.addEventListener('touchmove', (e) => {
+      if (e.touches.length === 1 && move(e.touches[0].clientX)) e.preventDefault();
+    }, { passive: false });
+    element.addEventListener('touchend', this.onEnd);
+
+    element.addEventListener('click', (e) => {
+      const control = e.target.closest('[data-spin-action]');
+      const hotspot = e.target.closest('.spin-hotspot');
+
+      if (hotspot) {
+        e.preventDefault();
+        this.openSpec(this.hotspots[Number(hotspot.dataset.hotspot)]);
+      }
+      if (!control) return;
+
+      switch (control.dataset.spinAction) {
+        case 'zoom-in': this.zoom.zoomIn(); break;
+        case 'zoom-out': this.zoom.zoomOut(); break;
+        case 'reset': this.zoom.reset(); break;
+      }
+    });
+
+    element.addEventListener('keydown', (e) => {
+      // Keys pressed on a hotspot or a button are theirs
+      if (e.target !== element) return;
+
+      switch (e.key) {
+        case 'ArrowLeft': this.step(-1); break;
+        case 'ArrowRight': this.step(1); break;
+        case '+':
+        case '=': this.zoom.zoomIn(); break;
+        case '-': this.zoom.zoomOut(); break;
+        case '0': this.zoom.reset(); break;
+        default: return;
+      }
+      e.preventDefault();
+    });
+
+    this.onResize = () => this.placeHotspots();
+
+    document.addEventListener('mousemove', this.onMouseMove);
+    document.addEventListener('mouseup', this.onEnd);
+    window.addEventListener('resize', this.onResize);
+  }
+
+  // The rest of the photos are fetched once the view is in sight
+  observe() {
+    this.observer = new IntersectionObserver((entries) => {
+      if (!entries.some(entry => entry.isIntersecting)) return;
+      this.observer.disconnect();
+      this.inView = true;
+      this.loadSequence();
+    });
+    this.observer.observe(this.element);
+  }
+
+  // ========================================================================
+  // FRAMES
+  // ========================================================================
+
+  getFrames(color) {
+    if (color.frames && color.frames.length) return color.frames;
+    return color.render ? [color.render] : [];
+  }
+
+  // A holder per frame, of which only the first is filled for now
+  getLayer(color) {
+    const frames = this.getFrames(color);
+    if (!frames.length) return null;
+
+    if (!this.renders.has(color)) {
+      const layer = document.createElement('div');
+      layer.className = 'color-preview-layer spin-sequence';
+      layer.innerHTML = frames.map(() => '<div class="spin-frame"></div>').join('');
+
+      const sequence = { layer, color, frames: frames.map(src => ({ src, loaded: null, settled: false, ready: false })), shown: 0 };
+      sequence.loaded = this.loadFrame(sequence, 0);
+      this.renders.set(color, sequence);
+    }
+    return this.renders.get(color);
+  }
+
+  loadFrame(sequence, index) {
+    const frame = sequence.frames[index];
+    if (frame.loaded) return frame.loaded;
+
+    const holder = sequence.layer.children[index];
+    holder.innerHTML = this.renderPicture(frame.src, sequence.color.name);
+
+    frame.loaded = this.whenLoaded(holder.querySelector('img')).then(ready => {
+      frame.settled = true;
+      frame.ready = ready;
+      if (sequence === this.sequence) {
+        this.updateStatus();
+        // The frame it was turned to has come in
+        if (ready && index === this.frame) this.renderFrame();
+      }
+      return ready;
+    });
+    return frame.loaded;
+  }
+
+  loadSequence() {
+    const { sequence } = this;
+    if (!sequence || sequence.requested) return;
+
+    sequence.requested = true;
+    sequence.frames.forEach((frame, index) => this.loadFrame(sequence, index));
+    this.updateStatus();
+  }
+
+  async show(color) {
+    await super.show(color);
+    if (this.current !== color) return;
+
+    // A colour shown as a swatch has nothing to turn
+    const sequence = this.renders.get(color);
+    this.sequence = sequence && sequence.layer === this.visibleLayer ? sequence : null;
+
+    if (this.sequence && (this.inView || this.isRotating)) this.loadSequence();
+    this.setAngle(this.angle);
+    this.updateHotspots();
+    this.updateStatus();
+  }
+
+  // ========================================================================
+  // ROTATION
+  // ========================================================================
+
+  canRotate() {
+    return Boolean(this.sequence) && this.sequence.frames.length > 1;
+  }
+
+  // The frames are spread evenly around a full turn
+  setAngle(angle) {
+    this.angle = angle;
+    if (!this.sequence) return;
+
+    const count = this.sequence.frames.length;
+    this.frame = ((Math.round(angle / (360 / count)) % count) + count) % count;
+    this.renderFrame();
+  }
+
+  step(direction) {
+    if (!this.canRotate()) return;
+    this.stopInertia();
+    this.loadSequence();
+
+    const count = this.sequence.frames.length;
+    this.setAngle((this.frame + direction) * (360 / count));
+  }
+
+  // Until the frame it is turned to has loaded, the last one shown stays
+  renderFrame() {
+    const { sequence } = this;
+    const frame = sequence.frames[this.frame];
+    if (frame.ready) sequence.shown = this.frame;
+
+    Array.from(sequence.layer.children).forEach((holder, index) => {
+      holder.classList.toggle('active', index === sequence.shown);
+    });
+    this.updateHotspots();
+  }
+
+  startInertia() {
+    let last = null;
+
+    const turn = (time) => {
+      const elapsed = last === null ? 16 : time - last;
+      last = time;
+
+      this.setAngle(this.angle + this.velocity * elapsed);
+      this.velocity *= Math.pow(this.config.friction, elapsed / 16);
+      this.inertiaFrame = Math.abs(this.velocity) > this.config.minVelocity ? requestAnimationFrame(turn) : null;
+    };
+
+    this.inertiaFrame = requestAnimationFrame(turn);
+  }
+
+  stopInertia() {
+    if (this.inertiaFrame) cancelAnimationFrame(this.inertiaFrame);
+    this.inertiaFrame = null;
+  }
+
+  updateText() {
+    super.updateText();
+    this.updateStatus();
+  }
+
+  updateStatus() {
+    const { status, statusText, progress, progressBar } = this.elements;
+    const frames = this.sequence ? this.sequence.frames : [];
+    const settled = frames.filter(frame => frame.settled).length;
+    const loading = this.sequence && this.sequence.requested && settled < frames.length;
+
+    // Only a colour with photos all around is offered as something to turn
+    this.element.setAttribute('aria-label', window.i18n.t(this.canRotate() ? 'preview.spinLabel' : 'preview.label'));
+    this.element.classList.toggle('spin-enabled', this.canRotate());
+    status.hidden = !this.canRotate();
+    progress.hidden = !loading;
+    statusText.textContent = loading
+      ? window.i18n.t('preview.loading', { loaded: settled, total: frames.length })
+      : window.i18n.t('preview.dragToRotate');
+    progressBar.style.width = `${frames.length ? (settled / frames.length) * 100 : 0}%`;
+  }
+
+  // ========================================================================
+  // HOTSPOTS
+  // ========================================================================
+
+  renderHotspots() {
+    const escape = (value) => window.vehicleCatalogue.escapeHTML(value);
+
+    this.elements.hotspots.innerHTML = this.hotspots.map((hotspot, index) => `
+      <a class="spin-hotspot" href="#specifications" data-hotspot="${index}" style="left: ${Number(hotspot.x)}%; top: ${Number(hotspot.y)}%;">
+        <span class="spin-hotspot-label">${escape(hotspot.label)}</span>
+      </a>
+    `).join('');
+    this.updateHotspots();
+  }
+
+  // Those on the frame shown, while it isn't being turned
+  updateHotspots() {
+    const { hotspots } = this.elements;
+    const { sequence } = this;
+
+    hotspots.hidden = !sequence || this.isRotating || !this.hotspots.length;
+    if (hotspots.hidden) return;
+
+    hotspots.querySelectorAll('.spin-hotspot').forEach(link => {
+      const hotspot = this.hotspots[Number(link.dataset.hotspot)];
+      link.hidden = (hotspot.frame || 0) !== sequence.shown;
+    });
+    this.placeHotspots();
+  }
+
+  // Over the photo itself, as object-fit: cover crops it to the stage
+  placeHotspots() {
+    const { sequence } = this;
+    const image = sequence && sequence.layer.children[sequence.shown].querySelector('img');
+    if (!image || !image.naturalWidth) return;
+
+    const { clientWidth: width, clientHeight: height } = this.element;
+    const scale = Math.max(width / image.naturalWidth, height / image.naturalHeight);
+    const photoWidth = image.naturalWidth * scale;
+    const photoHeight = image.naturalHeight * scale;
+
+    Object.assign(this.elements.hotspots.style, {
+      width: `${photoWidth}px`,
+      height: `${photoHeight}px`,
+      left: `${(width - photoWidth) / 2}px`,
+      top: `${(height - photoHeight) / 2}px`
+    });
+  }
+
+  openSpec(hotspot) {
+    const specs = document.querySelector('[data-component~="spec-tabs"]');
+    if (!hotspot || !hotspot.spec || !specs) return;
+
+    window.componentRegistry.get(specs, 'spec-tabs').then(tabs => {
+      if (!tabs) return;
+      tabs.show(hotspot.spec.category, hotspot.spec.label);
+      specs.scrollIntoView({
+        behavior: window.userPreferences.reducedMotion ? 'auto' : 'smooth',
+        block: 'center'
+      });
+    });
+  }
+
+  destroy() {
+    super.destroy();
+    this.stopInertia();
+    this.zoom.destroy();
+    this.observer.disconnect();
+    document.removeEventListener('mousemove', this.onMouseMove);
+    document.removeEventListener('mouseup', this.onEnd);
+    window.removeEventListener('resize', this.onResize);
+  }
+
+  injectStyles() {
+    super.injectStyles();
+    if (document.getElementById('spin-view-component-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'spin-view-component-styles';
+    style.textContent = `
+      .spin-view:focus-visible {
+        outline: 2px solid rgba(255, 255, 255, 0.8);
+        outline-offset: 2px;
+      }
+
+      .spin-view.spin-enabled {
+        cursor: grab;
+        user-select: none;
+      }
+
+      .spin-view.rotating {
+        cursor: grabbing;
+      }
+
+      .spin-view.zoomed {
+        cursor: move;
+      }
+
+      .spin-view .color-preview-stage {
+        transition: transform 0.2s ease;
+      }
+
+      html[data-motion="reduced"] .spin-view .color-preview-stage {
+        transition: none;
+      }
+
+      .spin-frame {
+        position: absolute;
+        inset: 0;
+        visibility: hidden;
+      }
+
+      .spin-frame.active {
+        visibility: visible;
+      }
+
+      .spin-hotspots {
+        position: absolute;
+        z-index: 1;
+      }
+
+      .spin-hotspots[hidden],
+      .spin-hotspot[hidden],
+      .spin-status[hidden],
+      .spin-progress[hidden] {
+        display: none;
+      }
+
+      .spin-hotspot {
+        position: absolute;
+        width: 22px;
+        height: 22px;
+        margin: -11px 0 0 -11px;
+        border-radius: 50%;
+        border: 2px solid #ffffff;
+        background: rgba(10, 10, 10, 0.6);
+        box-shadow: 0 0 0 4px rgba(255, 255, 255, 0.25);
+      }
+
+      .spin-hotspot-label {
+        position: absolute;
+        bottom: calc(100% + 8px);
+        left: 50%;
+        transform: translateX(-50%);
+        padding: 0.25rem 0.6rem;
+        border-radius: 8px;
+        background: rgba(10, 10, 10, 0.8);
+        color: #ffffff;
+        font-size: 0.8rem;
+        white-space: nowrap;
+        opacity: 0;
+        pointer-events: none;
+        transition: opacity 0.2s ease;
+      }
+
+      .spin-hotspot:hover .spin-hotspot-label,
+      .spin-hotspot:focus-visible .spin-hotspot-label {
+        opacity: 1;
+      }
+
+      .spin-status {
+        position: absolute;
+        top: 1rem;
+        left: 1rem;
+        display: flex;
+        flex-direction: column;
+        gap: 0.35rem;
+        padding: 0.35rem 0.75rem;
+        border-radius: 8px;
+        background: rgba(10, 10, 10, 0.7);
+        color: rgba(255, 255, 255, 0.9);
+        font-size: 0.8rem;
+      }
+
+      .spin-progress {
+        display: block;
+        width: 100%;
+        height: 3px;
+        border-radius: 2px;
+        background: rgba(255, 255, 255, 0.2);
+        overflow: hidden;
+      }
+
+      .spin-progress span {
+        display: block;
+        height: 100%;
+        background: #ffffff;
+        transition: width 0.2s ease;
+      }
+
+      .spin-controls {
+        position: absolute;
+        top: 1rem;
+        right: 1rem;
+        display: flex;
+        gap: 0.35rem;
+      }
+
+      .spin-controls button {
+        width: 32px;
+        height: 32px;
+        border: none;
+        border-radius: 8px;
+        background: rgba(10, 10, 10, 0.7);
+        color: #ffffff;
+        font-size: 1rem;
+        cursor: pointer;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
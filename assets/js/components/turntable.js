@@ -0,0 +1,187 @@
+/**
+ * MEISTERCO - TURNTABLE
+ * The Alza's drawn CSS car in the configurator preview, for a 360° view
+ * until the model has turntable photos for spin-view.js. Dragging or swiping
+ * across it, or the arrow keys once it has focus, turn it; it turns slowly on
+ * its own two seconds after load until it is first touched (unless motion is
+ * reduced), and the lights fade with the angle to suggest which end faces
+ * the viewer. The body takes the configurator's colour, and its shadow the
+ * trim level.
+ *
+ *   <div class="preview-car" id="carPreview" data-component="turntable">
+ *     <div class="car-model">...<div class="car-body">...<div class="headlight"></div><div class="taillight"></div>...</div></div>
+ *     <div class="rotation-indicator"><span>Drag to rotate</span> <span class="rotation-angle">0°</span></div>
+ *   </div>
+ */
+
+import { COLOR_GRADIENTS } from './color-preview.js';
+
+const TURNTABLE_DEFAULTS = {
+  step: 'color',
+  degreesPerPixel: 0.5,
+  keyStep: 15,
+  autoRotateDelay: 2000,
+  autoRotateInterval: 50
+};
+
+// Depth of the car body's shadow per trim level
+const VARIANT_SHADOWS = {
+  S: '0 8px 16px rgba(0,0,0,0.2), inset 0 2px 4px rgba(255,255,255,0.1)',
+  H: '0 10px 20px rgba(0,0,0,0.3), inset 0 2px 4px rgba(255,255,255,0.2)',
+  X: '0 12px 24px rgba(0,0,0,0.4), inset 0 2px 4px rgba(255,255,255,0.3)'
+};
+
+export default class Turntable {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.config = { ...TURNTABLE_DEFAULTS, ...options };
+    if (element.dataset.previewStep) this.config.step = element.dataset.previewStep;
+
+    this.elements = {
+      model: element.querySelector('.car-model'),
+      body: element.querySelector('.car-body'),
+      angle: element.querySelector('.rotation-angle'),
+      headlight: element.querySelector('.headlight'),
+      taillight: element.querySelector('.taillight')
+    };
+
+    this.configurator = null;
+    this.isRotating = false;
+    this.startX = 0;
+    this.currentRotation = 0;
+    this.targetRotation = 0;
+    this.destroyed = false;
+
+    element.setAttribute('role', 'group');
+    if (!element.hasAttribute('tabindex')) element.tabIndex = 0;
+    this.updateLabel();
+
+    this.bindEvents();
+
+    if (!window.userPreferences.reducedMotion) {
+      this.autoRotateTimeout = setTimeout(() => this.startAutoRotation(), this.config.autoRotateDelay);
+    }
+
+    this.onChange = () => this.paint();
+    this.onLocaleChange = () => this.updateLabel();
+    window.i18n.addEventListener('change', this.onLocaleChange);
+
+    const section = element.closest('[data-component~="configurator"]');
+    window.componentRegistry.get(section, 'configurator')
+      .then(view => view && view.ready)
+      .then(configurator => {
+        if (!configurator || this.destroyed) return;
+
+        this.configurator = configurator;
+        configurator.addEventListener('change', this.onChange);
+        this.paint();
+      });
+  }
+
+  bindEvents() {
+    const { element } = this;
+
+    const start = (x, e) => {
+      this.stopAutoRotation();
+      this.isRotating = true;
+      this.startX = x;
+      element.classList.add('dragging');
+      e.preventDefault();
+    };
+
+    const move = (x) => {
+      if (!this.isRotating) return false;
+      this.targetRotation = this.currentRotation + (x - this.startX) * this.config.degreesPerPixel;
+      this.update();
+      return true;
+    };
+
+    this.onMouseMove = (e) => move(e.clientX);
+    this.onEnd = () => {
+      if (!this.isRotating) return;
+      this.isRotating = false;
+      this.currentRotation = this.targetRotation;
+      element.classList.remove('dragging');
+    };
+
+    element.addEventListener('mousedown', (e) => start(e.clientX, e));
+    element.addEventListener('touchstart', (e) => start(e.touches[0].clientX, e), { passive: false });
+    element.addEventListener('touchmove', (e) => {
+      if (move(e.touches[0].clientX)) e.preventDefault();
+    }, { passive: false });
+    element.addEventListener('touchend', this.onEnd);
+
+    element.addEventListener('keydown', (e) => {
+      if (e.target !== element || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+      e.preventDefault();
+      this.stopAutoRotation();
+      this.targetRotation += e.key === 'ArrowRight' ? this.config.keyStep : -this.config.keyStep;
+      this.currentRotation = this.targetRotation;
+      this.update();
+    });
+
+    document.addEventListener('mousemove', this.onMouseMove);
+    document.addEventListener('mouseup', this.onEnd);
+  }
+
+  startAutoRotation() {
+    this.autoRotateTimer = setInterval(() => {
+      if (this.isRotating) return;
+      this.targetRotation += 1;
+      this.currentRotation = this.targetRotation;
+      this.update();
+    }, this.config.autoRotateInterval);
+  }
+
+  stopAutoRotation() {
+    clearTimeout(this.autoRotateTimeout);
+    clearInterval(this.autoRotateTimer);
+  }
+
+  update() {
+    const angle = ((this.targetRotation % 360) + 360) % 360;
+
+    if (this.elements.model) this.elements.model.style.transform = `rotateY(${this.targetRotation}deg)`;
+    if (this.elements.angle) this.elements.angle.textContent = `${Math.round(angle)}°`;
+    this.updateLights(angle);
+  }
+
+  // Front-right, right side, rear-right, left side
+  updateLights(angle) {
+    const { headlight, taillight } = this.elements;
+    if (!headlight || !taillight) return;
+
+    const [head, tail] = angle < 90 ? ['1', '0.3']
+      : angle < 180 ? ['0.7', '0.7']
+        : angle < 270 ? ['0.3', '1']
+          : ['0.7', '0.7'];
+
+    headlight.style.opacity = head;
+    taillight.style.opacity = tail;
+  }
+
+  paint() {
+    const { body } = this.elements;
+    if (!body) return;
+
+    const [variant] = this.configurator.getSelection('variant');
+    const [color] = this.configurator.getSelection(this.config.step);
+    const gradient = color && COLOR_GRADIENTS[color.code];
+
+    if (gradient) body.style.background = `linear-gradient(135deg, ${gradient[0]}, ${gradient[1]})`;
+    if (variant && VARIANT_SHADOWS[variant.id]) body.style.boxShadow = VARIANT_SHADOWS[variant.id];
+  }
+
+  updateLabel() {
+    this.element.setAttribute('aria-label', window.i18n.t('preview.turntableLabel'));
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.stopAutoRotation();
+    if (this.configurator) this.configurator.removeEventListener('change', this.onChange);
+    window.i18n.removeEventListener('change', this.onLocaleChange);
+    document.removeEventListener('mousemove', this.onMouseMove);
+    document.removeEventListener('mouseup', this.onEnd);
+  }
+}
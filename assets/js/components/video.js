@@ -0,0 +1,36 @@
+/**
+ * MEISTERCO - VIDEO
+ * Swaps the video placeholder for the YouTube player when its play button
+ * is pressed, so nothing is loaded from YouTube until then.
+ *
+ *   <div class="video-wrapper" data-component="video" data-video-id="3dqyHJqo7rQ" data-video-title="...">
+ *     <button class="play-button" aria-label="Play video"></button>
+ */
+
+export default class Video {
+  constructor(element) {
+    this.element = element;
+
+    this.onClick = (e) => {
+      if (e.target.closest('.play-button')) this.play();
+    };
+    element.addEventListener('click', this.onClick);
+  }
+
+  play() {
+    const { videoId, videoTitle = '' } = this.element.dataset;
+    if (!videoId) return;
+
+    const iframe = document.createElement('iframe');
+    iframe.src = `https://www.youtube.com/embed/${encodeURIComponent(videoId)}?autoplay=1&rel=0`;
+    iframe.title = videoTitle;
+    iframe.width = '100%';
+    iframe.height = '600';
+    iframe.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share';
+    iframe.allowFullscreen = true;
+    iframe.setAttribute('frameborder', '0');
+    iframe.style.borderRadius = '24px';
+
+    this.element.replaceChildren(iframe);
+  }
+}
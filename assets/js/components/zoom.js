@@ -0,0 +1,159 @@
+/**
+ * MEISTERCO - ZOOM
+ * Zooming and panning a photo within its frame, shared by the gallery's
+ * lightbox and the 360° view. Whatever drives it (buttons, keys) belongs to
+ * them; this handles the rest: dragging or a one finger swipe pans a zoomed
+ * photo, two fingers pinch and, where asked for, the mouse wheel zooms.
+ *
+ *   const zoom = new Zoom(container, image, { wheel: true });
+ *   zoom.addEventListener('change', () => label.textContent = `${Math.round(zoom.level * 100)}%`);
+ *   zoom.zoomIn();
+ *
+ * The photo is scaled and moved with a CSS transform; 'change' fires when
+ * its zoom level changes.
+ */
+
+const ZOOM_DEFAULTS = {
+  step: 1.2,
+  min: 0.5,
+  max: 5,
+  wheel: false
+};
+
+export class Zoom extends EventTarget {
+  constructor(container, target, options = {}) {
+    super();
+
+    this.container = container;
+    this.target = target;
+    this.config = { ...ZOOM_DEFAULTS, ...options };
+
+    this.level = 1;
+    this.translateX = 0;
+    this.translateY = 0;
+    this.isDragging = false;
+    this.touchDistance = 0;
+
+    this.bindEvents();
+  }
+
+  get zoomed() {
+    return this.level > 1;
+  }
+
+  bindEvents() {
+    const { container } = this;
+
+    // Dragging a zoomed photo; the controls laid over it stay clickable
+    this.onMouseDown = (e) => {
+      if (!this.zoomed || e.target.closest('button, a')) return;
+      this.isDragging = true;
+      this.dragStart = { x: e.clientX - this.translateX, y: e.clientY - this.translateY };
+      container.style.cursor = 'grabbing';
+    };
+
+    this.onMouseMove = (e) => {
+      if (!this.isDragging || !this.zoomed) return;
+      this.translateX = e.clientX - this.dragStart.x;
+      this.translateY = e.clientY - this.dragStart.y;
+      this.updateTransform();
+    };
+
+    this.onMouseUp = () => {
+      if (!this.isDragging) return;
+      this.isDragging = false;
+      container.style.cursor = this.zoomed ? 'move' : '';
+    };
+
+    this.onWheel = (e) => {
+      e.preventDefault();
+      if (e.deltaY < 0) {
+        this.zoomIn();
+      } else {
+        this.zoomOut();
+      }
+    };
+
+    // One finger pans, two pinch
+    this.onTouchStart = (e) => {
+      if (e.touches.length === 1) {
+        this.isDragging = true;
+        this.lastTouch = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+      } else if (e.touches.length === 2) {
+        this.touchDistance = this.getTouchDistance(e.touches);
+      }
+    };
+
+    this.onTouchMove = (e) => {
+      if (e.touches.length === 1 && this.isDragging && this.zoomed) {
+        e.preventDefault();
+        const touch = e.touches[0];
+        this.translateX += touch.clientX - this.lastTouch.x;
+        this.translateY += touch.clientY - this.lastTouch.y;
+        this.lastTouch = { x: touch.clientX, y: touch.clientY };
+        this.updateTransform();
+      } else if (e.touches.length === 2 && this.touchDistance > 0) {
+        e.preventDefault();
+        const distance = this.getTouchDistance(e.touches);
+        this.setZoom(this.level * (distance / this.touchDistance));
+        this.touchDistance = distance;
+      }
+    };
+
+    this.onTouchEnd = () => {
+      this.isDragging = false;
+      this.touchDistance = 0;
+    };
+
+    container.addEventListener('mousedown', this.onMouseDown);
+    container.addEventListener('touchstart', this.onTouchStart);
+    container.addEventListener('touchmove', this.onTouchMove, { passive: false });
+    container.addEventListener('touchend', this.onTouchEnd);
+    if (this.config.wheel) container.addEventListener('wheel', this.onWheel);
+
+    document.addEventListener('mousemove', this.onMouseMove);
+    document.addEventListener('mouseup', this.onMouseUp);
+  }
+
+  zoomIn() {
+    this.setZoom(this.level * this.config.step);
+  }
+
+  zoomOut() {
+    this.setZoom(this.level / this.config.step);
+  }
+
+  reset() {
+    this.translateX = 0;
+    this.translateY = 0;
+    this.setZoom(1);
+  }
+
+  setZoom(level) {
+    this.level = Math.min(Math.max(level, this.config.min), this.config.max);
+    this.updateTransform();
+    this.dispatchEvent(new CustomEvent('change', { detail: { level: this.level } }));
+  }
+
+  updateTransform() {
+    this.target.style.transform = `scale(${this.level}) translate(${this.translateX}px, ${this.translateY}px)`;
+  }
+
+  destroy() {
+    const { container } = this;
+    container.removeEventListener('mousedown', this.onMouseDown);
+    container.removeEventListener('touchstart', this.onTouchStart);
+    container.removeEventListener('touchmove', this.onTouchMove);
+    container.removeEventListener('touchend', this.onTouchEnd);
+    container.removeEventListener('wheel', this.onWheel);
+    document.removeEventListener('mousemove', this.onMouseMove);
+    document.removeEventListener('mouseup', this.onMouseUp);
+  }
+
+  // Utility functions
+  getTouchDistance(touches) {
+    return Math.hypot(touches[1].clientX - touches[0].clientX, touches[1].clientY - touches[0].clientY);
+  }
+}
+
+export default Zoom;
@@ -0,0 +1,701 @@
+/**
+ * MEISTERCO - CONSENT MANAGER
+ * Records what the visitor has agreed to under the PDPA notice, per purpose:
+ *
+ *   testDrive  - arranging a test drive (the checkbox on the booking forms)
+ *   marketing  - offers and news
+ *   analytics  - measuring how the site is used
+ *
+ * Each decision is stored with a timestamp and the notice version it was made
+ * under; publishing a new notice version asks again. Links marked
+ * data-consent-notice open the notice dialog, and privacy.html uses
+ * exportLocalData() / deleteLocalData() for access and deletion requests.
+ *
+ *   if (window.consentManager.has('analytics')) { ... }
+ *   window.consentManager.addEventListener('change', e => e.detail.purposes);
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const CONSENT_DEFAULTS = {
+  storageKey: 'meisterco-consent',
+  noticeVersion: '2026-10',
+  privacyPage: 'privacy.html',
+  showBanner: true,
+
+  // Everything this site keeps about the visitor in the browser
+  dataStores: [
+    { id: 'preferences', type: 'local', key: 'meisterco-preferences' },
+    { id: 'consent', type: 'local', key: 'meisterco-consent' },
+    { id: 'garage', type: 'local', key: 'meisterco-garage' },
+    { id: 'loading', type: 'local', key: 'meisterco-loading' },
+    { id: 'chat', type: 'session', key: 'meisterco-chat' },
+    { id: 'analyticsQueue', type: 'session', key: 'meisterco-analytics-queue' },
+    { id: 'funnel', type: 'session', key: 'meisterco-funnel' },
+    { id: 'outbox', type: 'indexeddb', database: 'meisterco', store: 'outbox' },
+    { id: 'reminders', type: 'indexeddb', database: 'meisterco-reminders', store: 'reminders' }
+  ]
+};
+
+const CONSENT_PURPOSES = ['testDrive', 'marketing', 'analytics'];
+
+// Purposes the banner asks about; test drive consent is given when booking
+const OPTIONAL_PURPOSES = ['marketing', 'analytics'];
+
+// ========================================================================
+// CONSENT MANAGER
+// ========================================================================
+
+class ConsentManager extends EventTarget {
+  constructor(options = {}) {
+    super();
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.consent) || {};
+    this.config = { ...CONSENT_DEFAULTS, ...globalConfig, ...options };
+
+    this.record = this.readRecord();
+    this.dialog = null;
+    this.elements = {};
+
+    this.init();
+  }
+
+  init() {
+    this.injectStyles();
+    this.bindEvents();
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.mount());
+    } else {
+      this.mount();
+    }
+  }
+
+  // ========================================================================
+  // PUBLIC API
+  // ========================================================================
+
+  /**
+   * true or false once the visitor has decided under the current notice,
+   * null while they have not.
+   */
+  status(purpose) {
+    if (!this.record || this.record.noticeVersion !== this.config.noticeVersion) return null;
+    const entry = this.record.purposes[purpose];
+    return entry ? entry.granted : null;
+  }
+
+  has(purpose) {
+    return this.status(purpose) === true;
+  }
+
+  getPurposes() {
+    return CONSENT_PURPOSES.reduce((purposes, purpose) => {
+      purposes[purpose] = this.status(purpose);
+      return purposes;
+    }, {});
+  }
+
+  isDecided() {
+    return OPTIONAL_PURPOSES.every(purpose => this.status(purpose) !== null);
+  }
+
+  set(purpose, granted, source = 'api') {
+    return this.update({ [purpose]: granted }, source);
+  }
+
+  /**
+   * Record decisions for one or more purposes. Decisions made under an
+   * older notice version are dropped rather than carried over.
+   */
+  update(changes, source = 'api') {
+    const timestamp = new Date().toISOString();
+    const current = this.record && this.record.noticeVersion === this.config.noticeVersion
+      ? this.record.purposes
+      : {};
+    const purposes = { ...current };
+    const changed = [];
+
+    Object.entries(changes).forEach(([purpose, granted]) => {
+      if (!CONSENT_PURPOSES.includes(purpose)) return;
+      granted = Boolean(granted);
+      if (this.status(purpose) === granted) return;
+
+      purposes[purpose] = { granted, timestamp, source };
+      changed.push(purpose);
+    });
+
+    if (!changed.length) return [];
+
+    this.record = { noticeVersion: this.config.noticeVersion, updatedAt: timestamp, purposes };
+    this.writeRecord(this.record);
+    this.notify(changed);
+    return changed;
+  }
+
+  acceptAll(source = 'notice') {
+    return this.update(CONSENT_PURPOSES.reduce((changes, purpose) => ({ ...changes, [purpose]: true }), {}), source);
+  }
+
+  acceptOptional(source = 'banner') {
+    return this.update(OPTIONAL_PURPOSES.reduce((changes, purpose) => ({ ...changes, [purpose]: true }), {}), source);
+  }
+
+  rejectOptional(source = 'banner') {
+    return this.update(OPTIONAL_PURPOSES.reduce((changes, purpose) => ({ ...changes, [purpose]: false }), {}), source);
+  }
+
+  /**
+   * The consent block sent with a booking, so the server keeps proof of
+   * what was agreed and under which notice.
+   */
+  snapshot() {
+    const entry = this.record && this.record.purposes.testDrive;
+    return {
+      pdpa: this.has('testDrive'),
+      purposes: CONSENT_PURPOSES.reduce((purposes, purpose) => ({ ...purposes, [purpose]: this.has(purpose) }), {}),
+      noticeVersion: this.config.noticeVersion,
+      timestamp: entry && this.has('testDrive') ? entry.timestamp : new Date().toISOString()
+    };
+  }
+
+  openNotice() {
+    if (!this.dialog) return;
+
+    this.renderNotice();
+    this.syncForm();
+    this.dialog.open();
+  }
+
+  closeNotice() {
+    if (this.dialog) this.dialog.close();
+  }
+
+  // ========================================================================
+  // DATA SUBJECT REQUESTS
+  // ========================================================================
+
+  /**
+   * Everything in config.dataStores, keyed by store id, for access requests.
+   */
+  async exportLocalData() {
+    const data = {};
+
+    for (const store of this.config.dataStores) {
+      data[store.id] = store.type === 'indexeddb'
+        ? await this.readDatabase(store)
+        : this.readStorage(store);
+    }
+
+    return {
+      exportedAt: new Date().toISOString(),
+      noticeVersion: this.config.noticeVersion,
+      data
+    };
+  }
+
+  async downloadLocalData() {
+    const exported = await this.exportLocalData();
+    const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `meisterco-my-data-${exported.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    return exported;
+  }
+
+  /**
+   * Remove every local store, consent included. Returns the ids of the
+   * stores that held something.
+   */
+  async deleteLocalData() {
+    const removed = [];
+
+    for (const store of this.config.dataStores) {
+      if (store.type === 'indexeddb') {
+        if (await this.clearDatabase(store)) removed.push(store.id);
+      } else if (this.readStorage(store) !== null) {
+        this.storageFor(store).removeItem(store.key);
+        removed.push(store.id);
+      }
+    }
+
+    this.record = null;
+    this.notify(CONSENT_PURPOSES);
+    return removed;
+  }
+
+  // ========================================================================
+  // EVENTS & SYNC
+  // ========================================================================
+
+  notify(changed) {
+    this.syncCheckboxes();
+    this.syncForm();
+    this.updateBanner();
+    this.dispatchEvent(new CustomEvent('change', {
+      detail: { changed, purposes: this.getPurposes(), noticeVersion: this.config.noticeVersion }
+    }));
+  }
+
+  bindEvents() {
+    // Any notice link opens the dialog; without script it still leads to privacy.html
+    document.addEventListener('click', (e) => {
+      const link = e.target.closest('[data-consent-notice]');
+      if (!link || !this.dialog) return;
+      e.preventDefault();
+      this.openNotice();
+    });
+
+    // Ticking the PDPA box on a booking form is consent to arrange the test drive
+    document.addEventListener('change', (e) => {
+      const checkbox = e.target;
+      if (checkbox.name !== 'pdpaConsent' || checkbox.type !== 'checkbox') return;
+      this.set('testDrive', checkbox.checked, 'booking-form');
+    });
+
+    // Decisions made in another tab
+    window.addEventListener('storage', (e) => {
+      if (e.key !== this.config.storageKey && e.key !== null) return;
+      this.record = this.readRecord();
+      this.notify(CONSENT_PURPOSES);
+    });
+  }
+
+  syncCheckboxes() {
+    const granted = this.has('testDrive');
+    document.querySelectorAll('input[type="checkbox"][name="pdpaConsent"]').forEach(checkbox => {
+      if (checkbox.checked === granted) return;
+      checkbox.checked = granted;
+      // Let the form re-check its submit button
+      checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  }
+
+  // ========================================================================
+  // NOTICE DIALOG & BANNER
+  // ========================================================================
+
+  mount() {
+    this.createDialog();
+    this.createBanner();
+    this.bindDialogEvents();
+    window.i18n.apply(this.elements.overlay);
+    window.i18n.apply(this.elements.banner);
+    window.i18n.addEventListener('change', () => {
+      if (this.dialog.isOpen) this.renderNotice();
+    });
+    this.updateBanner();
+  }
+
+  createDialog() {
+    const overlay = document.createElement('div');
+    overlay.className = 'consent-overlay';
+    overlay.hidden = true;
+
+    overlay.innerHTML = `
+      <section class="consent-dialog">
+        <header class="consent-header">
+          <h2 id="consentTitle" data-i18n="consent.title">Personal Data Protection Notice</h2>
+          <button type="button" class="consent-close" data-dialog-close data-i18n-attr="aria-label:consent.close">×</button>
+        </header>
+        <p class="consent-version"></p>
+        <div class="consent-notice"></div>
+        <form class="consent-form">
+          <h3 data-i18n="consent.purposesTitle">What you agree to</h3>
+          ${CONSENT_PURPOSES.map(purpose => `
+            <label class="consent-purpose">
+              <input type="checkbox" name="${purpose}">
+              <span>
+                <strong data-i18n="consent.purposes.${purpose}.label"></strong>
+                <small data-i18n="consent.purposes.${purpose}.description"></small>
+              </span>
+            </label>
+          `).join('')}
+          <div class="consent-actions">
+            <button type="submit" class="consent-save" data-i18n="consent.save">Save choices</button>
+            <button type="button" class="consent-accept" data-i18n="consent.acceptAll">Accept all</button>
+          </div>
+          <p class="consent-status" role="status" aria-live="polite"></p>
+        </form>
+        <a class="consent-privacy-link" href="${this.config.privacyPage}" data-i18n="consent.privacyLink">Export or delete your data</a>
+      </section>
+    `;
+
+    document.body.appendChild(overlay);
+    this.dialog = new Dialog(overlay, { panel: '.consent-dialog', labelledBy: 'consentTitle' });
+
+    this.elements = {
+      overlay,
+      version: overlay.querySelector('.consent-version'),
+      notice: overlay.querySelector('.consent-notice'),
+      form: overlay.querySelector('.consent-form'),
+      status: overlay.querySelector('.consent-status'),
+      acceptButton: overlay.querySelector('.consent-accept')
+    };
+  }
+
+  createBanner() {
+    const banner = document.createElement('div');
+    banner.className = 'consent-banner';
+    banner.setAttribute('role', 'region');
+    banner.dataset.i18nAttr = 'aria-label:consent.title';
+    banner.hidden = true;
+
+    banner.innerHTML = `
+      <p data-i18n="consent.bannerText">We would like to measure how the site is used and keep you updated on offers. You can change this at any time.</p>
+      <div class="consent-banner-actions">
+        <button type="button" class="consent-banner-accept" data-i18n="consent.acceptAll">Accept all</button>
+        <button type="button" class="consent-banner-reject" data-i18n="consent.essentialOnly">Essential only</button>
+        <button type="button" class="consent-banner-manage" data-consent-notice data-i18n="consent.manage">Manage choices</button>
+      </div>
+    `;
+
+    document.body.appendChild(banner);
+    this.elements.banner = banner;
+  }
+
+  bindDialogEvents() {
+    const { form, acceptButton, banner, status } = this.elements;
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const changes = {};
+      CONSENT_PURPOSES.forEach(purpose => {
+        changes[purpose] = form.elements[purpose].checked;
+      });
+      this.update(changes, 'notice');
+      window.i18n.translate(status, 'consent.saved');
+    });
+
+    acceptButton.addEventListener('click', () => {
+      this.acceptAll();
+      this.closeNotice();
+    });
+
+    banner.querySelector('.consent-banner-accept').addEventListener('click', () => this.acceptOptional());
+    banner.querySelector('.consent-banner-reject').addEventListener('click', () => this.rejectOptional());
+  }
+
+  // The notice is plain text in the dictionaries: blank lines split
+  // paragraphs and "•" lines become a list
+  renderNotice() {
+    const { notice, version, status } = this.elements;
+    notice.innerHTML = '';
+    status.textContent = '';
+
+    window.i18n.t('pdpa.notice').split(/\n\s*\n/).forEach(block => {
+      const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+      const items = lines.filter(line => line.startsWith('•'));
+      const text = lines.filter(line => !line.startsWith('•'));
+
+      text.forEach((line, index) => {
+        const element = document.createElement(index === 0 && notice.children.length === 0 ? 'h3' : 'p');
+        element.textContent = line;
+        notice.appendChild(element);
+      });
+
+      if (items.length) {
+        const list = document.createElement('ul');
+        items.forEach(item => {
+          const li = document.createElement('li');
+          li.textContent = item.replace(/^•\s*/, '');
+          list.appendChild(li);
+        });
+        notice.appendChild(list);
+      }
+    });
+
+    window.i18n.translate(version, 'consent.version', { version: this.config.noticeVersion });
+  }
+
+  syncForm() {
+    const { form } = this.elements;
+    if (!form) return;
+
+    CONSENT_PURPOSES.forEach(purpose => {
+      form.elements[purpose].checked = this.has(purpose);
+    });
+  }
+
+  updateBanner() {
+    const { banner } = this.elements;
+    if (!banner) return;
+    banner.hidden = !this.config.showBanner || this.isDecided();
+  }
+
+  // Utility functions
+  storageFor(store) {
+    return store.type === 'session' ? sessionStorage : localStorage;
+  }
+
+  readStorage(store) {
+    try {
+      const raw = this.storageFor(store).getItem(store.key);
+      if (raw === null) return null;
+      try {
+        return JSON.parse(raw);
+      } catch (e) {
+        return raw;
+      }
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Opens an existing database only; never creates one the booking client
+  // would then find without its object store
+  openExistingDatabase(database) {
+    return new Promise(resolve => {
+      if (!('indexedDB' in window)) {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(database);
+      request.onupgradeneeded = () => request.transaction.abort();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+    });
+  }
+
+  async readDatabase(store) {
+    const db = await this.openExistingDatabase(store.database);
+    if (!db || !db.objectStoreNames.contains(store.store)) {
+      if (db) db.close();
+      return [];
+    }
+
+    return new Promise(resolve => {
+      const request = db.transaction(store.store, 'readonly').objectStore(store.store).getAll();
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result);
+      };
+      request.onerror = () => {
+        db.close();
+        resolve([]);
+      };
+    });
+  }
+
+  async clearDatabase(store) {
+    const entries = await this.readDatabase(store);
+    if (!entries.length) return false;
+
+    const db = await this.openExistingDatabase(store.database);
+    return new Promise(resolve => {
+      const tx = db.transaction(store.store, 'readwrite');
+      tx.objectStore(store.store).clear();
+      tx.oncomplete = () => {
+        db.close();
+        resolve(true);
+      };
+      tx.onerror = () => {
+        db.close();
+        resolve(false);
+      };
+    });
+  }
+
+  readRecord() {
+    try {
+      const record = JSON.parse(localStorage.getItem(this.config.storageKey));
+      return record && record.purposes ? record : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  writeRecord(record) {
+    try {
+      localStorage.setItem(this.config.storageKey, JSON.stringify(record));
+    } catch (e) {
+      console.warn('Could not save consent:', e);
+    }
+  }
+
+  injectStyles() {
+    if (document.getElementById('consent-widget-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'consent-widget-styles';
+    style.textContent = `
+      .consent-overlay {
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.7);
+        backdrop-filter: blur(6px);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        padding: 1rem;
+      }
+
+      .consent-overlay[hidden],
+      .consent-banner[hidden] {
+        display: none;
+      }
+
+      .consent-dialog {
+        width: min(640px, 100%);
+        max-height: calc(100vh - 2rem);
+        overflow-y: auto;
+        background: #121214;
+        color: #ffffff;
+        border: 1px solid rgba(255, 255, 255, 0.15);
+        border-radius: 20px;
+        padding: 1.75rem;
+        box-shadow: 0 25px 60px rgba(0, 0, 0, 0.5);
+        outline: none;
+      }
+
+      .consent-header {
+        display: flex;
+        align-items: flex-start;
+        justify-content: space-between;
+        gap: 1rem;
+      }
+
+      .consent-header h2 {
+        font-size: 1.3rem;
+        margin: 0;
+      }
+
+      .consent-close {
+        background: none;
+        border: none;
+        color: inherit;
+        font-size: 1.6rem;
+        line-height: 1;
+        cursor: pointer;
+      }
+
+      .consent-version {
+        font-size: 0.8rem;
+        color: rgba(255, 255, 255, 0.55);
+        margin: 0.25rem 0 1rem;
+      }
+
+      .consent-notice {
+        font-size: 0.9rem;
+        line-height: 1.6;
+        color: rgba(255, 255, 255, 0.85);
+        border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+        padding-bottom: 1rem;
+        margin-bottom: 1rem;
+      }
+
+      .consent-notice h3 {
+        font-size: 0.95rem;
+        margin-bottom: 0.5rem;
+      }
+
+      .consent-notice p,
+      .consent-notice ul {
+        margin: 0 0 0.75rem;
+      }
+
+      .consent-notice ul {
+        padding-left: 1.25rem;
+      }
+
+      .consent-form h3 {
+        font-size: 1rem;
+        margin-bottom: 0.75rem;
+      }
+
+      .consent-purpose {
+        display: flex;
+        gap: 0.75rem;
+        align-items: flex-start;
+        padding: 0.75rem;
+        border: 1px solid rgba(255, 255, 255, 0.12);
+        border-radius: 12px;
+        margin-bottom: 0.5rem;
+        cursor: pointer;
+      }
+
+      .consent-purpose input {
+        margin-top: 0.3rem;
+        accent-color: #007AFF;
+      }
+
+      .consent-purpose small {
+        display: block;
+        color: rgba(255, 255, 255, 0.65);
+        font-size: 0.8rem;
+      }
+
+      .consent-actions,
+      .consent-banner-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin-top: 1rem;
+      }
+
+      .consent-actions button,
+      .consent-banner-actions button {
+        border-radius: 999px;
+        padding: 0.6rem 1.2rem;
+        font: inherit;
+        font-size: 0.9rem;
+        cursor: pointer;
+        border: 1px solid #007AFF;
+        background: transparent;
+        color: #ffffff;
+      }
+
+      .consent-accept,
+      .consent-banner-accept {
+        background: #007AFF !important;
+      }
+
+      .consent-status {
+        font-size: 0.85rem;
+        color: #34c759;
+        margin-top: 0.75rem;
+        min-height: 1.2em;
+      }
+
+      .consent-privacy-link {
+        display: inline-block;
+        margin-top: 0.5rem;
+        color: #007AFF;
+        font-size: 0.9rem;
+      }
+
+      .consent-banner {
+        position: fixed;
+        left: 1.5rem;
+        bottom: 1.5rem;
+        width: min(420px, calc(100vw - 3rem));
+        background: rgba(18, 18, 20, 0.97);
+        color: #ffffff;
+        border: 1px solid rgba(255, 255, 255, 0.15);
+        border-radius: 16px;
+        padding: 1.25rem;
+        box-shadow: 0 20px 50px rgba(0, 0, 0, 0.45);
+        font-size: 0.9rem;
+        z-index: 10005;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.consentManager = new ConsentManager();
@@ -0,0 +1,307 @@
+/**
+ * MEISTERCO - DIALOG
+ * Modal dialogs shared by the booking form, the model galleries and the PDPA
+ * notice. A dialog traps focus while open, hands it back on close, closes on
+ * Escape or an overlay click and locks page scrolling without touching
+ * body.style.overflow (the mobile menu owns that).
+ *
+ *   const dialog = new Dialog(overlayElement, { panel: '.modal-content', labelledBy: 'bookingTitle' });
+ *   dialog.addEventListener('close', e => e.detail.reason);
+ *   dialog.open();
+ *
+ * Dialogs opened over another one (the notice over the booking form) are
+ * stacked: only the top one answers keys and clicks, and scrolling stays
+ * locked until the last one closes. Buttons marked data-dialog-close close
+ * their dialog, as do clicks on the root or a [data-dialog-overlay] element.
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const DIALOG_DEFAULTS = {
+  panel: null,            // selector for the dialog box inside the root; the root itself when null
+  labelledBy: null,       // id of the visible title
+  label: null,            // aria-label when there is no visible title
+  initialFocus: null,     // selector focused on open; the first focusable element otherwise
+  activeClass: 'active',  // added to the root while open
+  closeOnEscape: true,
+  closeOnOverlay: true,
+  removeOnClose: false,   // take the root out of the document once closed
+  closeDelay: 0           // ms the closing class stays on before the root is hidden
+};
+
+// Stacked dialogs start above the header, notifications and consent banner
+const DIALOG_Z_INDEX = 10000;
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// ========================================================================
+// STACK
+// ========================================================================
+
+/**
+ * Open dialogs, bottom first. Owns the document-level listeners so that
+ * however many dialogs exist, keys and focus go to the top one only.
+ */
+const dialogStack = {
+  dialogs: [],
+  listening: false,
+
+  push(dialog) {
+    this.remove(dialog);
+    this.dialogs.push(dialog);
+    this.update();
+  },
+
+  remove(dialog) {
+    this.dialogs = this.dialogs.filter(item => item !== dialog);
+    this.update();
+  },
+
+  top() {
+    return this.dialogs[this.dialogs.length - 1] || null;
+  },
+
+  update() {
+    this.dialogs.forEach((dialog, index) => {
+      dialog.root.style.zIndex = DIALOG_Z_INDEX + index * 10;
+    });
+    this.lockScroll(this.dialogs.length > 0);
+    this.listen();
+  },
+
+  // A class on <html> rather than body.style, so nothing else's overflow
+  // setting is overwritten or restored by mistake
+  lockScroll(locked) {
+    const root = document.documentElement;
+    if (locked && !root.classList.contains('dialog-scroll-lock')) {
+      root.style.setProperty('--dialog-scrollbar', `${Math.max(0, window.innerWidth - root.clientWidth)}px`);
+      root.classList.add('dialog-scroll-lock');
+    } else if (!locked) {
+      root.classList.remove('dialog-scroll-lock');
+      root.style.removeProperty('--dialog-scrollbar');
+    }
+  },
+
+  listen() {
+    if (this.listening) return;
+    this.listening = true;
+
+    // Capture phase, so page shortcuts (gallery keys, the mobile menu) never
+    // see an Escape that closed a dialog
+    document.addEventListener('keydown', (e) => {
+      const dialog = this.top();
+      if (dialog) dialog.handleKeydown(e);
+    }, true);
+
+    document.addEventListener('focusin', (e) => {
+      const dialog = this.top();
+      if (dialog && !dialog.panel.contains(e.target)) dialog.focusFirst();
+    });
+  }
+};
+
+// ========================================================================
+// DIALOG
+// ========================================================================
+
+class Dialog extends EventTarget {
+  constructor(root, options = {}) {
+    super();
+
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.dialog) || {};
+    this.config = { ...DIALOG_DEFAULTS, ...globalConfig, ...options };
+
+    this.root = root;
+    this.panel = (this.config.panel && root.querySelector(this.config.panel)) || root;
+    this.isOpen = false;
+    this.returnFocus = null;
+    this.closeTimer = null;
+
+    this.init();
+  }
+
+  init() {
+    this.injectStyles();
+
+    this.root.setAttribute('data-dialog', '');
+    this.panel.setAttribute('role', 'dialog');
+    this.panel.setAttribute('aria-modal', 'true');
+    if (!this.panel.hasAttribute('tabindex')) this.panel.setAttribute('tabindex', '-1');
+    if (this.config.labelledBy) this.panel.setAttribute('aria-labelledby', this.config.labelledBy);
+    if (this.config.label) this.panel.setAttribute('aria-label', this.config.label);
+
+    if (!this.isOpen && !this.root.classList.contains(this.config.activeClass)) {
+      this.root.hidden = true;
+    }
+
+    this.root.addEventListener('click', (e) => {
+      if (!this.isTop()) return;
+
+      if (e.target.closest('[data-dialog-close]')) {
+        this.close('button');
+      } else if (this.config.closeOnOverlay && (e.target === this.root || e.target.hasAttribute('data-dialog-overlay'))) {
+        this.close('overlay');
+      }
+    });
+  }
+
+  // ========================================================================
+  // PUBLIC API
+  // ========================================================================
+
+  open() {
+    if (this.isOpen) return;
+
+    clearTimeout(this.closeTimer);
+    this.isOpen = true;
+    this.returnFocus = document.activeElement;
+
+    this.root.hidden = false;
+    this.root.classList.remove('dialog-closing');
+    this.root.classList.add(this.config.activeClass);
+    dialogStack.push(this);
+
+    this.focusFirst();
+    this.dispatchEvent(new CustomEvent('open'));
+  }
+
+  /**
+   * Close the dialog. The reason ('escape', 'overlay', 'button' or whatever
+   * the caller passes) is reported on the 'close' event.
+   */
+  close(reason = 'api') {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    dialogStack.remove(this);
+    this.root.classList.remove(this.config.activeClass);
+
+    const finish = () => {
+      this.root.classList.remove('dialog-closing');
+      this.root.hidden = true;
+      this.root.style.zIndex = '';
+      if (this.config.removeOnClose) this.root.remove();
+    };
+
+    if (this.config.closeDelay) {
+      this.root.classList.add('dialog-closing');
+      this.closeTimer = setTimeout(finish, this.config.closeDelay);
+    } else {
+      finish();
+    }
+
+    this.restoreFocus();
+    this.dispatchEvent(new CustomEvent('close', { detail: { reason } }));
+  }
+
+  toggle() {
+    this.isOpen ? this.close() : this.open();
+  }
+
+  isTop() {
+    return dialogStack.top() === this;
+  }
+
+  // ========================================================================
+  // FOCUS & KEYBOARD
+  // ========================================================================
+
+  handleKeydown(e) {
+    if (e.key === 'Escape' && this.config.closeOnEscape) {
+      e.preventDefault();
+      e.stopPropagation();
+      this.close('escape');
+    } else if (e.key === 'Tab') {
+      this.trapTab(e);
+    }
+  }
+
+  // Keep Tab and Shift+Tab cycling inside the panel
+  trapTab(e) {
+    const focusable = this.getFocusable();
+    if (!focusable.length) {
+      e.preventDefault();
+      this.panel.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (e.shiftKey && (active === first || active === this.panel)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  focusFirst() {
+    const target = (this.config.initialFocus && this.panel.querySelector(this.config.initialFocus))
+      || this.getFocusable()[0]
+      || this.panel;
+    target.focus();
+  }
+
+  // Back to whatever was focused before, unless it has since gone away
+  restoreFocus() {
+    const target = this.returnFocus;
+    this.returnFocus = null;
+
+    if (target && target.focus && document.contains(target)) {
+      target.focus();
+    } else if (dialogStack.top()) {
+      dialogStack.top().focusFirst();
+    }
+  }
+
+  // Utility functions
+  getFocusable() {
+    return [...this.panel.querySelectorAll(FOCUSABLE_SELECTOR)].filter(element => !element.closest('[hidden]'));
+  }
+
+  injectStyles() {
+    if (document.getElementById('dialog-widget-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'dialog-widget-styles';
+    style.textContent = `
+      [data-dialog][hidden] {
+        display: none !important;
+      }
+
+      html.dialog-scroll-lock {
+        overflow: hidden;
+      }
+
+      html.dialog-scroll-lock body {
+        padding-right: var(--dialog-scrollbar, 0px);
+      }
+
+      [role="dialog"][aria-modal="true"]:focus {
+        outline: none;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.Dialog = Dialog;
@@ -0,0 +1,487 @@
+/**
+ * MEISTERCO - HIRE PURCHASE CALCULATOR
+ * Monthly instalment estimates for the configurator total. Malaysian car loans
+ * are flat-rate hire purchase: interest is charged on the original loan for the
+ * whole tenure and allocated across instalments with the Rule of 78.
+ *
+ * The chosen plan travels with the buyer as URL parameters so book.html and the
+ * contact form's "finance" inquiry can show it.
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const FINANCE_DEFAULTS = {
+  downPaymentPercent: 10,
+  minDownPaymentPercent: 10,
+  maxDownPaymentPercent: 90,
+  tenureYears: 9,
+  maxTenureYears: 9,
+  interestRate: 3.0,
+  maxInterestRate: 20
+};
+
+const FINANCE_PARAMS = {
+  downPaymentPercent: 'financeDown',
+  tenureYears: 'financeTenure',
+  interestRate: 'financeRate',
+  monthlyInstalment: 'financeMonthly'
+};
+
+// ========================================================================
+// FINANCE CALCULATOR
+// ========================================================================
+
+class FinanceCalculator {
+  constructor(options = {}) {
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.finance) || {};
+    this.config = { ...FINANCE_DEFAULTS, ...globalConfig, ...options };
+
+    this.price = 0;
+    this.terms = this.normalizeTerms({
+      downPaymentPercent: this.config.downPaymentPercent,
+      tenureYears: this.config.tenureYears,
+      interestRate: this.config.interestRate
+    });
+
+    this.elements = null;
+    this.options = {};
+  }
+
+  normalizeTerms({ downPaymentPercent, tenureYears, interestRate }) {
+    const clamp = (value, min, max, fallback) => {
+      if (value === '' || value === null || value === undefined) return fallback;
+      const number = Number(value);
+      return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+    };
+
+    return {
+      downPaymentPercent: clamp(downPaymentPercent, this.config.minDownPaymentPercent, this.config.maxDownPaymentPercent, this.config.downPaymentPercent),
+      tenureYears: Math.round(clamp(tenureYears, 1, this.config.maxTenureYears, this.config.tenureYears)),
+      interestRate: clamp(interestRate, 0, this.config.maxInterestRate, this.config.interestRate)
+    };
+  }
+
+  /**
+   * Work out a hire purchase plan for a cash price. Amounts are in ringgit,
+   * rounded to the sen; the last instalment absorbs any rounding difference.
+   */
+  calculate(price, terms = this.terms) {
+    const { downPaymentPercent, tenureYears, interestRate } = this.normalizeTerms(terms);
+    const months = tenureYears * 12;
+
+    const downPayment = this.round(price * downPaymentPercent / 100);
+    const loanAmount = this.round(price - downPayment);
+    const totalInterest = this.round(loanAmount * (interestRate / 100) * tenureYears);
+    const totalPayable = this.round(loanAmount + totalInterest);
+    const monthlyInstalment = this.round(totalPayable / months);
+
+    return {
+      price,
+      downPaymentPercent,
+      tenureYears,
+      interestRate,
+      months,
+      downPayment,
+      loanAmount,
+      totalInterest,
+      totalPayable,
+      monthlyInstalment,
+      schedule: this.buildSchedule({ loanAmount, totalInterest, totalPayable, monthlyInstalment, months })
+    };
+  }
+
+  // Rule of 78: month k carries (n - k + 1) / (n(n + 1) / 2) of the total interest.
+  // At high rates over long tenures the early shares exceed the instalment;
+  // what doesn't fit is carried into the following months, so no instalment
+  // repays negative principal and the balance never grows.
+  buildSchedule({ loanAmount, totalInterest, totalPayable, monthlyInstalment, months }) {
+    const digits = months * (months + 1) / 2;
+    const schedule = [];
+    let balance = loanAmount;
+    let interestLeft = totalInterest;
+    let carried = 0;
+    let paid = 0;
+
+    for (let month = 1; month <= months; month++) {
+      const isLast = month === months;
+      const instalment = isLast ? this.round(totalPayable - paid) : monthlyInstalment;
+      const due = this.round(totalInterest * (months - month + 1) / digits + carried);
+      const interest = isLast ? interestLeft : Math.min(due, instalment);
+      const principal = this.round(instalment - interest);
+
+      carried = this.round(due - interest);
+      paid = this.round(paid + instalment);
+      interestLeft = this.round(interestLeft - interest);
+      balance = isLast ? 0 : this.round(balance - principal);
+
+      schedule.push({ month, instalment, interest, principal, balance });
+    }
+
+    return schedule;
+  }
+
+  // ========================================================================
+  // CONFIGURATOR WIDGET
+  // ========================================================================
+
+  /**
+   * Render the calculator into a configurator. `context()` should return the
+   * current { model, variant, color } so the financing enquiry link can carry it.
+   */
+  mount(container, { context = () => ({}) } = {}) {
+    if (!container) return this;
+
+    this.options = { context };
+    this.injectStyles();
+
+    const tenureOptions = Array.from({ length: this.config.maxTenureYears }, (_, i) => i + 1)
+      .map(years => `<option value="${years}"></option>`)
+      .join('');
+
+    container.classList.add('finance-widget');
+    container.innerHTML = `
+      <h4 class="finance-title" data-i18n="finance.title"></h4>
+      <div class="finance-fields">
+        <label class="finance-field">
+          <span><span data-i18n="finance.downPayment"></span> <output class="finance-down-output"></output></span>
+          <input type="range" name="downPaymentPercent" min="${this.config.minDownPaymentPercent}" max="${this.config.maxDownPaymentPercent}" step="5">
+        </label>
+        <label class="finance-field">
+          <span data-i18n="finance.tenure"></span>
+          <select name="tenureYears">${tenureOptions}</select>
+        </label>
+        <label class="finance-field">
+          <span data-i18n="finance.interestRate"></span>
+          <input type="number" name="interestRate" min="0" max="${this.config.maxInterestRate}" step="0.01" inputmode="decimal">
+        </label>
+      </div>
+      <div class="finance-results" aria-live="polite">
+        <div class="finance-monthly">
+          <span data-i18n="finance.monthly"></span>
+          <strong class="finance-monthly-amount">-</strong>
+        </div>
+        <dl class="finance-breakdown"></dl>
+        <p class="finance-empty" data-i18n="finance.empty"></p>
+      </div>
+      <details class="finance-schedule">
+        <summary data-i18n="finance.schedule"></summary>
+        <div class="finance-schedule-wrapper"></div>
+      </details>
+      <p class="finance-note" data-i18n="finance.note"></p>
+      <a class="finance-enquire" href="contactus.html" data-i18n="finance.enquire"></a>
+    `;
+    container.querySelectorAll('[name="tenureYears"] option').forEach(option => {
+      window.i18n.translate(option, 'finance.years', { count: Number(option.value) });
+    });
+    window.i18n.apply(container);
+
+    this.elements = {
+      container,
+      down: container.querySelector('[name="downPaymentPercent"]'),
+      downOutput: container.querySelector('.finance-down-output'),
+      tenure: container.querySelector('[name="tenureYears"]'),
+      rate: container.querySelector('[name="interestRate"]'),
+      monthly: container.querySelector('.finance-monthly-amount'),
+      breakdown: container.querySelector('.finance-breakdown'),
+      empty: container.querySelector('.finance-empty'),
+      schedule: container.querySelector('.finance-schedule-wrapper'),
+      enquire: container.querySelector('.finance-enquire')
+    };
+
+    this.elements.down.value = this.terms.downPaymentPercent;
+    this.elements.tenure.value = this.terms.tenureYears;
+    this.elements.rate.value = this.terms.interestRate.toFixed(2);
+
+    const onInput = () => {
+      this.terms = this.normalizeTerms({
+        downPaymentPercent: this.elements.down.value,
+        tenureYears: this.elements.tenure.value,
+        interestRate: this.elements.rate.value
+      });
+      this.render();
+    };
+
+    this.elements.down.addEventListener('input', onInput);
+    this.elements.tenure.addEventListener('change', onInput);
+    this.elements.rate.addEventListener('input', onInput);
+    this.elements.rate.addEventListener('change', () => {
+      this.elements.rate.value = this.terms.interestRate.toFixed(2);
+    });
+    this.elements.enquire.addEventListener('click', () => {
+      this.elements.enquire.href = this.enquiryUrl();
+    });
+
+    // Amounts and the schedule follow the chosen language
+    window.i18n.addEventListener('change', () => this.render());
+
+    this.render();
+    return this;
+  }
+
+  setPrice(price) {
+    this.price = Number(price) || 0;
+    this.render();
+  }
+
+  render() {
+    if (!this.elements) return;
+
+    const { downOutput, monthly, breakdown, empty, schedule, enquire } = this.elements;
+    downOutput.textContent = `${this.terms.downPaymentPercent}%`;
+    empty.hidden = Boolean(this.price);
+
+    if (!this.price) {
+      monthly.textContent = '-';
+      breakdown.innerHTML = '';
+      schedule.innerHTML = '';
+      enquire.href = this.enquiryUrl();
+      return;
+    }
+
+    const plan = this.calculate(this.price);
+    const t = key => window.i18n.t(`finance.${key}`);
+
+    monthly.textContent = window.i18n.t('finance.perMonth', { amount: this.formatCurrency(plan.monthlyInstalment) });
+    breakdown.innerHTML = ['downPayment', 'loanAmount', 'totalInterest', 'totalPayable']
+      .map(key => `<div><dt>${t(key)}</dt><dd>${this.formatCurrency(plan[key])}</dd></div>`)
+      .join('');
+    schedule.innerHTML = `
+      <table class="finance-table">
+        <thead>
+          <tr>${['month', 'instalment', 'interest', 'principal', 'balance'].map(key => `<th scope="col">${t(`table.${key}`)}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+          ${plan.schedule.map(row => `
+            <tr><td>${row.month}</td><td>${this.formatAmount(row.instalment)}</td><td>${this.formatAmount(row.interest)}</td><td>${this.formatAmount(row.principal)}</td><td>${this.formatAmount(row.balance)}</td></tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+    enquire.href = this.enquiryUrl();
+  }
+
+  // ========================================================================
+  // HAND-OFF TO BOOKING AND CONTACT FORMS
+  // ========================================================================
+
+  /**
+   * The current plan, or null until a price has been configured.
+   */
+  getPlan() {
+    if (!this.price) return null;
+    const { schedule, ...plan } = this.calculate(this.price);
+    return plan;
+  }
+
+  appendTo(params) {
+    const plan = this.getPlan();
+    if (!plan) return params;
+
+    Object.entries(FINANCE_PARAMS).forEach(([key, param]) => params.set(param, plan[key]));
+    return params;
+  }
+
+  /**
+   * Read a plan passed along by appendTo(). Returns null when there is none.
+   */
+  fromParams(params) {
+    if (!params.get(FINANCE_PARAMS.monthlyInstalment)) return null;
+
+    const terms = this.normalizeTerms({
+      downPaymentPercent: params.get(FINANCE_PARAMS.downPaymentPercent),
+      tenureYears: params.get(FINANCE_PARAMS.tenureYears),
+      interestRate: params.get(FINANCE_PARAMS.interestRate)
+    });
+    const monthlyInstalment = Number(params.get(FINANCE_PARAMS.monthlyInstalment));
+
+    return Number.isFinite(monthlyInstalment) ? { ...terms, monthlyInstalment } : null;
+  }
+
+  /**
+   * One line summing up a plan, in the page's language or the given locale.
+   */
+  describe(plan, locale = window.i18n.locale) {
+    return window.i18n.t('finance.summary', {
+      monthly: this.formatCurrency(plan.monthlyInstalment),
+      years: window.i18n.t('finance.years', { count: plan.tenureYears }, locale),
+      down: plan.downPaymentPercent,
+      rate: Number(plan.interestRate).toFixed(2)
+    }, locale);
+  }
+
+  enquiryUrl() {
+    const { model = '', variant = '', color = '' } = this.options.context ? this.options.context() : {};
+    const params = new URLSearchParams({ inquiry: 'finance' });
+    if (model) params.set('model', model);
+    if (variant) params.set('variant', variant);
+    if (color) params.set('color', color);
+    if (this.price) params.set('price', this.formatCurrency(this.price, 0));
+    this.appendTo(params);
+    return `contactus.html?${params.toString()}`;
+  }
+
+  // Utility functions
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  formatAmount(amount, digits = 2) {
+    return window.i18n.formatNumber(amount, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    });
+  }
+
+  formatCurrency(amount, digits = 2) {
+    return window.i18n.formatCurrency(amount, digits);
+  }
+
+  injectStyles() {
+    if (document.getElementById('finance-widget-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'finance-widget-styles';
+    style.textContent = `
+      .finance-widget {
+        margin-top: 1.5rem;
+        padding: 1.5rem;
+        border: 1px solid var(--glass-border, rgba(255, 255, 255, 0.2));
+        border-radius: 16px;
+        background: var(--glass, rgba(255, 255, 255, 0.05));
+      }
+
+      .finance-title {
+        margin-bottom: 1rem;
+        color: var(--accent-teal, #00d4aa);
+      }
+
+      .finance-fields {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+        gap: 1rem;
+        margin-bottom: 1.25rem;
+      }
+
+      .finance-field {
+        display: flex;
+        flex-direction: column;
+        gap: 0.5rem;
+        font-size: 0.85rem;
+        opacity: 0.9;
+      }
+
+      .finance-field span {
+        display: flex;
+        justify-content: space-between;
+      }
+
+      .finance-field input[type="range"] {
+        accent-color: var(--accent-teal, #00d4aa);
+      }
+
+      .finance-field select,
+      .finance-field input[type="number"] {
+        padding: 0.6rem 0.75rem;
+        border-radius: 8px;
+        border: 1px solid var(--glass-border, rgba(255, 255, 255, 0.2));
+        background: rgba(0, 0, 0, 0.3);
+        color: inherit;
+        font: inherit;
+      }
+
+      .finance-monthly {
+        display: flex;
+        justify-content: space-between;
+        align-items: baseline;
+        margin-bottom: 0.75rem;
+      }
+
+      .finance-monthly-amount {
+        font-size: 1.5rem;
+        color: var(--accent-teal, #00d4aa);
+      }
+
+      .finance-breakdown div {
+        display: flex;
+        justify-content: space-between;
+        font-size: 0.9rem;
+        padding: 0.25rem 0;
+        opacity: 0.85;
+      }
+
+      .finance-empty {
+        font-size: 0.9rem;
+        opacity: 0.7;
+      }
+
+      .finance-schedule {
+        margin-top: 1rem;
+        font-size: 0.85rem;
+      }
+
+      .finance-schedule summary {
+        cursor: pointer;
+        color: var(--accent-teal, #00d4aa);
+      }
+
+      .finance-schedule-wrapper {
+        max-height: 280px;
+        overflow: auto;
+        margin-top: 0.75rem;
+      }
+
+      .finance-table {
+        width: 100%;
+        border-collapse: collapse;
+        font-variant-numeric: tabular-nums;
+      }
+
+      .finance-table th,
+      .finance-table td {
+        padding: 0.4rem 0.5rem;
+        text-align: right;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.08);
+      }
+
+      .finance-table th:first-child,
+      .finance-table td:first-child {
+        text-align: left;
+      }
+
+      .finance-table thead th {
+        position: sticky;
+        top: 0;
+        background: #111;
+      }
+
+      .finance-note {
+        margin-top: 1rem;
+        font-size: 0.75rem;
+        opacity: 0.6;
+      }
+
+      .finance-enquire {
+        display: inline-block;
+        margin-top: 0.75rem;
+        color: var(--accent-teal, #00d4aa);
+        font-weight: 600;
+        text-decoration: none;
+      }
+
+      .finance-enquire:hover {
+        text-decoration: underline;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.financeCalculator = new FinanceCalculator();
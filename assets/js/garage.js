@@ -0,0 +1,480 @@
+/**
+ * MEISTERCO - MY GARAGE
+ * Saves configurator builds in localStorage and restores them from compact
+ * share links. A build is encoded against the steps of the model's
+ * configurator definition as
+ *
+ *   myvi.html?build=1.3.0.5.f
+ *
+ * one field per step, the index of the option chosen or a bitmask of those
+ * ticked in a multiple choice step, then a bitmask of completed steps, all
+ * base 36 (an empty field means "not chosen"). Restoring hands the build to
+ * the page's configurator engine, so prices, the summary and the step
+ * indicator end up exactly as they were saved.
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const GARAGE_DEFAULTS = {
+  storageKey: 'meisterco-garage',
+  param: 'build',
+  maxBuilds: 12
+};
+
+// ========================================================================
+// BUILD GARAGE
+// ========================================================================
+
+class BuildGarage {
+  constructor(options = {}) {
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.garage) || {};
+    this.config = { ...GARAGE_DEFAULTS, ...globalConfig, ...options };
+
+    this.model = null;
+    this.configurator = null;
+    this.elements = null;
+    this.restoring = false;
+  }
+
+  // ========================================================================
+  // STORAGE
+  // ========================================================================
+
+  read() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.config.storageKey)) || {};
+      return {
+        builds: Array.isArray(data.builds) ? data.builds : [],
+        drafts: data.drafts && typeof data.drafts === 'object' ? data.drafts : {}
+      };
+    } catch (e) {
+      return { builds: [], drafts: {} };
+    }
+  }
+
+  write(data) {
+    try {
+      localStorage.setItem(this.config.storageKey, JSON.stringify(data));
+      return true;
+    } catch (e) {
+      // Private browsing or a full quota; the page keeps working without saves
+      console.warn('Could not save to My Garage:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Saved builds, newest first, optionally for one model only.
+   */
+  list({ model = null } = {}) {
+    const { builds } = this.read();
+    return model ? builds.filter(build => build.model === model) : builds;
+  }
+
+  remove(id) {
+    const data = this.read();
+    data.builds = data.builds.filter(build => build.id !== id);
+    this.write(data);
+    this.renderList();
+  }
+
+  // ========================================================================
+  // ENCODING
+  // ========================================================================
+
+  /**
+   * Encode a configurator state ({ selections, completed }) against the
+   * steps of a configurator definition.
+   */
+  encode(steps, { selections, completed = [] }) {
+    const fields = steps.map(step => {
+      const indexes = (selections[step.id] || [])
+        .map(id => step.options.findIndex(option => option.id === id))
+        .filter(index => index > -1);
+
+      if (step.multiple) {
+        const mask = indexes.reduce((bits, index) => bits | (1 << index), 0);
+        return mask ? mask.toString(36) : '';
+      }
+      return indexes.length ? indexes[0].toString(36) : '';
+    });
+    const done = completed.reduce((mask, isDone, index) => (isDone ? mask | (1 << index) : mask), 0);
+
+    return [...fields, done.toString(36)].join('.');
+  }
+
+  /**
+   * Decode a build string into a configurator state. Indexes outside a step's
+   * options are dropped, so an old link still restores whatever remains valid.
+   */
+  decode(steps, code) {
+    const fields = String(code || '').split('.');
+    const parse = value => (value ? parseInt(value, 36) : NaN);
+    const stepMask = parse(fields[steps.length]) || 0;
+
+    const selections = {};
+    steps.forEach((step, index) => {
+      const number = parse(fields[index]);
+      if (step.multiple) {
+        selections[step.id] = step.options.filter((_, i) => (number || 0) & (1 << i)).map(option => option.id);
+      } else {
+        const option = Number.isInteger(number) && number >= 0 ? step.options[number] : null;
+        selections[step.id] = option ? [option.id] : [];
+      }
+    });
+
+    return {
+      selections,
+      completed: steps.map((_, i) => Boolean(stepMask & (1 << i)))
+    };
+  }
+
+  shareUrl(page, code) {
+    const url = new URL(page, window.location.href);
+    url.search = '';
+    url.searchParams.set(this.config.param, code);
+    return url.toString();
+  }
+
+  // ========================================================================
+  // CONFIGURATOR
+  // ========================================================================
+
+  /**
+   * Attach to a model page's configurator engine once the catalogue has
+   * rendered its options. A ?build= link (which reloads keep) is applied straight away; the draft
+   * left by an earlier visit is only offered, so the page doesn't jump to the
+   * configurator on its own.
+   */
+  mount(container, { model, configurator }) {
+    if (!container || !model || !configurator) return this;
+
+    this.model = model;
+    this.configurator = configurator;
+    this.injectStyles();
+
+    container.classList.add('garage-widget');
+    container.innerHTML = `
+      <div class="garage-actions">
+        <button type="button" class="garage-save" data-i18n="garage.save"></button>
+        <button type="button" class="garage-share" data-i18n="garage.share"></button>
+      </div>
+      <p class="garage-status" aria-live="polite"></p>
+      <button type="button" class="garage-resume" data-i18n="garage.resume" hidden></button>
+      <details class="garage-saved">
+        <summary><span data-i18n="garage.title"></span> <span class="garage-count"></span></summary>
+        <p class="garage-empty" data-i18n="garage.empty"></p>
+        <ul class="garage-list"></ul>
+      </details>
+    `;
+    window.i18n.apply(container);
+
+    this.elements = {
+      container,
+      save: container.querySelector('.garage-save'),
+      share: container.querySelector('.garage-share'),
+      status: container.querySelector('.garage-status'),
+      resume: container.querySelector('.garage-resume'),
+      count: container.querySelector('.garage-count'),
+      empty: container.querySelector('.garage-empty'),
+      list: container.querySelector('.garage-list')
+    };
+
+    this.elements.save.addEventListener('click', () => this.saveCurrent());
+    this.elements.share.addEventListener('click', () => this.copyLink());
+    this.elements.list.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-garage-remove]');
+      if (remove) this.remove(remove.dataset.garageRemove);
+    });
+
+    const onChange = () => {
+      if (!this.restoring) this.handleChange();
+    };
+    configurator.addEventListener('change', onChange);
+    configurator.addEventListener('step', onChange);
+
+    // Builds saved in another tab
+    window.addEventListener('storage', (e) => {
+      if (e.key === this.config.storageKey) this.renderList();
+    });
+
+    // Dates, prices and labels follow the chosen language
+    window.i18n.addEventListener('change', () => this.renderList());
+
+    const fromUrl = new URLSearchParams(window.location.search).get(this.config.param);
+    const draft = this.read().drafts[model.id];
+
+    if (fromUrl) {
+      this.apply(fromUrl);
+    } else if (draft) {
+      this.elements.resume.hidden = false;
+      this.elements.resume.addEventListener('click', () => {
+        this.apply(draft);
+        this.handleChange();
+      }, { once: true });
+    }
+
+    this.handleChange();
+
+    this.renderList();
+    return this;
+  }
+
+  /**
+   * Restore a build into the configurator.
+   */
+  apply(code) {
+    this.elements.resume.hidden = true;
+    this.restoring = true;
+    try {
+      this.configurator.restore(this.decode(this.configurator.steps, code));
+    } finally {
+      this.restoring = false;
+    }
+  }
+
+  currentCode() {
+    return this.encode(this.configurator.steps, this.configurator.getState());
+  }
+
+  handleChange() {
+    const code = this.currentCode();
+    const hasSelection = this.configurator.hasSelection();
+
+    // A build starts with a single choice, which can be changed but not undone, so a draft is only ever replaced
+    if (hasSelection) {
+      const data = this.read();
+      data.drafts[this.model.id] = code;
+      this.write(data);
+      this.elements.resume.hidden = true;
+    }
+
+    this.updateUrl(hasSelection ? code : null);
+    this.elements.save.disabled = !hasSelection;
+    this.elements.share.disabled = !hasSelection;
+  }
+
+  updateUrl(code) {
+    const url = new URL(window.location.href);
+    if (code) {
+      url.searchParams.set(this.config.param, code);
+    } else {
+      url.searchParams.delete(this.config.param);
+    }
+    history.replaceState(history.state, '', url.toString());
+  }
+
+  saveCurrent() {
+    if (!this.configurator.hasSelection()) return null;
+
+    const model = this.model;
+    const code = this.currentCode();
+    const [first, ...rest] = this.configurator.getSummary().items;
+    const { total: totalPrice } = this.configurator.getPrice();
+
+    // The first step names the build (the variant); the rest describe it
+    const build = {
+      id: `${model.id}-${Date.now().toString(36)}`,
+      model: model.id,
+      page: model.page,
+      code,
+      title: [model.name, ...first.options.map(option => option.id)].join(' '),
+      details: rest.filter(item => item.options.length).map(item => {
+        return item.options.length > 1 ? `${item.options.length} ${item.label.toLowerCase()}` : item.options[0].name;
+      }),
+      totalPrice,
+      savedAt: new Date().toISOString()
+    };
+
+    const data = this.read();
+    const existing = data.builds.find(item => item.model === build.model && item.code === build.code);
+    data.builds = [build, ...data.builds.filter(item => item !== existing)].slice(0, this.config.maxBuilds);
+
+    if (!this.write(data)) {
+      this.setStatus('garage.unavailable');
+      return null;
+    }
+
+    this.setStatus(existing ? 'garage.moved' : 'garage.saved');
+    this.renderList();
+
+    // Track analytics
+    window.analytics.track('build_saved', { model: model.id, value: totalPrice });
+
+    return build;
+  }
+
+  async copyLink() {
+    const link = this.shareUrl(this.model.page, this.currentCode());
+    try {
+      await navigator.clipboard.writeText(link);
+      this.setStatus('garage.copied');
+    } catch (e) {
+      // Clipboard access can be blocked; show the link so it can be copied by hand
+      window.prompt(window.i18n.t('garage.copyPrompt'), link);
+    }
+  }
+
+  renderList() {
+    if (!this.elements) return;
+
+    const builds = this.list();
+    const { count, empty, list } = this.elements;
+
+    count.textContent = builds.length ? `(${builds.length})` : '';
+    empty.hidden = builds.length > 0;
+
+    list.innerHTML = builds.map(build => {
+      // Builds saved before the configurator was data-driven list their colour and interior instead
+      const details = (build.details || [
+        build.color,
+        build.interior,
+        build.accessories.length ? window.i18n.t('garage.accessories', { count: build.accessories.length }) : ''
+      ])
+        .filter(Boolean)
+        .join(' · ');
+      const saved = window.i18n.formatDate(build.savedAt);
+
+      return `
+        <li class="garage-item">
+          <a href="${this.escape(this.shareUrl(build.page, build.code))}">
+            <strong>${this.escape(build.title)}</strong>
+            <span>${this.escape(details)}</span>
+          </a>
+          <span class="garage-meta">${window.i18n.formatCurrency(build.totalPrice)} · ${saved}</span>
+          <button type="button" data-garage-remove="${this.escape(build.id)}" aria-label="${this.escape(window.i18n.t('garage.remove', { title: build.title }))}">×</button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  // Kept as a key so the message follows a language switch
+  setStatus(key) {
+    if (this.elements) window.i18n.translate(this.elements.status, key);
+  }
+
+  // Utility functions
+  escape(value) {
+    return window.vehicleCatalogue.escapeHTML(value);
+  }
+
+  injectStyles() {
+    if (document.getElementById('garage-widget-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'garage-widget-styles';
+    style.textContent = `
+      .garage-widget {
+        margin-top: 1.5rem;
+      }
+
+      .garage-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.75rem;
+      }
+
+      .garage-actions button {
+        flex: 1;
+        padding: 0.75rem 1rem;
+        border-radius: 12px;
+        border: 1px solid var(--glass-border, rgba(255, 255, 255, 0.2));
+        background: var(--glass, rgba(255, 255, 255, 0.05));
+        color: inherit;
+        font: inherit;
+        cursor: pointer;
+        transition: border-color 0.3s ease;
+      }
+
+      .garage-actions button:hover:not(:disabled) {
+        border-color: var(--accent-teal, #00d4aa);
+      }
+
+      .garage-actions button:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+
+      .garage-status {
+        min-height: 1.25rem;
+        margin: 0.5rem 0;
+        font-size: 0.85rem;
+        color: var(--accent-teal, #00d4aa);
+      }
+
+      .garage-resume {
+        margin-bottom: 0.75rem;
+        padding: 0;
+        border: none;
+        background: none;
+        color: var(--accent-teal, #00d4aa);
+        font: inherit;
+        font-weight: 600;
+        cursor: pointer;
+      }
+
+      .garage-saved summary {
+        cursor: pointer;
+        font-weight: 600;
+      }
+
+      .garage-empty {
+        margin-top: 0.75rem;
+        font-size: 0.85rem;
+        opacity: 0.7;
+      }
+
+      .garage-list {
+        list-style: none;
+        margin-top: 0.75rem;
+      }
+
+      .garage-item {
+        display: grid;
+        grid-template-columns: 1fr auto auto;
+        align-items: center;
+        gap: 0.75rem;
+        padding: 0.75rem 0;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.08);
+      }
+
+      .garage-item a {
+        display: flex;
+        flex-direction: column;
+        color: inherit;
+        text-decoration: none;
+      }
+
+      .garage-item a:hover strong {
+        color: var(--accent-teal, #00d4aa);
+      }
+
+      .garage-item a span,
+      .garage-meta {
+        font-size: 0.8rem;
+        opacity: 0.7;
+      }
+
+      .garage-item button {
+        width: 28px;
+        height: 28px;
+        border-radius: 50%;
+        border: 1px solid var(--glass-border, rgba(255, 255, 255, 0.2));
+        background: transparent;
+        color: inherit;
+        cursor: pointer;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.buildGarage = new BuildGarage();
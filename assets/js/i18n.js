@@ -0,0 +1,304 @@
+/**
+ * MEISTERCO - INTERNATIONALISATION
+ * Translates the interface into English, Bahasa Melayu and Chinese from the
+ * dictionaries in assets/js/locales/. Markup opts in with data attributes and
+ * scripts look strings up by key:
+ *
+ *   <label data-i18n="booking.firstName">First Name</label>
+ *   <input data-i18n-attr="placeholder:book.placeholders.fullName">
+ *   window.i18n.t('booking.success', { reference: 'MC-1234' });
+ *
+ * The chosen language is kept in the shared meisterco-preferences record and
+ * <html lang> follows it. Prices and dates are formatted for the locale.
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const I18N_DEFAULTS = {
+  locales: {
+    en: { label: 'English', intl: 'en-MY' },
+    ms: { label: 'Bahasa Melayu', intl: 'ms-MY' },
+    zh: { label: '中文', intl: 'zh-MY' }
+  },
+  defaultLocale: 'en',
+  storageKey: 'meisterco-preferences',
+  timeZone: 'Asia/Kuala_Lumpur',
+  currency: 'RM'
+};
+
+// ========================================================================
+// I18N
+// ========================================================================
+
+class I18n extends EventTarget {
+  constructor(options = {}) {
+    super();
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.i18n) || {};
+    this.config = { ...I18N_DEFAULTS, ...globalConfig, ...options };
+
+    this.dictionaries = window.MeisterCoLocales || {};
+    this.locale = this.resolveInitialLocale();
+
+    this.init();
+  }
+
+  init() {
+    this.injectStyles();
+    document.documentElement.lang = this.locale;
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.apply());
+    } else {
+      this.apply();
+    }
+  }
+
+  resolveInitialLocale() {
+    const saved = this.readPreferences().language;
+    if (this.isSupported(saved)) return saved;
+
+    // First visit: follow the browser, e.g. ms-MY -> ms, zh-Hans-MY -> zh
+    const browser = (navigator.languages || [navigator.language || ''])
+      .map(tag => String(tag).toLowerCase().split('-')[0])
+      .find(code => this.isSupported(code));
+
+    return browser || this.config.defaultLocale;
+  }
+
+  isSupported(code) {
+    return Boolean(code && this.config.locales[code] && this.dictionaries[code]);
+  }
+
+  get intlLocale() {
+    return this.config.locales[this.locale].intl;
+  }
+
+  /**
+   * Switch language, remember it in meisterco-preferences and re-translate
+   * the page. Listeners of the 'change' event re-render script-built text.
+   */
+  setLocale(code) {
+    if (!this.isSupported(code) || code === this.locale) return false;
+
+    const previous = this.locale;
+    this.locale = code;
+    document.documentElement.lang = code;
+    this.savePreferences({ language: code });
+    this.apply();
+
+    this.dispatchEvent(new CustomEvent('change', { detail: { locale: code, previous } }));
+
+    // Track analytics
+    window.analytics.track('language_change', { language: code });
+    return true;
+  }
+
+  /**
+   * Look up a string by dotted key. Falls back to English, then to the key
+   * itself. {name} placeholders are filled from params; a { one, other }
+   * entry is picked by params.count. Pass a locale for text in a language
+   * other than the page's.
+   */
+  t(key, params = {}, locale = this.locale) {
+    let value = this.lookup(locale, key);
+    if (value === undefined) value = this.lookup(this.config.defaultLocale, key);
+    if (value === undefined) {
+      console.warn(`Missing translation: ${key}`);
+      return key;
+    }
+
+    if (value && typeof value === 'object') {
+      value = params.count === 1 && value.one !== undefined ? value.one : value.other;
+    }
+
+    return String(value).replace(/\{(\w+)\}/g, (match, name) => (
+      params[name] !== undefined ? params[name] : match
+    ));
+  }
+
+  has(key) {
+    return this.lookup(this.locale, key) !== undefined || this.lookup(this.config.defaultLocale, key) !== undefined;
+  }
+
+  lookup(locale, key) {
+    return key.split('.').reduce((node, part) => (
+      node && typeof node === 'object' ? node[part] : undefined
+    ), this.dictionaries[locale]);
+  }
+
+  /**
+   * Set an element's text from a key and remember the key on the element, so
+   * messages written by scripts follow later language switches too.
+   */
+  translate(element, key, params = null) {
+    if (!element) return;
+
+    element.dataset.i18n = key;
+    if (params) {
+      element.dataset.i18nParams = JSON.stringify(params);
+    } else {
+      delete element.dataset.i18nParams;
+    }
+    element.textContent = this.t(key, params || {});
+  }
+
+  /**
+   * Translate every data-i18n, data-i18n-html and data-i18n-attr element in
+   * root and render any language switchers in it.
+   */
+  apply(root = document) {
+    const params = element => {
+      try {
+        return element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+      } catch (e) {
+        return {};
+      }
+    };
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n, params(element));
+    });
+
+    // Only for trusted dictionary markup such as links inside consent text
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+      element.innerHTML = this.t(element.dataset.i18nHtml, params(element));
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      element.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part && part.trim());
+        if (attribute && key) element.setAttribute(attribute, this.t(key, params(element)));
+      });
+    });
+
+    root.querySelectorAll('[data-language-switcher]').forEach(container => this.renderSwitcher(container));
+  }
+
+  renderSwitcher(container) {
+    let select = container.querySelector('.language-switcher');
+
+    if (!select) {
+      select = document.createElement('select');
+      select.className = 'language-switcher';
+      Object.entries(this.config.locales)
+        .filter(([code]) => this.dictionaries[code])
+        .forEach(([code, locale]) => {
+          const option = new Option(locale.label, code);
+          option.lang = code;
+          select.appendChild(option);
+        });
+      select.addEventListener('change', () => this.setLocale(select.value));
+      container.appendChild(select);
+    }
+
+    select.value = this.locale;
+    select.setAttribute('aria-label', this.t('language.label'));
+  }
+
+  // ========================================================================
+  // FORMATTING
+  // ========================================================================
+
+  formatNumber(value, options = {}) {
+    return Number(value).toLocaleString(this.intlLocale, options);
+  }
+
+  /**
+   * Ringgit amounts keep the "RM 24,090" style in every language.
+   */
+  formatCurrency(amount, digits = 0) {
+    return `${this.config.currency} ${this.formatNumber(amount, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    })}`;
+  }
+
+  /**
+   * Format a Date, timestamp or YYYY-MM-DD string in the showroom time zone.
+   */
+  formatDate(value, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? new Date(`${value}T12:00:00+08:00`)
+      : new Date(value);
+
+    return new Intl.DateTimeFormat(this.intlLocale, { timeZone: this.config.timeZone, ...options }).format(date);
+  }
+
+  /**
+   * Format minutes after midnight (e.g. 570) as a clock time for the locale.
+   */
+  formatTime(minutes) {
+    const date = new Date(Date.UTC(2000, 0, 1, Math.floor(minutes / 60), minutes % 60));
+    return new Intl.DateTimeFormat(this.intlLocale, {
+      timeZone: 'UTC',
+      hour: 'numeric',
+      minute: '2-digit'
+    }).format(date);
+  }
+
+  // Utility functions
+  readPreferences() {
+    try {
+      return JSON.parse(localStorage.getItem(this.config.storageKey)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  // Other settings share the record, so merge rather than overwrite
+  savePreferences(changes) {
+    try {
+      const preferences = { ...this.readPreferences(), ...changes };
+      localStorage.setItem(this.config.storageKey, JSON.stringify(preferences));
+    } catch (e) {
+      // Storage unavailable (private mode); the choice lasts for this page only
+    }
+  }
+
+  injectStyles() {
+    if (document.getElementById('i18n-widget-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'i18n-widget-styles';
+    style.textContent = `
+      [data-language-switcher] {
+        list-style: none;
+        display: flex;
+        align-items: center;
+      }
+
+      .language-switcher {
+        appearance: none;
+        background: rgba(255, 255, 255, 0.08) url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='10' height='6'%3E%3Cpath d='M0 0l5 6 5-6z' fill='%23ffffff'/%3E%3C/svg%3E") no-repeat right 0.6rem center;
+        color: #ffffff;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 999px;
+        padding: 0.35rem 1.8rem 0.35rem 0.8rem;
+        font: inherit;
+        font-size: 0.85rem;
+        cursor: pointer;
+      }
+
+      .language-switcher:hover,
+      .language-switcher:focus-visible {
+        border-color: #007AFF;
+        outline: none;
+      }
+
+      .language-switcher option {
+        color: #0a0a0a;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.i18n = new I18n();
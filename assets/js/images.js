@@ -0,0 +1,205 @@
+/**
+ * MEISTERCO - RESPONSIVE IMAGES
+ * Renders photos as <picture> elements from the manifest written by
+ * tools/build-images.js (assets/data/images.json): AVIF and WebP copies at
+ * several widths with srcset/sizes, the original as the fallback <img> with
+ * its intrinsic size so nothing shifts, and a blurred placeholder until it
+ * has loaded. Photos the manifest does not know, such as the ones hotlinked
+ * from perodua.com.my, get a plain <img> with the same loading hints.
+ *
+ *   await window.responsiveImages.ready;
+ *   grid.innerHTML = window.responsiveImages.picture(src, { alt, sizes: '(max-width: 768px) 100vw, 33vw' });
+ *
+ * Pictures are lazy loaded by the browser unless priority is set, which
+ * loads them eagerly with fetchpriority="high" (hero images). Elements with
+ * data-picture are filled in once the manifest is in:
+ *
+ *   <div class="hero-visual" data-picture="assets/img/x.jpg" data-picture-alt="..." data-picture-priority></div>
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const IMAGE_DEFAULTS = {
+  manifestUrl: 'assets/data/images.json',
+  sizes: '100vw'
+};
+
+// ========================================================================
+// RESPONSIVE IMAGES
+// ========================================================================
+
+class ResponsiveImages {
+  constructor(options = {}) {
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.images) || {};
+    this.config = { ...IMAGE_DEFAULTS, ...globalConfig, ...options };
+
+    this.images = {};
+    this.ready = this.load();
+
+    this.init();
+  }
+
+  init() {
+    this.injectStyles();
+
+    // load and error do not bubble, so capture them for every picture on the page
+    document.addEventListener('load', (e) => this.onImageSettled(e.target), true);
+    document.addEventListener('error', (e) => this.onImageSettled(e.target), true);
+
+    const upgrade = () => this.ready.then(() => this.upgrade(document));
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', upgrade);
+    } else {
+      upgrade();
+    }
+  }
+
+  async load() {
+    try {
+      const response = await fetch(this.config.manifestUrl);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      this.images = data.images || {};
+    } catch (e) {
+      // Every picture falls back to its original file
+      console.warn('Could not load the responsive image manifest:', e);
+    }
+    return this;
+  }
+
+  /**
+   * The manifest entry for an image path as written in the markup or
+   * models.json, or null when it has no responsive copies.
+   */
+  get(src) {
+    return this.images[this.normalizeSrc(src)] || null;
+  }
+
+  /**
+   * <picture> markup for an image. Options: alt, sizes, priority (eager and
+   * fetchpriority="high"), cover (fill the parent, cropping like
+   * background-size: cover) and className.
+   */
+  picture(src, { alt = '', sizes = this.config.sizes, priority = false, cover = false, className = '' } = {}) {
+    const entry = this.get(src);
+    const escape = value => this.escapeHTML(value);
+
+    const classes = ['responsive-image', cover && 'cover', className].filter(Boolean).join(' ');
+    const placeholder = entry && entry.placeholder ? ` style="--placeholder: url('${escape(entry.placeholder)}')"` : '';
+    const dimensions = entry ? ` width="${entry.width}" height="${entry.height}"` : '';
+    const loading = priority ? 'loading="eager" fetchpriority="high"' : 'loading="lazy"';
+
+    const sources = entry
+      ? entry.sources.map(source => `<source type="${escape(source.type)}" srcset="${escape(source.srcset)}" sizes="${escape(sizes)}">`).join('')
+      : '';
+
+    return `<picture class="${classes}"${placeholder}>${sources}<img src="${escape(src)}" alt="${escape(alt)}"${dimensions} ${loading} decoding="async"></picture>`;
+  }
+
+  /**
+   * Fill in every [data-picture] element inside root.
+   */
+  upgrade(root = document) {
+    root.querySelectorAll('[data-picture]').forEach(el => {
+      el.insertAdjacentHTML('afterbegin', this.picture(el.dataset.picture, {
+        alt: el.dataset.pictureAlt || '',
+        sizes: el.dataset.pictureSizes || this.config.sizes,
+        priority: 'picturePriority' in el.dataset,
+        cover: true
+      }));
+      el.removeAttribute('data-picture');
+    });
+  }
+
+  onImageSettled(target) {
+    if (target.tagName !== 'IMG') return;
+    const picture = target.closest('.responsive-image');
+    if (picture) picture.classList.add('is-loaded');
+  }
+
+  // Utility functions
+  normalizeSrc(src) {
+    let path = String(src).replace(/^\.\//, '');
+    try {
+      path = decodeURI(path);
+    } catch (e) {
+      // Keep it as written
+    }
+    return path;
+  }
+
+  escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  injectStyles() {
+    if (document.getElementById('images-widget-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'images-widget-styles';
+    style.textContent = `
+      .responsive-image {
+        position: relative;
+        display: block;
+        overflow: hidden;
+        isolation: isolate;
+      }
+
+      /* The blurred placeholder covers the photo until it has loaded, then fades */
+      .responsive-image::before {
+        content: '';
+        position: absolute;
+        inset: 0;
+        z-index: 1;
+        background: var(--placeholder, transparent) center / cover no-repeat;
+        filter: blur(16px);
+        transform: scale(1.1);
+        pointer-events: none;
+        transition: opacity 0.4s ease;
+      }
+
+      .responsive-image.is-loaded::before {
+        opacity: 0;
+      }
+
+      .responsive-image img {
+        display: block;
+        max-width: 100%;
+        height: auto;
+      }
+
+      .responsive-image.cover {
+        position: absolute;
+        inset: 0;
+      }
+
+      .responsive-image.cover img {
+        width: 100%;
+        height: 100%;
+        object-fit: cover;
+      }
+
+      @media (prefers-reduced-motion: reduce) {
+        .responsive-image::before {
+          transition: none;
+        }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.responsiveImages = new ResponsiveImages();
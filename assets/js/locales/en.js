@@ -0,0 +1,560 @@
+/**
+ * MEISTERCO - ENGLISH STRINGS
+ * The reference dictionary: every key lives here first and other locales fall
+ * back to it. Keep keys in the same order across locale files.
+ */
+
+'use strict';
+
+window.MeisterCoLocales = window.MeisterCoLocales || {};
+
+window.MeisterCoLocales.en = {
+  language: {
+    label: 'Language'
+  },
+
+  preferences: {
+    open: 'Preferences',
+    title: 'Preferences',
+    close: 'Close preferences',
+    motion: 'Motion',
+    motionHint: 'Reduced motion turns off parallax scrolling, floating particles and typing effects.',
+    motionOptions: {
+      system: 'Match my device',
+      reduce: 'Reduce motion',
+      full: 'Full motion'
+    },
+    theme: 'Theme',
+    themeOptions: {
+      dark: 'Dark',
+      light: 'Light',
+      system: 'Match my device'
+    },
+    language: 'Language',
+    preferredModel: 'Preferred model',
+    noPreference: 'No preference',
+    contactMethod: 'Preferred contact method',
+    contactMethodOptions: {
+      none: 'No preference',
+      phone: 'Phone call',
+      whatsapp: 'WhatsApp',
+      email: 'Email'
+    },
+    reset: 'Reset to defaults'
+  },
+
+  nav: {
+    home: 'Home',
+    technology: 'Technology',
+    models: 'Models',
+    news: 'News',
+    location: 'Location',
+    contact: 'Contact',
+    about: 'About',
+    contactUs: 'Contact Us',
+    references: 'References',
+    privacy: 'Privacy',
+    bookings: 'My Bookings',
+    overview: 'Overview',
+    features: 'Features',
+    specs: 'Specs',
+    customize: 'Customize',
+    gallery: 'Gallery',
+    backToModels: '← Back to Models'
+  },
+
+  loading: {
+    experience: 'Loading experience...',
+    models: 'Preparing models...',
+    systems: 'Initializing systems...',
+    almostReady: 'Almost ready...',
+    fallback: 'Loading...'
+  },
+
+  gallery: {
+    close: 'Close gallery'
+  },
+
+  compare: {
+    drawer: 'Model comparison',
+    selected: 'Models selected for comparison',
+    clear: 'Clear',
+    openCount: 'Compare ({count})',
+    hide: 'Hide comparison',
+    title: 'Compare Models',
+    differencesOnly: 'Show differences only',
+    copyLink: 'Copy link',
+    close: 'Close comparison',
+    legend: 'Highlighted rows differ between the selected models.',
+    specification: 'Specification',
+    categories: {
+      engine: 'Engine',
+      dimensions: 'Dimensions',
+      safety: 'Safety',
+      comfort: 'Comfort'
+    },
+    from: 'From {price}',
+    remove: 'Remove {name} from comparison',
+    add: '+ Compare',
+    comparing: '✓ Comparing',
+    limit: 'You can compare up to {max} models. Remove one to add another.',
+    added: '{name} added to comparison.',
+    linkCopied: 'Comparison link copied.',
+    copyPrompt: 'Copy this link to share the comparison:'
+  },
+
+  configurator: {
+    steps: {
+      variant: { label: 'Select Variant', summary: 'Variant' },
+      color: { label: 'Choose Color', summary: 'Color' },
+      interior: { label: 'Interior Package', summary: 'Interior' },
+      accessories: { label: 'Accessories', summary: 'Accessories' }
+    },
+    step: 'Step {number}: {label}',
+    stepOptional: 'Step {number}: {label} (Optional)',
+    continue: 'Continue',
+    continueToSummary: 'Continue to Summary',
+    included: 'Included',
+    notSelected: 'Not Selected',
+    none: 'None',
+    errors: {
+      required: '{step}: please choose one.',
+      min: '{step}: choose at least {min}.',
+      max: '{step}: choose no more than {max}.'
+    },
+    removed: {
+      one: '{names} is not available with this build and was removed.',
+      other: '{names} are not available with this build and were removed.'
+    },
+    onlyWith: 'only with {options}',
+    or: 'or',
+    quote: {
+      title: 'Your Quote',
+      total: 'Total Price',
+      note: 'This is a summary of your build and has not been sent to us. Book a test drive or contact us and a Perodua representative will go through it with you.',
+      close: 'Close',
+      bookTestDrive: 'Book Test Drive'
+    }
+  },
+
+  preview: {
+    selectVariant: 'SELECT VARIANT',
+    chooseColor: 'Choose Color',
+    label: 'Preview: + and - to zoom',
+    spinLabel: '360° view: drag or use the arrow keys to turn the car, + and - to zoom',
+    turntableLabel: '360° view: drag or use the arrow keys to turn the car',
+    zoomIn: 'Zoom in',
+    zoomOut: 'Zoom out',
+    resetZoom: 'Reset zoom',
+    loading: 'Loading views {loaded}/{total}',
+    dragToRotate: 'Drag to rotate'
+  },
+
+  finance: {
+    title: 'Financing Estimate',
+    downPayment: 'Down payment',
+    tenure: 'Tenure',
+    interestRate: 'Interest rate (flat, % p.a.)',
+    monthly: 'Monthly instalment',
+    perMonth: '{amount} / month',
+    years: { one: '{count} year', other: '{count} years' },
+    empty: 'Select a variant to see monthly instalments.',
+    loanAmount: 'Loan amount',
+    totalInterest: 'Total interest',
+    totalPayable: 'Total payable',
+    schedule: 'Amortisation table',
+    table: {
+      month: 'Month',
+      instalment: 'Instalment',
+      interest: 'Interest',
+      principal: 'Principal',
+      balance: 'Balance'
+    },
+    note: 'Estimate only. Interest is allocated with the Rule of 78; final terms are subject to bank approval.',
+    enquire: 'Ask about financing',
+    summary: '{monthly}/month over {years} ({down}% down, {rate}% flat p.a.)'
+  },
+
+  garage: {
+    save: 'Save to My Garage',
+    share: 'Copy share link',
+    resume: 'Continue your last build',
+    title: 'My Garage',
+    empty: 'Saved builds for every model appear here.',
+    saved: 'Build saved to My Garage.',
+    moved: 'This build was already in My Garage. It has been moved to the top.',
+    unavailable: 'This browser is not allowing saved builds.',
+    copied: 'Share link copied.',
+    copyPrompt: 'Copy this link to share your build:',
+    accessories: { one: '{count} accessory', other: '{count} accessories' },
+    remove: 'Remove {title} from My Garage'
+  },
+
+  brochure: {
+    title: '{model} - MeisterCo. Brochure',
+    personalised: 'Your personalised brochure',
+    model: 'Model brochure',
+    configuration: 'Your Configuration',
+    prices: 'Price Breakdown',
+    included: 'Included',
+    total: 'Total',
+    financing: 'Financing estimate',
+    variants: 'Variants & Prices',
+    highlights: 'Highlights',
+    specifications: 'Specifications',
+    gallery: 'Gallery',
+    page: 'Page {page} of {pages}',
+    disclaimer: 'Prices are on-the-road estimates and may change without notice.',
+    failed: 'Sorry, we could not create your brochure. Please try again.'
+  },
+
+  booking: {
+    title: 'Book Your Test Drive',
+    close: 'Close modal',
+    model: 'Select Model',
+    modelPlaceholder: 'Select a model',
+    firstName: 'First Name',
+    lastName: 'Last Name',
+    idNumber: 'NRIC / Passport',
+    email: 'Email',
+    phone: 'Phone Number',
+    date: 'Preferred Date',
+    time: 'Preferred Time',
+    message: 'Additional Message (Optional)',
+    consent: 'I hereby acknowledge and confirm my consent for the processing of my personal data in accordance with the <a href="privacy.html" class="pdpa-link" data-consent-notice>Personal Data Protection Act (PDPA) Notice</a>. I understand that my personal information will be used solely for the purpose of arranging and conducting the test drive appointment and related automotive services. <span class="required-asterisk">*</span>',
+    cancel: 'Cancel',
+    submit: 'Book Test Drive',
+    submitting: 'Booking...',
+    queued: 'You appear to be offline. Your booking has been saved and will be sent automatically once you reconnect.',
+    success: 'Your test drive has been booked! Reference: {reference}. We\'ll contact you shortly to confirm the details.',
+    failed: 'Sorry, we could not book your test drive. Please try again.',
+    sentFromQueue: 'Your saved test drive booking was sent. Reference: {reference}.',
+    failedFromQueue: 'We could not send your saved booking: {message}'
+  },
+
+  slots: {
+    selectDateFirst: 'Select a date first',
+    selectTime: 'Select time slot',
+    closedHoliday: 'Showroom closed for {holiday}',
+    closedDay: 'Showroom closed on this day',
+    shortenedHours: '{holiday}: shortened hours',
+    chooseAnotherDate: '{reason}. Please choose another date.',
+    selectModel: 'Select a model to see live availability',
+    estimated: 'Live availability is unavailable; we will confirm your slot',
+    noneLeft: 'No slots left on this day',
+    unavailable: '(Unavailable)',
+    full: '(Full)',
+    remaining: {
+      one: '({count} slot left)',
+      other: '({count} slots left)'
+    }
+  },
+
+  validation: {
+    required: 'This field is required',
+    email: 'Please enter a valid email address',
+    phone: 'Please enter a valid Malaysian phone number',
+    idNumber: 'Please enter a valid identification number',
+    nameLength: 'Name must be at least 2 characters long',
+    pdpaRequired: 'Please agree to the PDPA consent to proceed.',
+    icDate: 'The first six digits of your IC must be a valid date of birth',
+    icState: 'The place-of-birth code in your IC (digits 7 and 8) is not valid',
+    icAge: 'You must be at least {age} years old to test drive',
+    passport: 'Please enter a valid passport number',
+    slotTaken: 'This time slot has just been taken. Please choose another.',
+    summary: {
+      one: '{count} field needs your attention.',
+      other: '{count} fields need your attention.'
+    }
+  },
+
+  pdpa: {
+    notice: `PERSONAL DATA PROTECTION ACT (PDPA) NOTICE
+
+MeisterCo. is committed to protecting your personal data. This notice explains how we collect, use, and protect your information:
+
+COLLECTION: We collect personal data you provide in this form for test drive arrangement and automotive services.
+
+USAGE: Your data will be used to:
+• Arrange and conduct test drive appointments
+• Contact you regarding automotive services
+• Provide customer support
+• Comply with legal requirements
+• With your permission, send you offers and news (marketing)
+• With your permission, measure how this website is used (analytics)
+
+PROTECTION: We implement appropriate security measures to protect your personal data.
+
+RETENTION: We retain your data only as long as necessary for the stated purposes.
+
+RIGHTS: You have the right to access, correct, or request deletion of your personal data. On the Your Data & Privacy page (privacy.html) you can export or delete what this website keeps on your device and change your choices at any time.
+
+For questions about our data practices, contact us at privacy@meisterco.com.my`
+  },
+
+  consent: {
+    title: 'Personal Data Protection Notice',
+    close: 'Close notice',
+    version: 'Notice version {version}',
+    purposesTitle: 'What you agree to',
+    purposes: {
+      testDrive: {
+        label: 'Test drive arrangement',
+        description: 'Use my details to arrange and conduct my test drive. Needed to book.'
+      },
+      marketing: {
+        label: 'Marketing',
+        description: 'Send me offers, launches and news about Perodua models.'
+      },
+      analytics: {
+        label: 'Analytics',
+        description: 'Measure how I use this website so it can be improved.'
+      }
+    },
+    save: 'Save choices',
+    saved: 'Your choices have been saved.',
+    acceptAll: 'Accept all',
+    essentialOnly: 'Essential only',
+    manage: 'Manage choices',
+    bannerText: 'We would like to measure how this website is used and keep you updated on offers. You can change this at any time.',
+    privacyLink: 'Export or delete your data'
+  },
+
+  book: {
+    heroTitle: 'BOOK YOUR TEST DRIVE',
+    heroSubtitle: 'Experience your perfect Perodua vehicle today',
+    heroVariantColor: 'Experience the {variant} in {color} today',
+    heroVariant: 'Experience the {variant} today',
+    formTitle: 'Book Your Test Drive',
+    formSubtitle: 'Fill in your details below and we\'ll arrange your perfect test drive experience',
+    expectTitle: 'What to expect:',
+    expect: {
+      licence: 'Bring your valid driving license (NRIC/Passport)',
+      duration: 'Test drive duration: 15-20 minutes',
+      consultant: 'Our consultant will accompany you',
+      obligation: 'No purchase obligation',
+      inspection: 'Free vehicle inspection and consultation'
+    },
+    summaryTitle: 'Your Selected Configuration',
+    summary: {
+      model: 'Model',
+      color: 'Color',
+      price: 'Price',
+      financing: 'Financing'
+    },
+    labels: {
+      fullName: 'Full Name (as per IC/Passport)',
+      idNumber: 'NRIC / Passport / No. Tentera / No. Polis',
+      phone: 'Phone Number',
+      email: 'Email Address',
+      carModel: 'Car Model to Test Drive',
+      date: 'Preferred Date',
+      time: 'Preferred Time'
+    },
+    placeholders: {
+      fullName: 'Enter your full name as per identification document',
+      idNumber: 'e.g., 123456-78-9012 or A12345678'
+    },
+    errors: {
+      fullName: 'Please enter your full name',
+      idNumber: 'Please enter a valid identification number',
+      phone: 'Please enter a valid phone number',
+      email: 'Please enter a valid email address',
+      carModel: 'Please select a car model',
+      date: 'Please select a preferred date',
+      time: 'Please select a preferred time'
+    },
+    carModelPlaceholder: 'Select a car model',
+    modelOption: '{name} - From {price}',
+    consent: 'I hereby acknowledge and confirm my consent for the processing of my personal data in accordance with the <a href="privacy.html" class="pdpa-link" data-consent-notice>Personal Data Protection Act (PDPA) Notice</a>. I understand that my personal information will be used solely for the purpose of arranging and conducting the test drive appointment and related automotive services. <span class="required">*</span>',
+    submit: 'Book Test Drive',
+    processing: 'Processing...',
+    confirmedTitle: 'Booking Confirmed!',
+    confirmedText: 'Thank you for booking your test drive. We will contact you within 24 hours to confirm your appointment.',
+    savedTitle: 'Booking Saved',
+    savedText: 'You appear to be offline. Your booking has been saved on this device and will be sent automatically once you reconnect.',
+    sentTitle: 'Booking Sent!',
+    sentText: 'Your saved booking has now reached our team. We will contact you within 24 hours to confirm your appointment.',
+    reference: 'Booking reference: {reference}',
+    failureTitle: 'Booking Not Sent',
+    failureText: 'Something went wrong. Please try again or call us at +60 3-8000 1234.',
+    failedFromQueue: 'We could not send your saved booking: {message}'
+  },
+
+  manage: {
+    heroTitle: 'MY BOOKINGS',
+    heroSubtitle: 'Check, reschedule or cancel your test drive with your booking reference and phone number.',
+    lookupTitle: 'Find your booking',
+    lookupText: 'Your reference is in your booking confirmation, for example MC-261018-AB12.',
+    reference: 'Booking reference',
+    phone: 'Phone number used to book',
+    find: 'Find booking',
+    finding: 'Searching...',
+    referenceFormat: 'References look like MC-261018-AB12',
+    notFound: 'We could not find a booking with that reference and phone number.',
+    offline: 'You appear to be offline. Connect to the internet to manage your booking.',
+    failed: 'Something went wrong. Please try again or call us at +60 3-8000 1234.',
+    notChangeable: 'This booking has been cancelled or completed and can no longer be changed.',
+    detailsTitle: 'Your test drive',
+    labels: {
+      reference: 'Reference',
+      model: 'Model',
+      date: 'Date',
+      time: 'Time',
+      name: 'Name'
+    },
+    status: {
+      pending: 'Awaiting confirmation',
+      confirmed: 'Confirmed',
+      completed: 'Completed',
+      cancelled: 'Cancelled'
+    },
+    statusText: {
+      pending: 'We will call you within 24 hours to confirm this time.',
+      confirmed: 'See you at the showroom. Please bring your driving licence and IC or passport.',
+      completed: 'Thank you for test driving with us.',
+      cancelled: 'This booking has been cancelled.'
+    },
+    reschedule: 'Reschedule',
+    rescheduleTitle: 'Choose a new time',
+    newDate: 'New date',
+    newTime: 'New time',
+    confirmReschedule: 'Confirm new time',
+    rescheduled: 'Your test drive has been moved. We will confirm the new time shortly.',
+    cancel: 'Cancel booking',
+    cancelTitle: 'Cancel this test drive',
+    reason: 'Reason for cancelling',
+    reasonPlaceholder: 'Select a reason',
+    reasons: {
+      plans: 'My plans have changed',
+      purchased: 'I have already bought a car',
+      model: 'I would like a different model',
+      other: 'Other'
+    },
+    details: 'Anything else we should know? (Optional)',
+    confirmCancel: 'Cancel test drive',
+    keep: 'Keep booking',
+    cancelled: 'Your test drive has been cancelled.',
+    saving: 'Saving...',
+    bookAnother: 'Book another test drive',
+    manageLink: 'Manage this booking'
+  },
+
+  calendar: {
+    add: 'Add to calendar',
+    summary: '{model} test drive at {showroom}',
+    reference: 'Booking reference: {reference}',
+    bring: 'Please bring your driving licence and IC or passport.',
+    phone: 'Showroom: {phone}',
+    manage: 'Reschedule or cancel: {url}',
+    alarm: 'Your {model} test drive starts at {time}'
+  },
+
+  reminders: {
+    enable: 'Remind me',
+    title: 'Test drive reminder',
+    body: 'Your {model} test drive at MeisterCo. is on {date} at {time}.',
+    scheduled: 'We will remind you on this device before your test drive.',
+    denied: 'Notifications are blocked for this site. Allow them in your browser settings to get reminders.',
+    dismissed: 'Reminders need permission to show notifications.',
+    unsupported: 'This browser cannot show reminders. Add the test drive to your calendar instead.',
+    past: 'Your test drive is too soon for a reminder.',
+    failed: 'We could not set up reminders. Please try again.'
+  },
+
+  contact: {
+    heroTitle: 'GET IN TOUCH',
+    heroSubtitle: 'We\'re here to help you find your perfect vehicle and answer all your questions',
+    formTitle: 'Send us a Message',
+    formSubtitle: 'Fill out the form below and our team will get back to you as soon as possible.',
+    success: 'Thank you! Your message has been sent successfully. We\'ll get back to you within 24 hours.',
+    labels: {
+      firstName: 'First Name *',
+      lastName: 'Last Name *',
+      email: 'Email Address *',
+      phone: 'Phone Number *',
+      inquiryType: 'Inquiry Type *',
+      subject: 'Subject *',
+      message: 'Message *'
+    },
+    placeholders: {
+      subject: 'How can we help you?',
+      message: 'Please provide details about your inquiry...'
+    },
+    inquiry: {
+      sales: 'Vehicle Sales',
+      service: 'Service & Maintenance',
+      finance: 'Financing',
+      general: 'General Inquiry'
+    },
+    errors: {
+      firstName: 'First name is required',
+      lastName: 'Last name is required',
+      email: 'Valid email address is required',
+      phone: 'Valid phone number is required',
+      inquiryType: 'Please select an inquiry type',
+      subject: 'Subject is required',
+      message: 'Message is required'
+    },
+    submit: 'Send Message',
+    sending: 'Sending...',
+    queued: 'You are offline. Your message is saved on this device and will be sent as soon as you are back online.',
+    sentFromQueue: 'Your saved message has been sent. We\'ll get back to you within 24 hours.',
+    failed: 'Your message could not be sent: {message}'
+  },
+
+  offline: {
+    heroTitle: 'YOU\'RE OFFLINE',
+    heroSubtitle: 'This page has not been saved on this device yet.',
+    text: 'Check your connection and try again. Pages you have visited, the models and the booking form still work offline.',
+    retry: 'Try again',
+    savedTitle: 'Available offline',
+    queueNote: 'Bookings and messages made offline are saved and sent as soon as you are back online.',
+    banner: 'You are offline. Saved pages still work, and bookings and messages are sent when you reconnect.',
+    backOnline: 'You are back online.'
+  },
+
+  privacy: {
+    heroTitle: 'YOUR DATA & PRIVACY',
+    heroSubtitle: 'See, export or delete what this website keeps about you, and change what you have agreed to.',
+    consentTitle: 'Your choices',
+    consentText: 'What you have agreed to under the current PDPA notice.',
+    granted: 'Agreed',
+    declined: 'Declined',
+    undecided: 'Not decided',
+    manage: 'Read the notice and change choices',
+    storedTitle: 'Data on this device',
+    storedText: 'This website keeps the following in your browser. Nothing here is shared until you send a booking or agree to analytics. You can correct your settings in Preferences and edit or remove builds in My Garage.',
+    stores: {
+      preferences: 'Preferences and language',
+      consent: 'Consent choices',
+      garage: 'Saved builds (My Garage)',
+      loading: 'Loading screen already seen',
+      chat: 'Chat assistant conversation',
+      analyticsQueue: 'Analytics events waiting for consent',
+      funnel: 'Test drive journey',
+      outbox: 'Bookings and messages waiting to be sent',
+      reminders: 'Test drive reminders'
+    },
+    stored: 'Stored',
+    empty: 'Nothing stored',
+    itemCount: {
+      one: '{count} item',
+      other: '{count} items'
+    },
+    exportTitle: 'Export your data',
+    exportText: 'Download everything listed above as a JSON file.',
+    exportButton: 'Download my data',
+    exported: 'Your data has been downloaded.',
+    deleteTitle: 'Delete your data',
+    deleteText: 'Remove everything listed above from this device, including bookings that have not been sent yet. Your consent choices are removed too.',
+    deleteButton: 'Delete my data',
+    deleteConfirm: 'Delete all MeisterCo. data from this device? This cannot be undone.',
+    deleted: 'Your data has been deleted from this device.',
+    nothingToDelete: 'There was nothing to delete.',
+    serverTitle: 'Bookings you have sent',
+    serverText: 'Bookings you have already sent are held by our showroom. To access, correct or delete them, email our privacy officer with your booking reference.',
+    serverButton: 'Email a data request',
+    serverSubject: 'Personal data request (PDPA)'
+  }
+};
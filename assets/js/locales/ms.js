@@ -0,0 +1,556 @@
+/**
+ * MEISTERCO - BAHASA MELAYU STRINGS
+ * Mirrors the keys of en.js; anything missing here falls back to English.
+ */
+
+'use strict';
+
+window.MeisterCoLocales = window.MeisterCoLocales || {};
+
+window.MeisterCoLocales.ms = {
+  language: {
+    label: 'Bahasa'
+  },
+
+  preferences: {
+    open: 'Tetapan',
+    title: 'Tetapan',
+    close: 'Tutup tetapan',
+    motion: 'Pergerakan',
+    motionHint: 'Kurangkan pergerakan mematikan kesan paralaks, zarah terapung dan kesan menaip.',
+    motionOptions: {
+      system: 'Ikut peranti saya',
+      reduce: 'Kurangkan pergerakan',
+      full: 'Pergerakan penuh'
+    },
+    theme: 'Tema',
+    themeOptions: {
+      dark: 'Gelap',
+      light: 'Cerah',
+      system: 'Ikut peranti saya'
+    },
+    language: 'Bahasa',
+    preferredModel: 'Model pilihan',
+    noPreference: 'Tiada pilihan',
+    contactMethod: 'Cara dihubungi',
+    contactMethodOptions: {
+      none: 'Tiada pilihan',
+      phone: 'Panggilan telefon',
+      whatsapp: 'WhatsApp',
+      email: 'E-mel'
+    },
+    reset: 'Set semula ke asal'
+  },
+
+  nav: {
+    home: 'Utama',
+    technology: 'Teknologi',
+    models: 'Model',
+    news: 'Berita',
+    location: 'Lokasi',
+    contact: 'Hubungi',
+    about: 'Tentang Kami',
+    contactUs: 'Hubungi Kami',
+    references: 'Rujukan',
+    privacy: 'Privasi',
+    bookings: 'Tempahan Saya',
+    overview: 'Gambaran',
+    features: 'Ciri-ciri',
+    specs: 'Spesifikasi',
+    customize: 'Ubah Suai',
+    gallery: 'Galeri',
+    backToModels: '← Kembali ke Model'
+  },
+
+  loading: {
+    experience: 'Memuatkan pengalaman...',
+    models: 'Menyediakan model...',
+    systems: 'Memulakan sistem...',
+    almostReady: 'Hampir siap...',
+    fallback: 'Memuatkan...'
+  },
+
+  gallery: {
+    close: 'Tutup galeri'
+  },
+
+  compare: {
+    drawer: 'Perbandingan model',
+    selected: 'Model yang dipilih untuk dibandingkan',
+    clear: 'Kosongkan',
+    openCount: 'Banding ({count})',
+    hide: 'Sembunyikan perbandingan',
+    title: 'Bandingkan Model',
+    differencesOnly: 'Tunjukkan perbezaan sahaja',
+    copyLink: 'Salin pautan',
+    close: 'Tutup perbandingan',
+    legend: 'Baris yang diserlahkan berbeza antara model yang dipilih.',
+    specification: 'Spesifikasi',
+    categories: {
+      engine: 'Enjin',
+      dimensions: 'Dimensi',
+      safety: 'Keselamatan',
+      comfort: 'Keselesaan'
+    },
+    from: 'Dari {price}',
+    remove: 'Buang {name} daripada perbandingan',
+    add: '+ Banding',
+    comparing: '✓ Dibandingkan',
+    limit: 'Anda boleh membandingkan sehingga {max} model. Buang satu untuk menambah yang lain.',
+    added: '{name} ditambah ke perbandingan.',
+    linkCopied: 'Pautan perbandingan disalin.',
+    copyPrompt: 'Salin pautan ini untuk berkongsi perbandingan:'
+  },
+
+  configurator: {
+    steps: {
+      variant: { label: 'Pilih Varian', summary: 'Varian' },
+      color: { label: 'Pilih Warna', summary: 'Warna' },
+      interior: { label: 'Pakej Dalaman', summary: 'Dalaman' },
+      accessories: { label: 'Aksesori', summary: 'Aksesori' }
+    },
+    step: 'Langkah {number}: {label}',
+    stepOptional: 'Langkah {number}: {label} (Pilihan)',
+    continue: 'Teruskan',
+    continueToSummary: 'Teruskan ke Ringkasan',
+    included: 'Termasuk',
+    notSelected: 'Belum Dipilih',
+    none: 'Tiada',
+    errors: {
+      required: '{step}: sila pilih satu.',
+      min: '{step}: pilih sekurang-kurangnya {min}.',
+      max: '{step}: pilih tidak lebih daripada {max}.'
+    },
+    removed: {
+      one: '{names} tidak tersedia untuk binaan ini dan telah dibuang.',
+      other: '{names} tidak tersedia untuk binaan ini dan telah dibuang.'
+    },
+    onlyWith: 'hanya dengan {options}',
+    or: 'atau',
+    quote: {
+      title: 'Sebut Harga Anda',
+      total: 'Jumlah Harga',
+      note: 'Ini ialah ringkasan binaan anda dan belum dihantar kepada kami. Tempah pandu uji atau hubungi kami dan wakil Perodua akan menelitinya bersama anda.',
+      close: 'Tutup',
+      bookTestDrive: 'Tempah Pandu Uji'
+    }
+  },
+
+  preview: {
+    selectVariant: 'PILIH VARIAN',
+    chooseColor: 'Pilih Warna',
+    label: 'Pratonton: + dan - untuk zum',
+    spinLabel: 'Paparan 360°: seret atau gunakan kekunci anak panah untuk memusingkan kereta, + dan - untuk zum',
+    turntableLabel: 'Paparan 360°: seret atau gunakan kekunci anak panah untuk memusingkan kereta',
+    zoomIn: 'Zum masuk',
+    zoomOut: 'Zum keluar',
+    resetZoom: 'Set semula zum',
+    loading: 'Memuatkan paparan {loaded}/{total}',
+    dragToRotate: 'Seret untuk memusing'
+  },
+
+  finance: {
+    title: 'Anggaran Pembiayaan',
+    downPayment: 'Bayaran pendahuluan',
+    tenure: 'Tempoh',
+    interestRate: 'Kadar faedah (rata, % setahun)',
+    monthly: 'Ansuran bulanan',
+    perMonth: '{amount} / bulan',
+    years: { one: '{count} tahun', other: '{count} tahun' },
+    empty: 'Pilih varian untuk melihat ansuran bulanan.',
+    loanAmount: 'Jumlah pinjaman',
+    totalInterest: 'Jumlah faedah',
+    totalPayable: 'Jumlah perlu dibayar',
+    schedule: 'Jadual pelunasan',
+    table: {
+      month: 'Bulan',
+      instalment: 'Ansuran',
+      interest: 'Faedah',
+      principal: 'Prinsipal',
+      balance: 'Baki'
+    },
+    note: 'Anggaran sahaja. Faedah diagihkan mengikut Peraturan 78; terma akhir tertakluk kepada kelulusan bank.',
+    enquire: 'Tanya tentang pembiayaan',
+    summary: '{monthly}/bulan selama {years} ({down}% pendahuluan, {rate}% rata setahun)'
+  },
+
+  garage: {
+    save: 'Simpan ke Garaj Saya',
+    share: 'Salin pautan kongsi',
+    resume: 'Sambung binaan terakhir anda',
+    title: 'Garaj Saya',
+    empty: 'Binaan yang disimpan untuk setiap model dipaparkan di sini.',
+    saved: 'Binaan disimpan ke Garaj Saya.',
+    moved: 'Binaan ini sudah ada dalam Garaj Saya. Ia telah dialihkan ke atas.',
+    unavailable: 'Pelayar ini tidak membenarkan binaan disimpan.',
+    copied: 'Pautan kongsi disalin.',
+    copyPrompt: 'Salin pautan ini untuk berkongsi binaan anda:',
+    accessories: { one: '{count} aksesori', other: '{count} aksesori' },
+    remove: 'Buang {title} daripada Garaj Saya'
+  },
+
+  brochure: {
+    title: '{model} - Brosur MeisterCo.',
+    personalised: 'Brosur peribadi anda',
+    model: 'Brosur model',
+    configuration: 'Konfigurasi Anda',
+    prices: 'Pecahan Harga',
+    included: 'Termasuk',
+    total: 'Jumlah',
+    financing: 'Anggaran pembiayaan',
+    variants: 'Varian & Harga',
+    highlights: 'Sorotan',
+    specifications: 'Spesifikasi',
+    gallery: 'Galeri',
+    page: 'Halaman {page} daripada {pages}',
+    disclaimer: 'Harga ialah anggaran atas jalan dan boleh berubah tanpa notis.',
+    failed: 'Maaf, kami tidak dapat menghasilkan brosur anda. Sila cuba lagi.'
+  },
+
+  booking: {
+    title: 'Tempah Pandu Uji Anda',
+    close: 'Tutup tetingkap',
+    model: 'Pilih Model',
+    modelPlaceholder: 'Pilih model',
+    firstName: 'Nama Pertama',
+    lastName: 'Nama Akhir',
+    idNumber: 'No. KP / Pasport',
+    email: 'E-mel',
+    phone: 'Nombor Telefon',
+    date: 'Tarikh Pilihan',
+    time: 'Masa Pilihan',
+    message: 'Mesej Tambahan (Pilihan)',
+    consent: 'Saya dengan ini mengakui dan mengesahkan persetujuan saya terhadap pemprosesan data peribadi saya menurut <a href="privacy.html" class="pdpa-link" data-consent-notice>Notis Akta Perlindungan Data Peribadi (PDPA)</a>. Saya faham bahawa maklumat peribadi saya hanya akan digunakan untuk mengatur dan menjalankan temu janji pandu uji serta perkhidmatan automotif yang berkaitan. <span class="required-asterisk">*</span>',
+    cancel: 'Batal',
+    submit: 'Tempah Pandu Uji',
+    submitting: 'Menempah...',
+    queued: 'Anda kelihatan di luar talian. Tempahan anda telah disimpan dan akan dihantar secara automatik apabila anda bersambung semula.',
+    success: 'Pandu uji anda telah ditempah! Rujukan: {reference}. Kami akan menghubungi anda tidak lama lagi untuk mengesahkan butirannya.',
+    failed: 'Maaf, kami tidak dapat menempah pandu uji anda. Sila cuba lagi.',
+    sentFromQueue: 'Tempahan pandu uji anda yang disimpan telah dihantar. Rujukan: {reference}.',
+    failedFromQueue: 'Kami tidak dapat menghantar tempahan anda yang disimpan: {message}'
+  },
+
+  slots: {
+    selectDateFirst: 'Pilih tarikh dahulu',
+    selectTime: 'Pilih slot masa',
+    closedHoliday: 'Bilik pameran ditutup sempena {holiday}',
+    closedDay: 'Bilik pameran ditutup pada hari ini',
+    shortenedHours: '{holiday}: waktu operasi dipendekkan',
+    chooseAnotherDate: '{reason}. Sila pilih tarikh lain.',
+    selectModel: 'Pilih model untuk melihat kekosongan semasa',
+    estimated: 'Kekosongan semasa tidak dapat disemak; kami akan mengesahkan slot anda',
+    noneLeft: 'Tiada slot lagi pada hari ini',
+    unavailable: '(Tidak tersedia)',
+    full: '(Penuh)',
+    remaining: {
+      other: '({count} slot lagi)'
+    }
+  },
+
+  validation: {
+    required: 'Ruangan ini wajib diisi',
+    email: 'Sila masukkan alamat e-mel yang sah',
+    phone: 'Sila masukkan nombor telefon Malaysia yang sah',
+    idNumber: 'Sila masukkan nombor pengenalan yang sah',
+    nameLength: 'Nama mestilah sekurang-kurangnya 2 aksara',
+    pdpaRequired: 'Sila bersetuju dengan persetujuan PDPA untuk meneruskan.',
+    icDate: 'Enam digit pertama IC anda mestilah tarikh lahir yang sah',
+    icState: 'Kod tempat lahir dalam IC anda (digit ke-7 dan ke-8) tidak sah',
+    icAge: 'Anda mestilah berumur sekurang-kurangnya {age} tahun untuk memandu uji',
+    passport: 'Sila masukkan nombor pasport yang sah',
+    slotTaken: 'Slot masa ini baru sahaja ditempah. Sila pilih slot lain.',
+    summary: {
+      other: '{count} ruangan perlu diperbetulkan.'
+    }
+  },
+
+  pdpa: {
+    notice: `NOTIS AKTA PERLINDUNGAN DATA PERIBADI (PDPA)
+
+MeisterCo. komited untuk melindungi data peribadi anda. Notis ini menerangkan cara kami mengumpul, menggunakan dan melindungi maklumat anda:
+
+PENGUMPULAN: Kami mengumpul data peribadi yang anda berikan dalam borang ini untuk urusan pandu uji dan perkhidmatan automotif.
+
+PENGGUNAAN: Data anda akan digunakan untuk:
+• Mengatur dan menjalankan temu janji pandu uji
+• Menghubungi anda berkenaan perkhidmatan automotif
+• Memberikan sokongan pelanggan
+• Mematuhi keperluan undang-undang
+• Dengan kebenaran anda, menghantar tawaran dan berita kepada anda (pemasaran)
+• Dengan kebenaran anda, mengukur cara laman web ini digunakan (analitik)
+
+PERLINDUNGAN: Kami melaksanakan langkah keselamatan yang sewajarnya untuk melindungi data peribadi anda.
+
+PENYIMPANAN: Kami menyimpan data anda hanya selama yang diperlukan bagi tujuan yang dinyatakan.
+
+HAK ANDA: Anda berhak untuk mengakses, membetulkan atau meminta pemadaman data peribadi anda. Di halaman Data & Privasi Anda (privacy.html) anda boleh mengeksport atau memadam data yang disimpan oleh laman web ini pada peranti anda dan menukar pilihan anda pada bila-bila masa.
+
+Untuk sebarang pertanyaan mengenai amalan data kami, hubungi kami di privacy@meisterco.com.my`
+  },
+
+  consent: {
+    title: 'Notis Perlindungan Data Peribadi',
+    close: 'Tutup notis',
+    version: 'Versi notis {version}',
+    purposesTitle: 'Perkara yang anda persetujui',
+    purposes: {
+      testDrive: {
+        label: 'Urusan pandu uji',
+        description: 'Gunakan butiran saya untuk mengatur dan menjalankan pandu uji saya. Diperlukan untuk membuat tempahan.'
+      },
+      marketing: {
+        label: 'Pemasaran',
+        description: 'Hantar tawaran, pelancaran dan berita tentang model Perodua kepada saya.'
+      },
+      analytics: {
+        label: 'Analitik',
+        description: 'Ukur cara saya menggunakan laman web ini supaya ia boleh diperbaiki.'
+      }
+    },
+    save: 'Simpan pilihan',
+    saved: 'Pilihan anda telah disimpan.',
+    acceptAll: 'Terima semua',
+    essentialOnly: 'Yang penting sahaja',
+    manage: 'Urus pilihan',
+    bannerText: 'Kami ingin mengukur cara laman web ini digunakan dan memaklumkan tawaran terkini kepada anda. Anda boleh menukar pilihan ini pada bila-bila masa.',
+    privacyLink: 'Eksport atau padam data anda'
+  },
+
+  book: {
+    heroTitle: 'TEMPAH PANDU UJI ANDA',
+    heroSubtitle: 'Rasai kenderaan Perodua idaman anda hari ini',
+    heroVariantColor: 'Rasai {variant} berwarna {color} hari ini',
+    heroVariant: 'Rasai {variant} hari ini',
+    formTitle: 'Tempah Pandu Uji Anda',
+    formSubtitle: 'Isikan butiran anda di bawah dan kami akan mengatur pengalaman pandu uji yang sempurna untuk anda',
+    expectTitle: 'Perkara yang perlu diketahui:',
+    expect: {
+      licence: 'Bawa lesen memandu yang sah (MyKad/Pasport)',
+      duration: 'Tempoh pandu uji: 15-20 minit',
+      consultant: 'Perunding kami akan menemani anda',
+      obligation: 'Tiada kewajipan untuk membeli',
+      inspection: 'Pemeriksaan kenderaan dan konsultasi percuma'
+    },
+    summaryTitle: 'Konfigurasi Pilihan Anda',
+    summary: {
+      model: 'Model',
+      color: 'Warna',
+      price: 'Harga',
+      financing: 'Pembiayaan'
+    },
+    labels: {
+      fullName: 'Nama Penuh (seperti dalam MyKad/Pasport)',
+      idNumber: 'MyKad / Pasport / No. Tentera / No. Polis',
+      phone: 'Nombor Telefon',
+      email: 'Alamat E-mel',
+      carModel: 'Model Kereta untuk Pandu Uji',
+      date: 'Tarikh Pilihan',
+      time: 'Masa Pilihan'
+    },
+    placeholders: {
+      fullName: 'Masukkan nama penuh anda seperti dalam dokumen pengenalan',
+      idNumber: 'cth., 123456-78-9012 atau A12345678'
+    },
+    errors: {
+      fullName: 'Sila masukkan nama penuh anda',
+      idNumber: 'Sila masukkan nombor pengenalan yang sah',
+      phone: 'Sila masukkan nombor telefon yang sah',
+      email: 'Sila masukkan alamat e-mel yang sah',
+      carModel: 'Sila pilih model kereta',
+      date: 'Sila pilih tarikh pilihan',
+      time: 'Sila pilih masa pilihan'
+    },
+    carModelPlaceholder: 'Pilih model kereta',
+    modelOption: '{name} - Dari {price}',
+    consent: 'Saya dengan ini mengakui dan mengesahkan persetujuan saya terhadap pemprosesan data peribadi saya menurut <a href="privacy.html" class="pdpa-link" data-consent-notice>Notis Akta Perlindungan Data Peribadi (PDPA)</a>. Saya faham bahawa maklumat peribadi saya hanya akan digunakan untuk mengatur dan menjalankan temu janji pandu uji serta perkhidmatan automotif yang berkaitan. <span class="required">*</span>',
+    submit: 'Tempah Pandu Uji',
+    processing: 'Sedang diproses...',
+    confirmedTitle: 'Tempahan Disahkan!',
+    confirmedText: 'Terima kasih kerana menempah pandu uji. Kami akan menghubungi anda dalam masa 24 jam untuk mengesahkan temu janji anda.',
+    savedTitle: 'Tempahan Disimpan',
+    savedText: 'Anda kelihatan di luar talian. Tempahan anda telah disimpan pada peranti ini dan akan dihantar secara automatik apabila anda bersambung semula.',
+    sentTitle: 'Tempahan Dihantar!',
+    sentText: 'Tempahan anda yang disimpan kini telah sampai kepada pasukan kami. Kami akan menghubungi anda dalam masa 24 jam untuk mengesahkan temu janji anda.',
+    reference: 'Rujukan tempahan: {reference}',
+    failureTitle: 'Tempahan Tidak Dihantar',
+    failureText: 'Berlaku masalah. Sila cuba lagi atau hubungi kami di +60 3-8000 1234.',
+    failedFromQueue: 'Kami tidak dapat menghantar tempahan anda yang disimpan: {message}'
+  },
+
+  manage: {
+    heroTitle: 'TEMPAHAN SAYA',
+    heroSubtitle: 'Semak, tukar masa atau batalkan pandu uji anda dengan nombor rujukan tempahan dan nombor telefon anda.',
+    lookupTitle: 'Cari tempahan anda',
+    lookupText: 'Nombor rujukan ada dalam pengesahan tempahan anda, contohnya MC-261018-AB12.',
+    reference: 'Nombor rujukan tempahan',
+    phone: 'Nombor telefon yang digunakan semasa menempah',
+    find: 'Cari tempahan',
+    finding: 'Mencari...',
+    referenceFormat: 'Nombor rujukan berbentuk MC-261018-AB12',
+    notFound: 'Kami tidak menemui tempahan dengan nombor rujukan dan nombor telefon tersebut.',
+    offline: 'Anda nampaknya di luar talian. Sambung ke internet untuk mengurus tempahan anda.',
+    failed: 'Berlaku masalah. Sila cuba lagi atau hubungi kami di +60 3-8000 1234.',
+    notChangeable: 'Tempahan ini telah dibatalkan atau selesai dan tidak boleh diubah lagi.',
+    detailsTitle: 'Pandu uji anda',
+    labels: {
+      reference: 'Rujukan',
+      model: 'Model',
+      date: 'Tarikh',
+      time: 'Masa',
+      name: 'Nama'
+    },
+    status: {
+      pending: 'Menunggu pengesahan',
+      confirmed: 'Disahkan',
+      completed: 'Selesai',
+      cancelled: 'Dibatalkan'
+    },
+    statusText: {
+      pending: 'Kami akan menghubungi anda dalam masa 24 jam untuk mengesahkan masa ini.',
+      confirmed: 'Jumpa di bilik pameran. Sila bawa lesen memandu dan IC atau pasport anda.',
+      completed: 'Terima kasih kerana memandu uji bersama kami.',
+      cancelled: 'Tempahan ini telah dibatalkan.'
+    },
+    reschedule: 'Tukar masa',
+    rescheduleTitle: 'Pilih masa baharu',
+    newDate: 'Tarikh baharu',
+    newTime: 'Masa baharu',
+    confirmReschedule: 'Sahkan masa baharu',
+    rescheduled: 'Pandu uji anda telah dipindahkan. Kami akan mengesahkan masa baharu tidak lama lagi.',
+    cancel: 'Batalkan tempahan',
+    cancelTitle: 'Batalkan pandu uji ini',
+    reason: 'Sebab pembatalan',
+    reasonPlaceholder: 'Pilih sebab',
+    reasons: {
+      plans: 'Rancangan saya telah berubah',
+      purchased: 'Saya sudah membeli kereta',
+      model: 'Saya mahu model lain',
+      other: 'Lain-lain'
+    },
+    details: 'Ada apa-apa lagi yang patut kami tahu? (Pilihan)',
+    confirmCancel: 'Batalkan pandu uji',
+    keep: 'Kekalkan tempahan',
+    cancelled: 'Pandu uji anda telah dibatalkan.',
+    saving: 'Menyimpan...',
+    bookAnother: 'Tempah pandu uji lain',
+    manageLink: 'Urus tempahan ini'
+  },
+
+  calendar: {
+    add: 'Tambah ke kalendar',
+    summary: 'Pandu uji {model} di {showroom}',
+    reference: 'Rujukan tempahan: {reference}',
+    bring: 'Sila bawa lesen memandu dan MyKad atau pasport anda.',
+    phone: 'Bilik pameran: {phone}',
+    manage: 'Tukar jadual atau batal: {url}',
+    alarm: 'Pandu uji {model} anda bermula pada {time}'
+  },
+
+  reminders: {
+    enable: 'Ingatkan saya',
+    title: 'Peringatan pandu uji',
+    body: 'Pandu uji {model} anda di MeisterCo. adalah pada {date} jam {time}.',
+    scheduled: 'Kami akan mengingatkan anda pada peranti ini sebelum pandu uji anda.',
+    denied: 'Pemberitahuan disekat untuk laman ini. Benarkan dalam tetapan pelayar untuk menerima peringatan.',
+    dismissed: 'Peringatan memerlukan kebenaran untuk memaparkan pemberitahuan.',
+    unsupported: 'Pelayar ini tidak dapat memaparkan peringatan. Tambah pandu uji ke kalendar anda.',
+    past: 'Pandu uji anda terlalu hampir untuk peringatan.',
+    failed: 'Kami tidak dapat menetapkan peringatan. Sila cuba lagi.'
+  },
+
+  contact: {
+    heroTitle: 'HUBUNGI KAMI',
+    heroSubtitle: 'Kami sedia membantu anda mencari kenderaan idaman dan menjawab semua soalan anda',
+    formTitle: 'Hantar Mesej kepada Kami',
+    formSubtitle: 'Isikan borang di bawah dan pasukan kami akan menghubungi anda secepat mungkin.',
+    success: 'Terima kasih! Mesej anda telah berjaya dihantar. Kami akan membalas dalam masa 24 jam.',
+    labels: {
+      firstName: 'Nama Pertama *',
+      lastName: 'Nama Akhir *',
+      email: 'Alamat E-mel *',
+      phone: 'Nombor Telefon *',
+      inquiryType: 'Jenis Pertanyaan *',
+      subject: 'Subjek *',
+      message: 'Mesej *'
+    },
+    placeholders: {
+      subject: 'Bagaimana kami boleh membantu?',
+      message: 'Sila berikan butiran pertanyaan anda...'
+    },
+    inquiry: {
+      sales: 'Jualan Kenderaan',
+      service: 'Servis & Penyelenggaraan',
+      finance: 'Pembiayaan',
+      general: 'Pertanyaan Umum'
+    },
+    errors: {
+      firstName: 'Nama pertama wajib diisi',
+      lastName: 'Nama akhir wajib diisi',
+      email: 'Alamat e-mel yang sah diperlukan',
+      phone: 'Nombor telefon yang sah diperlukan',
+      inquiryType: 'Sila pilih jenis pertanyaan',
+      subject: 'Subjek wajib diisi',
+      message: 'Mesej wajib diisi'
+    },
+    submit: 'Hantar Mesej',
+    sending: 'Menghantar...',
+    queued: 'Anda di luar talian. Mesej anda disimpan pada peranti ini dan akan dihantar sebaik sahaja anda kembali dalam talian.',
+    sentFromQueue: 'Mesej anda yang disimpan telah dihantar. Kami akan membalas dalam masa 24 jam.',
+    failed: 'Mesej anda tidak dapat dihantar: {message}'
+  },
+
+  offline: {
+    heroTitle: 'ANDA DI LUAR TALIAN',
+    heroSubtitle: 'Halaman ini belum disimpan pada peranti ini.',
+    text: 'Semak sambungan anda dan cuba lagi. Halaman yang pernah anda lawati, model dan borang tempahan masih berfungsi di luar talian.',
+    retry: 'Cuba lagi',
+    savedTitle: 'Tersedia di luar talian',
+    queueNote: 'Tempahan dan mesej yang dibuat di luar talian disimpan dan dihantar sebaik sahaja anda kembali dalam talian.',
+    banner: 'Anda di luar talian. Halaman yang disimpan masih berfungsi, dan tempahan serta mesej dihantar apabila anda bersambung semula.',
+    backOnline: 'Anda kembali dalam talian.'
+  },
+
+  privacy: {
+    heroTitle: 'DATA & PRIVASI ANDA',
+    heroSubtitle: 'Lihat, eksport atau padam data yang disimpan oleh laman web ini tentang anda, dan tukar perkara yang telah anda persetujui.',
+    consentTitle: 'Pilihan anda',
+    consentText: 'Perkara yang telah anda persetujui di bawah notis PDPA semasa.',
+    granted: 'Bersetuju',
+    declined: 'Menolak',
+    undecided: 'Belum dipilih',
+    manage: 'Baca notis dan tukar pilihan',
+    storedTitle: 'Data pada peranti ini',
+    storedText: 'Laman web ini menyimpan perkara berikut dalam pelayar anda. Tiada apa-apa dikongsi sehingga anda menghantar tempahan atau bersetuju dengan analitik. Anda boleh membetulkan tetapan dalam Tetapan dan mengubah atau membuang binaan dalam Garaj Saya.',
+    stores: {
+      preferences: 'Tetapan dan bahasa',
+      consent: 'Pilihan persetujuan',
+      garage: 'Binaan tersimpan (Garaj Saya)',
+      loading: 'Skrin pemuatan telah dilihat',
+      chat: 'Perbualan pembantu sembang',
+      analyticsQueue: 'Acara analitik yang menunggu persetujuan',
+      funnel: 'Perjalanan pandu uji',
+      outbox: 'Tempahan dan mesej yang menunggu untuk dihantar',
+      reminders: 'Peringatan pandu uji'
+    },
+    stored: 'Disimpan',
+    empty: 'Tiada data',
+    itemCount: {
+      other: '{count} item'
+    },
+    exportTitle: 'Eksport data anda',
+    exportText: 'Muat turun semua perkara di atas sebagai fail JSON.',
+    exportButton: 'Muat turun data saya',
+    exported: 'Data anda telah dimuat turun.',
+    deleteTitle: 'Padam data anda',
+    deleteText: 'Buang semua perkara di atas daripada peranti ini, termasuk tempahan yang belum dihantar. Pilihan persetujuan anda juga akan dibuang.',
+    deleteButton: 'Padam data saya',
+    deleteConfirm: 'Padam semua data MeisterCo. daripada peranti ini? Tindakan ini tidak boleh dibatalkan.',
+    deleted: 'Data anda telah dipadam daripada peranti ini.',
+    nothingToDelete: 'Tiada data untuk dipadam.',
+    serverTitle: 'Tempahan yang telah anda hantar',
+    serverText: 'Tempahan yang telah dihantar disimpan oleh bilik pameran kami. Untuk mengakses, membetulkan atau memadamnya, e-mel pegawai privasi kami bersama rujukan tempahan anda.',
+    serverButton: 'E-mel permintaan data',
+    serverSubject: 'Permintaan data peribadi (PDPA)'
+  }
+};
@@ -0,0 +1,556 @@
+/**
+ * MEISTERCO - CHINESE (SIMPLIFIED) STRINGS
+ * Mirrors the keys of en.js; anything missing here falls back to English.
+ */
+
+'use strict';
+
+window.MeisterCoLocales = window.MeisterCoLocales || {};
+
+window.MeisterCoLocales.zh = {
+  language: {
+    label: '语言'
+  },
+
+  preferences: {
+    open: '偏好设置',
+    title: '偏好设置',
+    close: '关闭偏好设置',
+    motion: '动画效果',
+    motionHint: '减少动画将关闭视差滚动、漂浮粒子和打字效果。',
+    motionOptions: {
+      system: '跟随设备设置',
+      reduce: '减少动画',
+      full: '完整动画'
+    },
+    theme: '主题',
+    themeOptions: {
+      dark: '深色',
+      light: '浅色',
+      system: '跟随设备设置'
+    },
+    language: '语言',
+    preferredModel: '首选车型',
+    noPreference: '无偏好',
+    contactMethod: '首选联系方式',
+    contactMethodOptions: {
+      none: '无偏好',
+      phone: '电话',
+      whatsapp: 'WhatsApp',
+      email: '电子邮件'
+    },
+    reset: '恢复默认设置'
+  },
+
+  nav: {
+    home: '首页',
+    technology: '科技',
+    models: '车型',
+    news: '新闻',
+    location: '位置',
+    contact: '联系',
+    about: '关于我们',
+    contactUs: '联系我们',
+    references: '参考资料',
+    privacy: '隐私',
+    bookings: '我的预约',
+    overview: '概览',
+    features: '特点',
+    specs: '规格',
+    customize: '定制',
+    gallery: '图库',
+    backToModels: '← 返回车型'
+  },
+
+  loading: {
+    experience: '正在加载体验...',
+    models: '正在准备车型...',
+    systems: '正在初始化系统...',
+    almostReady: '即将就绪...',
+    fallback: '加载中...'
+  },
+
+  gallery: {
+    close: '关闭图库'
+  },
+
+  compare: {
+    drawer: '车型对比',
+    selected: '已选择对比的车型',
+    clear: '清除',
+    openCount: '对比 ({count})',
+    hide: '隐藏对比',
+    title: '车型对比',
+    differencesOnly: '仅显示差异',
+    copyLink: '复制链接',
+    close: '关闭对比',
+    legend: '高亮的行表示所选车型之间的差异。',
+    specification: '规格',
+    categories: {
+      engine: '引擎',
+      dimensions: '尺寸',
+      safety: '安全',
+      comfort: '舒适'
+    },
+    from: '{price} 起',
+    remove: '从对比中移除 {name}',
+    add: '+ 对比',
+    comparing: '✓ 对比中',
+    limit: '最多可对比 {max} 款车型。请先移除一款再添加。',
+    added: '已将 {name} 加入对比。',
+    linkCopied: '对比链接已复制。',
+    copyPrompt: '复制此链接以分享对比：'
+  },
+
+  configurator: {
+    steps: {
+      variant: { label: '选择型号', summary: '型号' },
+      color: { label: '选择颜色', summary: '颜色' },
+      interior: { label: '内饰套件', summary: '内饰' },
+      accessories: { label: '配件', summary: '配件' }
+    },
+    step: '第 {number} 步：{label}',
+    stepOptional: '第 {number} 步：{label}（可选）',
+    continue: '继续',
+    continueToSummary: '继续查看摘要',
+    included: '已包含',
+    notSelected: '未选择',
+    none: '无',
+    errors: {
+      required: '{step}：请选择一项。',
+      min: '{step}：至少选择 {min} 项。',
+      max: '{step}：最多选择 {max} 项。'
+    },
+    removed: {
+      one: '{names} 不适用于此配置，已被移除。',
+      other: '{names} 不适用于此配置，已被移除。'
+    },
+    onlyWith: '仅限 {options}',
+    or: '或',
+    quote: {
+      title: '您的报价',
+      total: '总价',
+      note: '这只是您的配置摘要，尚未发送给我们。预约试驾或联系我们，Perodua 代表将与您一起详细了解。',
+      close: '关闭',
+      bookTestDrive: '预约试驾'
+    }
+  },
+
+  preview: {
+    selectVariant: '选择型号',
+    chooseColor: '选择颜色',
+    label: '预览：按 + 和 - 缩放',
+    spinLabel: '360° 视图：拖动或使用方向键旋转车辆，按 + 和 - 缩放',
+    turntableLabel: '360° 视图：拖动或使用方向键旋转车辆',
+    zoomIn: '放大',
+    zoomOut: '缩小',
+    resetZoom: '重置缩放',
+    loading: '正在加载视图 {loaded}/{total}',
+    dragToRotate: '拖动以旋转'
+  },
+
+  finance: {
+    title: '融资估算',
+    downPayment: '首付',
+    tenure: '贷款期限',
+    interestRate: '利率（固定，年利率 %）',
+    monthly: '每月分期',
+    perMonth: '{amount} / 月',
+    years: { one: '{count} 年', other: '{count} 年' },
+    empty: '请选择型号以查看每月分期。',
+    loanAmount: '贷款金额',
+    totalInterest: '总利息',
+    totalPayable: '应付总额',
+    schedule: '摊还表',
+    table: {
+      month: '月份',
+      instalment: '分期',
+      interest: '利息',
+      principal: '本金',
+      balance: '余额'
+    },
+    note: '仅供估算。利息按 78 法则分摊，最终条款以银行批准为准。',
+    enquire: '咨询融资方案',
+    summary: '每月 {monthly}，为期 {years}（首付 {down}%，固定年利率 {rate}%）'
+  },
+
+  garage: {
+    save: '保存到我的车库',
+    share: '复制分享链接',
+    resume: '继续上次的配置',
+    title: '我的车库',
+    empty: '各车型已保存的配置会显示在这里。',
+    saved: '配置已保存到我的车库。',
+    moved: '此配置已在我的车库中，已移至顶部。',
+    unavailable: '此浏览器不允许保存配置。',
+    copied: '分享链接已复制。',
+    copyPrompt: '复制此链接以分享您的配置：',
+    accessories: { one: '{count} 个配件', other: '{count} 个配件' },
+    remove: '从我的车库中移除 {title}'
+  },
+
+  brochure: {
+    title: '{model} - MeisterCo. 宣传册',
+    personalised: '您的专属宣传册',
+    model: '车型宣传册',
+    configuration: '您的配置',
+    prices: '价格明细',
+    included: '已包含',
+    total: '总价',
+    financing: '融资估算',
+    variants: '型号与价格',
+    highlights: '亮点',
+    specifications: '规格',
+    gallery: '图库',
+    page: '第 {page} 页，共 {pages} 页',
+    disclaimer: '价格为上路价估算，如有更改恕不另行通知。',
+    failed: '抱歉，无法生成您的宣传册。请重试。'
+  },
+
+  booking: {
+    title: '预约试驾',
+    close: '关闭窗口',
+    model: '选择车型',
+    modelPlaceholder: '请选择车型',
+    firstName: '名字',
+    lastName: '姓氏',
+    idNumber: '身份证 / 护照号码',
+    email: '电子邮件',
+    phone: '电话号码',
+    date: '首选日期',
+    time: '首选时间',
+    message: '附加留言（可选）',
+    consent: '本人在此确认并同意根据<a href="privacy.html" class="pdpa-link" data-consent-notice>《个人资料保护法令》(PDPA) 通知</a>处理本人的个人资料。本人明白，本人的个人信息仅会用于安排和进行试驾预约及相关汽车服务。<span class="required-asterisk">*</span>',
+    cancel: '取消',
+    submit: '预约试驾',
+    submitting: '预约中...',
+    queued: '您目前似乎处于离线状态。您的预约已保存，并将在恢复连接后自动发送。',
+    success: '您的试驾已预约成功！参考编号：{reference}。我们将尽快与您联系确认详情。',
+    failed: '抱歉，我们无法为您预约试驾。请重试。',
+    sentFromQueue: '您已保存的试驾预约已发送。参考编号：{reference}。',
+    failedFromQueue: '无法发送您已保存的预约：{message}'
+  },
+
+  slots: {
+    selectDateFirst: '请先选择日期',
+    selectTime: '选择时段',
+    closedHoliday: '展厅因{holiday}休息',
+    closedDay: '展厅当天休息',
+    shortenedHours: '{holiday}：营业时间缩短',
+    chooseAnotherDate: '{reason}。请选择其他日期。',
+    selectModel: '选择车型以查看实时空档',
+    estimated: '暂时无法查看实时空档；我们将与您确认时段',
+    noneLeft: '当天已无空档',
+    unavailable: '（不可预约）',
+    full: '（已满）',
+    remaining: {
+      other: '（剩余 {count} 个）'
+    }
+  },
+
+  validation: {
+    required: '此栏为必填项',
+    email: '请输入有效的电子邮件地址',
+    phone: '请输入有效的马来西亚电话号码',
+    idNumber: '请输入有效的身份证件号码',
+    nameLength: '姓名至少需要 2 个字符',
+    pdpaRequired: '请同意 PDPA 声明以继续。',
+    icDate: '身份证号码的前六位必须是有效的出生日期',
+    icState: '身份证号码中的出生地代码（第 7 和第 8 位）无效',
+    icAge: '您必须年满 {age} 岁才能试驾',
+    passport: '请输入有效的护照号码',
+    slotTaken: '此时段刚刚被预约。请选择其他时段。',
+    summary: {
+      other: '有 {count} 个栏位需要您注意。'
+    }
+  },
+
+  pdpa: {
+    notice: `《个人资料保护法令》(PDPA) 通知
+
+MeisterCo. 致力于保护您的个人资料。本通知说明我们如何收集、使用和保护您的信息：
+
+收集：我们收集您在此表格中提供的个人资料，用于安排试驾及提供汽车服务。
+
+用途：您的资料将用于：
+• 安排和进行试驾预约
+• 就汽车服务与您联系
+• 提供客户支持
+• 遵守法律规定
+• 经您许可，向您发送优惠和新闻（营销）
+• 经您许可，统计本网站的使用情况（分析）
+
+保护：我们采取适当的安全措施保护您的个人资料。
+
+保留：我们仅在实现上述目的所需的期限内保留您的资料。
+
+权利：您有权查阅、更正或要求删除您的个人资料。您可以在"您的数据与隐私"页面（privacy.html）导出或删除本网站保存在您设备上的数据，并随时更改您的选择。
+
+如对我们的资料处理方式有任何疑问，请发送电子邮件至 privacy@meisterco.com.my`
+  },
+
+  consent: {
+    title: '个人资料保护通知',
+    close: '关闭通知',
+    version: '通知版本 {version}',
+    purposesTitle: '您同意的内容',
+    purposes: {
+      testDrive: {
+        label: '试驾安排',
+        description: '使用我的资料安排和进行试驾。预约时必须同意。'
+      },
+      marketing: {
+        label: '营销',
+        description: '向我发送 Perodua 车型的优惠、新车发布和新闻。'
+      },
+      analytics: {
+        label: '分析',
+        description: '统计我使用本网站的情况，以便改进网站。'
+      }
+    },
+    save: '保存选择',
+    saved: '您的选择已保存。',
+    acceptAll: '全部接受',
+    essentialOnly: '仅必要项',
+    manage: '管理选择',
+    bannerText: '我们希望统计本网站的使用情况，并向您推送最新优惠。您可以随时更改此设置。',
+    privacyLink: '导出或删除您的数据'
+  },
+
+  book: {
+    heroTitle: '预约您的试驾',
+    heroSubtitle: '今天就来体验您理想的 Perodua 座驾',
+    heroVariantColor: '今天就来体验{color}的 {variant}',
+    heroVariant: '今天就来体验 {variant}',
+    formTitle: '预约试驾',
+    formSubtitle: '请在下方填写您的资料，我们将为您安排完美的试驾体验',
+    expectTitle: '试驾须知：',
+    expect: {
+      licence: '请携带有效驾照（身份证/护照）',
+      duration: '试驾时长：15-20 分钟',
+      consultant: '我们的顾问将全程陪同',
+      obligation: '无需承担购买义务',
+      inspection: '免费车辆检查及咨询'
+    },
+    summaryTitle: '您选择的配置',
+    summary: {
+      model: '车型',
+      color: '颜色',
+      price: '价格',
+      financing: '贷款'
+    },
+    labels: {
+      fullName: '全名（与身份证/护照一致）',
+      idNumber: '身份证 / 护照 / 军人证号 / 警察证号',
+      phone: '电话号码',
+      email: '电子邮件地址',
+      carModel: '试驾车型',
+      date: '首选日期',
+      time: '首选时间'
+    },
+    placeholders: {
+      fullName: '请输入与身份证件一致的全名',
+      idNumber: '例如：123456-78-9012 或 A12345678'
+    },
+    errors: {
+      fullName: '请输入您的全名',
+      idNumber: '请输入有效的身份证件号码',
+      phone: '请输入有效的电话号码',
+      email: '请输入有效的电子邮件地址',
+      carModel: '请选择车型',
+      date: '请选择首选日期',
+      time: '请选择首选时间'
+    },
+    carModelPlaceholder: '请选择车型',
+    modelOption: '{name} - 起价 {price}',
+    consent: '本人在此确认并同意根据<a href="privacy.html" class="pdpa-link" data-consent-notice>《个人资料保护法令》(PDPA) 通知</a>处理本人的个人资料。本人明白，本人的个人信息仅会用于安排和进行试驾预约及相关汽车服务。<span class="required">*</span>',
+    submit: '预约试驾',
+    processing: '处理中...',
+    confirmedTitle: '预约成功！',
+    confirmedText: '感谢您预约试驾。我们将在 24 小时内与您联系确认预约。',
+    savedTitle: '预约已保存',
+    savedText: '您目前似乎处于离线状态。您的预约已保存在此设备上，并将在恢复连接后自动发送。',
+    sentTitle: '预约已发送！',
+    sentText: '您已保存的预约现已送达我们的团队。我们将在 24 小时内与您联系确认预约。',
+    reference: '预约参考编号：{reference}',
+    failureTitle: '预约未发送',
+    failureText: '出现问题。请重试或致电 +60 3-8000 1234 联系我们。',
+    failedFromQueue: '无法发送您已保存的预约：{message}'
+  },
+
+  manage: {
+    heroTitle: '我的预约',
+    heroSubtitle: '凭预约参考编号和电话号码查看、改期或取消您的试驾。',
+    lookupTitle: '查找您的预约',
+    lookupText: '参考编号可在您的预约确认中找到，例如 MC-261018-AB12。',
+    reference: '预约参考编号',
+    phone: '预约时使用的电话号码',
+    find: '查找预约',
+    finding: '查找中...',
+    referenceFormat: '参考编号格式为 MC-261018-AB12',
+    notFound: '找不到与该参考编号和电话号码相符的预约。',
+    offline: '您目前似乎处于离线状态。请连接互联网以管理您的预约。',
+    failed: '出现问题。请重试或致电 +60 3-8000 1234 联系我们。',
+    notChangeable: '此预约已取消或已完成，无法再更改。',
+    detailsTitle: '您的试驾',
+    labels: {
+      reference: '参考编号',
+      model: '车型',
+      date: '日期',
+      time: '时间',
+      name: '姓名'
+    },
+    status: {
+      pending: '等待确认',
+      confirmed: '已确认',
+      completed: '已完成',
+      cancelled: '已取消'
+    },
+    statusText: {
+      pending: '我们将在 24 小时内致电与您确认此时段。',
+      confirmed: '展厅见。请携带您的驾照以及身份证或护照。',
+      completed: '感谢您与我们一同试驾。',
+      cancelled: '此预约已取消。'
+    },
+    reschedule: '改期',
+    rescheduleTitle: '选择新的时段',
+    newDate: '新日期',
+    newTime: '新时间',
+    confirmReschedule: '确认新时段',
+    rescheduled: '您的试驾已改期。我们将尽快确认新的时段。',
+    cancel: '取消预约',
+    cancelTitle: '取消此试驾',
+    reason: '取消原因',
+    reasonPlaceholder: '请选择原因',
+    reasons: {
+      plans: '我的计划有变',
+      purchased: '我已经买车了',
+      model: '我想换一款车型',
+      other: '其他'
+    },
+    details: '还有什么需要告诉我们的吗？（可选）',
+    confirmCancel: '取消试驾',
+    keep: '保留预约',
+    cancelled: '您的试驾已取消。',
+    saving: '保存中...',
+    bookAnother: '预约其他试驾',
+    manageLink: '管理此预约'
+  },
+
+  calendar: {
+    add: '添加到日历',
+    summary: '{showroom} {model} 试驾',
+    reference: '预约编号：{reference}',
+    bring: '请携带驾驶执照及身份证或护照。',
+    phone: '展厅电话：{phone}',
+    manage: '改期或取消：{url}',
+    alarm: '您的 {model} 试驾将于 {time} 开始'
+  },
+
+  reminders: {
+    enable: '提醒我',
+    title: '试驾提醒',
+    body: '您在 MeisterCo. 的 {model} 试驾安排在 {date} {time}。',
+    scheduled: '我们会在试驾前通过此设备提醒您。',
+    denied: '此网站的通知已被阻止。请在浏览器设置中允许通知以接收提醒。',
+    dismissed: '提醒需要显示通知的权限。',
+    unsupported: '此浏览器无法显示提醒。请将试驾添加到日历。',
+    past: '距离试驾时间太近，无法设置提醒。',
+    failed: '无法设置提醒，请重试。'
+  },
+
+  contact: {
+    heroTitle: '联系我们',
+    heroSubtitle: '我们随时帮助您找到理想座驾，并解答您的所有疑问',
+    formTitle: '给我们留言',
+    formSubtitle: '请填写以下表格，我们的团队将尽快回复您。',
+    success: '谢谢！您的留言已成功发送。我们将在 24 小时内回复您。',
+    labels: {
+      firstName: '名字 *',
+      lastName: '姓氏 *',
+      email: '电子邮件地址 *',
+      phone: '电话号码 *',
+      inquiryType: '咨询类型 *',
+      subject: '主题 *',
+      message: '留言 *'
+    },
+    placeholders: {
+      subject: '我们能为您提供什么帮助？',
+      message: '请详细说明您的咨询内容...'
+    },
+    inquiry: {
+      sales: '车辆销售',
+      service: '服务与保养',
+      finance: '贷款',
+      general: '一般咨询'
+    },
+    errors: {
+      firstName: '请填写名字',
+      lastName: '请填写姓氏',
+      email: '请填写有效的电子邮件地址',
+      phone: '请填写有效的电话号码',
+      inquiryType: '请选择咨询类型',
+      subject: '请填写主题',
+      message: '请填写留言'
+    },
+    submit: '发送留言',
+    sending: '发送中...',
+    queued: '您目前处于离线状态。您的留言已保存在此设备上，恢复联网后将立即发送。',
+    sentFromQueue: '您保存的留言已发送。我们将在24小时内回复您。',
+    failed: '您的留言无法发送：{message}'
+  },
+
+  offline: {
+    heroTitle: '您已离线',
+    heroSubtitle: '此页面尚未保存在此设备上。',
+    text: '请检查网络连接后重试。您访问过的页面、车型和预约表格在离线时仍可使用。',
+    retry: '重试',
+    savedTitle: '离线可用',
+    queueNote: '离线时提交的预约和留言会被保存，并在恢复联网后立即发送。',
+    banner: '您已离线。已保存的页面仍可使用，预约和留言将在重新联网后发送。',
+    backOnline: '您已恢复联网。'
+  },
+
+  privacy: {
+    heroTitle: '您的数据与隐私',
+    heroSubtitle: '查看、导出或删除本网站保存的关于您的数据，并更改您已同意的内容。',
+    consentTitle: '您的选择',
+    consentText: '您在当前 PDPA 通知下同意的内容。',
+    granted: '已同意',
+    declined: '已拒绝',
+    undecided: '未选择',
+    manage: '阅读通知并更改选择',
+    storedTitle: '此设备上的数据',
+    storedText: '本网站在您的浏览器中保存以下内容。在您发送预约或同意分析之前，这些内容不会被共享。您可以在偏好设置中更正设置，并在"我的车库"中编辑或删除配置。',
+    stores: {
+      preferences: '偏好设置和语言',
+      consent: '同意选择',
+      garage: '已保存的配置（我的车库）',
+      loading: '已看过加载画面',
+      chat: '聊天助手对话',
+      analyticsQueue: '等待同意的分析事件',
+      funnel: '试驾流程',
+      outbox: '等待发送的预约和留言',
+      reminders: '试驾提醒'
+    },
+    stored: '已保存',
+    empty: '无数据',
+    itemCount: {
+      other: '{count} 项'
+    },
+    exportTitle: '导出您的数据',
+    exportText: '将以上所有内容下载为 JSON 文件。',
+    exportButton: '下载我的数据',
+    exported: '您的数据已下载。',
+    deleteTitle: '删除您的数据',
+    deleteText: '从此设备中删除以上所有内容，包括尚未发送的预约。您的同意选择也会一并删除。',
+    deleteButton: '删除我的数据',
+    deleteConfirm: '要从此设备删除所有 MeisterCo. 数据吗？此操作无法撤销。',
+    deleted: '您的数据已从此设备删除。',
+    nothingToDelete: '没有可删除的数据。',
+    serverTitle: '您已发送的预约',
+    serverText: '您已发送的预约由我们的展厅保存。如需查阅、更正或删除，请附上预约参考编号发送电子邮件给我们的隐私专员。',
+    serverButton: '发送数据请求邮件',
+    serverSubject: '个人资料请求（PDPA）'
+  }
+};
@@ -0,0 +1,152 @@
+/**
+ * MEISTERCO - OFFLINE SUPPORT
+ * Registers the service worker (sw.js) that keeps the site usable without a
+ * connection: pages, styles, scripts, fonts and model imagery come from its
+ * cache, and bookings and contact messages wait in the outbox
+ * (booking-client.js) until background sync can send them.
+ *
+ * Also shows a short notice when the connection drops or comes back, and
+ * marks <html> with .is-offline meanwhile for pages that want to adapt.
+ *
+ * Needs i18n.js.
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const OFFLINE_DEFAULTS = {
+  serviceWorker: 'sw.js',
+  onlineNoticeDuration: 3000
+};
+
+// ========================================================================
+// OFFLINE SUPPORT
+// ========================================================================
+
+class OfflineSupport extends EventTarget {
+  constructor(options = {}) {
+    super();
+
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.offline) || {};
+    this.config = { ...OFFLINE_DEFAULTS, ...globalConfig, ...options };
+    this.registration = null;
+    this.notice = null;
+    this.noticeTimer = null;
+
+    this.init();
+  }
+
+  init() {
+    this.injectStyles();
+
+    // Registering after load keeps the precache from competing with the first visit
+    if (document.readyState === 'complete') {
+      this.register();
+    } else {
+      window.addEventListener('load', () => this.register());
+    }
+
+    window.addEventListener('online', () => this.updateStatus(true));
+    window.addEventListener('offline', () => this.updateStatus(false));
+
+    if (navigator.onLine === false) {
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => this.updateStatus(false));
+      } else {
+        this.updateStatus(false);
+      }
+    }
+  }
+
+  isSupported() {
+    return 'serviceWorker' in navigator && window.isSecureContext !== false;
+  }
+
+  async register() {
+    if (!this.isSupported()) return null;
+
+    try {
+      this.registration = await navigator.serviceWorker.register(this.config.serviceWorker);
+      this.dispatchEvent(new CustomEvent('registered', { detail: { registration: this.registration } }));
+    } catch (error) {
+      console.warn('Service worker registration failed:', error);
+    }
+
+    return this.registration;
+  }
+
+  get isOnline() {
+    return navigator.onLine !== false;
+  }
+
+  updateStatus(online) {
+    document.documentElement.classList.toggle('is-offline', !online);
+    this.showNotice(online ? 'offline.backOnline' : 'offline.banner', online);
+    this.dispatchEvent(new CustomEvent('change', { detail: { online } }));
+  }
+
+  // Offline stays up until the connection returns; back online fades away
+  showNotice(key, autoHide) {
+    if (!this.notice) {
+      this.notice = document.createElement('div');
+      this.notice.className = 'offline-notice';
+      this.notice.setAttribute('role', 'status');
+      document.body.appendChild(this.notice);
+    }
+
+    clearTimeout(this.noticeTimer);
+    window.i18n.translate(this.notice, key);
+    this.notice.classList.toggle('online', autoHide);
+    this.notice.hidden = false;
+
+    if (autoHide) {
+      this.noticeTimer = setTimeout(() => {
+        this.notice.hidden = true;
+      }, this.config.onlineNoticeDuration);
+    }
+  }
+
+  injectStyles() {
+    if (document.getElementById('offline-widget-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'offline-widget-styles';
+    style.textContent = `
+      .offline-notice {
+        position: fixed;
+        left: 50%;
+        top: 1rem;
+        transform: translateX(-50%);
+        width: max-content;
+        max-width: calc(100vw - 2rem);
+        background: rgba(18, 18, 20, 0.97);
+        color: #ffffff;
+        border: 1px solid rgba(255, 159, 10, 0.6);
+        border-radius: 12px;
+        padding: 0.75rem 1.25rem;
+        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.4);
+        font-size: 0.9rem;
+        text-align: center;
+        z-index: 10006;
+      }
+
+      .offline-notice.online {
+        border-color: rgba(52, 199, 89, 0.6);
+      }
+
+      .offline-notice[hidden] {
+        display: none;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.offlineSupport = new OfflineSupport();
@@ -0,0 +1,526 @@
+/**
+ * MEISTERCO - USER PREFERENCES
+ * One place for the settings visitors can change: motion, theme, language,
+ * preferred model and preferred contact method. Values live in the shared
+ * meisterco-preferences record and every change is broadcast so the page can
+ * apply it without a reload.
+ *
+ *   window.userPreferences.set('motion', 'reduce');
+ *   window.userPreferences.addEventListener('change', e => e.detail.changes);
+ *   if (window.userPreferences.reducedMotion) { ... }
+ *
+ * Motion and theme may be 'system', which follows the operating system
+ * (prefers-reduced-motion / prefers-color-scheme) and tracks it live.
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const PREFERENCES_DEFAULTS = {
+  storageKey: 'meisterco-preferences',
+  defaults: {
+    motion: 'system',
+    theme: 'dark',
+    preferredModel: '',
+    contactMethod: ''
+  }
+};
+
+const PREFERENCE_OPTIONS = {
+  motion: ['system', 'reduce', 'full'],
+  theme: ['dark', 'light', 'system'],
+  contactMethod: ['', 'phone', 'whatsapp', 'email']
+};
+
+// ========================================================================
+// USER PREFERENCES
+// ========================================================================
+
+class UserPreferences extends EventTarget {
+  constructor(options = {}) {
+    super();
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.preferences) || {};
+    this.config = { ...PREFERENCES_DEFAULTS, ...globalConfig, ...options };
+
+    this.values = this.load();
+    this.isOpen = false;
+    this.elements = {};
+    this.media = {
+      motion: window.matchMedia('(prefers-reduced-motion: reduce)'),
+      theme: window.matchMedia('(prefers-color-scheme: light)')
+    };
+
+    this.init();
+  }
+
+  init() {
+    this.injectStyles();
+    this.applyToDocument();
+    this.bindSystemSettings();
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.mount());
+    } else {
+      this.mount();
+    }
+  }
+
+  load() {
+    const saved = this.readStorage();
+    const values = { ...this.config.defaults };
+
+    Object.keys(values).forEach(key => {
+      if (saved[key] !== undefined && this.isValid(key, saved[key])) values[key] = saved[key];
+    });
+
+    values.language = window.i18n ? window.i18n.locale : saved.language;
+    return values;
+  }
+
+  isValid(key, value) {
+    if (PREFERENCE_OPTIONS[key]) return PREFERENCE_OPTIONS[key].includes(value);
+    return typeof value === 'string';
+  }
+
+  // ========================================================================
+  // PUBLIC API
+  // ========================================================================
+
+  get(key) {
+    return this.values[key];
+  }
+
+  getAll() {
+    return { ...this.values };
+  }
+
+  set(key, value) {
+    return this.update({ [key]: value });
+  }
+
+  /**
+   * Change one or more preferences, save them and tell the page. Unknown
+   * keys and invalid values are ignored; returns the keys that changed.
+   */
+  update(changes = {}) {
+    const applied = {};
+
+    Object.entries(changes).forEach(([key, value]) => {
+      if (key === 'language') {
+        // i18n owns the language; its change event brings the value back here
+        if (window.i18n && value !== this.values.language) window.i18n.setLocale(value);
+        return;
+      }
+      if (!(key in this.config.defaults) || !this.isValid(key, value) || this.values[key] === value) return;
+      applied[key] = value;
+    });
+
+    if (!Object.keys(applied).length) return [];
+
+    Object.assign(this.values, applied);
+    this.save();
+    this.notify(applied);
+
+    // Track analytics
+    Object.entries(applied).forEach(([key, value]) => {
+      window.analytics.track('preference_change', { preference: key, value: value || 'none' });
+    });
+
+    return Object.keys(applied);
+  }
+
+  reset() {
+    const changes = { ...this.config.defaults };
+    this.update(changes);
+  }
+
+  /**
+   * Whether animations should be cut back right now, resolving 'system'.
+   */
+  get reducedMotion() {
+    return this.values.motion === 'system' ? this.media.motion.matches : this.values.motion === 'reduce';
+  }
+
+  /**
+   * The theme in effect right now ('dark' or 'light'), resolving 'system'.
+   */
+  get resolvedTheme() {
+    if (this.values.theme !== 'system') return this.values.theme;
+    return this.media.theme.matches ? 'light' : 'dark';
+  }
+
+  open() {
+    const { panel, form } = this.elements;
+    if (!panel) return;
+
+    this.isOpen = true;
+    this.returnFocus = document.activeElement;
+    this.syncForm();
+    panel.hidden = false;
+    document.querySelectorAll('[data-preferences-toggle] button').forEach(button => button.setAttribute('aria-expanded', 'true'));
+    form.querySelector('select, input').focus();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.elements.panel.hidden = true;
+    document.querySelectorAll('[data-preferences-toggle] button').forEach(button => button.setAttribute('aria-expanded', 'false'));
+    if (this.returnFocus && this.returnFocus.focus) this.returnFocus.focus();
+  }
+
+  toggle() {
+    this.isOpen ? this.close() : this.open();
+  }
+
+  // ========================================================================
+  // APPLYING
+  // ========================================================================
+
+  notify(changes) {
+    this.applyToDocument();
+    this.syncForm();
+    this.dispatchEvent(new CustomEvent('change', {
+      detail: { changes, preferences: this.getAll(), reducedMotion: this.reducedMotion, theme: this.resolvedTheme }
+    }));
+  }
+
+  applyToDocument() {
+    const root = document.documentElement;
+    root.dataset.theme = this.resolvedTheme;
+    root.dataset.motion = this.reducedMotion ? 'reduced' : 'full';
+  }
+
+  bindSystemSettings() {
+    // A 'system' setting follows the OS when it changes mid-visit
+    const follow = (key) => () => {
+      if (this.values[key] === 'system') this.notify({ [key]: 'system' });
+    };
+    this.listen(this.media.motion, follow('motion'));
+    this.listen(this.media.theme, follow('theme'));
+
+    if (window.i18n) {
+      window.i18n.addEventListener('change', (e) => {
+        this.values.language = e.detail.locale;
+        this.notify({ language: e.detail.locale });
+      });
+    }
+
+    // Settings changed in another tab
+    window.addEventListener('storage', (e) => {
+      if (e.key !== this.config.storageKey) return;
+      const next = this.load();
+      const changes = {};
+      Object.keys(this.config.defaults).forEach(key => {
+        if (next[key] !== this.values[key]) changes[key] = next[key];
+      });
+      if (!Object.keys(changes).length) return;
+      Object.assign(this.values, changes);
+      this.notify(changes);
+    });
+  }
+
+  // ========================================================================
+  // PANEL
+  // ========================================================================
+
+  mount() {
+    this.createPanel();
+    this.bindPanelEvents();
+    document.querySelectorAll('[data-preferences-toggle]').forEach(container => this.renderToggle(container));
+    this.renderModelOptions();
+    window.i18n.apply(this.elements.panel);
+  }
+
+  renderToggle(container) {
+    if (container.querySelector('button')) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'preferences-toggle';
+    button.setAttribute('aria-controls', 'preferencesPanel');
+    button.setAttribute('aria-expanded', 'false');
+    button.dataset.i18nAttr = 'aria-label:preferences.open; title:preferences.open';
+    button.textContent = '⚙';
+    button.addEventListener('click', () => this.toggle());
+    container.appendChild(button);
+    window.i18n.apply(container);
+  }
+
+  createPanel() {
+    const panel = document.createElement('section');
+    panel.className = 'preferences-panel';
+    panel.id = 'preferencesPanel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-labelledby', 'preferencesTitle');
+    panel.hidden = true;
+
+    const options = (name, values) => values.map(value => `
+      <option value="${value}" data-i18n="preferences.${name}Options.${value || 'none'}"></option>
+    `).join('');
+
+    panel.innerHTML = `
+      <header class="preferences-header">
+        <h2 id="preferencesTitle" data-i18n="preferences.title">Preferences</h2>
+        <button type="button" class="preferences-close" data-i18n-attr="aria-label:preferences.close">×</button>
+      </header>
+      <form class="preferences-form">
+        <label for="prefMotion" data-i18n="preferences.motion"></label>
+        <select id="prefMotion" name="motion">${options('motion', PREFERENCE_OPTIONS.motion)}</select>
+        <p class="preferences-hint" id="prefMotionHint" data-i18n="preferences.motionHint"></p>
+
+        <label for="prefTheme" data-i18n="preferences.theme"></label>
+        <select id="prefTheme" name="theme">${options('theme', PREFERENCE_OPTIONS.theme)}</select>
+
+        <label for="prefLanguage" data-i18n="preferences.language"></label>
+        <select id="prefLanguage" name="language">
+          ${Object.entries(window.i18n.config.locales).map(([code, locale]) => `<option value="${code}" lang="${code}">${locale.label}</option>`).join('')}
+        </select>
+
+        <div class="preferences-model" hidden>
+          <label for="prefModel" data-i18n="preferences.preferredModel"></label>
+          <select id="prefModel" name="preferredModel">
+            <option value="" data-i18n="preferences.noPreference"></option>
+          </select>
+        </div>
+
+        <label for="prefContact" data-i18n="preferences.contactMethod"></label>
+        <select id="prefContact" name="contactMethod">${options('contactMethod', PREFERENCE_OPTIONS.contactMethod)}</select>
+
+        <button type="button" class="preferences-reset" data-i18n="preferences.reset"></button>
+      </form>
+    `;
+
+    document.body.appendChild(panel);
+
+    this.elements = {
+      panel,
+      form: panel.querySelector('.preferences-form'),
+      modelField: panel.querySelector('.preferences-model'),
+      modelSelect: panel.querySelector('#prefModel'),
+      closeButton: panel.querySelector('.preferences-close'),
+      resetButton: panel.querySelector('.preferences-reset')
+    };
+    panel.querySelector('#prefMotion').setAttribute('aria-describedby', 'prefMotionHint');
+  }
+
+  bindPanelEvents() {
+    const { panel, form, closeButton, resetButton } = this.elements;
+
+    form.addEventListener('change', (e) => {
+      if (e.target.name) this.set(e.target.name, e.target.value);
+    });
+
+    closeButton.addEventListener('click', () => this.close());
+    resetButton.addEventListener('click', () => this.reset());
+
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.close();
+    });
+
+    document.addEventListener('click', (e) => {
+      if (this.isOpen && !panel.contains(e.target) && !e.target.closest('[data-preferences-toggle]')) this.close();
+    });
+  }
+
+  // The model list only exists on pages that load the vehicle catalogue
+  async renderModelOptions() {
+    if (!window.vehicleCatalogue) return;
+
+    const { modelField, modelSelect } = this.elements;
+    const models = await window.vehicleCatalogue.listModels();
+    if (!models.length) return;
+
+    models.forEach(model => modelSelect.appendChild(new Option(model.name, model.id)));
+    modelField.hidden = false;
+    this.syncForm();
+  }
+
+  syncForm() {
+    const { form } = this.elements;
+    if (!form) return;
+
+    Object.entries(this.values).forEach(([key, value]) => {
+      const field = form.elements[key];
+      if (field) field.value = value || '';
+    });
+  }
+
+  // Utility functions
+  listen(query, handler) {
+    if (query.addEventListener) {
+      query.addEventListener('change', handler);
+    } else if (query.addListener) {
+      query.addListener(handler);
+    }
+  }
+
+  readStorage() {
+    try {
+      return JSON.parse(localStorage.getItem(this.config.storageKey)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  // Merge so keys written by other scripts (the language) survive
+  save() {
+    try {
+      const { language, ...values } = this.values;
+      localStorage.setItem(this.config.storageKey, JSON.stringify({ ...this.readStorage(), ...values }));
+    } catch (e) {
+      console.warn('Could not save user preferences:', e);
+    }
+  }
+
+  injectStyles() {
+    if (document.getElementById('preferences-widget-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'preferences-widget-styles';
+    style.textContent = `
+      html[data-motion="reduced"] *,
+      html[data-motion="reduced"] *::before,
+      html[data-motion="reduced"] *::after {
+        animation-duration: 0.01ms !important;
+        animation-iteration-count: 1 !important;
+        transition-duration: 0.01ms !important;
+        scroll-behavior: auto !important;
+      }
+
+      html[data-theme="light"] {
+        color-scheme: light;
+        --color-dark: #f5f5f7;
+        --color-white: #1d1d1f;
+        --color-black: #ffffff;
+        --glass-bg: rgba(0, 0, 0, 0.04);
+        --glass-border: rgba(0, 0, 0, 0.12);
+        --glass-hover: rgba(0, 0, 0, 0.07);
+        --gradient-hero: linear-gradient(45deg, #ffffff 0%, #eef1f5 30%, #ffffff 70%, #f5f5f7 100%);
+        --gradient-text: linear-gradient(45deg, #1d1d1f, var(--color-primary));
+        --primary-dark: #f5f5f7;
+        --primary-light: #1d1d1f;
+        --glass: rgba(0, 0, 0, 0.05);
+      }
+
+      [data-preferences-toggle] {
+        list-style: none;
+        display: flex;
+        align-items: center;
+      }
+
+      .preferences-toggle {
+        background: rgba(255, 255, 255, 0.08);
+        color: #ffffff;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 50%;
+        width: 2.1rem;
+        height: 2.1rem;
+        font-size: 1rem;
+        cursor: pointer;
+      }
+
+      .preferences-toggle:hover,
+      .preferences-toggle:focus-visible,
+      .preferences-toggle[aria-expanded="true"] {
+        border-color: #007AFF;
+        outline: none;
+      }
+
+      .preferences-panel {
+        position: fixed;
+        top: 88px;
+        right: 1.5rem;
+        width: min(320px, calc(100vw - 2rem));
+        max-height: calc(100vh - 110px);
+        overflow-y: auto;
+        background: rgba(18, 18, 20, 0.97);
+        color: #ffffff;
+        border: 1px solid rgba(255, 255, 255, 0.15);
+        border-radius: 16px;
+        box-shadow: 0 20px 50px rgba(0, 0, 0, 0.45);
+        padding: 1.25rem;
+        z-index: 10002;
+      }
+
+      .preferences-panel[hidden] {
+        display: none;
+      }
+
+      .preferences-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        margin-bottom: 1rem;
+      }
+
+      .preferences-header h2 {
+        font-size: 1.1rem;
+        margin: 0;
+      }
+
+      .preferences-close {
+        background: none;
+        border: none;
+        color: inherit;
+        font-size: 1.5rem;
+        line-height: 1;
+        cursor: pointer;
+      }
+
+      .preferences-form {
+        display: grid;
+        gap: 0.4rem;
+      }
+
+      .preferences-form label {
+        font-size: 0.85rem;
+        color: rgba(255, 255, 255, 0.75);
+        margin-top: 0.6rem;
+        display: block;
+      }
+
+      .preferences-form select {
+        width: 100%;
+        background: rgba(255, 255, 255, 0.08);
+        color: #ffffff;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 8px;
+        padding: 0.5rem 0.6rem;
+        font: inherit;
+      }
+
+      .preferences-form select option {
+        color: #0a0a0a;
+      }
+
+      .preferences-hint {
+        font-size: 0.75rem;
+        color: rgba(255, 255, 255, 0.55);
+        margin: 0;
+      }
+
+      .preferences-reset {
+        margin-top: 1rem;
+        background: none;
+        color: #007AFF;
+        border: 1px solid rgba(0, 122, 255, 0.5);
+        border-radius: 999px;
+        padding: 0.5rem 1rem;
+        cursor: pointer;
+        font: inherit;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.userPreferences = new UserPreferences();
@@ -0,0 +1,214 @@
+/**
+ * MEISTERCO - TEST DRIVE REMINDERS
+ * Browser notifications before a booked test drive, shown by the service
+ * worker (sw.js) so they arrive with the site closed.
+ *
+ * Reminders are kept in IndexedDB (meisterco-reminders) with their text
+ * already translated. Browsers with notification triggers are handed each
+ * reminder up front; elsewhere the worker shows whatever is due when it next
+ * wakes (periodic background sync, or a visit to any page that loads this
+ * script), so a reminder can arrive late but never after the test drive.
+ *
+ *   const result = await window.bookingReminders.schedule(booking);
+ *   // result.status: 'scheduled' | 'denied' | 'dismissed' | 'unsupported' | 'past'
+ *
+ * Needs booking-client.js (OfflineQueue) and i18n.js.
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const REMINDER_DEFAULTS = {
+  serviceWorker: 'sw.js',
+  database: 'meisterco-reminders',
+  store: 'reminders',
+  offsets: [24 * 60, 120],          // minutes before the test drive
+  utcOffset: '+08:00',              // showroom time; Malaysia keeps no daylight saving time
+  manageUrl: 'bookings.html',
+  periodicSyncTag: 'booking-reminders',
+  periodicSyncInterval: 60 * 60 * 1000
+};
+
+// ========================================================================
+// BOOKING REMINDERS
+// ========================================================================
+
+class BookingReminders extends EventTarget {
+  constructor(options = {}) {
+    super();
+
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.reminders) || {};
+    this.config = { ...REMINDER_DEFAULTS, ...globalConfig, ...options };
+    this.store = new OfflineQueue(this.config.database, this.config.store);
+    this.registrationPromise = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.isSupported() || Notification.permission !== 'granted') return;
+
+    // Any visit is a chance to show reminders the worker could not wake up for
+    const controller = navigator.serviceWorker.controller;
+    if (controller) controller.postMessage({ type: 'reminders:check' });
+  }
+
+  isSupported() {
+    return 'serviceWorker' in navigator && 'Notification' in window && window.isSecureContext !== false;
+  }
+
+  get permission() {
+    return 'Notification' in window ? Notification.permission : 'denied';
+  }
+
+  register() {
+    if (!this.registrationPromise) {
+      this.registrationPromise = navigator.serviceWorker.register(this.config.serviceWorker)
+        .then(() => navigator.serviceWorker.ready)
+        .catch(error => {
+          this.registrationPromise = null;
+          throw error;
+        });
+    }
+    return this.registrationPromise;
+  }
+
+  /**
+   * Ask for notification permission and schedule the reminders for a booking,
+   * replacing any it already had (after a reschedule, say). Must be called
+   * from a click so the browser will show the permission prompt.
+   */
+  async schedule(booking) {
+    if (!this.isSupported()) return { status: 'unsupported', reminders: [] };
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      return { status: permission === 'denied' ? 'denied' : 'dismissed', reminders: [] };
+    }
+
+    // Reminders for an earlier time of the same booking are replaced
+    const reminders = await this.buildReminders(booking);
+    if (!reminders.length) {
+      await this.cancel(booking.reference);
+      return { status: 'past', reminders };
+    }
+
+    await this.removeStored(booking.reference);
+    for (const reminder of reminders) {
+      await this.store.add(reminder);
+    }
+
+    const registration = await this.register();
+    this.post(registration, { type: 'reminders:schedule', reference: booking.reference });
+    await this.registerPeriodicSync(registration);
+
+    this.dispatch('change', { reference: booking.reference, reminders });
+    return { status: 'scheduled', reminders };
+  }
+
+  /**
+   * Drop the reminders for a booking, including any the browser is already
+   * holding for later.
+   */
+  async cancel(reference) {
+    const removed = await this.removeStored(reference);
+
+    if (this.isSupported() && navigator.serviceWorker.controller) {
+      navigator.serviceWorker.controller.postMessage({ type: 'reminders:cancel', reference });
+    }
+
+    if (removed) this.dispatch('change', { reference, reminders: [] });
+    return removed;
+  }
+
+  async list(reference) {
+    try {
+      const reminders = await this.store.all('reminder');
+      return reference ? reminders.filter(reminder => reminder.reference === reference) : reminders;
+    } catch (e) {
+      return [];
+    }
+  }
+
+  async has(reference) {
+    return (await this.list(reference)).length > 0;
+  }
+
+  async buildReminders(booking) {
+    const t = (key, params) => window.i18n.t(key, params);
+    const startsAt = this.startTime(booking);
+    const now = Date.now();
+
+    const modelName = window.calendarInvite
+      ? await window.calendarInvite.modelName(booking)
+      : String(booking.model || '').toUpperCase();
+
+    const [hours, minutes] = booking.preferredTime.split(':').map(Number);
+    const params = {
+      model: modelName,
+      date: window.i18n.formatDate(booking.preferredDate, { weekday: 'long', day: 'numeric', month: 'long' }),
+      time: window.i18n.formatTime(hours * 60 + minutes)
+    };
+
+    const url = new URL(`${this.config.manageUrl}?reference=${encodeURIComponent(booking.reference)}`, window.location.href).href;
+
+    return this.config.offsets
+      .map(offset => ({ offset, at: startsAt - offset * 60000 }))
+      .filter(({ at }) => at > now)
+      .map(({ offset, at }) => ({
+        id: `${booking.reference}-${offset}`,
+        type: 'reminder',
+        reference: booking.reference,
+        at,
+        startsAt,
+        title: t('reminders.title', params),
+        body: t('reminders.body', params),
+        url,
+        scheduled: false,
+        createdAt: at
+      }));
+  }
+
+  // Utility functions
+  startTime(booking) {
+    return Date.parse(`${booking.preferredDate}T${booking.preferredTime}:00${this.config.utcOffset}`);
+  }
+
+  async removeStored(reference) {
+    const reminders = await this.list(reference);
+    for (const reminder of reminders) {
+      await this.store.remove(reminder.id);
+    }
+    return reminders.length;
+  }
+
+  post(registration, message) {
+    const worker = registration.active || registration.waiting || registration.installing;
+    if (worker) worker.postMessage(message);
+  }
+
+  // Lets the worker wake up to show reminders where notification triggers are missing
+  async registerPeriodicSync(registration) {
+    if (!registration.periodicSync) return;
+    try {
+      await registration.periodicSync.register(this.config.periodicSyncTag, {
+        minInterval: this.config.periodicSyncInterval
+      });
+    } catch (e) {
+      // Not granted for this site; reminders then wait for the next visit
+    }
+  }
+
+  dispatch(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.bookingReminders = new BookingReminders();
@@ -0,0 +1,503 @@
+/**
+ * MEISTERCO - FORM VALIDATION
+ * One set of rules for the booking page, the booking modal and the contact
+ * form. Rules are declared on the fields and checked by name:
+ *
+ *   <input name="phone" required data-validate="phone" data-format="phone">
+ *   <input name="idNumber" required data-validate="identity" data-min-age="17">
+ *   <input type="checkbox" name="pdpaConsent" required data-message-required="validation.pdpaRequired">
+ *
+ *   window.formValidation.attach(form, { submitButton, onSubmit: e => send(e) });
+ *   window.formValidation.register('slot', async (value, field) => true || 'validation.slotTaken');
+ *
+ * A validator returns true, a dictionary key, { key, params } or a promise
+ * of one of those. Messages are translated (and follow language switches),
+ * fields get aria-invalid and aria-describedby, and errors are read out
+ * through a polite live region.
+ */
+
+'use strict';
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const VALIDATION_DEFAULTS = {
+  schema: null,           // { fieldName: ['phone', fn, ...] } instead of, or on top of, data-validate
+  submitButton: null,     // disabled until every required field is filled and nothing is wrong
+  onSubmit: null,         // called with the submit event once the whole form is valid
+  errorClass: 'error',
+  validClass: null        // added to checked fields that passed, if set
+};
+
+// MyKad place-of-birth codes: states, then countries, then unknown
+const MYKAD_STATE_CODES = [[1, 16], [21, 59], [60, 68], [71, 72], [74, 79], [82, 93], [98, 99]];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Mobile (011 numbers are a digit longer) and fixed lines, in national form
+const MY_PHONE_PATTERN = /^0(?:1[02-9]\d{7}|11\d{8}|[3-9]\d{7,8})$/;
+
+// Passports, and army and police numbers: letters then digits, 6 to 9 long
+const PASSPORT_PATTERN = /^(?=.*\d)[A-Z0-9]{6,9}$/i;
+
+/**
+ * Shared validators. Each gets the trimmed value, the field and its form.
+ */
+const VALIDATORS = {
+  email(value) {
+    return EMAIL_PATTERN.test(value) || 'validation.email';
+  },
+
+  phone(value) {
+    return MY_PHONE_PATTERN.test(normalisePhone(value)) || 'validation.phone';
+  },
+
+  name(value) {
+    return value.length >= 2 || 'validation.nameLength';
+  },
+
+  // YYMMDD-PB-###G: a real, past date of birth and a known place-of-birth code
+  mykad(value, field) {
+    const digits = value.replace(/[\s-]/g, '');
+    if (!/^\d{12}$/.test(digits)) return 'validation.idNumber';
+
+    const today = new Date();
+    const yy = Number(digits.slice(0, 2));
+    const year = 2000 + yy > today.getFullYear() ? 1900 + yy : 2000 + yy;
+    const month = Number(digits.slice(2, 4));
+    const day = Number(digits.slice(4, 6));
+    const birth = new Date(year, month - 1, day);
+
+    if (birth.getFullYear() !== year || birth.getMonth() !== month - 1 || birth.getDate() !== day || birth > today) {
+      return 'validation.icDate';
+    }
+
+    const state = Number(digits.slice(6, 8));
+    if (!MYKAD_STATE_CODES.some(([from, to]) => state >= from && state <= to)) {
+      return 'validation.icState';
+    }
+
+    const minAge = Number(field && field.dataset.minAge);
+    if (minAge && ageOn(birth, today) < minAge) {
+      return { key: 'validation.icAge', params: { age: minAge } };
+    }
+    return true;
+  },
+
+  passport(value) {
+    return PASSPORT_PATTERN.test(value.replace(/[\s/-]/g, '')) || 'validation.passport';
+  },
+
+  // MyKad when it is shaped like one, otherwise a passport, army or police number
+  identity(value, field) {
+    if (/^\d{6}-?\d{2}-?\d{4}$/.test(value.replace(/\s/g, ''))) {
+      return VALIDATORS.mykad(value, field);
+    }
+    return VALIDATORS.passport(value) === true || 'validation.idNumber';
+  }
+};
+
+// Utility functions
+function normalisePhone(value) {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.startsWith('60') ? `0${digits.slice(2)}` : digits;
+}
+
+// +60 12-345 6789 / +60 11-2345 6789 while typing; anything else is left as +60 and digits
+function formatPhone(value) {
+  let digits = String(value).replace(/\D/g, '');
+  // Only part of the country code left, e.g. backspacing through "+60"
+  if (!digits || digits === '6') return '';
+
+  if (digits.startsWith('60')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    digits = digits.slice(1);
+  }
+
+  const mobile = digits.match(/^(1\d)(\d{3,4})(\d{4})$/);
+  return mobile ? `+60 ${mobile[1]}-${mobile[2]} ${mobile[3]}` : `+60${digits}`;
+}
+
+function ageOn(birth, date) {
+  const hadBirthday = date.getMonth() > birth.getMonth()
+    || (date.getMonth() === birth.getMonth() && date.getDate() >= birth.getDate());
+  return date.getFullYear() - birth.getFullYear() - (hadBirthday ? 0 : 1);
+}
+
+// ========================================================================
+// FORM VALIDATOR
+// ========================================================================
+
+class FormValidator {
+  constructor(form, registry, options = {}) {
+    this.form = form;
+    this.registry = registry;
+    this.config = { ...VALIDATION_DEFAULTS, ...options };
+
+    this.touched = new Set();
+    this.errors = new Map();
+    this.pending = new Map();
+    this.runs = new Map();
+    this.errorElements = new Map();
+
+    this.init();
+  }
+
+  init() {
+    // Our messages replace the browser's bubbles
+    this.form.noValidate = true;
+
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'validation-live';
+    this.liveRegion.setAttribute('role', 'status');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.form.appendChild(this.liveRegion);
+
+    this.getNames().forEach(name => this.errorElement(name));
+    this.bindEvents();
+    this.updateSubmitButton();
+  }
+
+  bindEvents() {
+    const nameOf = (target) => (this.isTracked(target) ? this.keyOf(target) : null);
+
+    this.form.addEventListener('input', (e) => {
+      if (e.target.dataset && e.target.dataset.format === 'phone') {
+        e.target.value = formatPhone(e.target.value);
+      }
+
+      // Fixing a field clears its error as soon as it is right
+      const name = nameOf(e.target);
+      if (name && this.errors.has(name)) this.validateField(name);
+      this.updateSubmitButton();
+    });
+
+    this.form.addEventListener('change', (e) => {
+      const name = nameOf(e.target);
+      if (!name) return;
+      if (this.valueOf(name)) this.touched.add(name);
+      if (this.touched.has(name)) {
+        this.validateField(name);
+      } else {
+        this.updateSubmitButton();
+      }
+    });
+
+    this.form.addEventListener('focusout', (e) => {
+      const name = nameOf(e.target);
+      if (!name) return;
+      // Moving between radios of one group is not leaving it
+      if (e.relatedTarget && this.isTracked(e.relatedTarget) && this.keyOf(e.relatedTarget) === name) return;
+      this.touched.add(name);
+      this.validateField(name);
+    });
+
+    this.form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (await this.validate() && this.config.onSubmit) this.config.onSubmit(e);
+    });
+
+    // Values are only cleared after the reset event has run
+    this.form.addEventListener('reset', () => setTimeout(() => this.reset(), 0));
+  }
+
+  // ========================================================================
+  // PUBLIC API
+  // ========================================================================
+
+  /**
+   * Check one field (by name or element) and show or clear its message.
+   * Resolves to true when it is valid.
+   */
+  async validateField(nameOrField, { announce = true } = {}) {
+    const name = typeof nameOrField === 'string' ? nameOrField : this.keyOf(nameOrField);
+    const fields = this.fieldsNamed(name);
+    if (!fields.length) return true;
+
+    // An older run still waiting on an async check no longer decides, so it can't hold the form busy
+    const run = (this.runs.get(name) || 0) + 1;
+    this.runs.set(name, run);
+    if (this.pending.has(name)) this.setPending(name, fields, false);
+
+    const field = fields[0];
+    const value = this.valueOf(name);
+    let error = null;
+
+    if (!value) {
+      const required = fields.find(item => item.required);
+      if (required) error = { key: required.dataset.messageRequired || 'validation.required' };
+    } else {
+      for (const rule of this.rulesFor(name, field)) {
+        const validator = typeof rule === 'function' ? rule : this.registry.validators[rule];
+        if (!validator) {
+          console.warn(`Unknown validator: ${rule}`);
+          continue;
+        }
+
+        let result = validator(value, field, this.form);
+        if (result && typeof result.then === 'function') {
+          this.setPending(name, fields, true);
+          // A check that cannot be made is left to the server
+          result = await result.catch(() => true);
+          if (this.runs.get(name) !== run) return !this.errors.has(name);
+          this.setPending(name, fields, false);
+        }
+
+        error = this.toError(result);
+        if (error) break;
+      }
+    }
+
+    // A newer check for this field has started; let that one decide
+    if (this.runs.get(name) !== run) return !this.errors.has(name);
+
+    this.showResult(name, fields, error, announce);
+    return !error;
+  }
+
+  /**
+   * Check every field. When something is wrong, the count is announced and
+   * the first invalid field is focused.
+   */
+  async validate() {
+    const names = this.getNames();
+    names.forEach(name => this.touched.add(name));
+
+    const results = await Promise.all(names.map(name => this.validateField(name, { announce: false })));
+    const invalid = names.filter((name, index) => !results[index]);
+
+    if (invalid.length) {
+      const first = this.fieldsNamed(invalid[0])[0];
+      const message = this.errorElement(invalid[0]).textContent;
+      this.announce(`${window.i18n.t('validation.summary', { count: invalid.length })} ${message}`);
+      if (first && first.focus) first.focus();
+    }
+    return invalid.length === 0;
+  }
+
+  // Every required field has a value, nothing is wrong and nothing is still being checked
+  isComplete() {
+    const filled = this.getNames().every(name => (
+      !this.fieldsNamed(name).some(field => field.required) || this.valueOf(name)
+    ));
+    return filled && this.errors.size === 0 && this.pending.size === 0;
+  }
+
+  updateSubmitButton() {
+    const button = this.config.submitButton;
+    if (button) button.disabled = !this.isComplete();
+  }
+
+  reset() {
+    this.touched.clear();
+    this.pending.clear();
+    this.runs.clear();
+    this.getNames().forEach(name => this.showResult(name, this.fieldsNamed(name), null, false, true));
+    this.liveRegion.textContent = '';
+    this.updateSubmitButton();
+  }
+
+  // ========================================================================
+  // FIELDS & MESSAGES
+  // ========================================================================
+
+  getNames() {
+    const names = [];
+    Array.from(this.form.elements).forEach(field => {
+      if (!this.isTracked(field)) return;
+      const name = this.keyOf(field);
+      if (!names.includes(name)) names.push(name);
+    });
+    return names;
+  }
+
+  isTracked(field) {
+    if (!field || !field.form || field.form !== this.form) return false;
+    if (['submit', 'button', 'reset', 'fieldset'].includes(field.type)) return false;
+    const name = this.keyOf(field);
+    return Boolean(name) && (field.required || Boolean(field.dataset.validate) || Boolean(this.config.schema && this.config.schema[name]));
+  }
+
+  keyOf(field) {
+    return field.type === 'radio' ? field.name : (field.name || field.id);
+  }
+
+  fieldsNamed(name) {
+    return Array.from(this.form.elements).filter(field => this.keyOf(field) === name && this.isTracked(field));
+  }
+
+  valueOf(name) {
+    const fields = this.fieldsNamed(name);
+    const field = fields[0];
+    if (!field) return '';
+    if (field.type === 'radio') {
+      const checked = fields.find(item => item.checked);
+      return checked ? checked.value : '';
+    }
+    if (field.type === 'checkbox') return field.checked ? (field.value || 'on') : '';
+    return field.value.trim();
+  }
+
+  rulesFor(name, field) {
+    const declared = (field.dataset.validate || '').split(/\s+/).filter(Boolean);
+    const schema = (this.config.schema && this.config.schema[name]) || [];
+    return [...declared, ...schema];
+  }
+
+  toError(result) {
+    if (result === true || result === undefined || result === null) return null;
+    if (typeof result === 'string') return { key: result };
+    if (result && result.key) return { key: result.key, params: result.params };
+    return { key: 'validation.required' };
+  }
+
+  showResult(name, fields, error, announce, cleared = false) {
+    const element = this.errorElement(name);
+    const { errorClass, validClass } = this.config;
+
+    fields.forEach(field => {
+      field.classList.toggle(errorClass, Boolean(error));
+      if (validClass) field.classList.toggle(validClass, !error && !cleared && Boolean(this.valueOf(name)));
+      if (error) {
+        field.setAttribute('aria-invalid', 'true');
+      } else {
+        field.removeAttribute('aria-invalid');
+      }
+    });
+
+    if (error) {
+      window.i18n.translate(element, error.key, error.params);
+      element.style.display = 'block';
+      this.errors.set(name, error);
+      if (announce) this.announce(element.textContent);
+    } else {
+      element.style.display = 'none';
+      this.errors.delete(name);
+    }
+    this.updateSubmitButton();
+  }
+
+  /**
+   * The page's own #<name>Error or [data-error-for] element, or one made
+   * at the end of the field's group. Fields point at it with aria-describedby.
+   */
+  errorElement(name) {
+    if (this.errorElements.has(name)) return this.errorElements.get(name);
+
+    const fields = this.fieldsNamed(name);
+    const field = fields[0];
+    let element = this.form.querySelector(`[id="${name}Error"], [data-error-for="${name}"]`);
+
+    if (!element) {
+      element = document.createElement('div');
+      element.className = 'error-message';
+      element.id = `${field.id || name}-error`;
+      (field.closest('.form-group') || field.parentElement).appendChild(element);
+    }
+
+    element.style.display = 'none';
+    fields.forEach(item => {
+      const describedBy = (item.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+      if (!describedBy.includes(element.id)) item.setAttribute('aria-describedby', [...describedBy, element.id].join(' '));
+    });
+
+    this.errorElements.set(name, element);
+    return element;
+  }
+
+  setPending(name, fields, pending) {
+    if (pending) {
+      this.pending.set(name, true);
+    } else {
+      this.pending.delete(name);
+    }
+    fields.forEach(field => field.toggleAttribute('aria-busy', pending));
+    this.updateSubmitButton();
+  }
+
+  // Cleared first so the same message is read again
+  announce(message) {
+    this.liveRegion.textContent = '';
+    setTimeout(() => {
+      this.liveRegion.textContent = message;
+    }, 50);
+  }
+}
+
+// ========================================================================
+// REGISTRY
+// ========================================================================
+
+class FormValidation {
+  constructor() {
+    this.validators = { ...VALIDATORS };
+    this.forms = new WeakMap();
+
+    this.injectStyles();
+  }
+
+  /**
+   * Validate a form from its data attributes (and options.schema). Attaching
+   * the same form twice returns the first validator.
+   */
+  attach(form, options = {}) {
+    if (!form) return null;
+    if (this.forms.has(form)) return this.forms.get(form);
+
+    const validator = new FormValidator(form, this, options);
+    this.forms.set(form, validator);
+    return validator;
+  }
+
+  get(form) {
+    return this.forms.get(form) || null;
+  }
+
+  // Add a validator usable from data-validate and schemas
+  register(name, validator) {
+    this.validators[name] = validator;
+  }
+
+  // Run one validator outside a form: true, a key, { key, params } or a promise
+  check(name, value, field = null) {
+    const validator = this.validators[name];
+    return validator ? validator(String(value).trim(), field) : true;
+  }
+
+  formatPhone(value) {
+    return formatPhone(value);
+  }
+
+  normalisePhone(value) {
+    return normalisePhone(value);
+  }
+
+  injectStyles() {
+    if (document.getElementById('validation-widget-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'validation-widget-styles';
+    style.textContent = `
+      .validation-live {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        margin: -1px;
+        padding: 0;
+        overflow: hidden;
+        clip: rect(0, 0, 0, 0);
+        white-space: nowrap;
+        border: 0;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// ========================================================================
+// INITIALIZATION
+// ========================================================================
+
+window.formValidation = new FormValidation();
@@ -10,62 +10,150 @@
 // PERFORMANCE MONITORING & OPTIMIZATION
 // ========================================================================
 
+const PERFORMANCE_DEFAULTS = {
+  endpoint: '/api/vitals',
+  sampleRate: 0.1,        // share of page views that report, 0-1
+  maxBatchSize: 20,       // send early once this many metrics are waiting
+  debug: false            // also log each metric to the console
+};
+
+// "Good" and "poor" boundaries from web.dev, used to rate each value
+const WEB_VITAL_THRESHOLDS = {
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  LCP: [2500, 4000],
+  TTFB: [800, 1800]
+};
+
+/**
+ * Collects Core Web Vitals (CLS, INP, LCP), TTFB and long tasks with the
+ * browser's own PerformanceObserver entries, tags them with the page and
+ * device class, and sends them in batches with navigator.sendBeacon when the
+ * page is hidden. Configure via MeisterCoConfig.performance:
+ *
+ *   window.MeisterCoConfig = { performance: { endpoint: '/api/vitals', sampleRate: 1 } };
+ */
 class PerformanceMonitor {
-  constructor() {
+  constructor(options = {}) {
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.performance) || {};
+    this.config = { ...PERFORMANCE_DEFAULTS, ...globalConfig, ...options };
+
     this.metrics = {};
     this.observers = new Map();
+    this.queue = [];
+    this.reported = {};
+    this.interactions = new Map();
+    this.sampled = Math.random() < this.config.sampleRate;
+    this.context = {
+      page: this.getPageName(),
+      deviceClass: this.getDeviceClass(),
+      navigationType: this.getNavigationType()
+    };
+
     this.init();
   }
 
   init() {
     // Monitor Core Web Vitals
     this.measureCLS();
-    this.measureFID();
+    this.measureINP();
     this.measureLCP();
+    this.measureTTFB();
+    this.measureLongTasks();
     
     // Monitor custom metrics
     this.measurePageLoad();
     this.measureScrollPerformance();
+
+    this.bindReporting();
   }
 
+  // Largest session window of layout shifts: gaps under 1s, windows up to 5s
   measureCLS() {
-    if ('web-vital' in window) {
-      import('web-vitals').then(({ getCLS }) => {
-        getCLS((metric) => {
-          this.metrics.cls = metric.value;
-          console.log('CLS:', metric.value);
-        });
+    let sessionValue = 0;
+    let sessionEntries = [];
+
+    this.observe('layout-shift', (entries) => {
+      entries.forEach(entry => {
+        if (entry.hadRecentInput) return;
+
+        const first = sessionEntries[0];
+        const last = sessionEntries[sessionEntries.length - 1];
+        if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+          sessionValue += entry.value;
+          sessionEntries.push(entry);
+        } else {
+          sessionValue = entry.value;
+          sessionEntries = [entry];
+        }
+
+        if (sessionValue > (this.metrics.CLS || 0)) this.record('CLS', sessionValue);
       });
-    }
+    });
   }
 
-  measureFID() {
-    if ('web-vital' in window) {
-      import('web-vitals').then(({ getFID }) => {
-        getFID((metric) => {
-          this.metrics.fid = metric.value;
-          console.log('FID:', metric.value);
-        });
+  // Slowest interaction, ignoring one outlier per 50 interactions
+  measureINP() {
+    const handleEntries = (entries) => {
+      entries.forEach(entry => {
+        if (!entry.interactionId) return;
+        const previous = this.interactions.get(entry.interactionId) || 0;
+        this.interactions.set(entry.interactionId, Math.max(previous, entry.duration));
       });
-    }
+
+      if (!this.interactions.size) return;
+      const durations = [...this.interactions.values()].sort((a, b) => b - a);
+      const index = Math.min(durations.length - 1, Math.floor(durations.length / 50));
+      this.record('INP', durations[index]);
+    };
+
+    this.observe('event', handleEntries, { durationThreshold: 40 });
+    // Covers a first interaction quicker than the event threshold
+    this.observe('first-input', handleEntries);
   }
 
   measureLCP() {
-    if ('web-vital' in window) {
-      import('web-vitals').then(({ getLCP }) => {
-        getLCP((metric) => {
-          this.metrics.lcp = metric.value;
-          console.log('LCP:', metric.value);
-        });
+    const observer = this.observe('largest-contentful-paint', (entries) => {
+      const last = entries[entries.length - 1];
+      this.record('LCP', Math.max(0, last.startTime - this.getActivationStart()));
+    });
+    if (!observer) return;
+
+    // LCP stops at the first input; later entries are caused by the visitor
+    const stop = () => {
+      observer.takeRecords();
+      observer.disconnect();
+      ['keydown', 'click', 'pointerdown'].forEach(type => window.removeEventListener(type, stop, true));
+    };
+    ['keydown', 'click', 'pointerdown'].forEach(type => window.addEventListener(type, stop, { capture: true, once: true }));
+  }
+
+  measureTTFB() {
+    const navigationEntry = performance.getEntriesByType('navigation')[0];
+    if (!navigationEntry || !navigationEntry.responseStart) return;
+
+    this.record('TTFB', Math.max(0, navigationEntry.responseStart - this.getActivationStart()));
+  }
+
+  measureLongTasks() {
+    this.observe('longtask', (entries) => {
+      entries.forEach(entry => {
+        const tasks = this.metrics.LONG_TASKS || { count: 0, duration: 0, blockingTime: 0 };
+        this.metrics.LONG_TASKS = {
+          count: tasks.count + 1,
+          duration: tasks.duration + entry.duration,
+          blockingTime: tasks.blockingTime + Math.max(0, entry.duration - 50)
+        };
       });
-    }
+    });
   }
 
   measurePageLoad() {
     window.addEventListener('load', () => {
       const navigationEntry = performance.getEntriesByType('navigation')[0];
+      if (!navigationEntry) return;
       this.metrics.pageLoad = navigationEntry.loadEventEnd - navigationEntry.loadEventStart;
-      console.log('Page Load Time:', this.metrics.pageLoad);
+      this.log('Page Load Time:', this.metrics.pageLoad);
     });
   }
 
@@ -80,7 +168,7 @@ class PerformanceMonitor {
         scrollCount++;
         
         if (scrollCount % 10 === 0) {
-          console.log('Average scroll delta:', delta);
+          this.log('Average scroll delta:', delta);
         }
       }
       lastScrollTime = now;
@@ -88,12 +176,130 @@ class PerformanceMonitor {
 
     window.addEventListener('scroll', measureScroll, { passive: true });
   }
+
+  // ========================================================================
+  // REPORTING
+  // ========================================================================
+
+  record(name, value) {
+    this.metrics[name] = value;
+    this.log(`${name}:`, value);
+  }
+
+  bindReporting() {
+    // Hidden is the last moment a page is reliably alive (tab switch, close, bfcache)
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush();
+    });
+    window.addEventListener('pagehide', () => this.flush());
+  }
+
+  /**
+   * Queue every metric whose value changed since it was last sent, then send
+   * the batch. Values keep updating after a tab comes back, so a later hide
+   * can report CLS or INP again.
+   */
+  flush() {
+    if (!this.sampled) return;
+
+    Object.entries(this.metrics).forEach(([name, value]) => {
+      if (name === 'pageLoad') return;
+
+      const key = JSON.stringify(value);
+      if (this.reported[name] === key) return;
+      this.reported[name] = key;
+      this.enqueue(name, value);
+    });
+
+    this.send();
+  }
+
+  enqueue(name, value) {
+    const metric = typeof value === 'object'
+      ? { name, value: value.blockingTime, ...value }
+      : { name, value: Math.round(value * 10000) / 10000, rating: this.rate(name, value) };
+
+    this.queue.push({ ...metric, timestamp: Date.now() });
+    if (this.queue.length >= this.config.maxBatchSize) this.send();
+  }
+
+  send() {
+    if (!this.queue.length || !this.config.endpoint) return;
+
+    const batch = this.queue.splice(0, this.queue.length);
+    const body = JSON.stringify({ ...this.context, url: location.pathname, metrics: batch });
+
+    // text/plain keeps the beacon a simple request for cross-origin endpoints
+    const queued = navigator.sendBeacon && navigator.sendBeacon(this.config.endpoint, body);
+    if (!queued) {
+      fetch(this.config.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+    }
+  }
+
+  rate(name, value) {
+    const thresholds = WEB_VITAL_THRESHOLDS[name];
+    if (!thresholds) return undefined;
+    if (value <= thresholds[0]) return 'good';
+    return value <= thresholds[1] ? 'needs-improvement' : 'poor';
+  }
+
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  // Utility functions
+  observe(type, callback, options = {}) {
+    const supported = window.PerformanceObserver && (PerformanceObserver.supportedEntryTypes || []).includes(type);
+    if (!supported) return null;
+
+    try {
+      const observer = new PerformanceObserver(list => callback(list.getEntries()));
+      observer.observe({ type, buffered: true, ...options });
+      this.observers.set(type, observer);
+      return observer;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  getPageName() {
+    const file = location.pathname.split('/').pop();
+    return file ? file.replace(/\.html$/, '') : 'index';
+  }
+
+  getDeviceClass() {
+    const width = window.innerWidth;
+    const coarse = window.matchMedia('(pointer: coarse)').matches;
+    if (width < 768) return 'mobile';
+    if (width < 1024 || coarse) return 'tablet';
+    return 'desktop';
+  }
+
+  getNavigationType() {
+    const navigationEntry = performance.getEntriesByType('navigation')[0];
+    return navigationEntry ? navigationEntry.type : 'navigate';
+  }
+
+  // Prerendered pages count from activation, not from the prerender request
+  getActivationStart() {
+    const navigationEntry = performance.getEntriesByType('navigation')[0];
+    return (navigationEntry && navigationEntry.activationStart) || 0;
+  }
+
+  log(...args) {
+    if (this.config.debug) console.log(...args);
+  }
 }
 
 // ========================================================================
 // ADVANCED ANIMATION SYSTEM
 // ========================================================================
 
+const ANIMATED_SELECTOR = '[data-aos], .animate-on-scroll, .loading-fade-in';
+
+// Given the class "visible" once scrolled into view; the page's CSS animates it
+const REVEAL_SELECTOR = '.fade-in, .slide-in-left, .slide-in-right';
+
 class AnimationEngine {
   constructor() {
     this.activeAnimations = new Set();
@@ -108,6 +314,17 @@ class AnimationEngine {
     this.setupIntersectionObserver();
     this.setupScrollAnimations();
     this.preloadAnimations();
+    this.bindPreferences();
+  }
+
+  bindPreferences() {
+    window.userPreferences.addEventListener('change', (e) => {
+      if (e.detail.reducedMotion) {
+        this.resetParallax();
+      } else {
+        this.updateParallax(window.pageYOffset);
+      }
+    });
   }
 
   setupIntersectionObserver() {
@@ -124,10 +341,46 @@ class AnimationEngine {
       });
     }, options);
 
-    // Observe elements with animation classes
-    document.querySelectorAll('[data-aos], .animate-on-scroll, .loading-fade-in').forEach(el => {
+    // Reveal-on-scroll classes used by the about and references pages
+    this.revealObserver = new IntersectionObserver((entries) => {
+      entries.filter(entry => entry.isIntersecting).forEach((entry, index) => {
+        this.revealObserver.unobserve(entry.target);
+        this.reveal(entry.target, index);
+      });
+    }, { threshold: 0.1, rootMargin: '0px 0px -50px 0px' });
+
+    this.observe(document);
+  }
+
+  /**
+   * Start animating the elements in root. The router calls this for every
+   * view it swaps in, and release() for the one it swaps out.
+   */
+  observe(root) {
+    root.querySelectorAll(ANIMATED_SELECTOR).forEach(el => {
       this.intersectionObserver.observe(el);
     });
+
+    root.querySelectorAll(REVEAL_SELECTOR).forEach(el => {
+      this.revealObserver.observe(el);
+    });
+
+    this.preloadAnimations(root);
+    this.updateHeader(window.pageYOffset);
+  }
+
+  release(root) {
+    root.querySelectorAll(ANIMATED_SELECTOR).forEach(el => this.intersectionObserver.unobserve(el));
+    root.querySelectorAll(REVEAL_SELECTOR).forEach(el => this.revealObserver.unobserve(el));
+  }
+
+  // Elements that come into view together appear one after another
+  reveal(element, index) {
+    if (window.userPreferences.reducedMotion) {
+      element.classList.add('visible');
+      return;
+    }
+    setTimeout(() => element.classList.add('visible'), index * 100);
   }
 
   setupScrollAnimations() {
@@ -157,6 +410,8 @@ class AnimationEngine {
   }
 
   updateParallax(scrollY) {
+    if (window.userPreferences.reducedMotion) return;
+    
     const hero = document.querySelector('.hero');
     const particles = document.querySelector('.hero-particles');
     const glow = document.querySelector('.hero-glow');
@@ -177,6 +432,12 @@ class AnimationEngine {
     }
   }
 
+  resetParallax() {
+    document.querySelectorAll('.hero, .hero-particles, .hero-glow').forEach(el => {
+      el.style.transform = '';
+    });
+  }
+
   updateHeader(scrollY) {
     const header = document.getElementById('header');
     if (!header) return;
@@ -217,9 +478,9 @@ class AnimationEngine {
     element.style.transition = 'all 0.8s cubic-bezier(0.4, 0, 0.2, 1)';
   }
 
-  preloadAnimations() {
+  preloadAnimations(root = document) {
     // Preload critical animations
-    const criticalElements = document.querySelectorAll('.hero-title, .hero-subtitle, .hero-actions');
+    const criticalElements = root.querySelectorAll('.hero-title, .hero-subtitle, .hero-actions');
     criticalElements.forEach(el => {
       el.style.willChange = 'transform, opacity';
     });
@@ -238,8 +499,9 @@ class UIController {
       currentSection: 'home',
       scrollPosition: 0,
       isScrolling: false,
-      userPreferences: this.loadUserPreferences()
+      userPreferences: {}
     };
+    this.typewriters = [];
     
     this.elements = {};
     this.boundMethods = {};
@@ -248,12 +510,35 @@ class UIController {
   }
 
   init() {
-    this.cacheElements();
     this.bindEvents();
     this.setupKeyboardNavigation();
-    this.setupAccessibility();
-    this.initializeComponents();
+    this.injectFocusStyles();
     this.loadUserPreferences();
+    this.bindPreferences();
+  }
+
+  /**
+   * Bind the home page in view: menus, filters, model cards, counters,
+   * particles and typewriters. The home route calls this whenever the page
+   * is shown and unmount() before the router swaps it out; the window and
+   * document listeners from init() stay for the whole visit.
+   */
+  mount(root = document) {
+    this.cacheElements();
+    this.bindElementEvents(root);
+    this.setupAccessibility(root);
+    this.renderModelCards();
+    this.initializeComponents(root);
+  }
+
+  unmount() {
+    if (this.state.mobileMenuOpen) this.closeMobileMenu();
+    this.state.quickActionsOpen = false;
+    this.state.currentSection = 'home';
+
+    this.finishTypewriters();
+    if (this.counterObserver) this.counterObserver.disconnect();
+    this.elements = {};
   }
 
   cacheElements() {
@@ -283,7 +568,17 @@ class UIController {
       handleFilterClick: this.handleFilterClick.bind(this)
     };
 
-    // Event listeners
+    // Global events
+    window.addEventListener('scroll', this.boundMethods.handleScroll, { passive: true });
+    window.addEventListener('resize', this.boundMethods.handleResize);
+    document.addEventListener('keydown', this.boundMethods.handleKeyboard);
+    
+    // Touch events for mobile
+    this.setupTouchEvents();
+  }
+
+  // Listeners on elements of the page go away with it
+  bindElementEvents(root) {
     if (this.elements.mobileMenuToggle) {
       this.elements.mobileMenuToggle.addEventListener('click', this.boundMethods.handleMobileMenuToggle);
     }
@@ -297,22 +592,14 @@ class UIController {
     }
 
     // Navigation links
-    document.querySelectorAll('.nav-link, .mobile-nav-link').forEach(link => {
+    root.querySelectorAll('.nav-link, .mobile-nav-link').forEach(link => {
       link.addEventListener('click', this.boundMethods.handleNavClick);
     });
 
     // Model filters
-    document.querySelectorAll('.filter-btn').forEach(btn => {
+    root.querySelectorAll('.filter-btn').forEach(btn => {
       btn.addEventListener('click', this.boundMethods.handleFilterClick);
     });
-
-    // Global events
-    window.addEventListener('scroll', this.boundMethods.handleScroll, { passive: true });
-    window.addEventListener('resize', this.boundMethods.handleResize);
-    document.addEventListener('keydown', this.boundMethods.handleKeyboard);
-    
-    // Touch events for mobile
-    this.setupTouchEvents();
   }
 
   setupTouchEvents() {
@@ -349,7 +636,7 @@ class UIController {
   }
 
   handleSwipeLeft() {
-    if (!this.state.mobileMenuOpen && window.innerWidth <= 768) {
+    if (this.elements.mobileNav && !this.state.mobileMenuOpen && window.innerWidth <= 768) {
       this.openMobileMenu();
     }
   }
@@ -485,6 +772,70 @@ class UIController {
     });
   }
 
+  async renderModelCards() {
+    const grid = this.elements.modelsGrid;
+    if (!grid || !window.vehicleCatalogue) return;
+
+    const models = await window.vehicleCatalogue.listModels();
+    grid.innerHTML = models.map(model => this.createModelCard(model)).join('');
+    window.modelCompare?.syncButtons();
+
+    // Respect a filter picked while the catalogue was still loading
+    const activeFilter = document.querySelector('.filter-btn.active');
+    if (activeFilter && activeFilter.dataset.filter !== 'all') {
+      this.filterModels(activeFilter.dataset.filter);
+    }
+  }
+
+  createModelCard(model) {
+    const catalogue = window.vehicleCatalogue;
+    const escape = value => catalogue.escapeHTML(value);
+    const name = escape(model.name);
+
+    const features = model.features.map((feature, index) => `
+      <span class="feature-tag${index === 0 ? ' primary' : ''}">${escape(feature)}</span>
+    `).join('');
+
+    const specs = [
+      { label: 'Engine', value: catalogue.getSpec(model, 'Engine Type') },
+      { label: 'Fuel', value: catalogue.getSpec(model, 'Fuel Consumption') }
+    ].filter(spec => spec.value).map(spec => `
+      <div class="spec-item">
+        <span class="spec-label">${spec.label}</span>
+        <span class="spec-value">${escape(spec.value)}</span>
+      </div>
+    `).join('');
+
+    return `
+      <article class="model-card" data-category="${escape(model.category)}" data-model="${escape(model.id)}" role="listitem">
+        <div class="model-image">
+          ${catalogue.renderPicture(model.image.src, { alt: model.image.alt, sizes: '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 33vw', cover: true })}
+          <div class="model-overlay">
+            <button class="view-360" aria-label="360° view of ${name}">360°</button>
+            <button class="quick-spec" aria-label="Quick specifications for ${name}" onclick="openModelDetail('${escape(model.id)}')">⚡</button>
+          </div>
+          <div class="model-badge">${escape(model.id.toUpperCase())}</div>
+        </div>
+
+        <div class="model-content">
+          <h3 class="model-name">${name.toUpperCase()}</h3>
+          <p class="model-desc">${escape(model.description)}</p>
+
+          <div class="model-features">${features}</div>
+
+          <div class="model-specs">${specs}</div>
+
+          <div class="model-actions">
+            <a href="${escape(model.page)}" class="btn-primary" style="display: inline-block; text-align: center; text-decoration: none;">DISCOVER MORE</a>
+            <button class="btn-secondary" onclick="bookTestDrive('${escape(model.id)}')">TEST DRIVE</button>
+          </div>
+
+          <button type="button" class="compare-toggle" data-compare="${escape(model.id)}" aria-pressed="false">${window.i18n.t('compare.add')}</button>
+        </div>
+      </article>
+    `;
+  }
+
   setupKeyboardNavigation() {
     // Skip to main content link
     const skipLink = document.createElement('a');
@@ -515,19 +866,23 @@ class UIController {
     document.body.insertBefore(skipLink, document.body.firstChild);
   }
 
-  setupAccessibility() {
+  setupAccessibility(root) {
     // Add ARIA labels where needed
     this.elements.mobileMenuToggle?.setAttribute('aria-label', 'Toggle mobile menu');
     this.elements.backToTop?.setAttribute('aria-label', 'Back to top');
     
     // Add role attributes
-    document.querySelector('.models-grid')?.setAttribute('role', 'list');
-    document.querySelectorAll('.model-card').forEach(card => {
+    root.querySelector('.models-grid')?.setAttribute('role', 'list');
+    root.querySelectorAll('.model-card').forEach(card => {
       card.setAttribute('role', 'listitem');
     });
-    
-    // Ensure focus indicators
+  }
+
+  // Ensure focus indicators
+  injectFocusStyles() {
+    // The id keeps it apart from page styles, which the router swaps
     const style = document.createElement('style');
+    style.id = 'focus-indicator-styles';
     style.textContent = `
       .user-is-tabbing *:focus {
         outline: 2px solid var(--color-primary);
@@ -537,19 +892,24 @@ class UIController {
     document.head.appendChild(style);
   }
 
-  initializeComponents() {
-    this.initializeCounters();
+  initializeComponents(root = document) {
+    this.initializeCounters(root);
     this.initializeParticles();
-    this.initializeTypewriter();
-    this.initializeLazyLoading();
+    this.initializeTypewriter(root);
   }
 
-  initializeCounters() {
-    const counters = document.querySelectorAll('.stat-number');
+  initializeCounters(root = document) {
+    const counters = root.querySelectorAll('.stat-number');
     
     const animateCounter = (counter) => {
       const target = parseInt(counter.dataset.target);
       const suffix = counter.dataset.suffix || '';
+      
+      if (window.userPreferences.reducedMotion) {
+        counter.textContent = target + suffix;
+        return;
+      }
+      
       const duration = 2000;
       const step = target / (duration / 16);
       let current = 0;
@@ -568,7 +928,7 @@ class UIController {
     };
 
     // Observe counters for intersection
-    const counterObserver = new IntersectionObserver((entries) => {
+    this.counterObserver = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting && !entry.target.classList.contains('counted')) {
           entry.target.classList.add('counted');
@@ -577,11 +937,11 @@ class UIController {
       });
     });
 
-    counters.forEach(counter => counterObserver.observe(counter));
+    counters.forEach(counter => this.counterObserver.observe(counter));
   }
 
   initializeParticles() {
-    if (!this.elements.heroParticles) return;
+    if (!this.elements.heroParticles || window.userPreferences.reducedMotion) return;
     
     const particleCount = Math.min(30, Math.floor(window.innerWidth / 50));
     
@@ -610,25 +970,29 @@ class UIController {
     }
   }
 
-  initializeTypewriter() {
-    const typewriterElements = document.querySelectorAll('[data-typewriter]');
+  initializeTypewriter(root = document) {
+    const typewriterElements = root.querySelectorAll('[data-typewriter]');
     
     typewriterElements.forEach(element => {
       const text = element.textContent;
       const speed = parseInt(element.dataset.typewriterSpeed) || 100;
       
+      // Reduced motion shows the text as written
+      if (window.userPreferences.reducedMotion) return;
+      
       element.textContent = '';
       element.style.borderRight = '2px solid var(--color-primary)';
       
       let i = 0;
+      let timer = null;
       const typeWriter = () => {
         if (i < text.length) {
           element.textContent += text.charAt(i);
           i++;
-          setTimeout(typeWriter, speed);
+          timer = setTimeout(typeWriter, speed);
         } else {
           // Remove cursor after typing
-          setTimeout(() => {
+          timer = setTimeout(() => {
             element.style.borderRight = 'none';
           }, 1000);
         }
@@ -638,44 +1002,45 @@ class UIController {
       const observer = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
           if (entry.isIntersecting) {
-            setTimeout(typeWriter, 500);
+            timer = setTimeout(typeWriter, 500);
             observer.unobserve(entry.target);
           }
         });
       });
       
       observer.observe(element);
+      
+      this.typewriters.push({
+        finish: () => {
+          clearTimeout(timer);
+          observer.disconnect();
+          i = text.length;
+          element.textContent = text;
+          element.style.borderRight = 'none';
+        }
+      });
     });
   }
 
-  initializeLazyLoading() {
-    if ('IntersectionObserver' in window) {
-      const imageObserver = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            const img = entry.target;
-            img.src = img.dataset.src || img.src;
-            img.classList.remove('lazy');
-            imageObserver.unobserve(img);
-          }
-        });
-      });
-
-      document.querySelectorAll('img[loading="lazy"], img.lazy').forEach(img => {
-        imageObserver.observe(img);
-      });
-    }
+  finishTypewriters() {
+    this.typewriters.forEach(typewriter => typewriter.finish());
+    this.typewriters = [];
   }
 
   updateParticles() {
     // Adjust particle count based on screen size
     if (this.elements.heroParticles && window.innerWidth !== this.lastWindowWidth) {
-      this.elements.heroParticles.innerHTML = '';
-      this.initializeParticles();
+      this.resetParticles();
       this.lastWindowWidth = window.innerWidth;
     }
   }
 
+  resetParticles() {
+    if (!this.elements.heroParticles) return;
+    this.elements.heroParticles.innerHTML = '';
+    this.initializeParticles();
+  }
+
   updateActiveSectionOnScroll() {
     const sections = document.querySelectorAll('section[id]');
     const scrollPos = window.pageYOffset + 100;
@@ -726,6 +1091,11 @@ class UIController {
   }
 
   smoothScrollTo(targetPosition, duration = 1000) {
+    if (window.userPreferences.reducedMotion) {
+      window.scrollTo(0, targetPosition);
+      return;
+    }
+    
     const startPosition = window.pageYOffset;
     const distance = targetPosition - startPosition;
     let startTime = null;
@@ -750,23 +1120,27 @@ class UIController {
     requestAnimationFrame(animation);
   }
 
+  // Storage and validation belong to window.userPreferences (assets/js/preferences.js)
   loadUserPreferences() {
-    try {
-      const saved = localStorage.getItem('meisterco-preferences');
-      if (saved) {
-        this.state.userPreferences = { ...this.state.userPreferences, ...JSON.parse(saved) };
-      }
-    } catch (e) {
-      console.warn('Could not load user preferences:', e);
-    }
+    this.state.userPreferences = window.userPreferences.getAll();
   }
 
   saveUserPreferences() {
-    try {
-      localStorage.setItem('meisterco-preferences', JSON.stringify(this.state.userPreferences));
-    } catch (e) {
-      console.warn('Could not save user preferences:', e);
-    }
+    window.userPreferences.update(this.state.userPreferences);
+  }
+
+  bindPreferences() {
+    window.userPreferences.addEventListener('change', (e) => {
+      this.state.userPreferences = e.detail.preferences;
+      if (!('motion' in e.detail.changes)) return;
+      
+      if (e.detail.reducedMotion) {
+        this.finishTypewriters();
+        if (this.elements.heroParticles) this.elements.heroParticles.innerHTML = '';
+      } else {
+        this.resetParticles();
+      }
+    });
   }
 
   // Utility functions
@@ -803,161 +1177,226 @@ class UIController {
 // ADVANCED LOADING SYSTEM
 // ========================================================================
 
-class LoadingManager {
-  constructor() {
+const LOADING_DEFAULTS = {
+  storageKey: 'meisterco-loading',
+  timeout: 3000,                          // the splash never blocks longer than this
+  repeatVisitMaxAge: 7 * 24 * 60 * 60 * 1000,
+  fadeDuration: 500
+};
+
+/**
+ * Shows the splash only while the critical, above-the-fold resources load:
+ * stylesheets (resource timing), web fonts (document.fonts.ready) and images
+ * in the first viewport that are not lazy (img.decode(), so nothing is
+ * fetched twice). Progress is the share of those that have finished.
+ *
+ * Repeat visits within repeatVisitMaxAge find everything in the cache and
+ * skip the splash. Other systems wait for the page with
+ *
+ *   const { reason } = await window.loadingManager.ready;   // 'loaded' | 'timeout' | 'cached'
+ *
+ * or the 'ready' event on window.loadingManager.
+ */
+class LoadingManager extends EventTarget {
+  constructor(options = {}) {
+    super();
+
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.loading) || {};
+    this.config = { ...LOADING_DEFAULTS, ...globalConfig, ...options };
+
     this.loadingScreen = document.getElementById('loadingScreen');
     this.progressBar = document.querySelector('.loading-progress');
     this.loadingText = document.querySelector('.loading-text');
-    
-    this.resources = [];
-    this.loadedCount = 0;
-    this.totalCount = 0;
-    
-    this.init();
-  }
 
-  init() {
-    this.collectResources();
-    this.startLoading();
-  }
+    this.pending = new Map();
+    this.totalCount = 0;
+    this.loadedCount = 0;
+    this.observer = null;
+    this.timeoutId = null;
+    this.startedAt = performance.now();
+    this.isComplete = false;
 
-  collectResources() {
-    // Collect images
-    const images = Array.from(document.querySelectorAll('img[src]'));
-    images.forEach(img => {
-      this.resources.push({
-        type: 'image',
-        url: img.src,
-        element: img
-      });
+    this.ready = new Promise(resolve => {
+      this.resolveReady = resolve;
     });
 
-    // Collect CSS files
-    const stylesheets = Array.from(document.querySelectorAll('link[rel="stylesheet"]'));
-    stylesheets.forEach(link => {
-      this.resources.push({
-        type: 'stylesheet',
-        url: link.href,
-        element: link
-      });
-    });
+    this.init();
+  }
 
-    // Collect fonts (if using web fonts)
-    if (document.fonts) {
-      document.fonts.ready.then(() => {
-        this.onResourceLoaded();
-      });
-      this.resources.push({ type: 'fonts' });
+  init() {
+    if (!this.loadingScreen || this.isRepeatVisit()) {
+      this.hideSplash(0);
+      this.complete('cached');
+      return;
     }
 
-    this.totalCount = this.resources.length;
-  }
+    this.collectResources();
 
-  startLoading() {
     if (this.totalCount === 0) {
-      this.completeLoading();
+      this.complete('loaded');
       return;
     }
 
-    this.resources.forEach(resource => {
-      this.loadResource(resource);
+    this.loadingScreen.classList.add('determinate');
+    this.updateProgress();
+    this.trackResources();
+    this.timeoutId = setTimeout(() => this.complete('timeout'), this.config.timeout);
+  }
+
+  collectResources() {
+    document.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
+      if (!link.sheet) this.addResource(link.href, 'stylesheet', link);
     });
 
-    // Fallback timeout
-    setTimeout(() => {
-      if (!this.isComplete) {
-        this.completeLoading();
+    if (document.fonts && document.fonts.status !== 'loaded') {
+      this.addResource('fonts', 'fonts');
+    }
+
+    document.querySelectorAll('img').forEach(img => {
+      if (this.isCriticalImage(img) && !img.complete) {
+        this.addResource(img.currentSrc || img.src, 'image', img);
       }
-    }, 5000);
+    });
   }
 
-  loadResource(resource) {
-    switch (resource.type) {
-      case 'image':
-        this.loadImage(resource);
-        break;
-      case 'stylesheet':
-        this.loadStylesheet(resource);
-        break;
-      case 'fonts':
-        // Already handled in collectResources
-        break;
-    }
+  // Lazy images and anything below the fold load after the splash
+  isCriticalImage(img) {
+    if (img.loading === 'lazy' || !(img.currentSrc || img.src)) return false;
+
+    const rect = img.getBoundingClientRect();
+    return rect.bottom > 0 && rect.top < window.innerHeight;
   }
 
-  loadImage(resource) {
-    const img = new Image();
-    img.onload = () => this.onResourceLoaded();
-    img.onerror = () => this.onResourceLoaded();
-    img.src = resource.url;
+  addResource(url, type, element = null) {
+    if (this.pending.has(url)) return;
+    this.pending.set(url, { type, element });
+    this.totalCount++;
   }
 
-  loadStylesheet(resource) {
-    const link = resource.element;
-    if (link.sheet) {
-      this.onResourceLoaded();
-    } else {
-      link.onload = () => this.onResourceLoaded();
-      link.onerror = () => this.onResourceLoaded();
+  trackResources() {
+    // Stylesheets: done once their resource timing entry is in
+    const supported = window.PerformanceObserver && (PerformanceObserver.supportedEntryTypes || []).includes('resource');
+    if (supported) {
+      try {
+        this.observer = new PerformanceObserver(list => {
+          list.getEntries().forEach(entry => {
+            const resource = this.pending.get(entry.name);
+            if (resource && resource.type === 'stylesheet') this.onResourceLoaded(entry.name);
+          });
+        });
+        this.observer.observe({ type: 'resource', buffered: true });
+      } catch (e) {
+        this.observer = null;
+      }
     }
+
+    this.pending.forEach((resource, url) => {
+      switch (resource.type) {
+        case 'stylesheet':
+          // Browsers without resource timing, and stylesheets that fail
+          resource.element.addEventListener('load', () => this.onResourceLoaded(url), { once: true });
+          resource.element.addEventListener('error', () => this.onResourceLoaded(url), { once: true });
+          break;
+        case 'fonts':
+          document.fonts.ready.then(() => this.onResourceLoaded(url));
+          break;
+        case 'image':
+          // Waits for the browser's own request; a broken image counts as done
+          resource.element.decode().catch(() => {}).then(() => this.onResourceLoaded(url));
+          break;
+      }
+    });
   }
 
-  onResourceLoaded() {
+  onResourceLoaded(url) {
+    if (this.isComplete || !this.pending.delete(url)) return;
+
     this.loadedCount++;
-    const progress = (this.loadedCount / this.totalCount) * 100;
-    
-    this.updateProgress(progress);
-    
-    if (this.loadedCount >= this.totalCount) {
-      setTimeout(() => this.completeLoading(), 500);
+    this.updateProgress();
+
+    if (this.pending.size === 0) {
+      this.complete('loaded');
     }
   }
 
-  updateProgress(progress) {
+  get progress() {
+    return this.totalCount ? (this.loadedCount / this.totalCount) * 100 : 100;
+  }
+
+  updateProgress() {
+    const progress = this.progress;
+
     if (this.progressBar) {
       this.progressBar.style.width = `${progress}%`;
     }
-    
+
     if (this.loadingText) {
       const messages = [
-        'Loading experience...',
-        'Preparing models...',
-        'Initializing systems...',
-        'Almost ready...'
+        'loading.experience',
+        'loading.models',
+        'loading.systems',
+        'loading.almostReady'
       ];
       const messageIndex = Math.floor((progress / 100) * (messages.length - 1));
-      this.loadingText.textContent = messages[messageIndex] || 'Loading...';
+      window.i18n.translate(this.loadingText, messages[messageIndex] || 'loading.fallback');
     }
+
+    this.dispatchEvent(new CustomEvent('progress', {
+      detail: { progress, loaded: this.loadedCount, total: this.totalCount }
+    }));
   }
 
-  completeLoading() {
+  complete(reason) {
     if (this.isComplete) return;
     this.isComplete = true;
-    
-    if (this.loadingScreen) {
-      this.loadingScreen.style.opacity = '0';
-      setTimeout(() => {
-        this.loadingScreen.style.display = 'none';
-        this.onLoadingComplete();
-      }, 500);
+
+    clearTimeout(this.timeoutId);
+    if (this.observer) this.observer.disconnect();
+
+    // A timed-out visit may still be missing resources next time
+    if (reason === 'loaded') this.rememberVisit();
+
+    const detail = {
+      reason,
+      duration: Math.round(performance.now() - this.startedAt),
+      loaded: this.loadedCount,
+      total: this.totalCount
+    };
+
+    if (reason === 'cached') {
+      this.onLoadingComplete(detail);
     } else {
-      this.onLoadingComplete();
+      this.hideSplash(this.config.fadeDuration).then(() => this.onLoadingComplete(detail));
     }
   }
 
-  onLoadingComplete() {
-    // Trigger page loaded event
-    document.body.classList.add('loaded');
-    
-    // Start entrance animations
-    this.triggerEntranceAnimations();
-    
-    // Initialize other systems
-    window.dispatchEvent(new CustomEvent('pageLoaded'));
-  }
+  hideSplash(fadeDuration) {
+    if (!this.loadingScreen) return Promise.resolve();
 
-  triggerEntranceAnimations() {
-    const heroElements = document.querySelectorAll('.hero-title, .hero-subtitle, .hero-actions');
+    if (!fadeDuration) {
+      this.loadingScreen.style.display = 'none';
+      return Promise.resolve();
+    }
+
+    this.loadingScreen.style.opacity = '0';
+    return new Promise(resolve => {
+      setTimeout(() => {
+        this.loadingScreen.style.display = 'none';
+        resolve();
+      }, fadeDuration);
+    });
+  }
+
+  onLoadingComplete(detail) {
+    document.body.classList.add('loaded');
+    this.triggerEntranceAnimations();
+
+    this.resolveReady(detail);
+    this.dispatchEvent(new CustomEvent('ready', { detail }));
+  }
+
+  triggerEntranceAnimations() {
+    const heroElements = document.querySelectorAll('.hero-title, .hero-subtitle, .hero-actions');
     
     heroElements.forEach((el, index) => {
       setTimeout(() => {
@@ -966,6 +1405,958 @@ class LoadingManager {
       }, index * 200);
     });
   }
+
+  // Utility functions
+  isRepeatVisit() {
+    try {
+      const state = JSON.parse(localStorage.getItem(this.config.storageKey));
+      return Boolean(state && Date.now() - state.loadedAt < this.config.repeatVisitMaxAge);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  rememberVisit() {
+    try {
+      localStorage.setItem(this.config.storageKey, JSON.stringify({ loadedAt: Date.now() }));
+    } catch (e) {
+      // Private browsing; the splash shows again next time
+    }
+  }
+}
+
+// ========================================================================
+// CLIENT-SIDE ROUTER
+// ========================================================================
+
+const ROUTER_DEFAULTS = {
+  viewSelector: '[data-router-view]',
+  prefetchDelay: 65,          // ms a link is hovered before its page is fetched
+  cacheSize: 10,              // fetched pages kept for later navigations
+  stylesheetTimeout: 3000     // never hold a navigation longer for the next page's stylesheets
+};
+
+// A page's own styles; styles injected by the widgets carry an id and stay
+const PAGE_STYLE_SELECTOR = 'link[rel="stylesheet"], style:not([id])';
+
+/**
+ * Turns the routed pages into one app shell. A routed page names its route
+ * on the body and wraps everything that belongs to it in a view, and loads
+ * the same scripts as every other routed page:
+ *
+ *   <body data-route="about">
+ *     <div data-router-view> header, sections, footer </div>
+ *
+ * Same-origin links to other pages are fetched (already on hover) and only
+ * the view, title and page styles are swapped, inside a view transition
+ * where the browser has them. The loading splash, chat, compare drawer,
+ * consent and preferences stay. Pages without a registered route load
+ * normally, as do links with a target, download or data-router-ignore.
+ *
+ * Each route may have init(view) and teardown(view) hooks (see ROUTES). Back
+ * and forward return to where the visitor left each page, and every
+ * navigation is reported as a page_view. Other systems can follow along:
+ *
+ *   window.router.addEventListener('navigate', e => e.detail.route);
+ */
+class Router extends EventTarget {
+  constructor(routes = {}, options = {}) {
+    super();
+
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.router) || {};
+    this.config = { ...ROUTER_DEFAULTS, ...globalConfig, ...options };
+
+    this.routes = new Map(Object.entries(routes));
+    this.cache = new Map();
+    this.positions = new Map();
+    this.view = document.querySelector(this.config.viewSelector);
+    this.route = document.body.dataset.route || null;
+    this.path = location.pathname;
+    this.key = (history.state && history.state.key) || this.createKey();
+    this.navigationId = 0;
+    this.prefetchTimer = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.view || !this.routes.has(this.route)) return;
+
+    // Positions are restored by the router once the next view is in
+    if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+    history.replaceState({ ...history.state, key: this.key }, '');
+
+    document.addEventListener('click', (e) => this.onClick(e));
+    document.addEventListener('mouseover', (e) => this.onLinkHover(e));
+    document.addEventListener('mouseout', () => clearTimeout(this.prefetchTimer));
+    document.addEventListener('focusin', (e) => this.onLinkHover(e));
+    document.addEventListener('touchstart', (e) => {
+      const link = this.routableLink(e.target);
+      if (link) this.prefetch(link.href);
+    }, { passive: true });
+
+    window.addEventListener('popstate', (e) => this.onPopState(e));
+    window.addEventListener('pagehide', () => {
+      history.replaceState({ ...history.state, scrollY: window.pageYOffset }, '');
+    });
+
+    // Coming back to the shell from another page or after a reload
+    if (history.state && typeof history.state.scrollY === 'number') {
+      window.scrollTo(0, history.state.scrollY);
+    }
+
+    this.enter(this.route, this.view);
+  }
+
+  register(name, hooks = {}) {
+    this.routes.set(name, hooks);
+  }
+
+  // The link an event came from, when it is one the router should follow
+  routableLink(target) {
+    const link = target && target.closest ? target.closest('a[href]') : null;
+    if (!link || link.hasAttribute('download') || link.closest('[data-router-ignore]')) return null;
+    if (link.target && link.target !== '_self') return null;
+
+    const url = new URL(link.href, location.href);
+    if (url.origin !== location.origin || !/(\.html|\/)$/.test(url.pathname)) return null;
+
+    // Jumps within the page are left to the browser and the page's own handlers
+    if (url.hash && url.pathname === location.pathname && url.search === location.search) return null;
+
+    return link;
+  }
+
+  onClick(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+    const link = this.routableLink(e.target);
+    if (!link) return;
+
+    e.preventDefault();
+    this.navigate(link.href);
+  }
+
+  onLinkHover(e) {
+    const link = this.routableLink(e.target);
+    if (!link) return;
+
+    clearTimeout(this.prefetchTimer);
+    this.prefetchTimer = setTimeout(() => this.prefetch(link.href), this.config.prefetchDelay);
+  }
+
+  onPopState(e) {
+    // Hash changes within the page
+    if (location.pathname === this.path) return;
+
+    // Entries without a saved position fall back to their hash, or the top
+    const key = e.state && e.state.key;
+    const scrollY = this.positions.has(key) ? this.positions.get(key) : (e.state && e.state.scrollY);
+    this.navigate(location.href, { fromHistory: true, key, scrollY: typeof scrollY === 'number' ? scrollY : null });
+  }
+
+  prefetch(href) {
+    if (navigator.connection && navigator.connection.saveData) return;
+    this.load(new URL(href, location.href)).catch(() => {});
+  }
+
+  /**
+   * Show the page at href. Pages that are not routed, or cannot be fetched
+   * (offline without a cached copy), are left to a full load.
+   */
+  async navigate(href, { fromHistory = false, key = null, scrollY = null } = {}) {
+    const url = new URL(href, location.href);
+    const id = ++this.navigationId;
+
+    let page = null;
+    try {
+      page = await this.load(url);
+    } catch (error) {
+      // The browser and the service worker handle it below
+    }
+    if (id !== this.navigationId) return;
+
+    if (!page || !page.view || !this.routes.has(page.route)) {
+      fromHistory ? location.replace(url.href) : location.assign(url.href);
+      return;
+    }
+
+    try {
+      await this.render(page, url, { id, fromHistory, key, scrollY });
+    } catch (error) {
+      console.error('Navigation failed:', error);
+      location.reload();
+    }
+  }
+
+  // Pages are cached as parsed documents; a failed fetch is forgotten
+  load(url) {
+    const cacheKey = url.pathname + url.search;
+    if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+    const request = fetch(cacheKey, { headers: { Accept: 'text/html' } })
+      .then(response => {
+        const type = response.headers.get('Content-Type') || '';
+        if (!response.ok || !type.includes('text/html')) {
+          throw new Error(`Not a page (HTTP ${response.status})`);
+        }
+        return response.text();
+      })
+      .then(html => this.parse(html));
+
+    this.cache.set(cacheKey, request);
+    request.catch(() => this.cache.delete(cacheKey));
+
+    // Oldest first; a Map keeps insertion order
+    while (this.cache.size > this.config.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return request;
+  }
+
+  parse(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const description = doc.querySelector('meta[name="description"]');
+
+    return {
+      route: doc.body.dataset.route || null,
+      title: doc.title,
+      description: description ? description.getAttribute('content') : null,
+      styles: Array.from(doc.head.querySelectorAll(PAGE_STYLE_SELECTOR)),
+      view: doc.querySelector(this.config.viewSelector)
+    };
+  }
+
+  async render(page, url, { id, fromHistory, key, scrollY }) {
+    const head = document.head;
+    const current = Array.from(head.querySelectorAll(PAGE_STYLE_SELECTOR));
+    const currentLinks = new Map(current.filter(style => style.tagName === 'LINK').map(link => [link.href, link]));
+
+    // Stylesheets both pages use are kept; the rest is imported from the cached copy
+    const incoming = page.styles.map(style => {
+      const kept = style.tagName === 'LINK' && currentLinks.get(new URL(style.getAttribute('href'), url).href);
+      return kept || document.importNode(style, true);
+    });
+    const outgoing = current.filter(style => !incoming.includes(style));
+
+    // New stylesheets load switched off, so the old view keeps its look until the swap
+    const marker = document.createComment('page styles');
+    head.insertBefore(marker, current[0] || null);
+
+    const newLinks = incoming.filter(style => style.tagName === 'LINK' && !current.includes(style));
+    const media = newLinks.map(link => link.getAttribute('media'));
+    const loaded = this.whenLoaded(newLinks);
+    newLinks.forEach(link => {
+      link.media = 'not all';
+      head.insertBefore(link, marker);
+    });
+    await loaded;
+
+    if (id !== this.navigationId) {
+      newLinks.forEach(link => link.remove());
+      marker.remove();
+      return;
+    }
+
+    // Where this page was left, for back and forward
+    this.positions.set(this.key, window.pageYOffset);
+    if (fromHistory) {
+      this.key = key || this.createKey();
+      if (!key) history.replaceState({ ...history.state, key: this.key }, '');
+    } else {
+      this.key = this.createKey();
+      const method = url.href === location.href ? 'replaceState' : 'pushState';
+      history[method]({ key: this.key }, '', url.href);
+    }
+
+    const view = document.importNode(page.view, true);
+    const previous = this.route;
+
+    const swap = () => {
+      this.leave();
+
+      newLinks.forEach((link, index) => {
+        if (media[index]) {
+          link.setAttribute('media', media[index]);
+        } else {
+          link.removeAttribute('media');
+        }
+      });
+      incoming.filter(style => style.tagName !== 'LINK').forEach(style => head.insertBefore(style, marker));
+      outgoing.forEach(style => style.remove());
+      marker.remove();
+
+      this.view.replaceWith(view);
+      this.view = view;
+      this.route = page.route;
+      this.path = url.pathname;
+      document.body.dataset.route = page.route;
+      document.title = page.title;
+      this.updateDescription(page.description);
+
+      const target = this.restoreScroll(url, scrollY);
+      this.mountView(view);
+      this.enter(page.route, view);
+      this.focusView(view, target);
+    };
+
+    if (document.startViewTransition && !window.userPreferences.reducedMotion) {
+      await document.startViewTransition(swap).updateCallbackDone;
+    } else {
+      swap();
+    }
+
+    // Track analytics
+    window.analytics.track('page_view', { page_path: url.pathname, page_title: document.title });
+
+    this.dispatchEvent(new CustomEvent('navigate', {
+      detail: { route: page.route, previous, url: url.href }
+    }));
+  }
+
+  // The shared modules set up the first page themselves; a swapped-in view needs the same
+  mountView(view) {
+    window.i18n.apply(view);
+    view.querySelectorAll('[data-preferences-toggle]').forEach(container => {
+      window.userPreferences.renderToggle(container);
+    });
+    if (window.responsiveImages) {
+      window.responsiveImages.ready.then(() => window.responsiveImages.upgrade(view));
+    }
+    window.animationEngine.observe(view);
+    window.componentRegistry?.mount(view);
+  }
+
+  enter(route, view) {
+    const hooks = this.routes.get(route);
+    if (!hooks || !hooks.init) return;
+
+    try {
+      hooks.init(view);
+    } catch (error) {
+      console.error(`Route "${route}" failed to start:`, error);
+    }
+  }
+
+  leave() {
+    const hooks = this.routes.get(this.route);
+    window.animationEngine.release(this.view);
+    window.componentRegistry?.unmount(this.view);
+    if (!hooks || !hooks.teardown) return;
+
+    try {
+      hooks.teardown(this.view);
+    } catch (error) {
+      console.error(`Route "${this.route}" failed to stop:`, error);
+    }
+  }
+
+  restoreScroll(url, scrollY) {
+    if (typeof scrollY === 'number') {
+      window.scrollTo(0, scrollY);
+      return null;
+    }
+
+    const target = url.hash ? document.getElementById(decodeURIComponent(url.hash.slice(1))) : null;
+    if (target) {
+      const header = document.getElementById('header');
+      const offset = header ? header.offsetHeight : 0;
+      window.scrollTo(0, target.getBoundingClientRect().top + window.pageYOffset - offset);
+    } else {
+      window.scrollTo(0, 0);
+    }
+    return target;
+  }
+
+  // Screen readers start at the new page's heading (or the linked section)
+  focusView(view, target) {
+    const element = target || view.querySelector('h1') || view;
+    if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+    element.focus({ preventScroll: true });
+  }
+
+  // Utility functions
+  whenLoaded(links) {
+    const loads = links.map(link => new Promise(resolve => {
+      link.addEventListener('load', resolve, { once: true });
+      link.addEventListener('error', resolve, { once: true });
+    }));
+    const timeout = new Promise(resolve => setTimeout(resolve, this.config.stylesheetTimeout));
+    return Promise.race([Promise.all(loads), timeout]);
+  }
+
+  updateDescription(content) {
+    const meta = document.querySelector('meta[name="description"]');
+    if (meta && content !== null) meta.setAttribute('content', content);
+  }
+
+  createKey() {
+    return Math.random().toString(36).slice(2, 10);
+  }
+}
+
+// ========================================================================
+// ROUTES
+// ========================================================================
+
+/**
+ * Hooks for the routed pages. init(view) runs when a page is shown, on the
+ * first load or after a navigation; teardown(view) runs before its view is
+ * swapped out and undoes whatever init bound outside it (window listeners,
+ * observers, timers). Listeners on elements in the view go with it. The
+ * header and the reveal-on-scroll classes are AnimationEngine's on every
+ * page, which is all the references page needs, and the view's
+ * data-component elements (the about page's particles, parallax and
+ * ripples) are mounted by the component registry.
+ *
+ * Only home, about and references are routed, as they load the same
+ * scripts. The model pages load the catalogue, finance, garage and brochure
+ * scripts instead of script.js, and the booking, bookings, contact and
+ * privacy pages their own form scripts, so those stay full page loads.
+ */
+const ROUTES = {
+  home: {
+    init(view) {
+      window.uiController.mount(view);
+      window.modelCompare?.render();
+    },
+
+    teardown() {
+      window.uiController.unmount();
+      window.chatWidget.close();
+      window.modelCompare?.hide();
+    }
+  },
+
+  about: {
+    init(view) {
+      this.counterTimers = new Set();
+
+      // Count the hero stats up once they are in view
+      this.counterObserver = new IntersectionObserver((entries) => {
+        entries.filter(entry => entry.isIntersecting).forEach(entry => {
+          this.counterObserver.unobserve(entry.target);
+          this.animateCounter(entry.target.querySelector('.stat-number'));
+        });
+      });
+      view.querySelectorAll('.hero-stat').forEach(stat => this.counterObserver.observe(stat));
+    },
+
+    teardown() {
+      this.counterObserver.disconnect();
+      this.counterTimers.forEach(timer => clearInterval(timer));
+    },
+
+    animateCounter(element) {
+      const text = element.textContent;
+      const target = parseInt(text, 10);
+      const suffix = text.includes('+') ? '+' : text.includes('%') ? '%' : '';
+      if (Number.isNaN(target) || window.userPreferences.reducedMotion) return;
+
+      let current = 0;
+      const timer = setInterval(() => {
+        current += target / 60;
+        if (current >= target) {
+          element.textContent = target + suffix;
+          clearInterval(timer);
+          this.counterTimers.delete(timer);
+        } else {
+          element.textContent = Math.floor(current) + suffix;
+        }
+      }, 30);
+      this.counterTimers.add(timer);
+    }
+  },
+
+  references: {}
+};
+
+// ========================================================================
+// CHAT ASSISTANT
+// ========================================================================
+
+// Calendar invites (assets/js/calendar.js) carry the same address and phone
+const SHOWROOM = {
+  name: 'MeisterCo.',
+  address: '123 Jalan Automotive, Taman Industri Perdana, 47100 Puchong, Selangor',
+  phone: '+60380001234',
+  phoneDisplay: '+60 3-8000 1234'
+};
+
+const CHAT_DEFAULTS = {
+  storageKey: 'meisterco-chat',
+  maxMessages: 100,
+  typingDelay: 400,
+  greeting: "Hi! I'm the MeisterCo assistant. Ask me about our models, prices, opening hours or how to find us.",
+  adapter: null
+};
+
+// The only page actions a reply may trigger; anything else an adapter sends is ignored
+const CHAT_HANDOFFS = {
+  bookTestDrive: (modelId = '') => window.bookTestDrive(modelId),
+  callShowroom: () => window.callShowroom(),
+  getDirections: () => window.getDirections()
+};
+
+// Checked in order; the first match decides what the question is about
+const CHAT_INTENTS = [
+  { id: 'human', pattern: /\b(human|agent|person|staff|salesperson|call (me|us|back|you|someone)|phone (me|number)|talk to|speak to|hubungi|telefon saya)\b/ },
+  { id: 'testDrive', pattern: /\b(test ?drive|book|booking|appointment|pandu uji|tempah)\b/ },
+  { id: 'hours', pattern: /\b(hours?|open|opening|close|closing|weekend|saturday|sunday|holiday|buka|tutup|waktu)\b/ },
+  { id: 'location', pattern: /\b(where|address|location|directions?|map|parking|lokasi|alamat)\b/ },
+  { id: 'price', pattern: /\b(price|prices|pricing|cost|how much|cheap|cheapest|budget|rm|harga|berapa)\b/ },
+  { id: 'specs', pattern: /\b(specs?|specifications?|engine|fuel|consumption|power|torque|seats?|seater|airbags?|safety|ncap)\b/ },
+  { id: 'models', pattern: /\b(models?|cars?|line ?up|range|vehicles?|suvs?|sedans?|hatchbacks?|kereta)\b/ },
+  { id: 'thanks', pattern: /\b(thanks|thank you|terima kasih|tq)\b/ },
+  { id: 'greeting', pattern: /^(hi|hello|hey|hai|helo|salam|good (morning|afternoon|evening))\b/ }
+];
+
+// Spec questions mapped to catalogue spec labels
+const CHAT_SPEC_TOPICS = [
+  { pattern: /\b(fuel|consumption|economy)\b/, label: 'Fuel Consumption' },
+  { pattern: /\bengine\b/, label: 'Engine Type' },
+  { pattern: /\b(power|hp|ps)\b/, label: 'Max Power' },
+  { pattern: /\btorque\b/, label: 'Max Torque' },
+  { pattern: /\b(seats?|seater|seating)\b/, label: 'Seating Capacity' },
+  { pattern: /\bairbags?\b/, label: 'Airbags' },
+  { pattern: /\b(safety|ncap)\b/, label: 'ASEAN NCAP' }
+];
+
+const CHAT_SUGGESTIONS = [
+  { label: 'Show me the models', message: 'What models do you have?' },
+  { label: 'Prices', message: 'How much are your cars?' },
+  { label: 'Opening hours', message: 'What are your opening hours?' },
+  { label: 'Where are you?', message: 'Where is the showroom?' }
+];
+
+/**
+ * Default chat backend: a rule-based FAQ that answers from the vehicle
+ * catalogue, the showroom opening hours and holidays, and SHOWROOM above.
+ *
+ * Any object with the same `reply(text, { history })` method can stand in for
+ * it (a live-agent service, for example) via MeisterCoConfig.chat.adapter or
+ * chatWidget.setAdapter(). A reply is { text, actions } where each action is
+ * one of:
+ *   { label, handoff: 'bookTestDrive', args: ['myvi'] }   - a CHAT_HANDOFFS entry
+ *   { label, message: 'What are your opening hours?' }    - a suggested question
+ *   { label, href: 'myvi.html' }                          - a link
+ */
+class FaqChatAdapter {
+  constructor(options = {}) {
+    this.catalogue = options.catalogue || window.vehicleCatalogue;
+    this.availability = options.availability || window.slotAvailability;
+  }
+
+  async reply(message) {
+    const text = String(message).toLowerCase().replace(/\s+/g, ' ').trim();
+    const models = this.catalogue ? await this.catalogue.listModels() : [];
+    const model = models.find(item => text.includes(item.id) || text.includes(item.name.toLowerCase()));
+    const intent = CHAT_INTENTS.find(item => item.pattern.test(text));
+
+    switch (intent ? intent.id : model ? 'model' : null) {
+      case 'human':
+        return {
+          text: `Our sales team is on ${SHOWROOM.phoneDisplay} during opening hours and happy to help.`,
+          actions: [{ label: 'Call the showroom', handoff: 'callShowroom' }]
+        };
+
+      case 'testDrive':
+        return {
+          text: model
+            ? `Great choice! You can pick a time for a ${model.name} test drive now.`
+            : 'You can book a test drive in under a minute. Which model would you like to try?',
+          actions: [{ label: model ? `Book a ${model.name} test drive` : 'Book a test drive', handoff: 'bookTestDrive', args: [model ? model.id : ''] }]
+        };
+
+      case 'hours':
+        return this.describeHours();
+
+      case 'location':
+        return {
+          text: `You'll find us at ${SHOWROOM.address}.`,
+          actions: [{ label: 'Get directions', handoff: 'getDirections' }]
+        };
+
+      case 'price':
+        return model ? this.describePrices(model) : this.describeRange(models, text, true);
+
+      case 'specs':
+        return model ? this.describeSpecs(model, text) : {
+          text: 'Which model are you interested in? I can tell you about its engine, fuel consumption, seating and safety.',
+          actions: models.map(item => ({ label: item.name, message: `${item.name} specs` }))
+        };
+
+      case 'models':
+        return this.describeRange(models, text, false);
+
+      case 'model':
+        return this.describeModel(model);
+
+      case 'thanks':
+        return { text: "You're welcome! Anything else I can help with?" };
+
+      case 'greeting':
+        return { text: 'Hello! What would you like to know?', actions: CHAT_SUGGESTIONS };
+
+      default:
+        return {
+          text: `Sorry, I didn't catch that. I can help with our models, prices, opening hours and location, or you can speak to our team on ${SHOWROOM.phoneDisplay}.`,
+          actions: [...CHAT_SUGGESTIONS, { label: 'Call the showroom', handoff: 'callShowroom' }]
+        };
+    }
+  }
+
+  describeModel(model) {
+    return {
+      text: `The ${model.name}: ${model.description} Prices start from ${this.catalogue.formatPrice(model.priceFrom)}.`,
+      actions: [
+        { label: `Book a ${model.name} test drive`, handoff: 'bookTestDrive', args: [model.id] },
+        { label: `${model.name} prices`, message: `${model.name} price` },
+        { label: 'View model page', href: model.page }
+      ]
+    };
+  }
+
+  describePrices(model) {
+    const prices = model.variants.map(variant => `${variant.name}: ${this.catalogue.formatPrice(variant.price)}`).join('\n');
+    return {
+      text: `${model.name} variants:\n${prices}\n\nYou can build and price your own on the model page.`,
+      actions: [
+        { label: 'Build yours', href: model.page },
+        { label: `Book a ${model.name} test drive`, handoff: 'bookTestDrive', args: [model.id] }
+      ]
+    };
+  }
+
+  describeSpecs(model, text) {
+    const topics = CHAT_SPEC_TOPICS.filter(topic => topic.pattern.test(text));
+    const labels = topics.length ? topics.map(topic => topic.label) : ['Engine Type', 'Fuel Consumption', 'Seating Capacity', 'ASEAN NCAP'];
+    const lines = labels
+      .map(label => [label, this.catalogue.getSpec(model, label)])
+      .filter(([, value]) => value)
+      .map(([label, value]) => `${label}: ${value}`);
+
+    return {
+      text: lines.length
+        ? `${model.name}\n${lines.join('\n')}`
+        : `I don't have that detail for the ${model.name}, but the full specifications are on its page.`,
+      actions: [{ label: 'Full specifications', href: `${model.page}#specifications` }]
+    };
+  }
+
+  describeRange(models, text, byPrice) {
+    const categoryNames = { suv: 'SUV', sedan: 'sedan', hatchback: 'hatchback' };
+    const category = Object.keys(categoryNames).find(id => text.includes(id));
+    let list = category ? models.filter(model => model.category === category) : models.slice();
+    if (byPrice) list = list.sort((a, b) => a.priceFrom - b.priceFrom);
+
+    if (!list.length) {
+      return { text: "We don't have any of those at the moment. Here's everything in our range.", actions: [{ label: 'Show all models', message: 'What models do you have?' }] };
+    }
+
+    const lines = list.map(model => `${model.name} (${categoryNames[model.category] || model.category}): from ${this.catalogue.formatPrice(model.priceFrom)}`);
+    const heading = byPrice
+      ? `Starting prices${category ? ` for our ${categoryNames[category]} range` : ''}`
+      : `Our ${category ? `${categoryNames[category]} ` : ''}range`;
+    return {
+      text: `${heading}:\n${lines.join('\n')}`,
+      actions: list.map(model => ({ label: `About the ${model.name}`, message: model.name }))
+    };
+  }
+
+  describeHours() {
+    const availability = this.availability;
+    if (!availability) return { text: `Please call ${SHOWROOM.phoneDisplay} for our opening hours.` };
+
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const format = hours => (hours ? `${availability.formatLabel(hours.open)} - ${availability.formatLabel(hours.close)}` : 'Closed');
+
+    // Group consecutive days with the same hours, Monday first
+    const groups = [];
+    [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+      const hours = format(availability.weeklyHours[day]);
+      const last = groups[groups.length - 1];
+      if (last && last.hours === hours) {
+        last.to = day;
+      } else {
+        groups.push({ from: day, to: day, hours });
+      }
+    });
+    const weekly = groups
+      .map(group => `${dayNames[group.from]}${group.to !== group.from ? `-${dayNames[group.to]}` : ''}: ${group.hours}`)
+      .join('\n');
+
+    const { date, minutes } = availability.nowInShowroom();
+    const today = availability.getOpeningHours(date);
+    const holiday = availability.getHoliday(date);
+    let status;
+    if (!today) {
+      status = holiday ? `We're closed today for ${holiday.name}.` : "We're closed today.";
+    } else if (minutes >= today.open && minutes < today.close) {
+      status = `We're open now until ${availability.formatLabel(today.close)}${holiday ? ` (${holiday.name} hours)` : ''}.`;
+    } else {
+      status = minutes < today.open
+        ? `We open today at ${availability.formatLabel(today.open)}.`
+        : "We've closed for today.";
+    }
+
+    return { text: `${status}\n\n${weekly}`, actions: [{ label: 'Book a test drive', handoff: 'bookTestDrive', args: [''] }] };
+  }
+}
+
+class ChatWidget {
+  constructor(options = {}) {
+    const globalConfig = (window.MeisterCoConfig && window.MeisterCoConfig.chat) || {};
+    this.config = { ...CHAT_DEFAULTS, ...globalConfig, ...options };
+
+    this.adapter = this.config.adapter || new FaqChatAdapter();
+    this.messages = this.loadTranscript();
+    this.isOpen = false;
+    this.isBusy = false;
+    this.elements = {};
+
+    this.init();
+  }
+
+  init() {
+    this.createPanel();
+    this.bindEvents();
+    this.messages.forEach(message => this.renderMessage(message));
+  }
+
+  createPanel() {
+    const panel = document.createElement('section');
+    panel.className = 'chat-widget';
+    panel.id = 'chatWidget';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-labelledby', 'chatTitle');
+    panel.hidden = true;
+    panel.innerHTML = `
+      <header class="chat-header">
+        <div>
+          <h2 class="chat-title" id="chatTitle">MeisterCo Assistant</h2>
+          <p class="chat-subtitle">Models, prices, hours and directions</p>
+        </div>
+        <button type="button" class="chat-reset" aria-label="Start a new conversation">↺</button>
+        <button type="button" class="chat-close" aria-label="Close chat">×</button>
+      </header>
+      <ol class="chat-log" role="log" aria-live="polite"></ol>
+      <form class="chat-form">
+        <label class="sr-only" for="chatInput">Your message</label>
+        <input type="text" id="chatInput" class="chat-input" placeholder="Ask about models, prices, hours..." autocomplete="off" maxlength="500">
+        <button type="submit" class="chat-send btn-primary">Send</button>
+      </form>
+    `;
+
+    document.body.appendChild(panel);
+
+    this.elements = {
+      panel,
+      log: panel.querySelector('.chat-log'),
+      form: panel.querySelector('.chat-form'),
+      input: panel.querySelector('.chat-input'),
+      resetButton: panel.querySelector('.chat-reset'),
+      closeButton: panel.querySelector('.chat-close')
+    };
+  }
+
+  bindEvents() {
+    const { panel, log, form, input, resetButton, closeButton } = this.elements;
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const text = input.value.trim();
+      if (!text) return;
+      input.value = '';
+      this.send(text);
+    });
+
+    log.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-chat-action]');
+      if (button) this.runAction(JSON.parse(button.dataset.chatAction));
+    });
+
+    resetButton.addEventListener('click', () => this.reset());
+    closeButton.addEventListener('click', () => this.close());
+
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.close();
+    });
+  }
+
+  setAdapter(adapter) {
+    this.adapter = adapter;
+  }
+
+  open() {
+    this.isOpen = true;
+    this.elements.panel.hidden = false;
+    this.returnFocus = document.activeElement;
+
+    if (!this.messages.length) this.greet();
+
+    this.scrollToEnd();
+    this.elements.input.focus();
+
+    // Track analytics
+    window.analytics.track('chat_open');
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.elements.panel.hidden = true;
+    if (this.returnFocus && this.returnFocus.focus) this.returnFocus.focus();
+  }
+
+  toggle() {
+    this.isOpen ? this.close() : this.open();
+  }
+
+  greet() {
+    this.addMessage({
+      from: 'bot',
+      text: this.config.greeting,
+      actions: CHAT_SUGGESTIONS
+    });
+  }
+
+  reset() {
+    this.messages = [];
+    this.saveTranscript();
+    this.elements.log.innerHTML = '';
+    this.greet();
+    this.elements.input.focus();
+  }
+
+  async send(text) {
+    if (this.isBusy) return;
+    this.isBusy = true;
+
+    this.addMessage({ from: 'user', text });
+    const typing = this.showTyping();
+
+    let reply;
+    try {
+      const [result] = await Promise.all([
+        this.adapter.reply(text, { history: this.messages.slice() }),
+        new Promise(resolve => setTimeout(resolve, this.config.typingDelay))
+      ]);
+      reply = result || {};
+    } catch (error) {
+      console.error('Chat adapter failed:', error);
+      reply = {
+        text: `Sorry, I'm having trouble answering right now. Please call us on ${SHOWROOM.phoneDisplay}.`,
+        actions: [{ label: 'Call the showroom', handoff: 'callShowroom' }]
+      };
+    } finally {
+      typing.remove();
+      this.isBusy = false;
+    }
+
+    this.addMessage({ from: 'bot', text: String(reply.text || ''), actions: this.sanitizeActions(reply.actions) });
+  }
+
+  addMessage(message) {
+    this.messages.push(message);
+    this.messages = this.messages.slice(-this.config.maxMessages);
+    this.saveTranscript();
+    this.renderMessage(message);
+  }
+
+  renderMessage(message) {
+    const item = document.createElement('li');
+    item.className = `chat-message chat-message-${message.from}`;
+
+    const bubble = document.createElement('p');
+    bubble.className = 'chat-bubble';
+    bubble.textContent = message.text;
+    item.appendChild(bubble);
+
+    if (message.actions && message.actions.length) {
+      const actions = document.createElement('div');
+      actions.className = 'chat-actions';
+      message.actions.forEach(action => {
+        const element = action.href ? document.createElement('a') : document.createElement('button');
+        element.className = 'chat-action';
+        element.textContent = action.label;
+        if (action.href) {
+          element.href = action.href;
+        } else {
+          element.type = 'button';
+          element.dataset.chatAction = JSON.stringify(action);
+        }
+        actions.appendChild(element);
+      });
+      item.appendChild(actions);
+    }
+
+    this.elements.log.appendChild(item);
+    this.scrollToEnd();
+  }
+
+  showTyping() {
+    const item = document.createElement('li');
+    item.className = 'chat-message chat-message-bot chat-typing';
+    item.innerHTML = '<p class="chat-bubble"><span></span><span></span><span></span><span class="sr-only">Assistant is typing</span></p>';
+    this.elements.log.appendChild(item);
+    this.scrollToEnd();
+    return item;
+  }
+
+  runAction(action) {
+    if (action.message) {
+      this.send(action.message);
+      return;
+    }
+
+    const handoff = CHAT_HANDOFFS[action.handoff];
+    if (!handoff) return;
+
+    // Track analytics
+    window.analytics.track('chat_handoff', { handoff: action.handoff });
+
+    // The booking modal takes over the screen; leave the transcript for later
+    this.close();
+    handoff(...(action.args || []));
+  }
+
+  // Drop anything an adapter returns that the widget can't safely render
+  sanitizeActions(actions) {
+    if (!Array.isArray(actions)) return [];
+    return actions
+      .filter(action => action && action.label && (CHAT_HANDOFFS[action.handoff] || action.message || action.href))
+      .map(({ label, handoff, args, message, href }) => ({
+        label: String(label),
+        ...(handoff ? { handoff, args: Array.isArray(args) ? args.map(String) : [] } : {}),
+        ...(message ? { message: String(message) } : {}),
+        ...(href && /^(https?:|[\w-]+\.html|#)/.test(href) ? { href: String(href) } : {})
+      }))
+      .filter(action => action.handoff || action.message || action.href);
+  }
+
+  scrollToEnd() {
+    const { log } = this.elements;
+    log.scrollTop = log.scrollHeight;
+  }
+
+  loadTranscript() {
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(this.config.storageKey));
+      return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  saveTranscript() {
+    try {
+      sessionStorage.setItem(this.config.storageKey, JSON.stringify(this.messages));
+    } catch (e) {
+      // Storage can be unavailable (private mode); the chat still works for this page
+    }
+  }
 }
 
 // ========================================================================
@@ -981,68 +2372,66 @@ window.scrollToSection = function(sectionId) {
 
 window.openModelDetail = function(modelId) {
   console.log(`Opening details for ${modelId}`);
-  // Implementation for model detail modal/page
   
-  // Track analytics
-  if (window.gtag) {
-    gtag('event', 'model_detail_view', {
-      'model_name': modelId,
-      'event_category': 'engagement'
+  // Quick specs open the compare drawer with this model in it
+  if (window.modelCompare) {
+    window.modelCompare.add(modelId).then(added => {
+      if (added) window.modelCompare.open();
     });
   }
+  
+  // Track analytics
+  window.analytics.track('model_detail_view', { model_name: modelId });
 };
 
+let bookingDialog = null;
+
 window.bookTestDrive = function(modelId = '') {
+  // A generic "book" button starts from the visitor's preferred model
+  modelId = modelId || window.userPreferences.get('preferredModel');
   console.log(`Booking test drive for ${modelId || 'general'}`);
   
+  // One booking form at a time
+  if (bookingDialog && bookingDialog.isOpen) return;
+  
   // Create and show booking modal
   const modal = createBookingModal(modelId);
   document.body.appendChild(modal);
+  bookingDialog = new Dialog(modal, {
+    panel: '.modal-content',
+    labelledBy: 'booking-title',
+    initialFocus: '#model-select',
+    removeOnClose: true,
+    closeDelay: 300
+  });
+  bookingDialog.open();
   
   // Track analytics
-  if (window.gtag) {
-    gtag('event', 'test_drive_booking_start', {
-      'model_name': modelId || 'unknown',
-      'event_category': 'conversion'
-    });
-  }
+  window.analytics.track('test_drive_booking_start', { model_name: modelId || 'unknown', source: 'index-modal' });
 };
 
 window.openChat = function() {
-  console.log('Opening AI chat assistant');
+  console.log('Opening chat assistant');
   
-  // Implementation for chat widget
-  if (window.Intercom) {
-    Intercom('show');
-  } else {
-    // Fallback chat implementation
-    showChatFallback();
+  if (window.chatWidget) {
+    window.chatWidget.toggle();
   }
 };
 
 window.callShowroom = function() {
-  const phoneNumber = '+60380001234';
-  window.open(`tel:${phoneNumber}`, '_self');
+  window.open(`tel:${SHOWROOM.phone}`, '_self');
   
   // Track analytics
-  if (window.gtag) {
-    gtag('event', 'phone_call', {
-      'event_category': 'contact'
-    });
-  }
+  window.analytics.track('phone_call');
 };
 
 window.getDirections = function() {
-  const address = encodeURIComponent('123 Jalan Automotive, Taman Industri Perdana, 47100 Puchong, Selangor');
+  const address = encodeURIComponent(SHOWROOM.address);
   const mapsUrl = `https://www.google.com/maps/dir/?api=1&destination=${address}`;
   window.open(mapsUrl, '_blank');
   
   // Track analytics
-  if (window.gtag) {
-    gtag('event', 'directions_clicked', {
-      'event_category': 'location'
-    });
-  }
+  window.analytics.track('directions_clicked');
 };
 
 // Helper functions
@@ -1050,96 +2439,133 @@ function createBookingModal(modelId) {
   const modal = document.createElement('div');
   modal.className = 'booking-modal';
   modal.innerHTML = `
-    <div class="modal-overlay" onclick="closeBookingModal()"></div>
+    <div class="modal-overlay" data-dialog-overlay></div>
     <div class="modal-content">
       <div class="modal-header">
-        <h3>Book Your Test Drive</h3>
-        <button class="modal-close" onclick="closeBookingModal()" aria-label="Close modal">×</button>
+        <h3 id="booking-title" data-i18n="booking.title">Book Your Test Drive</h3>
+        <button type="button" class="modal-close" data-dialog-close aria-label="Close modal" data-i18n-attr="aria-label:booking.close">×</button>
       </div>
       <div class="modal-body">
         <form class="booking-form">
           <div class="form-group">
-            <label for="model-select">Select Model</label>
+            <label for="model-select" data-i18n="booking.model">Select Model</label>
             <select id="model-select" name="model" required>
-              <option value="${modelId}" selected>${modelId ? modelId.toUpperCase() : 'Select a model'}</option>
-              <option value="alza">Perodua Alza</option>
-              <option value="ativa">Perodua Ativa</option>
-              <option value="myvi">Perodua Myvi</option>
-              <option value="axia">Perodua Axia</option>
-              <option value="bezza">Perodua Bezza</option>
-              <option value="aruz">Perodua Aruz</option>
+              <option value="" data-i18n="booking.modelPlaceholder">Select a model</option>
             </select>
           </div>
           
           <div class="form-row">
             <div class="form-group">
-              <label for="first-name">First Name</label>
-              <input type="text" id="first-name" name="firstName" required>
+              <label for="first-name" data-i18n="booking.firstName">First Name</label>
+              <input type="text" id="first-name" name="firstName" data-validate="name" required>
             </div>
             <div class="form-group">
-              <label for="last-name">Last Name</label>
+              <label for="last-name" data-i18n="booking.lastName">Last Name</label>
               <input type="text" id="last-name" name="lastName" required>
             </div>
           </div>
           
           <div class="form-group">
-            <label for="email">Email</label>
-            <input type="email" id="email" name="email" required>
+            <label for="id-number" data-i18n="booking.idNumber">NRIC / Passport</label>
+            <input type="text" id="id-number" name="idNumber" placeholder="e.g., 123456-78-9012 or A12345678" data-i18n-attr="placeholder:book.placeholders.idNumber" data-validate="identity" data-min-age="17" required>
           </div>
           
           <div class="form-group">
-            <label for="phone">Phone Number</label>
-            <input type="tel" id="phone" name="phone" required>
+            <label for="email" data-i18n="booking.email">Email</label>
+            <input type="email" id="email" name="email" data-validate="email" required>
+          </div>
+          
+          <div class="form-group">
+            <label for="phone" data-i18n="booking.phone">Phone Number</label>
+            <input type="tel" id="phone" name="phone" placeholder="+60 12-345 6789" data-validate="phone" data-format="phone" required>
           </div>
           
           <div class="form-row">
             <div class="form-group">
-              <label for="preferred-date">Preferred Date</label>
+              <label for="preferred-date" data-i18n="booking.date">Preferred Date</label>
               <input type="date" id="preferred-date" name="preferredDate" required>
             </div>
             <div class="form-group">
-              <label for="preferred-time">Preferred Time</label>
-              <select id="preferred-time" name="preferredTime" required>
-                <option value="">Select time</option>
-                <option value="09:00">9:00 AM</option>
-                <option value="10:00">10:00 AM</option>
-                <option value="11:00">11:00 AM</option>
-                <option value="14:00">2:00 PM</option>
-                <option value="15:00">3:00 PM</option>
-                <option value="16:00">4:00 PM</option>
-                <option value="17:00">5:00 PM</option>
+              <label for="preferred-time" data-i18n="booking.time">Preferred Time</label>
+              <select id="preferred-time" name="preferredTime" data-validate="slot" required>
+                <option value="" data-i18n="slots.selectDateFirst">Select a date first</option>
               </select>
+              <div class="slot-hint" id="slot-hint" aria-live="polite"></div>
             </div>
           </div>
           
           <div class="form-group">
-            <label for="message">Additional Message (Optional)</label>
+            <label for="message" data-i18n="booking.message">Additional Message (Optional)</label>
             <textarea id="message" name="message" rows="3"></textarea>
           </div>
           
           <div class="form-group">
             <div class="consent-checkbox">
-              <input type="checkbox" id="pdpa-consent" name="pdpaConsent" required>
-              <label for="pdpa-consent" class="consent-label">
+              <input type="checkbox" id="pdpa-consent" name="pdpaConsent" data-message-required="validation.pdpaRequired" required>
+              <label for="pdpa-consent" class="consent-label" data-i18n-html="booking.consent">
                 I hereby acknowledge and confirm my consent for the processing of my personal data in accordance with the 
-                <a href="#" class="pdpa-link" target="_blank">Personal Data Protection Act (PDPA) Notice</a>. 
+                <a href="privacy.html" class="pdpa-link" data-consent-notice>Personal Data Protection Act (PDPA) Notice</a>. 
                 I understand that my personal information will be used solely for the purpose of arranging and conducting 
                 the test drive appointment and related automotive services. <span class="required-asterisk">*</span>
               </label>
             </div>
           </div>
           
+          <div class="form-status" role="alert" aria-live="assertive"></div>
+          
           <div class="form-actions">
-            <button type="button" class="btn-secondary" onclick="closeBookingModal()">Cancel</button>
-            <button type="submit" class="btn-primary" id="submit-booking" disabled>Book Test Drive</button>
+            <button type="button" class="btn-secondary" data-dialog-close data-i18n="booking.cancel">Cancel</button>
+            <button type="submit" class="btn-primary" id="submit-booking" disabled data-i18n="booking.submit">Book Test Drive</button>
           </div>
         </form>
       </div>
     </div>
   `;
   
-  // Style the modal
+  injectBookingModalStyles();
+  
+  // The template holds the English text; translate it before it is shown
+  window.i18n.apply(modal);
+  
+  // Same rules as book.html, declared on the fields (data-validate)
+  const form = modal.querySelector('.booking-form');
+  window.formValidation.attach(form, {
+    submitButton: modal.querySelector('#submit-booking'),
+    onSubmit: handleBookingSubmission
+  });
+  
+  // Model list comes from the shared vehicle catalogue
+  const modelSelect = modal.querySelector('#model-select');
+  if (window.vehicleCatalogue) {
+    window.vehicleCatalogue.renderModelOptions(modelSelect, {
+      selected: modelId,
+      placeholder: window.i18n.t('booking.modelPlaceholder')
+    }).then(() => {
+      // Keep the placeholder in step with later language switches
+      window.i18n.translate(modelSelect.options[0], 'booking.modelPlaceholder');
+      modelSelect.dispatchEvent(new Event('change'));
+    });
+  }
+
+  // Build time slots from opening hours, holidays and live bookings
+  if (window.slotAvailability) {
+    window.slotAvailability.bindSelect({
+      dateInput: modal.querySelector('#preferred-date'),
+      timeSelect: modal.querySelector('#preferred-time'),
+      modelSelect: modal.querySelector('#model-select'),
+      hint: modal.querySelector('#slot-hint')
+    });
+  }
+  
+  return modal;
+}
+
+// Booking modal styles go into the page once, however often it opens
+function injectBookingModalStyles() {
+  if (document.getElementById('booking-modal-styles')) return;
+  
   const style = document.createElement('style');
+  style.id = 'booking-modal-styles';
   style.textContent = `
     .booking-modal {
       position: fixed;
@@ -1154,6 +2580,12 @@ function createBookingModal(modelId) {
       padding: 1rem;
     }
     
+    .booking-modal.dialog-closing {
+      opacity: 0;
+      transform: scale(0.9);
+      transition: opacity 0.3s ease, transform 0.3s ease;
+    }
+    
     .modal-overlay {
       position: absolute;
       top: 0;
@@ -1305,6 +2737,42 @@ function createBookingModal(modelId) {
       font-weight: bold;
     }
     
+    .form-status:empty,
+    .slot-hint:empty {
+      display: none;
+    }
+    
+    .slot-hint {
+      font-size: 0.85rem;
+      color: rgba(255, 255, 255, 0.7);
+    }
+    
+    .slot-hint.warning {
+      color: var(--color-warning);
+    }
+    
+    .form-group select option:disabled {
+      color: rgba(255, 255, 255, 0.35);
+    }
+    
+    .booking-form .error-message {
+      margin-top: 0.4rem;
+      color: var(--color-accent);
+      font-size: 0.85rem;
+    }
+    
+    .form-group input.error,
+    .form-group select.error,
+    .form-group textarea.error {
+      border-color: var(--color-accent);
+    }
+    
+    .form-status.error {
+      color: var(--color-accent);
+      font-size: 0.95rem;
+      line-height: 1.5;
+    }
+    
     .btn-primary:disabled {
       opacity: 0.5;
       cursor: not-allowed;
@@ -1332,90 +2800,136 @@ function createBookingModal(modelId) {
     }
   `;
   
-  modal.appendChild(style);
-  
-  // Handle form submission
-  const form = modal.querySelector('.booking-form');
-  form.addEventListener('submit', handleBookingSubmission);
-  
-  // Handle consent checkbox validation
-  const consentCheckbox = modal.querySelector('#pdpa-consent');
-  const submitButton = modal.querySelector('#submit-booking');
-  
-  const validateForm = () => {
-    const isFormValid = form.checkValidity() && consentCheckbox.checked;
-    submitButton.disabled = !isFormValid;
-  };
-  
-  // Validate on checkbox change
-  consentCheckbox.addEventListener('change', validateForm);
-  
-  // Validate on input changes
-  form.querySelectorAll('input, select, textarea').forEach(input => {
-    input.addEventListener('input', validateForm);
-    input.addEventListener('change', validateForm);
-  });
-  
-  // Initial validation
-  setTimeout(validateForm, 100);
-  
-  return modal;
+  document.head.appendChild(style);
 }
 
 window.closeBookingModal = function() {
-  const modal = document.querySelector('.booking-modal');
-  if (modal) {
-    modal.style.opacity = '0';
-    modal.style.transform = 'scale(0.9)';
-    setTimeout(() => {
-      modal.remove();
-    }, 300);
-  }
+  if (bookingDialog) bookingDialog.close();
 };
 
-function handleBookingSubmission(e) {
+async function handleBookingSubmission(e) {
   e.preventDefault();
   
-  const formData = new FormData(e.target);
+  const form = e.target;
+  const formData = new FormData(form);
   const data = Object.fromEntries(formData.entries());
+  const submitButton = form.querySelector('#submit-booking');
+  const status = form.querySelector('.form-status');
   
-  console.log('Booking submission:', data);
-  
-  // Show success message
-  showSuccessMessage('Your test drive has been booked! We\'ll contact you shortly to confirm the details.');
+  const booking = {
+    model: data.model,
+    name: `${data.firstName} ${data.lastName}`.trim(),
+    idNumber: data.idNumber,
+    email: data.email,
+    phone: data.phone,
+    preferredDate: data.preferredDate,
+    preferredTime: data.preferredTime,
+    message: data.message || '',
+    contactMethod: window.userPreferences.get('contactMethod'),
+    source: 'index-modal',
+    consent: window.consentManager.snapshot()
+  };
   
-  // Close modal
-  closeBookingModal();
+  // Show loading state
+  submitButton.disabled = true;
+  window.i18n.translate(submitButton, 'booking.submitting');
+  status.textContent = '';
+  status.className = 'form-status';
   
-  // Track analytics
-  if (window.gtag) {
-    gtag('event', 'test_drive_booking_complete', {
-      'model_name': data.model,
-      'event_category': 'conversion'
+  try {
+    const result = await window.bookingClient.submit(booking);
+    
+    if (result.queued) {
+      showNotification(window.i18n.t('booking.queued'), 'info');
+    } else {
+      showSuccessMessage(
+        window.i18n.t('booking.success', { reference: result.reference }),
+        bookingFollowUpLinks({ ...booking, reference: result.reference, status: result.status })
+      );
+    }
+    
+    // Close modal
+    closeBookingModal();
+    
+    // Track analytics
+    window.analytics.track('test_drive_booking_complete', {
+      model_name: data.model,
+      source: booking.source,
+      queued: Boolean(result.queued)
     });
+  } catch (error) {
+    console.error('Booking submission failed:', error);
+    
+    status.textContent = error.message || window.i18n.t('booking.failed');
+    status.classList.add('error');
+    
+    // Someone else took the slot; refresh what is still available
+    if (error.code === 'slot_full') {
+      form.querySelector('#preferred-date').dispatchEvent(new Event('change'));
+    }
+    submitButton.disabled = false;
+    window.i18n.translate(submitButton, 'booking.submit');
   }
 }
 
-function showChatFallback() {
-  alert('Chat feature coming soon! Please call us at +60 3-8000 1234 for immediate assistance.');
+function showSuccessMessage(message, links = []) {
+  showNotification(message, 'success', links);
 }
 
-function showSuccessMessage(message) {
+// Sent bookings can be rescheduled or cancelled from the My Bookings page
+// and added to a calendar straight from the notification
+const notifiedBookings = new Map();
+
+function bookingFollowUpLinks(booking) {
+  const link = (text, attributes) => {
+    const anchor = document.createElement('a');
+    anchor.textContent = text;
+    anchor.style.cssText = 'color: inherit; text-decoration: underline;';
+    Object.entries(attributes).forEach(([name, value]) => anchor.setAttribute(name, value));
+    return anchor;
+  };
+  const links = [link(window.i18n.t('manage.manageLink'), { href: `bookings.html?reference=${encodeURIComponent(booking.reference)}` })];
+
+  if (window.calendarInvite) {
+    notifiedBookings.set(booking.reference, booking);
+    links.push(link(window.i18n.t('calendar.add'), { href: '#', 'data-add-to-calendar': booking.reference }));
+  }
+
+  return links;
+}
+
+// The message is set as text, as it may carry what the server said; links are passed as elements
+function showNotification(message, type = 'success', links = []) {
+  const backgrounds = {
+    success: 'var(--color-success)',
+    info: 'var(--color-primary)',
+    error: 'var(--color-accent)'
+  };
+  const icons = { success: '✓', info: 'ℹ', error: '!' };
+  
   const notification = document.createElement('div');
-  notification.className = 'success-notification';
+  notification.className = `${type}-notification`;
+  notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
   notification.innerHTML = `
     <div class="notification-content">
-      <div class="notification-icon">✓</div>
-      <div class="notification-message">${message}</div>
+      <div class="notification-icon">${icons[type] || icons.success}</div>
+      <div class="notification-message"></div>
     </div>
   `;
   
+  const messageElement = notification.querySelector('.notification-message');
+  messageElement.textContent = message;
+  links.forEach((link, index) => {
+    messageElement.append(index === 0 ? ' ' : ' · ', link);
+  });
+  
   // Style the notification
   notification.style.cssText = `
     position: fixed;
     top: 100px;
     right: 2rem;
-    background: var(--color-success);
+    max-width: 420px;
+    background: ${backgrounds[type] || backgrounds.success};
     color: white;
     padding: 1rem 1.5rem;
     border-radius: 12px;
@@ -1424,7 +2938,7 @@ function showSuccessMessage(message) {
     align-items: center;
     gap: 1rem;
     box-shadow: var(--shadow-lg);
-    transform: translateX(400px);
+    transform: translateX(calc(100% + 4rem));
     transition: transform 0.3s cubic-bezier(0.4, 0, 0.2, 1);
   `;
   
@@ -1437,9 +2951,40 @@ function showSuccessMessage(message) {
   
   // Auto remove
   setTimeout(() => {
-    notification.style.transform = 'translateX(400px)';
+    notification.style.transform = 'translateX(calc(100% + 4rem))';
     setTimeout(() => notification.remove(), 300);
-  }, 4000);
+  }, type === 'success' ? 4000 : 6000);
+}
+
+function bindBookingClientEvents() {
+  if (!window.bookingClient) return;
+  
+  // Bookings made offline are delivered later; let the user know when that happens
+  window.bookingClient.addEventListener('submitted', (e) => {
+    if (e.detail.fromQueue) {
+      showSuccessMessage(
+        window.i18n.t('booking.sentFromQueue', { reference: e.detail.reference }),
+        bookingFollowUpLinks({ ...e.detail.booking, reference: e.detail.reference, status: e.detail.status })
+      );
+    }
+  });
+  
+  window.bookingClient.addEventListener('failed', (e) => {
+    if (e.detail.fromQueue) {
+      showNotification(window.i18n.t('booking.failedFromQueue', { message: e.detail.error.message }), 'error');
+    }
+  });
+  
+  document.addEventListener('click', (e) => {
+    const link = e.target.closest('[data-add-to-calendar]');
+    if (!link) return;
+    e.preventDefault();
+    
+    const booking = notifiedBookings.get(link.dataset.addToCalendar);
+    if (!booking) return;
+    window.calendarInvite.download(booking);
+    window.analytics.track('test_drive_calendar_added', { model_name: booking.model, source: booking.source });
+  });
 }
 
 // ========================================================================
@@ -1455,6 +3000,10 @@ document.addEventListener('DOMContentLoaded', function() {
   window.animationEngine = new AnimationEngine();
   window.uiController = new UIController();
   window.loadingManager = new LoadingManager();
+  window.chatWidget = new ChatWidget();
+  window.router = new Router(ROUTES);
+  
+  bindBookingClientEvents();
   
   console.log('✅ All systems operational - Ready to drive the future!');
 });
@@ -1474,12 +3023,9 @@ document.addEventListener('visibilitychange', function() {
 window.addEventListener('error', function(e) {
   console.error('Global error caught:', e);
   
-  // Track errors in analytics if available
-  if (window.gtag) {
-    gtag('event', 'exception', {
-      'description': e.message,
-      'fatal': false
-    });
+  // Track errors in analytics
+  if (window.analytics) {
+    window.analytics.track('exception', { description: String(e.message), fatal: false });
   }
 });
 
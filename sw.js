@@ -0,0 +1,395 @@
+/**
+ * MEISTERCO - SERVICE WORKER
+ * Keeps the site usable offline and delivers what customers left for later.
+ *
+ * - Pages, styles, scripts, fonts, data and local model imagery are precached
+ *   on install, along with every AVIF and WebP copy listed in the responsive
+ *   image manifest (assets/data/images.json), so model pages show whichever
+ *   one their <picture> picks. Pages are fetched network first so edits show up straight
+ *   away, also when the router in script.js fetches them; everything else is
+ *   served from the cache and refreshed behind it.
+ * - Gallery images hotlinked from perodua.com.my and the other image hosts
+ *   are stale-while-revalidate in a capped runtime cache.
+ * - Navigations that are neither online nor cached get offline.html.
+ * - Bookings and contact messages waiting in the outbox (booking-client.js)
+ *   are sent on background sync, and open pages are told how it went.
+ * - Test drive reminders scheduled by assets/js/reminders.js are read from
+ *   IndexedDB (meisterco-reminders). Where the browser supports notification
+ *   triggers each one is handed over with a TimestampTrigger as soon as it is
+ *   scheduled; otherwise the worker shows whatever is due whenever it wakes:
+ *   periodic background sync, a page asking it to check, or activation.
+ *   Reminders whose test drive has already started are dropped instead.
+ *
+ * Bump CACHE_VERSION whenever PRECACHE_URLS or the image manifest changes.
+ */
+
+'use strict';
+
+importScripts('assets/js/booking-client.js');
+
+// ========================================================================
+// CONFIGURATION
+// ========================================================================
+
+const CACHE_VERSION = 'v9';
+const STATIC_CACHE = `meisterco-static-${CACHE_VERSION}`;
+const GALLERY_CACHE = `meisterco-gallery-${CACHE_VERSION}`;
+
+const OFFLINE_PAGE = 'offline.html';
+const IMAGE_MANIFEST = 'assets/data/images.json';
+
+const PRECACHE_URLS = [
+  // Pages
+  'index.html',
+  'about.html',
+  'alza.html',
+  'aruz.html',
+  'ativa.html',
+  'axia.html',
+  'bezza.html',
+  'myvi.html',
+  'book.html',
+  'bookings.html',
+  'contactus.html',
+  'privacy.html',
+  'references.html',
+  OFFLINE_PAGE,
+  'manifest.webmanifest',
+
+  // Styles and scripts
+  'style.css',
+  'script.js',
+  'assets/js/analytics.js',
+  'assets/js/availability.js',
+  'assets/js/booking-client.js',
+  'assets/js/brochure.js',
+  'assets/js/calendar.js',
+  'assets/js/catalogue.js',
+  'assets/js/compare.js',
+  'assets/js/consent.js',
+  'assets/js/dialog.js',
+  'assets/js/finance.js',
+  'assets/js/garage.js',
+  'assets/js/i18n.js',
+  'assets/js/images.js',
+  'assets/js/offline.js',
+  'assets/js/preferences.js',
+  'assets/js/reminders.js',
+  'assets/js/validation.js',
+  'assets/js/locales/en.js',
+  'assets/js/locales/ms.js',
+  'assets/js/locales/zh.js',
+  'assets/js/components/registry.js',
+  'assets/js/components/booking-form.js',
+  'assets/js/components/booking-manager.js',
+  'assets/js/components/color-preview.js',
+  'assets/js/components/configurator.js',
+  'assets/js/components/configurator-engine.js',
+  'assets/js/components/contact-form.js',
+  'assets/js/components/gallery.js',
+  'assets/js/components/header.js',
+  'assets/js/components/mobile-menu.js',
+  'assets/js/components/page-fade.js',
+  'assets/js/components/parallax.js',
+  'assets/js/components/particles.js',
+  'assets/js/components/privacy-dashboard.js',
+  'assets/js/components/reveal.js',
+  'assets/js/components/ripple.js',
+  'assets/js/components/scroll-spy.js',
+  'assets/js/components/smooth-scroll.js',
+  'assets/js/components/spec-tabs.js',
+  'assets/js/components/spin-view.js',
+  'assets/js/components/turntable.js',
+  'assets/js/components/video.js',
+  'assets/js/components/zoom.js',
+
+  // Data
+  IMAGE_MANIFEST,
+  'assets/data/models.json',
+  'assets/data/public-holidays.json',
+
+  // Fonts in use (see the @font-face rules)
+  'assets/fonts/PPMori-Regular.otf',
+  'assets/fonts/PPMori-Black.otf',
+  'assets/fonts/PPMori-Extralight.otf',
+  'assets/fonts/SF-Pro-Display-Regular.otf',
+
+  // Model imagery served from this site
+  'assets/img/2-BeautyShot1.jpg',
+  'assets/img/2-BeautyShot2.png',
+  'assets/img/Alza-BeautyShot-03.jpg',
+  'assets/img/New-Axia-BeautyShot-03.jpg',
+  'assets/img/download (7).png',
+  'assets/img/icons/icon-192.png',
+  'assets/img/icons/icon-512.png',
+  'assets/img/icons/icon-maskable-512.png'
+];
+
+// Hotlinked gallery images; opaque responses, so the cache is kept small
+const GALLERY_HOSTS = [
+  'www.perodua.com.my',
+  'imgcdn.zigwheels.my',
+  'imgcdn.oto.com.sg',
+  'imgcdnblog.carbay.com',
+  'img.pcauto.com',
+  'img.wapcar.my'
+];
+const GALLERY_MAX_ENTRIES = 60;
+
+const OUTBOX_SYNC_TAG = 'meisterco-outbox';
+const REMINDER_SYNC_TAG = 'booking-reminders';
+
+const REMINDER_STORE = new OfflineQueue('meisterco-reminders', 'reminders');
+
+// Retries are left to background sync; the worker may be stopped at any time
+const outbox = new BookingClient({ scheduleRetries: false, syncTag: OUTBOX_SYNC_TAG });
+
+// ========================================================================
+// LIFECYCLE
+// ========================================================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(STATIC_CACHE)
+      .then(async (cache) => {
+        await cache.addAll(PRECACHE_URLS);
+        await cache.addAll(await responsiveImageUrls(cache));
+      })
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Every candidate in the manifest's srcsets, read from the copy just precached
+async function responsiveImageUrls(cache) {
+  const response = await cache.match(IMAGE_MANIFEST);
+  const { images = {} } = await response.json();
+
+  return Object.values(images).flatMap(image => image.sources.flatMap(source => (
+    source.srcset.split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+  )));
+}
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = [STATIC_CACHE, GALLERY_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('meisterco-') && !current.includes(name))
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+    await showDueReminders();
+  })());
+});
+
+// ========================================================================
+// FETCH
+// ========================================================================
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    // The booking, availability and analytics APIs handle being offline themselves
+    if (url.pathname.startsWith('/api/')) return;
+
+    // The router asks for pages with fetch() rather than navigating to them
+    if (request.mode === 'navigate' || (request.headers.get('Accept') || '').includes('text/html')) {
+      event.respondWith(networkFirstPage(event));
+    } else {
+      event.respondWith(staleWhileRevalidate(event, STATIC_CACHE));
+    }
+    return;
+  }
+
+  if (request.destination === 'image' && GALLERY_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, GALLERY_CACHE, GALLERY_MAX_ENTRIES));
+  }
+});
+
+async function networkFirstPage(event) {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      // Replaces the precached copy; stored without the query string, which can hold a booking reference
+      const copy = response.clone();
+      event.waitUntil(caches.open(STATIC_CACHE).then(cache => cache.put(url.origin + url.pathname, copy)));
+    }
+    return response;
+  } catch (error) {
+    // Links carry query strings (book.html?model=myvi); the page is the same
+    const cached = await caches.match(url.pathname.endsWith('/') ? 'index.html' : request, { ignoreSearch: true });
+    return cached || caches.match(OFFLINE_PAGE);
+  }
+}
+
+async function staleWhileRevalidate(event, cacheName, maxEntries = 0) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const refresh = fetch(request).then(async (response) => {
+    // Cross-origin images without CORS come back opaque (status 0) but still display
+    if (response.ok || response.type === 'opaque') {
+      await cache.put(request, response.clone());
+      if (maxEntries) await trimCache(cache, maxEntries);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+// Oldest entries first; Cache Storage keeps insertion order
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+// ========================================================================
+// OUTBOX (BACKGROUND SYNC)
+// ========================================================================
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(flushOutbox());
+  }
+});
+
+async function flushOutbox() {
+  const remaining = await outbox.flush();
+  // Rejecting asks the browser to try the sync again later
+  if (remaining) {
+    throw new Error(`${remaining} submissions are still waiting to be sent`);
+  }
+}
+
+// Open pages show the same confirmations as if they had sent it themselves
+['submitted', 'failed'].forEach(event => {
+  Object.entries(OUTBOX_TYPES).forEach(([outboxType, names]) => {
+    outbox.addEventListener(names[event], (e) => {
+      const { error, ...detail } = e.detail;
+      if (error) {
+        detail.error = { message: error.message, code: error.code, status: error.status };
+      }
+      broadcast({ type: 'outbox:event', outboxType, event, detail });
+    });
+  });
+});
+
+async function broadcast(message) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(client => client.postMessage(message));
+}
+
+// ========================================================================
+// REMINDERS
+// ========================================================================
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+
+  switch (message.type) {
+    case 'reminders:schedule':
+      event.waitUntil(scheduleReminders(message.reference));
+      break;
+    case 'reminders:cancel':
+      event.waitUntil(cancelReminders(message.reference));
+      break;
+    case 'reminders:check':
+      event.waitUntil(showDueReminders());
+      break;
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(showDueReminders());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data && event.notification.data.url;
+  if (url) event.waitUntil(openPage(url));
+});
+
+async function scheduleReminders(reference) {
+  if (supportsTriggers()) {
+    // Triggers left from an earlier time of the same booking
+    await cancelReminders(reference);
+
+    const reminders = await REMINDER_STORE.all('reminder');
+
+    for (const reminder of reminders) {
+      if (reminder.reference !== reference || reminder.scheduled || reminder.at <= Date.now()) continue;
+      await self.registration.showNotification(reminder.title, {
+        ...notificationOptions(reminder),
+        showTrigger: new TimestampTrigger(reminder.at)
+      });
+      await REMINDER_STORE.update({ ...reminder, scheduled: true });
+    }
+  }
+
+  await showDueReminders();
+}
+
+async function showDueReminders() {
+  let reminders;
+  try {
+    reminders = await REMINDER_STORE.all('reminder');
+  } catch (e) {
+    return;
+  }
+
+  const now = Date.now();
+
+  for (const reminder of reminders) {
+    if (reminder.at > now) continue;
+
+    // Triggered reminders have been shown by the browser already
+    if (!reminder.scheduled && reminder.startsAt > now) {
+      await self.registration.showNotification(reminder.title, notificationOptions(reminder));
+    }
+    await REMINDER_STORE.remove(reminder.id);
+  }
+}
+
+async function cancelReminders(reference) {
+  const notifications = await self.registration.getNotifications({ includeTriggered: true });
+  notifications
+    .filter(notification => notification.data && notification.data.reference === reference)
+    .forEach(notification => notification.close());
+}
+
+// Utility functions
+function notificationOptions(reminder) {
+  return {
+    body: reminder.body,
+    tag: reminder.id,
+    data: { url: reminder.url, reference: reminder.reference },
+    timestamp: reminder.startsAt
+  };
+}
+
+function supportsTriggers() {
+  return typeof TimestampTrigger === 'function' && 'showTrigger' in Notification.prototype;
+}
+
+async function openPage(url) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const existing = windows.find(client => client.url === url);
+
+  if (existing) return existing.focus();
+  return self.clients.openWindow(url);
+}
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+/**
+ * MEISTERCO - RESPONSIVE IMAGE BUILD
+ * Writes resized AVIF and WebP copies of the photos in assets/img to
+ * assets/img/responsive/ and describes them in assets/data/images.json, which
+ * assets/js/images.js reads to render <picture> elements. Each entry also
+ * carries the intrinsic size and a tiny WebP (as a data URI) for the blur-up
+ * placeholder.
+ *
+ * Output names are lower case with spaces and brackets replaced, plus a hash
+ * of the source so a changed photo gets a new URL past the service worker
+ * cache: "download (7).png" becomes download-7-960.1a2b3c4d.avif.
+ *
+ * Usage:
+ *   node tools/build-images.js [--widths 480,960,1600] [--force]
+ *
+ * Needs sharp (npm install --no-save sharp). Photos whose hash is unchanged
+ * are skipped unless --force is given, and outputs of deleted photos are
+ * removed. Commit assets/img/responsive/ and assets/data/images.json after
+ * running it, and bump CACHE_VERSION in sw.js so installed copies precache the
+ * new files; the site has no build step of its own.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const BUILD_DEFAULTS = {
+  sourceDir: 'assets/img',
+  outputDir: 'assets/img/responsive',
+  manifest: 'assets/data/images.json',
+  widths: [480, 960, 1600],       // never wider than the source
+  placeholderWidth: 16,
+  force: false
+};
+
+// Preferred first; images.js emits the <source> elements in this order
+const OUTPUT_FORMATS = [
+  { format: 'avif', type: 'image/avif', options: { quality: 50, effort: 4 } },
+  { format: 'webp', type: 'image/webp', options: { quality: 72 } }
+];
+
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// App icons are already sized for the web app manifest
+const SKIPPED_DIRECTORIES = ['icons', 'responsive'];
+
+// ========================================================================
+// SOURCES
+// ========================================================================
+
+function listSources(dir, relativeDir) {
+  const sources = [];
+
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const relative = `${relativeDir}/${entry.name}`;
+
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRECTORIES.includes(entry.name)) {
+        sources.push(...listSources(path.join(dir, entry.name), relative));
+      }
+    } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      sources.push(relative);
+    }
+  });
+
+  return sources.sort();
+}
+
+// "Exterior_03_Aruz_led-headlamps (1).jpg" -> "exterior-03-aruz-led-headlamps-1"
+function slugify(relativePath, sourceDir) {
+  return relativePath
+    .slice(sourceDir.length + 1)
+    .replace(/\.[^.]+$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function hashBuffer(buffer) {
+  return crypto.createHash('sha1').update(buffer).digest('hex').slice(0, 8);
+}
+
+// ========================================================================
+// BUILD
+// ========================================================================
+
+async function buildImage(sharp, relativePath, config, previous) {
+  const input = fs.readFileSync(path.join(ROOT, relativePath));
+  const hash = hashBuffer(input);
+
+  const outputsExist = previous && outputFiles(previous).every(file => fs.existsSync(path.join(ROOT, file)));
+  if (!config.force && previous && previous.hash === hash && outputsExist) {
+    return { entry: previous, built: false };
+  }
+
+  const metadata = await sharp(input).metadata();
+  // EXIF orientations 5-8 are rotated by a quarter turn
+  const rotated = (metadata.orientation || 1) >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const widths = config.widths.filter(w => w < width);
+  const largest = Math.min(width, Math.max(...config.widths));
+  // A copy barely wider than the one below it is not worth the bytes
+  if (!widths.length || largest > widths[widths.length - 1] * 1.2) {
+    widths.push(largest);
+  }
+
+  const slug = slugify(relativePath, config.sourceDir);
+  const sources = [];
+
+  for (const { format, type, options } of OUTPUT_FORMATS) {
+    const candidates = [];
+
+    for (const targetWidth of widths) {
+      const file = `${config.outputDir}/${slug}-${targetWidth}.${hash}.${format}`;
+      await sharp(input)
+        .rotate()
+        .resize({ width: targetWidth, withoutEnlargement: true })
+        .toFormat(format, options)
+        .toFile(path.join(ROOT, file));
+
+      candidates.push(`${file} ${targetWidth}w`);
+    }
+
+    sources.push({ type, srcset: candidates.join(', ') });
+  }
+
+  const placeholder = await sharp(input)
+    .rotate()
+    .resize({ width: config.placeholderWidth })
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    entry: {
+      width,
+      height,
+      hash,
+      placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+      sources
+    },
+    built: true
+  };
+}
+
+async function buildImages(options = {}) {
+  const config = { ...BUILD_DEFAULTS, ...options };
+
+  let sharp;
+  try {
+    sharp = require('sharp');
+  } catch (e) {
+    throw new Error('tools/build-images.js needs sharp: run "npm install --no-save sharp" first');
+  }
+
+  const outputDir = path.join(ROOT, config.outputDir);
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const previous = readManifest(config.manifest).images;
+  const images = {};
+  const summary = { built: 0, skipped: 0, removed: 0 };
+
+  for (const relativePath of listSources(path.join(ROOT, config.sourceDir), config.sourceDir)) {
+    try {
+      const { entry, built } = await buildImage(sharp, relativePath, config, previous[relativePath]);
+      images[relativePath] = entry;
+      summary[built ? 'built' : 'skipped']++;
+      if (built) console.log(`  ${relativePath} -> ${outputFiles(entry).length} files`);
+    } catch (error) {
+      console.warn(`  Skipping ${relativePath}: ${error.message}`);
+    }
+  }
+
+  // Outputs of deleted or changed photos
+  const kept = new Set(Object.values(images).flatMap(outputFiles));
+  fs.readdirSync(outputDir).forEach(name => {
+    const file = `${config.outputDir}/${name}`;
+    if (!kept.has(file)) {
+      fs.unlinkSync(path.join(ROOT, file));
+      summary.removed++;
+    }
+  });
+
+  writeManifest(config.manifest, {
+    formats: OUTPUT_FORMATS.map(({ type }) => type),
+    images
+  });
+
+  return { ...summary, images };
+}
+
+// Utility functions
+function outputFiles(entry) {
+  return entry.sources.flatMap(source => source.srcset.split(', ').map(candidate => candidate.split(' ')[0]));
+}
+
+function readManifest(manifest) {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(ROOT, manifest), 'utf8'));
+    return { images: {}, ...data };
+  } catch (e) {
+    return { images: {} };
+  }
+}
+
+function writeManifest(manifest, data) {
+  fs.writeFileSync(path.join(ROOT, manifest), JSON.stringify(data, null, 2) + '\n');
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split('=');
+    switch (flag) {
+      case '--force':
+        options.force = true;
+        break;
+      case '--widths': {
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        options.widths = value.split(',').map(Number).filter(Boolean).sort((a, b) => a - b);
+        break;
+      }
+      default:
+        console.warn(`Ignoring unknown option ${flag}`);
+    }
+  }
+  return options;
+}
+
+if (require.main === module) {
+  buildImages(parseArgs(process.argv.slice(2))).then(({ built, skipped, removed }) => {
+    console.log(`Responsive images: ${built} built, ${skipped} unchanged, ${removed} stale files removed`);
+  }).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { buildImages, slugify };
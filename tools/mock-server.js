@@ -0,0 +1,571 @@
+#!/usr/bin/env node
+/**
+ * MEISTERCO - LOCAL MOCK SERVER
+ * Serves the static site and a fake booking and availability API so the
+ * booking flows can be exercised end to end without the real backend. Web
+ * Vitals beacons posted to /api/vitals are kept in store.vitals, analytics
+ * events posted to /api/events in store.events and contact form messages
+ * posted to /api/contact in store.messages.
+ *
+ * Bookings can be looked up, rescheduled and cancelled by reference plus the
+ * phone number they were made with. Set store.bookings.get(ref).status to
+ * 'confirmed' to play the showroom confirming one.
+ *
+ * Usage:
+ *   node tools/mock-server.js [--port 8080] [--latency 300] [--fail-rate 0.2] [--capacity 2]
+ *
+ * --capacity rejects bookings once a model's slot holds that many (0 = unlimited).
+ *
+ * Tests can start an isolated instance instead:
+ *   const { createMockServer } = require('./tools/mock-server');
+ *   const mock = await createMockServer({ port: 0 }).listen();
+ *   // ... mock.url, mock.store.bookings ...
+ *   await mock.close();
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.otf': 'font/otf',
+  '.ttf': 'font/ttf',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.webmanifest': 'application/manifest+json'
+};
+
+const REQUIRED_BOOKING_FIELDS = ['model', 'name', 'phone', 'preferredDate', 'preferredTime'];
+const REQUIRED_MESSAGE_FIELDS = ['name', 'email', 'phone', 'inquiryType', 'subject', 'message'];
+
+// Reschedules and cancellations are refused once a booking reaches these
+const CLOSED_BOOKING_STATUSES = ['cancelled', 'completed'];
+
+// ========================================================================
+// IN-MEMORY STORE
+// ========================================================================
+
+function createStore() {
+  return {
+    bookings: new Map(),
+    idempotency: new Map(),
+    vitals: [],
+    events: [],
+    messages: [],
+
+    reset() {
+      this.bookings.clear();
+      this.idempotency.clear();
+      this.vitals.length = 0;
+      this.events.length = 0;
+      this.messages.length = 0;
+    }
+  };
+}
+
+function generateReference(date = new Date()) {
+  const stamp = date.toISOString().slice(2, 10).replace(/-/g, '');
+  const suffix = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, '0');
+  return `MC-${stamp}-${suffix}`;
+}
+
+// ========================================================================
+// HTTP HELPERS
+// ========================================================================
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      raw += chunk;
+      if (raw.length > 1e6) {
+        reject(new Error('Payload too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(raw));
+    req.on('error', reject);
+  });
+}
+
+async function readJson(req) {
+  const raw = await readBody(req);
+  if (!raw) return {};
+  return JSON.parse(raw);
+}
+
+function serveStatic(req, res, pathname) {
+  let relative;
+  try {
+    relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+  } catch (error) {
+    // A malformed escape such as /%E0%A4%A
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Bad request');
+    return;
+  }
+  const filePath = path.normalize(path.join(ROOT, relative));
+
+  // Not just a prefix match, or /root/tree2 would pass for /root/tree
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
+  }
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+    });
+    res.end(data);
+  });
+}
+
+// ========================================================================
+// BOOKING API
+// ========================================================================
+
+// 012-345 6789, +60 12-345 6789 and 60123456789 are the same number
+function normalisePhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.startsWith('60') ? `0${digits.slice(2)}` : digits;
+}
+
+function validateSlot(slot) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(slot.preferredDate || '')) {
+    return { code: 'validation', message: 'preferredDate must be YYYY-MM-DD', fields: ['preferredDate'] };
+  }
+  if (!/^\d{2}:\d{2}$/.test(slot.preferredTime || '')) {
+    return { code: 'validation', message: 'preferredTime must be HH:MM', fields: ['preferredTime'] };
+  }
+  return null;
+}
+
+function validateBooking(booking) {
+  const missing = REQUIRED_BOOKING_FIELDS.filter(field => !booking[field] || !String(booking[field]).trim());
+  if (missing.length) {
+    return { code: 'validation', message: `Missing required fields: ${missing.join(', ')}`, fields: missing };
+  }
+  return validateSlot(booking);
+}
+
+function countBooked(store, { date, time, model, except = null }) {
+  let count = 0;
+  for (const booking of store.bookings.values()) {
+    if (booking.status === 'cancelled' || booking.reference === except) continue;
+    if (booking.preferredDate !== date || booking.model !== model) continue;
+    if (time && booking.preferredTime !== time) continue;
+    count++;
+  }
+  return count;
+}
+
+async function handleCreateBooking(req, res, store, config) {
+  let booking;
+  try {
+    booking = await readJson(req);
+  } catch (e) {
+    sendJson(res, 400, { code: 'invalid_json', message: 'Request body must be JSON' });
+    return;
+  }
+
+  const idempotencyKey = req.headers['idempotency-key'] || booking.clientId;
+  if (idempotencyKey && store.idempotency.has(idempotencyKey)) {
+    const existing = store.bookings.get(store.idempotency.get(idempotencyKey));
+    sendJson(res, 200, { reference: existing.reference, status: existing.status });
+    return;
+  }
+
+  const invalid = validateBooking(booking);
+  if (invalid) {
+    sendJson(res, 422, invalid);
+    return;
+  }
+
+  const slot = { date: booking.preferredDate, time: booking.preferredTime, model: booking.model };
+  if (config.capacity && countBooked(store, slot) >= config.capacity) {
+    sendJson(res, 409, { code: 'slot_full', message: 'That time slot has just been taken. Please choose another time.' });
+    return;
+  }
+
+  const reference = generateReference();
+  const record = {
+    ...booking,
+    reference,
+    status: 'pending',
+    createdAt: new Date().toISOString()
+  };
+
+  store.bookings.set(reference, record);
+  if (idempotencyKey) store.idempotency.set(idempotencyKey, reference);
+
+  sendJson(res, 201, { reference, status: record.status });
+}
+
+// Confirmed bookings whose time has passed count as completed
+function bookingStatus(booking, now = new Date()) {
+  if (booking.status !== 'confirmed') return booking.status;
+  const pad = value => String(value).padStart(2, '0');
+  const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const time = `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+  const passed = booking.preferredDate < today || (booking.preferredDate === today && booking.preferredTime <= time);
+  return passed ? 'completed' : 'confirmed';
+}
+
+// What a customer sees of their booking: no ID number, consent record or client id
+function publicBooking(booking) {
+  return {
+    reference: booking.reference,
+    status: bookingStatus(booking),
+    model: booking.model,
+    name: booking.name,
+    preferredDate: booking.preferredDate,
+    preferredTime: booking.preferredTime,
+    createdAt: booking.createdAt,
+    updatedAt: booking.updatedAt || booking.createdAt,
+    cancelReason: booking.cancelReason || null
+  };
+}
+
+/**
+ * Find a booking for a customer request. Unknown references and wrong phone
+ * numbers get the same 404 so references cannot be probed.
+ */
+function findBooking(res, store, reference, phone) {
+  const booking = store.bookings.get(reference);
+  if (!booking || !phone || normalisePhone(booking.phone) !== normalisePhone(phone)) {
+    sendJson(res, 404, { code: 'not_found', message: 'We could not find a booking with that reference and phone number.' });
+    return null;
+  }
+  return booking;
+}
+
+function ensureChangeable(res, booking) {
+  const status = bookingStatus(booking);
+  if (CLOSED_BOOKING_STATUSES.includes(status)) {
+    sendJson(res, 409, { code: 'not_changeable', message: `This booking is ${status} and can no longer be changed.`, status });
+    return false;
+  }
+  return true;
+}
+
+function handleGetBooking(req, res, store, reference, searchParams) {
+  const booking = findBooking(res, store, reference, searchParams.get('phone'));
+  if (booking) sendJson(res, 200, publicBooking(booking));
+}
+
+async function handleRescheduleBooking(req, res, store, config, reference) {
+  let body;
+  try {
+    body = await readJson(req);
+  } catch (e) {
+    sendJson(res, 400, { code: 'invalid_json', message: 'Request body must be JSON' });
+    return;
+  }
+
+  const booking = findBooking(res, store, reference, body.phone);
+  if (!booking || !ensureChangeable(res, booking)) return;
+
+  const invalid = validateSlot(body);
+  if (invalid) {
+    sendJson(res, 422, invalid);
+    return;
+  }
+
+  const slot = { date: body.preferredDate, time: body.preferredTime, model: booking.model, except: reference };
+  if (config.capacity && countBooked(store, slot) >= config.capacity) {
+    sendJson(res, 409, { code: 'slot_full', message: 'That time slot has just been taken. Please choose another time.' });
+    return;
+  }
+
+  // A new time needs confirming again
+  Object.assign(booking, {
+    preferredDate: body.preferredDate,
+    preferredTime: body.preferredTime,
+    status: 'pending',
+    updatedAt: new Date().toISOString()
+  });
+
+  sendJson(res, 200, publicBooking(booking));
+}
+
+async function handleCancelBooking(req, res, store, reference) {
+  let body;
+  try {
+    body = await readJson(req);
+  } catch (e) {
+    sendJson(res, 400, { code: 'invalid_json', message: 'Request body must be JSON' });
+    return;
+  }
+
+  const booking = findBooking(res, store, reference, body.phone);
+  if (!booking || !ensureChangeable(res, booking)) return;
+
+  if (!body.reason || !String(body.reason).trim()) {
+    sendJson(res, 422, { code: 'validation', message: 'Please tell us why you are cancelling', fields: ['reason'] });
+    return;
+  }
+
+  Object.assign(booking, {
+    status: 'cancelled',
+    cancelReason: String(body.reason).trim(),
+    cancelDetails: body.details ? String(body.details).trim() : '',
+    updatedAt: new Date().toISOString()
+  });
+
+  sendJson(res, 200, publicBooking(booking));
+}
+
+function handleAvailability(req, res, store, searchParams) {
+  const date = searchParams.get('date');
+  const model = searchParams.get('model');
+
+  if (!date) {
+    sendJson(res, 400, { code: 'validation', message: 'date is required' });
+    return;
+  }
+
+  const booked = {};
+  for (const booking of store.bookings.values()) {
+    if (booking.status === 'cancelled') continue;
+    if (booking.preferredDate !== date) continue;
+    if (model && booking.model !== model) continue;
+    booked[booking.preferredTime] = (booked[booking.preferredTime] || 0) + 1;
+  }
+
+  sendJson(res, 200, { date, model: model || null, booked });
+}
+
+// ========================================================================
+// WEB VITALS
+// ========================================================================
+
+// Beacons arrive as text/plain, so parse the body whatever its content type
+async function handleVitals(req, res, store) {
+  let report;
+  try {
+    report = await readJson(req);
+  } catch (e) {
+    sendJson(res, 400, { code: 'invalid_json', message: 'Request body must be JSON' });
+    return;
+  }
+
+  if (!Array.isArray(report.metrics)) {
+    sendJson(res, 422, { code: 'validation', message: 'metrics must be an array', fields: ['metrics'] });
+    return;
+  }
+
+  store.vitals.push({ ...report, receivedAt: new Date().toISOString() });
+  res.writeHead(204, { 'Cache-Control': 'no-store' });
+  res.end();
+}
+
+// ========================================================================
+// ANALYTICS COLLECTOR
+// ========================================================================
+
+async function handleEvents(req, res, store) {
+  let body;
+  try {
+    body = await readJson(req);
+  } catch (e) {
+    sendJson(res, 400, { code: 'invalid_json', message: 'Request body must be JSON' });
+    return;
+  }
+
+  if (!Array.isArray(body.events)) {
+    sendJson(res, 422, { code: 'validation', message: 'events must be an array', fields: ['events'] });
+    return;
+  }
+
+  store.events.push(...body.events);
+  res.writeHead(204, { 'Cache-Control': 'no-store' });
+  res.end();
+}
+
+// ========================================================================
+// CONTACT MESSAGES
+// ========================================================================
+
+async function handleContact(req, res, store) {
+  let message;
+  try {
+    message = await readJson(req);
+  } catch (e) {
+    sendJson(res, 400, { code: 'invalid_json', message: 'Request body must be JSON' });
+    return;
+  }
+
+  // Messages retried from the outbox are only kept once
+  const idempotencyKey = req.headers['idempotency-key'] || message.clientId;
+  if (idempotencyKey && store.messages.some(existing => existing.clientId === idempotencyKey)) {
+    sendJson(res, 200, { received: true });
+    return;
+  }
+
+  const missing = REQUIRED_MESSAGE_FIELDS.filter(field => !message[field] || !String(message[field]).trim());
+  if (missing.length) {
+    sendJson(res, 422, { code: 'validation', message: `Missing required fields: ${missing.join(', ')}`, fields: missing });
+    return;
+  }
+
+  store.messages.push({ ...message, clientId: idempotencyKey, receivedAt: new Date().toISOString() });
+  sendJson(res, 201, { received: true });
+}
+
+// ========================================================================
+// SERVER
+// ========================================================================
+
+function createMockServer(options = {}) {
+  const config = {
+    port: 8080,
+    host: '127.0.0.1',
+    latency: 0,
+    failRate: 0,
+    capacity: 0,
+    ...options
+  };
+  const store = createStore();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const { pathname } = url;
+
+    if (!pathname.startsWith('/api/')) {
+      serveStatic(req, res, pathname);
+      return;
+    }
+
+    if (config.latency) {
+      await new Promise(resolve => setTimeout(resolve, config.latency));
+    }
+
+    if (config.failRate && Math.random() < config.failRate) {
+      sendJson(res, 503, { code: 'unavailable', message: 'Simulated outage' });
+      return;
+    }
+
+    try {
+      if (pathname === '/api/bookings' && req.method === 'POST') {
+        await handleCreateBooking(req, res, store, config);
+        return;
+      }
+
+      if (pathname === '/api/availability' && req.method === 'GET') {
+        handleAvailability(req, res, store, url.searchParams);
+        return;
+      }
+
+      if (pathname === '/api/vitals' && req.method === 'POST') {
+        await handleVitals(req, res, store);
+        return;
+      }
+
+      if (pathname === '/api/events' && req.method === 'POST') {
+        await handleEvents(req, res, store);
+        return;
+      }
+
+      if (pathname === '/api/contact' && req.method === 'POST') {
+        await handleContact(req, res, store);
+        return;
+      }
+
+      const bookingMatch = pathname.match(/^\/api\/bookings\/([A-Z0-9-]+)$/i);
+      if (bookingMatch && req.method === 'GET') {
+        handleGetBooking(req, res, store, bookingMatch[1].toUpperCase(), url.searchParams);
+        return;
+      }
+
+      if (bookingMatch && req.method === 'PATCH') {
+        await handleRescheduleBooking(req, res, store, config, bookingMatch[1].toUpperCase());
+        return;
+      }
+
+      const cancelMatch = pathname.match(/^\/api\/bookings\/([A-Z0-9-]+)\/cancel$/i);
+      if (cancelMatch && req.method === 'POST') {
+        await handleCancelBooking(req, res, store, cancelMatch[1].toUpperCase());
+        return;
+      }
+
+      sendJson(res, 404, { code: 'not_found', message: `No mock route for ${req.method} ${pathname}` });
+    } catch (error) {
+      sendJson(res, 500, { code: 'server', message: error.message });
+    }
+  });
+
+  return {
+    server,
+    store,
+    config,
+    url: null,
+
+    listen() {
+      return new Promise(resolve => {
+        server.listen(config.port, config.host, () => {
+          const { port } = server.address();
+          this.url = `http://${config.host}:${port}`;
+          resolve(this);
+        });
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split('=');
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    switch (flag) {
+      case '--port': options.port = Number(value); break;
+      case '--host': options.host = value; break;
+      case '--latency': options.latency = Number(value); break;
+      case '--fail-rate': options.failRate = Number(value); break;
+      case '--capacity': options.capacity = Number(value); break;
+      default:
+        console.warn(`Ignoring unknown option ${flag}`);
+    }
+  }
+  return options;
+}
+
+if (require.main === module) {
+  createMockServer(parseArgs(process.argv.slice(2))).listen().then(mock => {
+    console.log(`MeisterCo mock server running at ${mock.url}`);
+  });
+}
+
+module.exports = { createMockServer, generateReference };